@@ -14,7 +14,8 @@ import {
   Collapse,
   IconButton,
   Button,
-  Chip
+  Chip,
+  Alert
 } from '@mui/material';
 import {
   ExpandMore,
@@ -26,6 +27,9 @@ import AnnotationPreview from './components/AnnotationPreview';
 import ConfigurationForm from './components/ConfigurationForm';
 import UploadResults from './components/UploadResults';
 import UndoUpload from './components/UndoUpload';
+import ExportAnnotations from './components/ExportAnnotations';
+import UploadJobProgress from './components/UploadJobProgress';
+import { getActiveUploadJob, clearActiveUploadJob, finishUploadJob } from './utils/uploadJobs';
 
 // Dark mode theme with Urbanist and Hanken Grotesk
 const theme = createTheme({
@@ -427,7 +431,7 @@ const theme = createTheme({
 
 
 function App() {
-  const [currentPage, setCurrentPage] = useState('uploader'); // 'uploader' or 'guide'
+  const [currentPage, setCurrentPage] = useState('uploader'); // 'uploader', 'guide', 'undo' or 'export'
   const [activeStep, setActiveStep] = useState(0);
   const [annotations, setAnnotations] = useState([]);
   const [config, setConfig] = useState({
@@ -437,6 +441,8 @@ function App() {
   });
   const [uploadResults, setUploadResults] = useState(null);
   const [configExpanded, setConfigExpanded] = useState(true);
+  // Upload job left running when the page was last closed
+  const [reconnectJob, setReconnectJob] = useState(() => getActiveUploadJob());
 
   const handleNext = () => {
     setActiveStep((prevActiveStep) => prevActiveStep + 1);
@@ -470,7 +476,9 @@ function App() {
       setConfig(prev => ({ 
         ...prev, 
         forceStandardColors: uploadData.forceStandardColors,
-        originalAnnotations: uploadData.originalAnnotations 
+        originalAnnotations: uploadData.originalAnnotations,
+        colorMapping: uploadData.colorMapping,
+        stylingRules: uploadData.stylingRules
       }));
     }
     handleNext();
@@ -485,6 +493,17 @@ function App() {
     handleNext();
   };
 
+  const handleReconnectedJobComplete = (jobResults) => {
+    setUploadResults(finishUploadJob(reconnectJob, jobResults));
+    setReconnectJob(null);
+    setActiveStep(2);
+  };
+
+  const handleDismissReconnectJob = () => {
+    clearActiveUploadJob();
+    setReconnectJob(null);
+  };
+
   const startNewUpload = () => {
     setActiveStep(0);
     setAnnotations([]);
@@ -543,6 +562,26 @@ function App() {
     );
   }
 
+  // Show Export page
+  if (currentPage === 'export') {
+    return (
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        <Box sx={{ 
+          minHeight: '100vh',
+          background: 'linear-gradient(135deg, #0F0F0F 0%, #1A1A1A 100%)',
+        }}>
+          <Container maxWidth="lg">
+            <ExportAnnotations 
+              onBack={() => setCurrentPage('uploader')} 
+              config={config}
+            />
+          </Container>
+        </Box>
+      </ThemeProvider>
+    );
+  }
+
   // Show main uploader page  
   return (
     <ThemeProvider theme={theme}>
@@ -620,6 +659,19 @@ function App() {
             >
               ↶ Undo Uploads
             </Button>
+
+            <Button
+              variant="outlined"
+              onClick={() => setCurrentPage('export')}
+              sx={{ 
+                borderRadius: 2,
+                textTransform: 'none',
+                fontWeight: 500,
+                px: 3
+              }}
+            >
+              ⤓ Export Annotations
+            </Button>
           </Box>
         </Box>
 
@@ -709,6 +761,22 @@ function App() {
           </Collapse>
         </Paper>
 
+        {/* Upload job still running on the server from a previous visit */}
+        {reconnectJob && activeStep === 0 && (
+          <Alert severity="info" sx={{ mb: 4, '& .MuiAlert-message': { width: '100%' } }} onClose={handleDismissReconnectJob}>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              Upload to {reconnectJob.mapName || reconnectJob.mapId}
+              {reconnectJob.totalAnnotations ? ` (${reconnectJob.totalAnnotations} annotations)` : ''}
+            </Typography>
+            <UploadJobProgress
+              jobId={reconnectJob.jobId}
+              apiKey={config.apiKey}
+              onComplete={handleReconnectedJobComplete}
+              onDismiss={handleDismissReconnectJob}
+            />
+          </Alert>
+        )}
+
         {/* Main Upload Workflow */}
         <Paper elevation={3} sx={{ 
           p: 4,
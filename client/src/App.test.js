@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the uploader with the configuration step', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'DroneDeploy Annotation Uploader' })).toBeInTheDocument();
+  expect(screen.getByText(/Configuration/)).toBeInTheDocument();
 });
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -11,7 +11,6 @@ import {
   TableHead,
   TableRow,
   Chip,
-  LinearProgress,
   Alert,
   Dialog,
   DialogTitle,
@@ -25,7 +24,8 @@ import {
   MenuItem,
   FormControl,
   InputLabel,
-  Link
+  Link,
+  OutlinedInput
 } from '@mui/material';
 import {
   ArrowBack,
@@ -42,17 +42,37 @@ import {
   VisibilityOff,
   Palette,
   SwapHoriz,
-  OpenInNew
+  OpenInNew,
+  Notes,
+  Sync
 } from '@mui/icons-material';
 import axios from 'axios';
 import MapViewer from './MapViewer';
-import { saveUploadToHistory } from '../utils/uploadHistory';
+import StylingRulesEditor from './StylingRulesEditor';
+import UploadJobProgress from './UploadJobProgress';
+import SyncPlanner from './SyncPlanner';
+import { saveActiveUploadJob, finishUploadJob } from '../utils/uploadJobs';
+import { formatGeometry } from '../utils/annotationModel';
+
+// How each annotation compares to the map, from POST /api/dronedeploy/dedupe
+const MATCH_STATUS_CHIPS = {
+  new: { label: 'New', color: 'success' },
+  duplicate: { label: 'Duplicate', color: 'default' },
+  changed: { label: 'Changed', color: 'warning' }
+};
+
+const MATCH_ACTION_LABELS = {
+  create: 'Create',
+  skip: 'Skip',
+  replace: 'Replace'
+};
 
 const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack }) => {
   const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [batchInfo, setBatchInfo] = useState({ current: 0, total: 0, totalAnnotations: 0 });
-  const [cancelRequested, setCancelRequested] = useState(false);
+  // Server-side upload job being followed, from POST /api/jobs
+  const [activeJob, setActiveJob] = useState(null);
+  // Aborts the request that starts the job, while the annotations are being sent
+  const startJobController = useRef(null);
   const [previewOpen, setPreviewOpen] = useState(false);
   const [selectedAnnotation, setSelectedAnnotation] = useState(null);
   const [editingAnnotations, setEditingAnnotations] = useState([]);
@@ -64,6 +84,27 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
   const [colorMappings, setColorMappings] = useState({});
   const [mapDetails, setMapDetails] = useState(null);
   const [loadingMapDetails, setLoadingMapDetails] = useState(false);
+  const [descriptionAttributes, setDescriptionAttributes] = useState([]);
+  const [stylingRules, setStylingRules] = useState(config.stylingRules || []);
+  const [applyingRules, setApplyingRules] = useState(false);
+  const [stylingStatus, setStylingStatus] = useState(null);
+  // Duplicate check against the map: { annotations, matches, counts, existingCount }
+  const [mapMatches, setMapMatches] = useState(null);
+  // Chosen action for each annotation; starts from the server's default for its status
+  const [matchActions, setMatchActions] = useState([]);
+  const [checkingMap, setCheckingMap] = useState(false);
+  const [mapCheckError, setMapCheckError] = useState(null);
+  // Reviewed sync plan; while set, the upload applies it instead of the duplicate check
+  const [syncPlan, setSyncPlan] = useState(null);
+  
+  // All attribute names found across the parsed annotations (CSV columns, GeoJSON properties, KML ExtendedData)
+  const attributeKeys = useMemo(() => {
+    const keys = new Set();
+    editingAnnotations.forEach(annotation => {
+      Object.keys(annotation?.properties || {}).forEach(key => keys.add(key));
+    });
+    return Array.from(keys);
+  }, [editingAnnotations]);
   
   // Simple effect to update editing annotations - only depends on annotations length and first item to avoid infinite loops
   useEffect(() => {
@@ -105,12 +146,22 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     return closestColor;
   };
 
+  // Server-computed palette matches keyed by original color
+  const colorMatches = useMemo(() => Object.fromEntries(
+    (config.colorMapping || []).map(row => [row.originalColor, row])
+  ), [config.colorMapping]);
+
   // Extract unique colors and create initial mappings
   useEffect(() => {
     if (Array.isArray(annotations) && annotations.length > 0) {
       const uniqueColors = {};
       
-      if (config.originalAnnotations && config.originalAnnotations.length > 0) {
+      if (config.colorMapping && config.colorMapping.length > 0) {
+        // Use the server's mapping table (original hex → nearest DroneDeploy color)
+        config.colorMapping.forEach(row => {
+          uniqueColors[row.originalColor] = row.paletteColor.color;
+        });
+      } else if (config.originalAnnotations && config.originalAnnotations.length > 0) {
         // Map original colors to standardized colors
         annotations.forEach((annotation, index) => {
           const originalColor = config.originalAnnotations[index]?.color;
@@ -131,7 +182,7 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
       
       setColorMappings(uniqueColors);
     }
-  }, [annotations?.length, annotations?.[0]?.color, config.originalAnnotations?.length]); // Only update when meaningful changes occur
+  }, [annotations?.length, annotations?.[0]?.color, config.originalAnnotations?.length, config.colorMapping]); // Only update when meaningful changes occur
 
   // Helper function to ensure color has # prefix for CSS display
   const formatColorForDisplay = (color) => {
@@ -176,6 +227,79 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     fetchMapDetails();
   }, [config.planId, config.apiKey]);
 
+  // Read the annotations already on the map and compare them with these
+  const handleCheckMap = async () => {
+    setCheckingMap(true);
+    setMapCheckError(null);
+    const checkedAnnotations = editingAnnotations;
+
+    try {
+      const response = await axios.post('http://localhost:3001/api/dronedeploy/dedupe', {
+        annotations: checkedAnnotations,
+        planId: config.planId,
+        apiKey: config.apiKey,
+        descriptionAttributes
+      });
+      const { data, counts, existingCount } = response.data;
+      setMapMatches({ annotations: checkedAnnotations, matches: data, counts, existingCount });
+      setMatchActions(data.map(match => match.action));
+    } catch (error) {
+      console.error('Failed to check the map for duplicates:', error);
+      setMapCheckError(error.response?.data?.details || error.response?.data?.error || error.message);
+    } finally {
+      setCheckingMap(false);
+    }
+  };
+
+  // Check for duplicates once the map is known, before anything is uploaded
+  useEffect(() => {
+    if (mapDetails && editingAnnotations.length > 0) {
+      handleCheckMap();
+    } else {
+      setMapMatches(null);
+      setMatchActions([]);
+    }
+    // Only when the map changes; edits are re-checked with Check Again
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mapDetails?.id]);
+
+  // Edits and styling rules change what would be uploaded, so the statuses may be out of date
+  const mapMatchesStale = mapMatches && mapMatches.annotations !== editingAnnotations;
+
+  // Annotations the upload sends, with the existing annotation each one replaces
+  const uploadItems = editingAnnotations
+    .map((annotation, index) => ({
+      annotation,
+      index,
+      action: matchActions[index] || 'create',
+      existingId: mapMatches?.matches[index]?.existing?.id || null
+    }))
+    .filter(item => item.action !== 'skip');
+  const skippedCount = editingAnnotations.length - uploadItems.length;
+
+  // Creates and updates of the sync plan; an update replaces the annotation on the map
+  const syncItems = syncPlan
+    ? [...syncPlan.data.creates, ...syncPlan.data.updates].map(change => ({
+      annotation: syncPlan.annotations[change.index],
+      index: change.index,
+      action: change.existingId ? 'replace' : 'create',
+      existingId: change.existingId || null
+    }))
+    : [];
+  const syncDeleteIds = syncPlan ? syncPlan.data.deletes.map(entry => entry.existingId) : [];
+  const syncPlanStale = syncPlan
+    && (syncPlan.annotations !== editingAnnotations || syncPlan.descriptionAttributes !== descriptionAttributes);
+  const showMapMatches = mapMatches && !syncPlan;
+  const jobItems = syncPlan ? syncItems : uploadItems;
+
+  const handleMatchActionChange = (index, action) => {
+    setMatchActions(prev => {
+      const updated = [...prev];
+      updated[index] = action;
+      return updated;
+    });
+  };
+
   const getAnnotationIcon = (type) => {
     switch (type) {
       case 'LOCATION':
@@ -202,47 +326,6 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     }
   };
 
-  const formatGeometry = (annotation) => {
-    // Handle LOCATION annotations with lat/lng directly on annotation
-    if ((annotation.type === 'LOCATION' || annotation.annotationType === 'LOCATION') && annotation.lat && annotation.lng) {
-      return `${annotation.lat.toFixed(6)}, ${annotation.lng.toFixed(6)}`;
-    }
-    
-    const geometry = annotation.geometry;
-    if (!geometry) {
-      return 'No geometry';
-    }
-    
-    // Handle lat/lng format (legacy)
-    if (geometry.lat && geometry.lng) {
-      return `${geometry.lat.toFixed(6)}, ${geometry.lng.toFixed(6)}`;
-    }
-    
-    // Handle GeoJSON Point format
-    if (geometry.type === 'Point' && geometry.coordinates) {
-      const [lng, lat] = geometry.coordinates;
-      return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-    }
-    
-    // Handle GeoJSON Polygon format
-    if (geometry.type === 'Polygon' && geometry.coordinates) {
-      const coords = geometry.coordinates[0]; // Outer ring
-      return `Polygon (${coords.length} points)`;
-    }
-    
-    // Handle GeoJSON LineString format
-    if (geometry.type === 'LineString' && geometry.coordinates) {
-      return `Line (${geometry.coordinates.length} points)`;
-    }
-    
-    // Handle array format (server-converted format for AREA/LINE)
-    if (Array.isArray(geometry)) {
-      return `${geometry.length} coordinates`;
-    }
-    
-    return 'Complex geometry';
-  };
-
   const startEditing = (index) => {
     setEditingIndex(index);
     setTempEdit({
@@ -268,6 +351,24 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     setTempEdit({ title: '', color: '' });
   };
 
+  // Capture date shown in the upload history
+  const formatMapDate = (dateImagesCaptured) => {
+    try {
+      const date = new Date(dateImagesCaptured);
+      if (isNaN(date.getTime())) {
+        return dateImagesCaptured;
+      }
+      return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+    } catch (error) {
+      return dateImagesCaptured;
+    }
+  };
+
   const handleUpload = async () => {
     // Validate configuration first
     if (!config.apiKey || !config.planId) {
@@ -276,181 +377,71 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     }
 
     setUploading(true);
-    setUploadProgress(0);
+    startJobController.current = new AbortController();
+    const replacing = jobItems.some(item => item.action === 'replace');
 
     try {
-      const totalAnnotations = editingAnnotations.length;
-      
-      // Starting upload process
-      
-      // Create batches with safer size for DroneDeploy API processing time
-      const maxBatchSize = 50; // Very conservative: ~50 annotations * 0.3s = 15s processing time
-      const batches = [];
-      
-      for (let i = 0; i < totalAnnotations; i += maxBatchSize) {
-        const batch = editingAnnotations.slice(i, i + maxBatchSize);
-        batches.push(batch);
-      }
-      
-      // Created batches for upload
-      
-      // Set initial batch info
-      setBatchInfo({ current: 0, total: batches.length, totalAnnotations });
-      
-      const allResults = [];
-      const allErrors = [];
-      
-      // Upload each batch
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        // Check for cancellation
-        if (cancelRequested) {
-          allErrors.push({ error: 'Upload cancelled by user', cancelled: true });
-          break;
-        }
+      // The server stores the annotations and uploads them in the background,
+      // so the upload carries on if this page is closed
+      const response = await axios.post('http://localhost:3001/api/jobs', {
+        annotations: jobItems.map(item => item.annotation),
+        planId: config.planId,
+        apiKey: config.apiKey,
+        descriptionAttributes,
+        ...(replacing ? {
+          replaceAnnotationIds: jobItems.map(item => (item.action === 'replace' ? item.existingId : null))
+        } : {}),
+        ...(syncPlan ? {
+          deleteAnnotationIds: syncDeleteIds,
+          syncIdProperty: syncPlan.idProperty
+        } : {})
+      }, { signal: startJobController.current.signal });
 
-        const batch = batches[batchIndex];
-        const progress = Math.round(((batchIndex + 1) / batches.length) * 100);
-        
-        // Estimate payload size (rough calculation)
-        const estimatedPayloadSize = JSON.stringify({
-          annotations: batch,
-          planId: config.planId,
-          apiKey: 'xxx' // Don't log real API key
-        }).length;
-        
-        // Update progress info
-        const newBatchInfo = { current: batchIndex + 1, total: batches.length, totalAnnotations };
-        setBatchInfo(newBatchInfo);
-        setUploadProgress(progress);
-        
-        // Force UI update with small delay
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        try {
-          
-          const requestPayload = {
-            annotations: batch,
-            planId: config.planId,
-            apiKey: config.apiKey,
-            batchInfo: {
-              batchIndex: batchIndex + 1,
-              totalBatches: batches.length,
-              totalAnnotations,
-              payloadSizeKB: Math.round(estimatedPayloadSize/1024)
-            }
-          };
-          
-          const response = await axios.post('http://localhost:3001/api/dronedeploy/upload', requestPayload, {
-            timeout: 120000, // 2 minute timeout for DroneDeploy processing
-          });
-          
-          if (response.data.results) {
-            allResults.push(...response.data.results);
-          }
-          if (response.data.errors) {
-            allErrors.push(...response.data.errors);
-          }
-          
-        } catch (batchError) {
-          console.error(`\n💥 === BATCH ${batchIndex + 1} FAILED ===`);
-          console.error(`❌ Error type:`, batchError.name);
-          console.error(`❌ Error message:`, batchError.message);
-          console.error(`❌ Response status:`, batchError.response?.status);
-          console.error(`❌ Response data:`, batchError.response?.data);
-          console.error(`❌ Full error object:`, batchError);
-          
-          allErrors.push({
-            error: `Batch ${batchIndex + 1} failed: ${batchError.message}`,
-            batch: batchIndex + 1,
-            status: batchError.response?.status,
-            details: batchError.response?.data
-          });
-          
-          // Continue with next batch even if this one fails
-        }
-        
-        // Rate limiting: Add delay between batches to respect API limits
-        if (batchIndex < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100)); // Reduced to 100ms between batches
-        }
-      }
-      
-      if (!cancelRequested) {
-        setUploadProgress(100);
-        setBatchInfo(prev => ({ ...prev, current: prev.total }));
-      }
-      
-      // Combine all results
-      const combinedResults = {
-        success: true,
-        results: allResults,
-        errors: allErrors,
-        totalProcessed: totalAnnotations,
-        successCount: allResults.length,
-        errorCount: allErrors.length,
-        projectId: allResults[0]?.projectId,
-        mapId: config.planId
-      };
-
-      // Save successful upload to history if there were successful annotations
-      if (allResults.length > 0 && mapDetails) {
-        const annotationTypes = {};
-        
-        // Count annotation types from successful uploads
-        allResults.forEach(result => {
-          const type = result.annotationType || 'unknown';
-          annotationTypes[type] = (annotationTypes[type] || 0) + 1;
-        });
-
-        const uploadHistoryData = {
-          mapId: config.planId,
-          mapName: mapDetails.name,
-          mapDate: (() => {
-            try {
-              const date = new Date(mapDetails.dateImagesCaptured);
-              if (isNaN(date.getTime())) {
-                return mapDetails.dateImagesCaptured;
-              }
-              return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-              });
-            } catch (error) {
-              return mapDetails.dateImagesCaptured;
-            }
-          })(),
-          totalAnnotations: allResults.length,
-          annotationTypes: annotationTypes,
-          successfulAnnotationIds: allResults.map(result => result.id).filter(id => id),
-          projectId: mapDetails.projectId
-        };
-
-        saveUploadToHistory(uploadHistoryData);
-        console.log('Saved upload to history:', uploadHistoryData);
+      const job = saveActiveUploadJob({
+        jobId: response.data.data.id,
+        mapId: config.planId,
+        mapName: mapDetails?.name || config.planId,
+        mapDate: mapDetails ? formatMapDate(mapDetails.dateImagesCaptured) : '',
+        projectId: mapDetails?.projectId,
+        totalAnnotations: jobItems.length,
+        skippedCount: syncPlan ? 0 : skippedCount
+      });
+      setActiveJob(job || { jobId: response.data.data.id, mapId: config.planId });
+    } catch (error) {
+      setUploading(false);
+      if (axios.isCancel(error)) {
+        // Cancelled before the server accepted the job, so nothing was created
+        return;
       }
+      console.error('Upload error:', error);
 
-      setTimeout(() => {
-        onUpload(combinedResults);
-      }, 1000);
+      // The server rejects the whole upload when any annotation is invalid; list the first few problems
+      const fieldErrors = error.response?.data?.errors;
+      const details = Array.isArray(fieldErrors)
+        ? fieldErrors.slice(0, 5).map(({ field, message }) => {
+          const match = /^annotations\[(\d+)\]/.exec(field);
+          const title = match ? jobItems[Number(match[1])]?.annotation.title : null;
+          return `• ${title ? `"${title}" ` : ''}${field}: ${message}`;
+        }).join('\n') + (fieldErrors.length > 5 ? `\n…and ${fieldErrors.length - 5} more` : '')
+        : error.response?.data?.details || error.message;
 
-    } catch (error) {
-      console.error('Upload error:', error);
-      setUploading(false);
-      setUploadProgress(0);
-      setCancelRequested(false);
-      
       // Show user-friendly error message
-      alert(`Upload failed: ${error.response?.status === 413 ? 'File too large. Try with fewer annotations.' : error.message}`);
+      alert(`Upload failed: ${error.response?.status === 413 ? 'Too many annotations for one request.' : details}`);
+    } finally {
+      startJobController.current = null;
     }
   };
 
-  const handleCancelUpload = () => {
-    setCancelRequested(true);
+  // Once the job has started, UploadJobProgress cancels it on the server instead
+  const handleCancelStart = () => {
+    startJobController.current?.abort();
+  };
+
+  const handleJobComplete = (jobResults) => {
+    const results = finishUploadJob(activeJob, jobResults);
+    setActiveJob(null);
     setUploading(false);
-    setUploadProgress(0);
-    setBatchInfo({ current: 0, total: 0, totalAnnotations: 0 });
+    onUpload(results);
   };
 
   const handlePreview = (annotation) => {
@@ -492,6 +483,41 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     { name: 'Amethyst', color: '#6639b6', fillColor: '#8c6bc8' }
   ];
 
+  const handleApplyStylingRules = async () => {
+    setApplyingRules(true);
+    setStylingStatus(null);
+    
+    try {
+      const response = await axios.post('http://localhost:3001/api/styling-rules/apply', {
+        annotations: editingAnnotations,
+        rules: stylingRules
+      });
+      
+      const { data, matchedCount, unstyledCount } = response.data;
+      if (unstyledCount > 0) {
+        // Rows imported without a color need a rule to supply one
+        setStylingStatus({
+          type: 'error',
+          message: `${unstyledCount} annotation${unstyledCount === 1 ? ' has' : 's have'} no color and match${unstyledCount === 1 ? 'es' : ''} no rule. Add a rule that assigns a color before applying.`
+        });
+        return;
+      }
+      
+      setEditingAnnotations(data);
+      setStylingStatus({
+        type: 'success',
+        message: `Rules matched ${matchedCount} of ${data.length} annotation${data.length === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      setStylingStatus({
+        type: 'error',
+        message: error.response?.data?.details || error.response?.data?.error || 'Failed to apply styling rules'
+      });
+    } finally {
+      setApplyingRules(false);
+    }
+  };
+
   const handleColorMappingChange = (originalColor, newDdColor) => {
     setColorMappings(prev => ({
       ...prev,
@@ -499,10 +525,11 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
     }));
     
     // Apply the mapping to all annotations with this color
-    setEditingAnnotations(prev => prev.map(annotation => {
-      const originalAnnotationColor = config.originalAnnotations?.[annotations.indexOf(annotation)]?.color;
+    const paletteEntry = droneDeployColors.find(color => color.color === newDdColor);
+    setEditingAnnotations(prev => prev.map((annotation, index) => {
+      const originalAnnotationColor = config.originalAnnotations?.[index]?.color;
       if (originalAnnotationColor === originalColor) {
-        return { ...annotation, color: newDdColor };
+        return { ...annotation, color: newDdColor, fillColor: paletteEntry?.fillColor || newDdColor };
       }
       return annotation;
     }));
@@ -661,6 +688,40 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
           </Box>
         </Alert>
 
+        {/* Annotations already on the map */}
+        {!syncPlan && (checkingMap || mapCheckError || mapMatches) && (
+          <Alert
+            severity={mapCheckError || mapMatchesStale ? 'warning' : mapMatches?.counts.new === editingAnnotations.length ? 'success' : 'info'}
+            sx={{ mb: 4, borderRadius: 2 }}
+            action={!checkingMap && (
+              <Button color="inherit" size="small" onClick={handleCheckMap} disabled={uploading}>
+                Check Again
+              </Button>
+            )}
+          >
+            {checkingMap && 'Checking the map for annotations that are already there...'}
+            {!checkingMap && mapCheckError && `Could not read the annotations on the map: ${mapCheckError}. Everything will be created.`}
+            {!checkingMap && !mapCheckError && mapMatches && (
+              <Box>
+                <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                  {mapMatches.existingCount} annotation{mapMatches.existingCount === 1 ? ' is' : 's are'} already on this map:
+                  {' '}{mapMatches.counts.new} new, {mapMatches.counts.duplicate} duplicate{mapMatches.counts.duplicate === 1 ? '' : 's'}, {mapMatches.counts.changed} changed
+                </Typography>
+                <Typography variant="caption" sx={{ display: 'block' }}>
+                  Matched by title, type and position. Duplicates are skipped and changed annotations replace
+                  the ones on the map, unless you choose otherwise in the On Map column.
+                  {skippedCount > 0 && ` ${skippedCount} annotation${skippedCount === 1 ? '' : 's'} will be skipped.`}
+                </Typography>
+                {mapMatchesStale && (
+                  <Typography variant="caption" sx={{ display: 'block', mt: 0.5 }}>
+                    The annotations were edited after the check. Check again to update their status.
+                  </Typography>
+                )}
+              </Box>
+            )}
+          </Alert>
+        )}
+
         {!uploading && <MapViewer annotations={editingAnnotations} height={500} />}
 
       {/* Color Mapper Section */}
@@ -792,6 +853,13 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
                               ))}
                             </Select>
                           </FormControl>
+                          {colorMatches[originalColor] && (
+                            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                              {colorMatches[originalColor].paletteColor.color === ddColor
+                                ? `Nearest match${colorMatches[originalColor].distance !== null ? ` (distance ${colorMatches[originalColor].distance})` : ''}`
+                                : `Changed from nearest match: ${colorMatches[originalColor].paletteColor.name}`}
+                            </Typography>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Chip 
@@ -811,6 +879,81 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
           </Paper>
         )}
 
+        {/* Description Attributes Section */}
+        {attributeKeys.length > 0 && (
+          <Paper 
+            elevation={2}
+            sx={{ 
+              mt: 4,
+              p: 3,
+              borderRadius: 3,
+              background: 'rgba(26, 26, 26, 0.98)',
+              border: '1px solid rgba(63, 72, 233, 0.2)',
+            }}
+          >
+            <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+              <Notes color="primary" />
+              Description Attributes
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Choose attributes to add to each annotation's DroneDeploy description as "name: value" lines, after any description from the file.
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 300, maxWidth: '100%' }}>
+              <InputLabel id="description-attributes-label">Attributes</InputLabel>
+              <Select
+                labelId="description-attributes-label"
+                multiple
+                value={descriptionAttributes}
+                onChange={(e) => setDescriptionAttributes(
+                  typeof e.target.value === 'string' ? e.target.value.split(',') : e.target.value
+                )}
+                input={<OutlinedInput label="Attributes" />}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((key) => (
+                      <Chip key={key} label={key} size="small" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {attributeKeys.map((key) => (
+                  <MenuItem key={key} value={key}>
+                    {key}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Paper>
+        )}
+
+        {/* Styling Rules Section */}
+        <StylingRulesEditor
+          rules={stylingRules}
+          onChange={setStylingRules}
+          attributeKeys={attributeKeys}
+          onApply={handleApplyStylingRules}
+          applying={applyingRules}
+        />
+        {stylingStatus && (
+          <Alert severity={stylingStatus.type} sx={{ mt: 2 }} onClose={() => setStylingStatus(null)}>
+            {stylingStatus.message}
+          </Alert>
+        )}
+
+        {/* Sync Section */}
+        {attributeKeys.length > 0 && (
+          <SyncPlanner
+            annotations={editingAnnotations}
+            config={config}
+            descriptionAttributes={descriptionAttributes}
+            attributeKeys={attributeKeys}
+            plan={syncPlan}
+            stale={syncPlanStale}
+            onPlanChange={setSyncPlan}
+            disabled={uploading}
+          />
+        )}
+
         <Paper 
           elevation={2}
           sx={{ 
@@ -902,6 +1045,7 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
                     </TableCell>
                   )}
                   <TableCell>Geometry</TableCell>
+                  {showMapMatches && <TableCell width={190}>On Map</TableCell>}
                   <TableCell width={120}>Actions</TableCell>
                 </TableRow>
               </TableHead>
@@ -927,10 +1071,10 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
                   <TableRow key={index}>
                     <TableCell>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        {getAnnotationIcon(annotation.type || annotation.annotationType)}
+                        {getAnnotationIcon(annotation.annotationType)}
                         <Chip
-                          label={annotation.type || annotation.annotationType}
-                          color={getAnnotationTypeColor(annotation.type || annotation.annotationType)}
+                          label={annotation.annotationType}
+                          color={getAnnotationTypeColor(annotation.annotationType)}
                           size="small"
                           variant="outlined"
                         />
@@ -946,7 +1090,29 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
                           sx={{ minWidth: 150 }}
                         />
                       ) : (
-                        annotation.title
+                        <Box>
+                          {annotation.title}
+                          {annotation.metadata?.droppedHoles > 0 && (
+                            <Chip
+                              label={`${annotation.metadata.droppedHoles} hole${annotation.metadata.droppedHoles === 1 ? '' : 's'} dropped`}
+                              color="warning"
+                              size="small"
+                              variant="outlined"
+                              sx={{ ml: 1, height: 20, fontSize: '0.7rem' }}
+                            />
+                          )}
+                          {annotation.description && (
+                            <Typography 
+                              variant="caption" 
+                              color="text.secondary" 
+                              noWrap 
+                              sx={{ display: 'block', maxWidth: 250 }}
+                              title={annotation.description}
+                            >
+                              {annotation.description}
+                            </Typography>
+                          )}
+                        </Box>
                       )}
                     </TableCell>
                     {/* DD Colour column - always show, this is what gets uploaded */}
@@ -1024,6 +1190,39 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
                         {formatGeometry(annotation)}
                       </Typography>
                     </TableCell>
+                    {showMapMatches && (() => {
+                      const match = mapMatches.matches[index];
+                      const chip = MATCH_STATUS_CHIPS[match?.status];
+                      return (
+                        <TableCell>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            {chip && (
+                              <Tooltip
+                                title={match.existing
+                                  ? `${match.existing.id}, ${match.distance} m away${match.changes.length > 0 ? `; ${match.changes.join(', ')} changed` : ''}`
+                                  : 'Not on the map yet'}
+                              >
+                                <Chip label={chip.label} color={chip.color} size="small" variant="outlined" />
+                              </Tooltip>
+                            )}
+                            <Select
+                              value={matchActions[index] || 'create'}
+                              onChange={(e) => handleMatchActionChange(index, e.target.value)}
+                              size="small"
+                              variant="standard"
+                              disabled={uploading}
+                              sx={{ fontSize: '0.8rem', minWidth: 70 }}
+                            >
+                              {Object.entries(MATCH_ACTION_LABELS).map(([action, label]) => (
+                                <MenuItem key={action} value={action} disabled={action === 'replace' && !match?.existing}>
+                                  {label}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                          </Box>
+                        </TableCell>
+                      );
+                    })()}
                     <TableCell>
                       <Box sx={{ display: 'flex', gap: 0.5 }}>
                         {editingIndex === index ? (
@@ -1085,36 +1284,29 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
           />
         </Paper>
 
-        {uploading && (
-          <Box sx={{ mt: 3 }}>
-            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-              <Typography variant="body2">
-                Uploading annotation${editingAnnotations.length === 1 ? '' : 's'}... ({uploadProgress}%)
-              </Typography>
-              <Button
-                variant="outlined"
-                color="error"
-                size="small"
-                onClick={handleCancelUpload}
-                sx={{ ml: 2 }}
-              >
-                Cancel Upload
-              </Button>
-            </Box>
-            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
-              Batch {batchInfo.current} of {batchInfo.total} • {batchInfo.totalAnnotations} total annotation${batchInfo.totalAnnotations === 1 ? '' : 's'} • DroneDeploy processing
+        {uploading && !activeJob && (
+          <Box sx={{ mt: 3, display: 'flex', alignItems: 'center' }}>
+            <Typography variant="body2">
+              Sending {jobItems.length} annotation{jobItems.length === 1 ? '' : 's'} to the server...
             </Typography>
-            <LinearProgress 
-              variant="determinate" 
-              value={uploadProgress} 
-              sx={{
-                height: 8,
-                borderRadius: 4,
-                backgroundColor: 'rgba(255,255,255,0.1)',
-                '& .MuiLinearProgress-bar': {
-                  backgroundColor: uploadProgress === 100 ? '#4caf50' : '#3F48E9'
-                }
-              }}
+            <Button
+              variant="outlined"
+              color="error"
+              size="small"
+              onClick={handleCancelStart}
+              sx={{ ml: 2 }}
+            >
+              Cancel Upload
+            </Button>
+          </Box>
+        )}
+
+        {activeJob && (
+          <Box sx={{ mt: 3 }}>
+            <UploadJobProgress
+              jobId={activeJob.jobId}
+              apiKey={config.apiKey}
+              onComplete={handleJobComplete}
             />
           </Box>
         )}
@@ -1132,11 +1324,17 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
           <Button
             variant="contained"
             onClick={handleUpload}
-            startIcon={<Upload />}
-            disabled={uploading || !config.apiKey || !config.planId}
+            startIcon={syncPlan ? <Sync /> : <Upload />}
+            disabled={uploading || !config.apiKey || !config.planId || (syncPlan
+              ? syncPlanStale || jobItems.length + syncDeleteIds.length === 0
+              : uploadItems.length === 0)}
             size="large"
           >
-            {uploading ? 'Uploading...' : `Upload ${editingAnnotations.length} Annotations`}
+            {uploading
+              ? 'Uploading...'
+              : syncPlan
+                ? `Apply Sync (${jobItems.length + syncDeleteIds.length} Changes)`
+                : `Upload ${uploadItems.length} Annotations`}
           </Button>
         </Box>
       </Paper>
@@ -1155,6 +1353,60 @@ const AnnotationPreview = ({ annotations = [], config = {}, onUpload, onBack })
               <Typography variant="subtitle2" gutterBottom>
                 Colors: {selectedAnnotation.color} / {selectedAnnotation.fillColor}
               </Typography>
+              {selectedAnnotation.metadata?.folderPath?.length > 0 && (
+                <Typography variant="subtitle2" gutterBottom>
+                  Folder: {selectedAnnotation.metadata.folderPath.join(' / ')}
+                </Typography>
+              )}
+              {selectedAnnotation.metadata?.droppedHoles > 0 && (
+                <Typography variant="subtitle2" color="warning.main" gutterBottom>
+                  Holes dropped: {selectedAnnotation.metadata.droppedHoles} (only the outer boundary is uploaded)
+                </Typography>
+              )}
+              {selectedAnnotation.metadata?.time && (
+                <Typography variant="subtitle2" gutterBottom>
+                  Time: {selectedAnnotation.metadata.time}
+                </Typography>
+              )}
+              {selectedAnnotation.metadata?.startTime && (
+                <Typography variant="subtitle2" gutterBottom>
+                  Recorded: {selectedAnnotation.metadata.startTime} – {selectedAnnotation.metadata.endTime}
+                </Typography>
+              )}
+              {selectedAnnotation.metadata?.holeOf && (
+                <Typography variant="subtitle2" gutterBottom>
+                  Hole of: {selectedAnnotation.metadata.holeOf}
+                </Typography>
+              )}
+              {selectedAnnotation.description && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Description:
+                  </Typography>
+                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mb: 2 }}>
+                    {selectedAnnotation.description}
+                  </Typography>
+                </>
+              )}
+              {Object.keys(selectedAnnotation.properties || {}).length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Attributes:
+                  </Typography>
+                  <Table size="small" sx={{ mb: 2 }}>
+                    <TableBody>
+                      {Object.entries(selectedAnnotation.properties).map(([key, value]) => (
+                        <TableRow key={key}>
+                          <TableCell sx={{ fontWeight: 600, width: '35%' }}>{key}</TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace' }}>
+                            {value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </>
+              )}
               <Typography variant="subtitle2" gutterBottom>
                 Geometry:
               </Typography>
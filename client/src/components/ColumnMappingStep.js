@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Alert,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { ViewColumn, CheckCircle, DeleteOutline } from '@mui/icons-material';
+import { DRONEDEPLOY_COLORS } from '../constants';
+import { deleteColumnMappingProfile } from '../utils/columnMappingProfiles';
+
+// Annotation fields a column can be mapped to, matching the server's CSV_COLUMN_ALIASES
+const MAPPING_FIELDS = [
+  { field: 'annotationType', label: 'Type', hint: 'LOCATION, AREA or LINE' },
+  { field: 'title', label: 'Title' },
+  { field: 'lat', label: 'Latitude / Y' },
+  { field: 'lng', label: 'Longitude / X' },
+  { field: 'geometry', label: 'Geometry', hint: 'WKT, WKB hex or a coordinate array; WKT/WKB sets the type' },
+  { field: 'color', label: 'Color' },
+  { field: 'fillColor', label: 'Fill color' },
+  { field: 'description', label: 'Description' }
+];
+
+const ANNOTATION_TYPE_OPTIONS = ['LOCATION', 'AREA', 'LINE'];
+
+/**
+ * Required fields the mapping leaves unassigned (mirrors findMissingMappingFields on the server)
+ */
+const getMissingFields = ({ columns, defaults }, colorOptional) => {
+  const missing = [];
+  if (!columns.annotationType && !defaults.annotationType && !columns.geometry) missing.push('type');
+  if (!columns.title) missing.push('title');
+  if (!columns.color && !defaults.color && !colorOptional) missing.push('color');
+  if (!columns.geometry && !(columns.lat && columns.lng)) missing.push('latitude/longitude or geometry');
+  return missing;
+};
+
+const ColumnMappingStep = ({ request, fileName, profile, colorOptional, onApply, onCancel }) => {
+  const [mapping, setMapping] = useState(() => {
+    const initial = profile?.mapping || request.suggestedMapping;
+    return { columns: { ...initial.columns }, defaults: { ...initial.defaults } };
+  });
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState(profile?.name || fileName.replace(/\.[^.]+$/, ''));
+  const [profileDeleted, setProfileDeleted] = useState(false);
+
+  const missingFields = getMissingFields(mapping, colorOptional);
+
+  // Header -> field label, shown above the sample columns
+  const mappedFieldByHeader = {};
+  MAPPING_FIELDS.forEach(({ field, label }) => {
+    const header = mapping.columns[field];
+    if (header) mappedFieldByHeader[header] = label;
+  });
+
+  const handleColumnChange = (field, header) => {
+    setMapping(prev => ({ ...prev, columns: { ...prev.columns, [field]: header || undefined } }));
+  };
+
+  const handleDefaultChange = (field, value) => {
+    setMapping(prev => ({ ...prev, defaults: { ...prev.defaults, [field]: value || undefined } }));
+  };
+
+  const handleDeleteProfile = () => {
+    deleteColumnMappingProfile(request.headerSignature);
+    setProfileDeleted(true);
+  };
+
+  const handleApply = () => {
+    onApply(mapping, saveProfile && profileName.trim() ? profileName.trim() : null);
+  };
+
+  const renderDefaultSelect = (field) => {
+    if (field === 'annotationType') {
+      return (
+        <FormControl size="small" sx={{ width: 180 }}>
+          <InputLabel>Default type</InputLabel>
+          <Select
+            value={mapping.defaults.annotationType || ''}
+            label="Default type"
+            onChange={(e) => handleDefaultChange('annotationType', e.target.value)}
+          >
+            <MenuItem value="">
+              <em>None</em>
+            </MenuItem>
+            {ANNOTATION_TYPE_OPTIONS.map(type => (
+              <MenuItem key={type} value={type}>{type}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+
+    if (field === 'color') {
+      return (
+        <FormControl size="small" sx={{ width: 180 }}>
+          <InputLabel>Default color</InputLabel>
+          <Select
+            value={mapping.defaults.color || ''}
+            label="Default color"
+            onChange={(e) => handleDefaultChange('color', e.target.value)}
+          >
+            <MenuItem value="">
+              <em>None</em>
+            </MenuItem>
+            {DRONEDEPLOY_COLORS.map(color => (
+              <MenuItem key={color.color} value={color.color}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box
+                    sx={{
+                      width: 14,
+                      height: 14,
+                      backgroundColor: color.color,
+                      border: '1px solid #ccc',
+                      borderRadius: '50%'
+                    }}
+                  />
+                  {color.name}
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <Paper
+      elevation={2}
+      sx={{
+        mb: 3,
+        p: 3,
+        borderRadius: 3,
+        background: 'rgba(26, 26, 26, 0.98)',
+        border: '1px solid rgba(63, 72, 233, 0.2)',
+      }}
+    >
+      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+        <ViewColumn color="primary" />
+        Map Columns
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        The columns in {fileName} don't match the standard headers. Choose which column holds each annotation field;
+        columns that aren't mapped are kept as attributes. Defaults fill rows where the mapped column is empty or missing.
+      </Typography>
+
+      {profile && !profileDeleted && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={
+            <Tooltip title="Delete this saved mapping">
+              <IconButton size="small" onClick={handleDeleteProfile}>
+                <DeleteOutline fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          }
+        >
+          Loaded the saved mapping "{profile.name}" for files with these columns.
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, gap: 2, mb: 2 }}>
+        {MAPPING_FIELDS.map(({ field, label, hint }) => (
+          <Box key={field} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <FormControl size="small" sx={{ flex: 1 }}>
+              <InputLabel>{label}</InputLabel>
+              <Select
+                value={mapping.columns[field] || ''}
+                label={label}
+                onChange={(e) => handleColumnChange(field, e.target.value)}
+              >
+                <MenuItem value="">
+                  <em>Not mapped</em>
+                </MenuItem>
+                {request.headers.map(header => (
+                  <MenuItem key={header} value={header}>{header}</MenuItem>
+                ))}
+              </Select>
+              {hint && (
+                <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                  {hint}
+                </Typography>
+              )}
+            </FormControl>
+            {renderDefaultSelect(field)}
+          </Box>
+        ))}
+      </Box>
+
+      {request.sampleRows.length > 0 && (
+        <TableContainer sx={{ mb: 2, maxHeight: 260 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                {request.headers.map(header => (
+                  <TableCell key={header} sx={{ whiteSpace: 'nowrap' }}>
+                    {header}
+                    {mappedFieldByHeader[header] && (
+                      <Chip label={mappedFieldByHeader[header]} size="small" color="primary" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {request.sampleRows.map((row, index) => (
+                <TableRow key={index}>
+                  {request.headers.map(header => (
+                    <TableCell key={header} sx={{ maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {row[header]}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {missingFields.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Still needed: {missingFields.join(', ')}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <FormControlLabel
+          control={<Checkbox checked={saveProfile} onChange={(e) => setSaveProfile(e.target.checked)} />}
+          label="Save mapping for files with these columns"
+        />
+        {saveProfile && (
+          <TextField
+            size="small"
+            label="Profile name"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            sx={{ width: 240 }}
+          />
+        )}
+        <Box sx={{ flex: 1 }} />
+        <Button variant="outlined" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<CheckCircle />}
+          onClick={handleApply}
+          disabled={missingFields.length > 0}
+        >
+          Apply Mapping
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default ColumnMappingStep;
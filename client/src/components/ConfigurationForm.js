@@ -75,6 +75,15 @@ const ConfigurationForm = ({ config, onSave, onBack, persistentMode = false }) =
       } catch (error) {
         console.error('Failed to fetch map details:', error);
         setMapDetails(null);
+        // Show the server's field errors under the matching inputs
+        const fieldErrors = error.response?.status === 400 ? error.response.data?.errors : null;
+        if (Array.isArray(fieldErrors)) {
+          const newErrors = {};
+          fieldErrors.forEach(({ field, message }) => {
+            newErrors[field === 'mapId' ? 'planId' : field] = message;
+          });
+          setErrors(prev => ({ ...prev, ...newErrors }));
+        }
       } finally {
         setLoadingMapDetails(false);
       }
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Alert,
+  TextField,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  FormControl,
+  FormLabel
+} from '@mui/material';
+import { ArrowBack, Download } from '@mui/icons-material';
+import axios from 'axios';
+import { downloadFile } from '../utils/csvExport';
+
+// Formats served by GET /api/dronedeploy/map/:mapId/annotations
+const EXPORT_FORMATS = [
+  { value: 'geojson', label: 'GeoJSON', description: 'For QGIS and web maps' },
+  { value: 'kml', label: 'KML', description: 'For Google Earth, with each annotation\'s colors as styles' },
+  { value: 'csv', label: 'CSV', description: 'For spreadsheets, in the same columns the uploader reads' }
+];
+
+// Error body of a request made with responseType 'blob'
+const readErrorMessage = async (error) => {
+  try {
+    const body = JSON.parse(await error.response.data.text());
+    return body.details || body.error;
+  } catch (parseError) {
+    return error.message;
+  }
+};
+
+/**
+ * Download the annotations already on a map
+ * The file uses the layout the uploader imports, so it can be edited (e.g. in QGIS) and
+ * uploaded or synced back to the map.
+ */
+const ExportAnnotations = ({ onBack, config = {} }) => {
+  const [mapId, setMapId] = useState(config.planId || '');
+  const [format, setFormat] = useState('geojson');
+  const [exporting, setExporting] = useState(false);
+  const [exportResult, setExportResult] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportResult(null);
+
+    try {
+      const response = await axios.get(`http://localhost:3001/api/dronedeploy/map/${mapId.trim()}/annotations`, {
+        params: { apiKey: config.apiKey, format },
+        responseType: 'blob'
+      });
+
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1]
+        || `annotations.${format}`;
+      downloadFile(fileName, response.data);
+
+      const count = Number(response.headers['x-annotation-count'] || 0);
+      const skipped = Number(response.headers['x-skipped-annotation-count'] || 0);
+      setExportResult({
+        success: true,
+        message: `Exported ${count} annotation${count === 1 ? '' : 's'} to ${fileName}.`
+          + (skipped > 0 ? ` ${skipped} annotation${skipped === 1 ? ' was' : 's were'} left out because the uploader cannot import ${skipped === 1 ? 'its' : 'their'} type.` : '')
+      });
+    } catch (error) {
+      console.error('Export failed:', error);
+      setExportResult({
+        success: false,
+        message: error.response ? await readErrorMessage(error) : error.message
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Export Map Annotations
+      </Typography>
+
+      {!config.apiKey && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <Typography variant="body2">
+            API key is required to export annotations. Please configure your API key in the main uploader first.
+          </Typography>
+        </Alert>
+      )}
+
+      {exportResult && (
+        <Alert
+          severity={exportResult.success ? 'success' : 'error'}
+          sx={{ mb: 3 }}
+          onClose={() => setExportResult(null)}
+        >
+          {exportResult.message}
+        </Alert>
+      )}
+
+      <Paper elevation={2} sx={{
+        p: 4,
+        mb: 4,
+        borderRadius: 3,
+        background: 'rgba(26, 26, 26, 0.98)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+      }}>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Download every annotation on a map. The file can be edited and uploaded again; annotations
+          that were synced keep their ID attribute, so the file can also be synced back to the map.
+        </Typography>
+
+        <TextField
+          label="Map ID"
+          value={mapId}
+          onChange={(e) => setMapId(e.target.value)}
+          size="small"
+          sx={{ mb: 3, minWidth: 320 }}
+          helperText="Defaults to the map in your configuration"
+        />
+
+        <FormControl sx={{ display: 'block', mb: 3 }}>
+          <FormLabel id="export-format-label">Format</FormLabel>
+          <RadioGroup
+            aria-labelledby="export-format-label"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            {EXPORT_FORMATS.map(option => (
+              <FormControlLabel
+                key={option.value}
+                value={option.value}
+                control={<Radio />}
+                label={(
+                  <Box>
+                    <Typography variant="body1">{option.label}</Typography>
+                    <Typography variant="caption" color="text.secondary">{option.description}</Typography>
+                  </Box>
+                )}
+              />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        <Button
+          variant="contained"
+          startIcon={<Download />}
+          onClick={handleExport}
+          disabled={exporting || !config.apiKey || !mapId.trim()}
+        >
+          {exporting ? 'Exporting...' : 'Export Annotations'}
+        </Button>
+      </Paper>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-start' }}>
+        <Button
+          variant="outlined"
+          onClick={onBack}
+          startIcon={<ArrowBack />}
+        >
+          Back to Main Menu
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ExportAnnotations;
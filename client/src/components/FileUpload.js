@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import {
   Box,
@@ -20,7 +20,13 @@ import {
   TableRow,
   FormControlLabel,
   Checkbox,
-  Tooltip
+  Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  TextField
 } from '@mui/material';
 import {
   CloudUpload,
@@ -31,10 +37,26 @@ import {
   CropFree,
   Timeline,
   Palette,
-  CompareArrows
+  CompareArrows,
+  FolderOpen,
+  Title,
+  Public,
+  Rule,
+  TableChart,
+  Route
 } from '@mui/icons-material';
 import axios from 'axios';
 import MapViewer from './MapViewer';
+import ColumnMappingStep from './ColumnMappingStep';
+import SkippedItemsReport from './SkippedItemsReport';
+import { isCurrentSchemaVersion } from '../utils/annotationModel';
+import { ANNOTATION_SCHEMA_VERSION } from '../constants';
+import { getStylingPresets } from '../utils/stylingPresets';
+import { getColumnMappingProfile, saveColumnMappingProfile } from '../utils/columnMappingProfiles';
+
+// Share of the progress bar used for sending the file; the rest follows the server's parse
+const UPLOAD_PROGRESS_SHARE = 50;
+const PARSE_PROGRESS_POLL_INTERVAL = 500; // ms
 
 const FileUpload = ({ onFileUpload, onNext, config }) => {
   const [uploading, setUploading] = useState(false);
@@ -43,40 +65,135 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
   const [showUploadArea, setShowUploadArea] = useState(true);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [forceStandardColors, setForceStandardColors] = useState(true); // Default ON
+  const [prefixFolderNames, setPrefixFolderNames] = useState(false);
+  const [splitTrackSegments, setSplitTrackSegments] = useState(false);
+  const [closeTracks, setCloseTracks] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [parsedCount, setParsedCount] = useState(0);
+  // Items the server skipped while parsing: { items, skippedCount, fileName }
+  const [skippedReport, setSkippedReport] = useState(null);
+  const [titleField, setTitleField] = useState('');
+  const [sourceCRS, setSourceCRS] = useState(null);
+  const [crsOptions, setCrsOptions] = useState([]);
+  const [holePolicy, setHolePolicy] = useState('drop');
+  const [stylingPresets] = useState(getStylingPresets);
+  const [stylingPresetName, setStylingPresetName] = useState('');
+  // Set when the server can't match a CSV's columns: { file, headers, sampleRows, suggestedMapping, headerSignature, profile }
+  const [columnMappingRequest, setColumnMappingRequest] = useState(null);
+  // Worksheets of an uploaded workbook ({ name, rowCount }) and the one being imported
+  const [worksheets, setWorksheets] = useState([]);
+  const [sheetName, setSheetName] = useState('');
 
-  const onDrop = useCallback(async (acceptedFiles) => {
-    if (acceptedFiles.length === 0) return;
+  // Load the coordinate systems the server can reproject from
+  useEffect(() => {
+    axios.get('/api/crs')
+      .then(response => setCrsOptions(response.data.data || []))
+      .catch(error => console.error('Failed to load coordinate systems:', error));
+  }, []);
 
-    const file = acceptedFiles[0];
-    setSelectedFiles(acceptedFiles);
+  const isShapefile = selectedFiles.length > 0 && /\.zip$/i.test(selectedFiles[0].name);
+
+  // Attribute names available for the shapefile title mapping
+  const attributeKeys = useMemo(() => {
+    const keys = new Set();
+    annotations.forEach(annotation => {
+      Object.keys(annotation.properties || {}).forEach(key => keys.add(key));
+    });
+    return Array.from(keys);
+  }, [annotations]);
+
+  // Polygon holes removed by the "drop" policy, so the user knows what was lost
+  const droppedHoles = useMemo(() => annotations.reduce((summary, annotation) => {
+    const count = annotation.metadata?.droppedHoles || 0;
+    return count > 0
+      ? { holes: summary.holes + count, polygons: summary.polygons + 1 }
+      : summary;
+  }, { holes: 0, polygons: 0 }), [annotations]);
+
+  const uploadFile = useCallback(async (file, { titleField: fileTitleField = '', columnMapping = null, sheetName: fileSheetName = '' } = {}) => {
     setUploading(true);
     setUploadStatus(null);
+    setColumnMappingRequest(null);
+    setUploadProgress(0);
+    setParsedCount(0);
+    setSkippedReport(null);
+
+    // The server reports parse progress under this id while the request is pending
+    const uploadId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    let pollTimer = null;
+    let finished = false;
+
+    const pollParseProgress = async () => {
+      try {
+        const response = await axios.get(`/api/upload/${uploadId}/progress`);
+        const { bytesRead, totalBytes, annotationCount } = response.data.data;
+        if (finished) return;
+        setParsedCount(annotationCount);
+        if (totalBytes) {
+          const parsed = Math.round((bytesRead / totalBytes) * (100 - UPLOAD_PROGRESS_SHARE));
+          setUploadProgress(prev => Math.max(prev, Math.min(UPLOAD_PROGRESS_SHARE + parsed, 99)));
+        }
+      } catch (error) {
+        // Not started yet, or already finished
+      }
+    };
 
     try {
       const formData = new FormData();
+      formData.append('uploadId', uploadId);
       formData.append('file', file);
       if (forceStandardColors) {
         formData.append('forceStandardColors', 'true');
       }
-
-      // Simulate progress for large files
-      setUploadProgress(20);
+      if (prefixFolderNames) {
+        formData.append('prefixFolderNames', 'true');
+      }
+      if (splitTrackSegments) {
+        formData.append('splitTrackSegments', 'true');
+      }
+      if (closeTracks) {
+        formData.append('closeTracks', 'true');
+      }
+      if (fileTitleField) {
+        formData.append('titleField', fileTitleField);
+      }
+      if (sourceCRS) {
+        formData.append('sourceCRS', sourceCRS.code);
+      }
+      formData.append('holePolicy', holePolicy);
+      const stylingRules = stylingPresets.find(preset => preset.name === stylingPresetName)?.rules || [];
+      if (stylingRules.length > 0) {
+        formData.append('stylingRules', JSON.stringify(stylingRules));
+      }
+      if (columnMapping) {
+        formData.append('columnMapping', JSON.stringify(columnMapping));
+      }
+      if (fileSheetName) {
+        formData.append('sheetName', fileSheetName);
+      }
 
       const response = await axios.post('/api/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
         onUploadProgress: (progressEvent) => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          setUploadProgress(Math.min(progress, 80)); // Leave 20% for processing
+          if (!progressEvent.total) return;
+          setUploadProgress(Math.round((progressEvent.loaded / progressEvent.total) * UPLOAD_PROGRESS_SHARE));
+          // Once the file is sent the server starts parsing it
+          if (progressEvent.loaded >= progressEvent.total && !pollTimer) {
+            pollTimer = setInterval(pollParseProgress, PARSE_PROGRESS_POLL_INTERVAL);
+          }
         }
       });
-
-      setUploadProgress(90);
       
       if (response.data.success) {
-        const annotations = response.data.data || response.data.annotations || [];
+        const annotations = response.data.data;
+        if (response.data.schemaVersion !== ANNOTATION_SCHEMA_VERSION || !isCurrentSchemaVersion(annotations)) {
+          // A server newer or older than this page; its annotations cannot be previewed or uploaded
+          throw new Error(`The server returned annotation schema version ${response.data.schemaVersion}; reload the page to update the app`);
+        }
+        const skippedCount = response.data.skippedCount || 0;
+        setSkippedReport({ items: response.data.diagnostics || [], skippedCount, fileName: file.name });
         setAnnotations(annotations);
         setShowUploadArea(false); // Collapse upload area after successful upload
         setUploadProgress(100);
@@ -87,12 +204,15 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
         onFileUpload({
           annotations: annotations,
           forceStandardColors,
-          originalAnnotations: response.data.originalAnnotations || annotations
+          originalAnnotations: response.data.originalAnnotations || annotations,
+          colorMapping: response.data.colorMapping || [],
+          stylingRules
         });
         
         setUploadStatus({
           type: 'success',
-          message: `Successfully parsed ${annotations.length} annotation${annotations.length === 1 ? '' : 's'} from ${file.name}`
+          message: `Successfully parsed ${annotations.length} annotation${annotations.length === 1 ? '' : 's'} from ${file.name}` +
+            (skippedCount > 0 ? `; ${skippedCount} item${skippedCount === 1 ? ' was' : 's were'} skipped (see below)` : '')
         });
       } else {
         setUploadStatus({
@@ -101,16 +221,74 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
         });
       }
     } catch (error) {
+      const mappingRequest = error.response?.status === 422 && error.response.data?.columnMapping;
+      if (mappingRequest) {
+        // Ask the user to map the columns, starting from a saved profile for this header layout if any
+        setColumnMappingRequest({
+          ...mappingRequest,
+          file,
+          sheetName: fileSheetName,
+          profile: getColumnMappingProfile(mappingRequest.headerSignature)
+        });
+        setUploadProgress(0);
+        return;
+      }
+      if (error.response?.status === 422 && error.response.data?.worksheets) {
+        // Several worksheets have data; the picker below re-uploads with the chosen one
+        setWorksheets(error.response.data.worksheets);
+        setUploadProgress(0);
+        return;
+      }
       console.error('Upload error:', error);
+      if (error.response?.data?.diagnostics?.length > 0) {
+        // Nothing usable was found; the skipped items show why
+        setSkippedReport({
+          items: error.response.data.diagnostics,
+          skippedCount: error.response.data.skippedCount,
+          fileName: file.name
+        });
+      }
       setUploadStatus({
         type: 'error',
-        message: error.response?.data?.error || 'Failed to upload file'
+        message: error.response?.data?.details || error.response?.data?.error || error.message || 'Failed to upload file'
       });
       setUploadProgress(0);
     } finally {
+      finished = true;
+      clearInterval(pollTimer);
       setUploading(false);
     }
-  }, [forceStandardColors, onFileUpload]);
+  }, [forceStandardColors, prefixFolderNames, splitTrackSegments, closeTracks, sourceCRS, holePolicy, stylingPresets, stylingPresetName, onFileUpload]);
+
+  const onDrop = useCallback((acceptedFiles) => {
+    if (acceptedFiles.length === 0) return;
+
+    setSelectedFiles(acceptedFiles);
+    setTitleField('');
+    setWorksheets([]);
+    setSheetName('');
+    uploadFile(acceptedFiles[0]);
+  }, [uploadFile]);
+
+  const handleApplyColumnMapping = (mapping, profileName) => {
+    if (profileName) {
+      saveColumnMappingProfile(columnMappingRequest.headerSignature, profileName, mapping);
+    }
+    uploadFile(columnMappingRequest.file, { columnMapping: mapping, sheetName: columnMappingRequest.sheetName });
+  };
+
+  const handleSheetNameChange = (event) => {
+    const name = event.target.value;
+    setSheetName(name);
+    uploadFile(selectedFiles[0], { sheetName: name });
+  };
+
+  const handleTitleFieldChange = (event) => {
+    const field = event.target.value;
+    setTitleField(field);
+    // Re-parse the same shapefile with the chosen title attribute
+    uploadFile(selectedFiles[0], { titleField: field });
+  };
 
   const { getRootProps, getInputProps, isDragActive, acceptedFiles } = useDropzone({
     onDrop,
@@ -118,7 +296,12 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
       'text/csv': ['.csv'],
       'application/json': ['.json', '.geojson'],
       'application/vnd.google-earth.kml+xml': ['.kml'],
-      'application/vnd.google-earth.kmz': ['.kmz']
+      'application/vnd.google-earth.kmz': ['.kmz'],
+      'application/gpx+xml': ['.gpx'],
+      'application/zip': ['.zip'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'application/vnd.oasis.opendocument.spreadsheet': ['.ods']
     },
     maxFiles: 1,
     multiple: false
@@ -132,7 +315,10 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
     { name: 'CSV', description: 'Comma-separated values with coordinates' },
     { name: 'GeoJSON', description: 'Geographic JSON format' },
     { name: 'KML', description: 'Keyhole Markup Language' },
-    { name: 'KMZ', description: 'Compressed KML file' }
+    { name: 'KMZ', description: 'Compressed KML file' },
+    { name: 'GPX', description: 'GPS waypoints, routes and tracks' },
+    { name: 'Shapefile', description: 'Zipped .shp, .dbf and .prj' },
+    { name: 'Excel / ODS', description: 'Spreadsheet with CSV-style columns' }
   ];
 
   const getAnnotationIcon = (type) => {
@@ -153,21 +339,17 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
     }
   };
 
-  const formatGeometry = (annotation) => {
-    if (annotation.annotationType === 'LOCATION') {
-      return `${annotation.geometry.lat?.toFixed(4)}, ${annotation.geometry.lng?.toFixed(4)}`;
-    } else if (annotation.geometry && Array.isArray(annotation.geometry)) {
-      return `${annotation.geometry.length} points`;
-    }
-    return 'Complex geometry';
-  };
-
   const handleShowUploadArea = () => {
     setShowUploadArea(true);
     setSelectedFiles([]);
     setAnnotations([]);
     setUploadStatus(null);
     setUploadProgress(0);
+    setTitleField('');
+    setColumnMappingRequest(null);
+    setSkippedReport(null);
+    setWorksheets([]);
+    setSheetName('');
   };
 
   return (
@@ -180,8 +362,8 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
       {uploading && uploadProgress > 0 && (
         <Box sx={{ mb: 3 }}>
           <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-            {uploadProgress < 80 ? 'Uploading file...' : 
-             uploadProgress < 100 ? 'Processing annotations...' : 
+            {uploadProgress < UPLOAD_PROGRESS_SHARE ? 'Uploading file...' :
+             uploadProgress < 100 ? `Parsing file... ${parsedCount.toLocaleString()} annotation${parsedCount === 1 ? '' : 's'} read` :
              'Complete!'}
           </Typography>
           <LinearProgress 
@@ -226,10 +408,42 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
               </Button>
             </Box>
           </Alert>
+
+          {droppedHoles.holes > 0 && (
+            <Alert severity="warning" sx={{ mt: 2, borderRadius: 2 }}>
+              {droppedHoles.holes} hole{droppedHoles.holes === 1 ? ' was' : 's were'} dropped from {droppedHoles.polygons} polygon{droppedHoles.polygons === 1 ? '' : 's'}; DroneDeploy areas only keep the outer boundary.
+              To keep them, choose "Create holes as separate areas" and upload the file again.
+            </Alert>
+          )}
+
+          {/* Shapefile title mapping - pick which DBF attribute becomes the title */}
+          {isShapefile && attributeKeys.length > 0 && (
+            <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
+              <Title fontSize="small" color="primary" />
+              <FormControl size="small" sx={{ minWidth: 240 }}>
+                <InputLabel>Title attribute</InputLabel>
+                <Select
+                  value={titleField}
+                  onChange={handleTitleFieldChange}
+                  label="Title attribute"
+                >
+                  <MenuItem value="">
+                    <em>Auto-detect</em>
+                  </MenuItem>
+                  {attributeKeys.map(key => (
+                    <MenuItem key={key} value={key}>{key}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Typography variant="caption" color="text.secondary">
+                Shapefile attribute used for annotation titles
+              </Typography>
+            </Box>
+          )}
         </Box>
       )}
       
-      {/* Color Standardization Toggle - Outside drag and drop area */}
+      {/* Parse Options - Outside drag and drop area */}
       <Box sx={{ 
         mb: 3,
         p: 2, 
@@ -263,6 +477,128 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
           }
           sx={{ alignItems: 'flex-start', margin: 0 }}
         />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={prefixFolderNames}
+              onChange={(e) => setPrefixFolderNames(e.target.checked)}
+              sx={{
+                color: 'primary.main',
+                '&.Mui-checked': { color: 'primary.main' }
+              }}
+            />
+          }
+          label={
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <FolderOpen fontSize="small" color="primary" />
+              <Box>
+                <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                  Prefix titles with KML folder names
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Placemarks inside KML/KMZ folders are titled like "Site A / Defects / Crack 1".
+                </Typography>
+              </Box>
+            </Box>
+          }
+          sx={{ alignItems: 'flex-start', margin: 0, mt: 2 }}
+        />
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 2 }}>
+          <Route fontSize="small" color="primary" sx={{ mt: 1 }} />
+          <Box>
+            <Typography variant="body2" sx={{ fontWeight: 500, mt: 0.75 }}>
+              GPX tracks
+            </Typography>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={splitTrackSegments}
+                  onChange={(e) => setSplitTrackSegments(e.target.checked)}
+                />
+              }
+              label={<Typography variant="body2">One annotation per track segment</Typography>}
+            />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={closeTracks}
+                  onChange={(e) => setCloseTracks(e.target.checked)}
+                />
+              }
+              label={<Typography variant="body2">Close tracks into areas (walked boundaries)</Typography>}
+            />
+          </Box>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 2 }}>
+          <CropFree fontSize="small" color="primary" sx={{ mt: 1 }} />
+          <Box sx={{ flex: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 320 }}>
+              <InputLabel>Polygon holes</InputLabel>
+              <Select
+                value={holePolicy}
+                onChange={(e) => setHolePolicy(e.target.value)}
+                label="Polygon holes"
+              >
+                <MenuItem value="drop">Drop holes (with a warning)</MenuItem>
+                <MenuItem value="split">Create holes as separate areas</MenuItem>
+              </Select>
+            </FormControl>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+              DroneDeploy areas have a single boundary. Multi-part shapes are always split into one annotation per part, e.g. "Parcel 12 (2/3)".
+            </Typography>
+          </Box>
+        </Box>
+        {stylingPresets.length > 0 && (
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 2 }}>
+            <Rule fontSize="small" color="primary" sx={{ mt: 1 }} />
+            <Box sx={{ flex: 1 }}>
+              <FormControl size="small" sx={{ minWidth: 320 }}>
+                <InputLabel>Styling preset</InputLabel>
+                <Select
+                  value={stylingPresetName}
+                  onChange={(e) => setStylingPresetName(e.target.value)}
+                  label="Styling preset"
+                >
+                  <MenuItem value="">
+                    <em>None</em>
+                  </MenuItem>
+                  {stylingPresets.map(preset => (
+                    <MenuItem key={preset.name} value={preset.name}>{preset.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                Applies saved styling rules while parsing, so rows without a color column can take their color from a rule.
+              </Typography>
+            </Box>
+          </Box>
+        )}
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mt: 2 }}>
+          <Public fontSize="small" color="primary" sx={{ mt: 1 }} />
+          <Box sx={{ flex: 1 }}>
+            <Autocomplete
+              size="small"
+              options={crsOptions}
+              value={sourceCRS}
+              onChange={(e, value) => setSourceCRS(value)}
+              getOptionLabel={(option) => `${option.code} - ${option.name}`}
+              isOptionEqualToValue={(option, value) => option.code === value.code}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Source coordinate system"
+                  placeholder="Auto-detect (file CRS, otherwise WGS 84)"
+                />
+              )}
+              sx={{ maxWidth: 480 }}
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+              Coordinates are converted to WGS 84 longitude/latitude. GeoJSON "crs" and shapefile .prj are detected automatically; pick an EPSG code for CSV files in projected coordinates (easting in lng, northing in lat) or to override the file.
+            </Typography>
+          </Box>
+        </Box>
       </Box>
 
       {/* Upload area - show always when no annotations, or when explicitly requested */}
@@ -361,6 +697,46 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
         </Box>
       )}
 
+      {/* Worksheet picker - shown when a workbook has several worksheets with data */}
+      {worksheets.length > 0 && !uploading && (
+        <Box sx={{ mb: 3 }}>
+          {!sheetName && (
+            <Alert severity="info" sx={{ mb: 2, borderRadius: 2 }}>
+              {selectedFiles[0]?.name} has several worksheets. Choose the one to import.
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <TableChart fontSize="small" color="primary" />
+            <FormControl size="small" sx={{ minWidth: 240 }}>
+              <InputLabel>Worksheet</InputLabel>
+              <Select
+                value={sheetName}
+                onChange={handleSheetNameChange}
+                label="Worksheet"
+              >
+                {worksheets.map(sheet => (
+                  <MenuItem key={sheet.name} value={sheet.name} disabled={sheet.rowCount === 0}>
+                    {sheet.name} ({sheet.rowCount} row{sheet.rowCount === 1 ? '' : 's'})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+        </Box>
+      )}
+
+      {columnMappingRequest && !uploading && (
+        <ColumnMappingStep
+          key={columnMappingRequest.headerSignature}
+          request={columnMappingRequest}
+          fileName={columnMappingRequest.file.name}
+          profile={columnMappingRequest.profile}
+          colorOptional={!!stylingPresetName}
+          onApply={handleApplyColumnMapping}
+          onCancel={handleShowUploadArea}
+        />
+      )}
+
       {uploadStatus && (
         <Alert 
           severity={uploadStatus.type} 
@@ -371,6 +747,14 @@ const FileUpload = ({ onFileUpload, onNext, config }) => {
         </Alert>
       )}
 
+      {skippedReport && !uploading && (
+        <SkippedItemsReport
+          items={skippedReport.items}
+          skippedCount={skippedReport.skippedCount}
+          fileName={skippedReport.fileName}
+        />
+      )}
+
 
       <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
         <Button
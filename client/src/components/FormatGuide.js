@@ -22,7 +22,10 @@ import {
   LocationOn,
   Crop,
   Description,
-  Download
+  TableChart,
+  Timeline,
+  Download,
+  Map
 } from '@mui/icons-material';
 
 const FormatGuide = ({ onBack }) => {
@@ -106,6 +109,41 @@ LINE,"Property Line",,,#FFFF00,#FFFF00,"[[-122.4196,37.7751],[-122.4191,37.7751]
   </Document>
 </kml>`;
 
+  const shapefileExample = `parcels.zip
+├── parcels.shp   (geometry)
+├── parcels.shx   (index, optional)
+├── parcels.dbf   (attributes)
+├── parcels.prj   (coordinate system)
+└── parcels.cpg   (attribute encoding, optional)
+
+parcels.dbf attributes:
+NAME        LOT     color
+Parcel 12   L-12    #4bae4f
+Parcel 13   L-13    #00bbd3`;
+
+  const gpxExample = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPS unit" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="-38.18583" lon="145.81114">
+    <name>North Gate</name>
+    <desc>Locked, key at site office</desc>
+    <time>2024-05-01T01:02:03Z</time>
+  </wpt>
+  <trk>
+    <name>Boundary Walk</name>
+    <trkseg>
+      <trkpt lat="-38.18500" lon="145.81000"/>
+      <trkpt lat="-38.18500" lon="145.81200"/>
+      <trkpt lat="-38.18700" lon="145.81200"/>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+  const spreadsheetExample = `punch-list.xlsx, worksheet "Level 2":
+type      title            lat          lng          color
+LOCATION  Loose handrail   -38.1858304  145.8111456  #f34235
+AREA      Ponding                                    #00bbd3
+          (geometry column: POLYGON((145.8109 -38.1857, ...)))`;
+
   const formatSpecs = [
     {
       format: 'CSV',
@@ -117,15 +155,20 @@ LINE,"Property Line",,,#FFFF00,#FFFF00,"[[-122.4196,37.7751],[-122.4191,37.7751]
         'LOCATION': ['lat', 'lng'],
         'AREA/LINE': ['geometry']
       },
-      optionalFields: ['fillColor'],
+      optionalFields: ['fillColor', 'description'],
       notes: [
         'First row must contain column headers',
         'AREA requires minimum 3 coordinate pairs (lat,lng)',
         'LINE requires minimum 2 coordinate pairs',
         'For LOCATION: use lat,lng columns',
         'For AREA/LINE: use geometry column with [[lng,lat],[lng,lat],...] format',
+        'geometry can also be WKT (POLYGON((...)), LINESTRING(...), POINT(...), Multi*), EWKT with SRID or WKB hex; the type column is then optional',
         'Colors must be hex (#FF0000) or named (red)',
-        'If no fillColor provided, color value is used for fill'
+        'If no fillColor provided, color value is used for fill',
+        'color can be left out when a styling preset selected on upload assigns it',
+        'Other headers (Name, Latitude, LONG, X/Y...) can be mapped to these fields on upload and saved as a profile',
+        'Any other columns are kept as attributes and can be added to the description',
+        'Projected coordinates: select the EPSG code on upload, with easting in lng and northing in lat'
       ],
       example: csvExample
     },
@@ -133,16 +176,20 @@ LINE,"Property Line",,,#FFFF00,#FFFF00,"[[-122.4196,37.7751],[-122.4191,37.7751]
       format: 'GeoJSON',
       icon: <LocationOn color="primary" />,
       description: 'Geographic JSON format following RFC 7946',
-      annotationTypes: ['Point → LOCATION', 'Polygon → AREA', 'LineString → LINE'],
+      annotationTypes: ['Point/MultiPoint → LOCATION', 'Polygon/MultiPolygon → AREA', 'LineString/MultiLineString → LINE'],
       requiredFields: ['type: "FeatureCollection"', 'features array', 'properties.title', 'properties.color'],
-      optionalFields: ['properties.fillColor'],
+      optionalFields: ['properties.fillColor', 'properties.description'],
       notes: [
         'Must be valid GeoJSON FeatureCollection',
         'Point coordinates: [longitude, latitude]',
         'Polygon must be closed (first and last coordinates identical)',
         'LineString minimum 2 coordinates',
         'Properties object contains annotation metadata',
-        'Color properties are required and should be hex values'
+        'Other properties are kept as attributes and can be added to the description',
+        'Color properties are required and should be hex values, unless a styling preset assigns them',
+        'A "crs" member (e.g. urn:ogc:def:crs:EPSG::32755) is converted to WGS 84',
+        'Multi* geometries and GeometryCollections become one annotation per part, titled "Name (2/3)"',
+        'Polygon holes are dropped with a warning, or created as separate areas if selected'
       ],
       example: geoJsonExample
     },
@@ -159,9 +206,61 @@ LINE,"Property Line",,,#FFFF00,#FFFF00,"[[-122.4196,37.7751],[-122.4191,37.7751]
         'Coordinates format: longitude,latitude,altitude',
         'KMZ files are automatically extracted',
         'Multiple placemarks supported',
-        'Styles can be inline or referenced'
+        'Styles can be inline or referenced',
+        'ExtendedData Data and SchemaData values are kept as attributes',
+        'innerBoundaryIs holes follow the selected polygon hole option'
       ],
       example: kmlExample
+    },
+    {
+      format: 'GPX',
+      icon: <Timeline color="warning" />,
+      description: 'GPS Exchange Format from handheld GPS units and tracking apps',
+      annotationTypes: ['wpt → LOCATION', 'rte → LINE', 'trk → LINE (or AREA)'],
+      requiredFields: ['wpt, rte or trk elements with lat/lon'],
+      optionalFields: ['name', 'desc', 'time', 'cmt/sym/type/ele'],
+      notes: [
+        'Titles come from <name>; unnamed items are titled "Waypoint 2", "Track 1" and so on',
+        'A track\'s segments are joined into one line, or one annotation per <trkseg> if selected',
+        'Tracks can be closed into AREA annotations, e.g. for walked boundaries',
+        '<desc> becomes the description; <desc> and point times are kept as metadata',
+        'Other simple elements (cmt, sym, type, ele...) are kept as attributes',
+        'GPX has no colors; annotations are orange until restyled'
+      ],
+      example: gpxExample
+    },
+    {
+      format: 'Shapefile',
+      icon: <Map color="info" />,
+      description: 'Zipped ESRI Shapefile (.shp, .dbf, .prj)',
+      annotationTypes: ['Point/MultiPoint → LOCATION', 'Polygon → AREA', 'PolyLine → LINE'],
+      requiredFields: ['.shp', '.dbf', '.prj'],
+      optionalFields: ['.shx', '.cpg', 'color/fillColor attributes'],
+      notes: [
+        'Upload a single .zip containing the shapefile parts',
+        'Several layers (.shp files) in one zip are imported together',
+        'Coordinates are converted to WGS 84 using the .prj (or a selected EPSG code)',
+        'Title comes from a title/name/label/id attribute, or pick one after upload',
+        'All DBF attributes are kept and can be added to the description',
+        'Attribute text encoding is read from the .cpg file (defaults to Latin-1)'
+      ],
+      example: shapefileExample
+    },
+    {
+      format: 'Excel / ODS',
+      icon: <TableChart color="success" />,
+      description: 'Excel (.xlsx, .xls) or OpenDocument (.ods) spreadsheet',
+      annotationTypes: ['LOCATION', 'AREA', 'LINE'],
+      requiredFields: ['Same columns as CSV'],
+      optionalFields: ['fillColor', 'description', 'any other column as an attribute'],
+      notes: [
+        'The first row holds the column headers, as in a CSV file',
+        'Numbers are read from the cells directly, so locale decimal commas do not affect coordinates',
+        'If several worksheets have data you are asked which one to import',
+        'Date cells are kept as ISO 8601 attributes',
+        'Other headers can be mapped to annotation fields, as for CSV'
+      ],
+      example: spreadsheetExample
     }
   ];
 
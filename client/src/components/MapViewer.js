@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useMemo } from 'react';
 import { Box, Paper, Typography } from '@mui/material';
 import L from 'leaflet';
+import { getLatLngs } from '../utils/annotationModel';
 
 // Fix for default markers not showing up in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -37,39 +38,7 @@ const MapViewer = ({ annotations, height = 400 }) => {
       };
     }
     
-    const coordinates = [];
-    
-    annotations.forEach(annotation => {
-      // Handle server-converted format (lat/lng properties for points)
-      if (annotation.lat && annotation.lng) {
-        coordinates.push([annotation.lat, annotation.lng]);
-      }
-      // Handle server-converted format (geometry array for polygons/lines)
-      else if (Array.isArray(annotation.geometry)) {
-        annotation.geometry.forEach(coord => {
-          if (Array.isArray(coord) && coord.length >= 2) {
-            const [lng, lat] = coord;
-            if (typeof lat === 'number' && typeof lng === 'number') {
-              coordinates.push([lat, lng]);
-            }
-          }
-        });
-      }
-      // Handle original GeoJSON format (fallback)
-      else if (annotation.geometry?.type === 'Point' && annotation.geometry?.coordinates) {
-        const [lng, lat] = annotation.geometry.coordinates;
-        coordinates.push([lat, lng]);
-      } else if (annotation.geometry?.type === 'Polygon' && annotation.geometry?.coordinates) {
-        const outerRing = annotation.geometry.coordinates[0];
-        outerRing.forEach(([lng, lat]) => {
-          coordinates.push([lat, lng]);
-        });
-      } else if (annotation.geometry?.type === 'LineString' && annotation.geometry?.coordinates) {
-        annotation.geometry.coordinates.forEach(([lng, lat]) => {
-          coordinates.push([lat, lng]);
-        });
-      }
-    });
+    const coordinates = annotations.flatMap(getLatLngs);
     
     if (coordinates.length === 0) {
       return {
@@ -121,156 +90,55 @@ const MapViewer = ({ annotations, height = 400 }) => {
     clearMarkers();
     const bounds = [];
 
-    annotations.forEach((annotation, index) => {
-      const { type, annotationType, title, color, fillColor } = annotation;
-      const finalType = type || annotationType; // Handle both server and original formats
-
-      // Handle server-converted format for LOCATION (Points) - lat/lng directly on annotation
-      if ((finalType === 'LOCATION' || finalType === 'POINT') && annotation.lat && annotation.lng) {
-        // Point marker - server format has lat/lng directly on annotation
-        const marker = L.marker([annotation.lat, annotation.lng], {
-          icon: createColoredIcon(color)
-        }).addTo(map);
-
-        marker.bindPopup(`
-          <div>
-            <strong>${title}</strong><br/>
-            <span style="font-size: 12px; color: #666;">${finalType}</span><br/>
-            <span style="font-size: 11px;">${annotation.lat.toFixed(6)}, ${annotation.lng.toFixed(6)}</span>
-          </div>
-        `);
-
-        markersRef.current.push(marker);
-        bounds.push([annotation.lat, annotation.lng]);
-
-      } 
-      // Handle original format for LOCATION (Points) - nested under geometry
-      else if ((finalType === 'LOCATION' || finalType === 'POINT') && annotation.geometry?.lat && annotation.geometry?.lng) {
-        // Point marker - original format has lat/lng under geometry
-        const marker = L.marker([annotation.geometry.lat, annotation.geometry.lng], {
-          icon: createColoredIcon(color)
-        }).addTo(map);
-
-        marker.bindPopup(`
-          <div>
-            <strong>${title}</strong><br/>
-            <span style="font-size: 12px; color: #666;">${finalType}</span><br/>
-            <span style="font-size: 11px;">${annotation.geometry.lat.toFixed(6)}, ${annotation.geometry.lng.toFixed(6)}</span>
-          </div>
-        `);
-
-        markersRef.current.push(marker);
-        bounds.push([annotation.geometry.lat, annotation.geometry.lng]);
+    annotations.forEach((annotation) => {
+      const { annotationType, title, color, fillColor } = annotation;
+      const positions = getLatLngs(annotation);
 
-      } 
-      // Handle server-converted format for AREA (Polygons) - geometry array
-      else if ((finalType === 'AREA' || finalType === 'POLYGON') && Array.isArray(annotation.geometry)) {
-        // Polygon - handle both flat array and nested array formats
-        let coordinates;
-        
-        // Check if it's a nested array (GeoJSON format) or flat array (CSV format)
-        if (Array.isArray(annotation.geometry[0]) && Array.isArray(annotation.geometry[0][0])) {
-          // Nested format: [[[lng,lat], [lng,lat], ...]]
-          coordinates = annotation.geometry[0];
-        } else if (Array.isArray(annotation.geometry[0])) {
-          // Flat format: [[lng,lat], [lng,lat], ...]
-          coordinates = annotation.geometry;
-        } else {
-          console.warn('Invalid AREA geometry format:', annotation.geometry);
-          return;
-        }
-        
-        // Convert to [lat, lng] format and filter out invalid coordinates
-        const positions = coordinates
-          .filter(coord => Array.isArray(coord) && coord.length >= 2 && 
-                          typeof coord[0] === 'number' && typeof coord[1] === 'number')
-          .map(coord => [coord[1], coord[0]]); // Convert [lng, lat] to [lat, lng]
-        
-        if (positions.length >= 3) { // Need at least 3 points for a polygon (backend will auto-close)
-          try {
-            const polygon = L.polygon(positions, {
+      try {
+        let layer;
+        let detail;
+
+        switch (annotationType) {
+          case 'LOCATION': {
+            const [lat, lng] = positions[0];
+            layer = L.marker([lat, lng], { icon: createColoredIcon(color) });
+            detail = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+            break;
+          }
+          case 'AREA':
+            layer = L.polygon(positions, {
               color: color,
               fillColor: fillColor || color,
               fillOpacity: 0.3,
               weight: 2
-            }).addTo(map);
-
-            polygon.bindPopup(`
-              <div>
-                <strong>${title}</strong><br/>
-                <span style="font-size: 12px; color: #666;">${annotationType}</span><br/>
-                <span style="font-size: 11px;">${positions.length} vertices</span>
-              </div>
-            `);
-
-            markersRef.current.push(polygon);
-            positions.forEach(pos => bounds.push(pos));
-          } catch (error) {
-            console.error('Error creating polygon for', title, ':', error);
-          }
-        } else {
-          console.warn('AREA annotation needs at least 3 valid coordinate pairs (backend auto-closes polygon), got:', positions.length);
-        }
-
-      } else if (annotationType === 'LINE' && Array.isArray(annotation.geometry)) {
-        // Line - convert coordinates and filter out invalid ones
-        const positions = annotation.geometry
-          .filter(coord => Array.isArray(coord) && coord.length >= 2 && 
-                          typeof coord[0] === 'number' && typeof coord[1] === 'number')
-          .map(coord => [coord[1], coord[0]]); // Convert [lng, lat] to [lat, lng]
-        
-        if (positions.length >= 2) { // Need at least 2 points for a line
-          try {
-            const polyline = L.polyline(positions, {
+            });
+            detail = `${positions.length} vertices`;
+            break;
+          case 'LINE':
+            layer = L.polyline(positions, {
               color: color,
               weight: 3,
               opacity: 0.8
-            }).addTo(map);
-
-            polyline.bindPopup(`
-              <div>
-                <strong>${title}</strong><br/>
-                <span style="font-size: 12px; color: #666;">${annotationType}</span><br/>
-                <span style="font-size: 11px;">${positions.length} points</span>
-              </div>
-            `);
-
-            markersRef.current.push(polyline);
-            positions.forEach(pos => bounds.push(pos));
-          } catch (error) {
-            console.error('Error creating polyline for', title, ':', error);
-          }
-        } else {
-          console.warn('LINE annotation needs at least 2 valid coordinate pairs, got:', positions.length);
+            });
+            detail = `${positions.length} points`;
+            break;
+          default:
+            console.warn('Unsupported annotation type:', annotationType, title);
+            return;
         }
-      }
-      // Handle original GeoJSON format (fallback)
-      else if (annotation.geometry?.type === 'Point' && annotation.geometry?.coordinates) {
-        const [lng, lat] = annotation.geometry.coordinates;
-        const marker = L.marker([lat, lng], {
-          icon: createColoredIcon(color)
-        }).addTo(map);
 
-        marker.bindPopup(`
+        layer.addTo(map).bindPopup(`
           <div>
             <strong>${title}</strong><br/>
-            <span style="font-size: 12px; color: #666;">Point</span><br/>
-            <span style="font-size: 11px;">${lat.toFixed(6)}, ${lng.toFixed(6)}</span>
+            <span style="font-size: 12px; color: #666;">${annotationType}</span><br/>
+            <span style="font-size: 11px;">${detail}</span>
           </div>
         `);
 
-        markersRef.current.push(marker);
-        bounds.push([lat, lng]);
-      }
-      else {
-        console.warn('Unsupported annotation format:', {
-          type: finalType,
-          hasLat: !!annotation.lat,
-          hasLng: !!annotation.lng,
-          hasGeometry: !!annotation.geometry,
-          geometryType: annotation.geometry?.type,
-          annotation
-        });
+        markersRef.current.push(layer);
+        positions.forEach(pos => bounds.push(pos));
+      } catch (error) {
+        console.error(`Error drawing ${annotationType} for`, title, ':', error);
       }
     });
 
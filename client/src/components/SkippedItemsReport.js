@@ -0,0 +1,115 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip
+} from '@mui/material';
+import { ExpandMore, Warning, Download } from '@mui/icons-material';
+import { downloadCSV } from '../utils/csvExport';
+
+// Columns shown in the table and written to the CSV report
+const REPORT_COLUMNS = [
+  { key: 'location', label: 'Location' },
+  { key: 'field', label: 'Field' },
+  { key: 'code', label: 'Code' },
+  { key: 'message', label: 'Problem' },
+  { key: 'value', label: 'Value' }
+];
+
+/**
+ * Rows, features and placemarks the server skipped while parsing a file
+ * skippedCount can exceed items.length when the server capped the report
+ */
+const SkippedItemsReport = ({ items, skippedCount, fileName }) => {
+  if (!items || items.length === 0) return null;
+
+  const total = Math.max(skippedCount || 0, items.length);
+
+  const handleDownload = (event) => {
+    // Keep the accordion from toggling
+    event.stopPropagation();
+    const baseName = (fileName || 'upload').replace(/\.[^.]+$/, '');
+    downloadCSV(`${baseName}_skipped_items.csv`, REPORT_COLUMNS, items);
+  };
+
+  return (
+    <Accordion sx={{ mb: 3, border: '1px solid rgba(255, 152, 0, 0.3)' }}>
+      <AccordionSummary expandIcon={<ExpandMore />}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flex: 1, flexWrap: 'wrap' }}>
+          <Warning color="warning" />
+          <Typography variant="subtitle1">
+            Skipped Items ({total.toLocaleString()})
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+            These could not be converted and are not in the preview
+          </Typography>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={handleDownload}
+            onFocus={(event) => event.stopPropagation()}
+            sx={{ mr: 1 }}
+          >
+            Download CSV
+          </Button>
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        {total > items.length && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Showing the first {items.length.toLocaleString()} of {total.toLocaleString()} skipped items.
+          </Typography>
+        )}
+        <TableContainer sx={{ maxHeight: 360 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                {REPORT_COLUMNS.map(column => (
+                  <TableCell key={column.key}>{column.label}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {items.map((item, index) => (
+                <TableRow key={index}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{item.location}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{item.field}</TableCell>
+                  <TableCell>
+                    <Chip label={item.code} size="small" variant="outlined" />
+                  </TableCell>
+                  <TableCell>{item.message}</TableCell>
+                  <TableCell
+                    sx={{
+                      fontFamily: 'monospace',
+                      fontSize: '0.75rem',
+                      maxWidth: 240,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}
+                    title={item.value}
+                  >
+                    {item.value}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </AccordionDetails>
+    </Accordion>
+  );
+};
+
+export default SkippedItemsReport;
@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  IconButton,
+  Tooltip,
+  Autocomplete
+} from '@mui/material';
+import {
+  Rule,
+  Add,
+  Delete,
+  ArrowUpward,
+  ArrowDownward,
+  PlayArrow,
+  Save,
+  DeleteOutline
+} from '@mui/icons-material';
+import { DRONEDEPLOY_COLORS } from '../constants';
+import { getStylingPresets, saveStylingPreset, deleteStylingPreset } from '../utils/stylingPresets';
+
+// Operators supported by the server rules engine
+const OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'in', label: 'is one of' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'range', label: 'is between' }
+];
+
+// Annotation fields that can be matched besides parsed attributes
+const BUILT_IN_FIELDS = ['title', 'annotationType', 'description'];
+
+const emptyValueFor = (operator) => (operator === 'range' ? { min: '', max: '' } : '');
+
+const StylingRulesEditor = ({ rules, onChange, attributeKeys, onApply, applying }) => {
+  const [presets, setPresets] = useState(getStylingPresets());
+  const [presetName, setPresetName] = useState('');
+
+  const fieldOptions = Array.from(new Set([...attributeKeys, ...BUILT_IN_FIELDS]));
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const handleAddRule = () => {
+    onChange([
+      ...rules,
+      { field: attributeKeys[0] || 'title', operator: 'equals', value: '', color: DRONEDEPLOY_COLORS[0].color, titleTemplate: '' }
+    ]);
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    saveStylingPreset(name, rules);
+    setPresets(getStylingPresets());
+  };
+
+  const handleDeletePreset = () => {
+    deleteStylingPreset(presetName.trim());
+    setPresets(getStylingPresets());
+    setPresetName('');
+  };
+
+  const handleLoadPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (preset) {
+      setPresetName(preset.name);
+      onChange(preset.rules);
+    }
+  };
+
+  const renderValueInput = (rule, index) => {
+    if (rule.operator === 'range') {
+      return (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <TextField
+            size="small"
+            type="number"
+            label="Min"
+            value={rule.value?.min ?? ''}
+            onChange={(e) => updateRule(index, { value: { ...rule.value, min: e.target.value } })}
+            sx={{ width: 90 }}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Max"
+            value={rule.value?.max ?? ''}
+            onChange={(e) => updateRule(index, { value: { ...rule.value, max: e.target.value } })}
+            sx={{ width: 90 }}
+          />
+        </Box>
+      );
+    }
+
+    return (
+      <TextField
+        size="small"
+        label={rule.operator === 'in' ? 'Values (comma separated)' : rule.operator === 'regex' ? 'Pattern' : 'Value'}
+        value={Array.isArray(rule.value) ? rule.value.join(', ') : (rule.value ?? '')}
+        onChange={(e) => updateRule(index, { value: e.target.value })}
+        sx={{ width: 190 }}
+      />
+    );
+  };
+
+  return (
+    <Paper
+      elevation={2}
+      sx={{
+        mt: 4,
+        p: 3,
+        borderRadius: 3,
+        background: 'rgba(26, 26, 26, 0.98)',
+        border: '1px solid rgba(63, 72, 233, 0.2)',
+      }}
+    >
+      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+        <Rule color="primary" />
+        Styling Rules
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Color and title annotations by attribute. Rules are checked top to bottom and the first match wins; matching is case-insensitive.
+        Title templates use {'{field}'} placeholders, e.g. "{'{status}'}: {'{title}'}".
+      </Typography>
+
+      {/* Presets */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <Autocomplete
+          freeSolo
+          size="small"
+          options={presets.map(preset => preset.name)}
+          inputValue={presetName}
+          onInputChange={(e, value) => setPresetName(value)}
+          onChange={(e, value) => handleLoadPreset(value)}
+          renderInput={(params) => <TextField {...params} label="Preset" placeholder="Load or name a preset" />}
+          sx={{ width: 260 }}
+        />
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<Save />}
+          onClick={handleSavePreset}
+          disabled={!presetName.trim() || rules.length === 0}
+        >
+          Save Preset
+        </Button>
+        <Tooltip title="Delete this preset">
+          <span>
+            <IconButton
+              size="small"
+              onClick={handleDeletePreset}
+              disabled={!presets.some(preset => preset.name === presetName.trim())}
+            >
+              <DeleteOutline fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {/* Rules */}
+      {rules.map((rule, index) => (
+        <Box
+          key={index}
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1,
+            mb: 1.5,
+            flexWrap: 'wrap',
+            p: 1,
+            borderRadius: 2,
+            border: '1px solid rgba(255, 255, 255, 0.08)'
+          }}
+        >
+          <Typography variant="caption" color="text.secondary" sx={{ width: 20 }}>
+            {index + 1}.
+          </Typography>
+          <Autocomplete
+            freeSolo
+            size="small"
+            options={fieldOptions}
+            inputValue={rule.field || ''}
+            onInputChange={(e, value) => updateRule(index, { field: value })}
+            renderInput={(params) => <TextField {...params} label="Field" />}
+            sx={{ width: 160 }}
+          />
+          <FormControl size="small" sx={{ width: 140 }}>
+            <InputLabel>Operator</InputLabel>
+            <Select
+              value={rule.operator}
+              label="Operator"
+              onChange={(e) => updateRule(index, { operator: e.target.value, value: emptyValueFor(e.target.value) })}
+            >
+              {OPERATORS.map(operator => (
+                <MenuItem key={operator.value} value={operator.value}>{operator.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {renderValueInput(rule, index)}
+          <FormControl size="small" sx={{ width: 150 }}>
+            <InputLabel>Color</InputLabel>
+            <Select
+              value={rule.color || ''}
+              label="Color"
+              onChange={(e) => updateRule(index, { color: e.target.value })}
+            >
+              <MenuItem value="">
+                <em>Keep color</em>
+              </MenuItem>
+              {DRONEDEPLOY_COLORS.map(color => (
+                <MenuItem key={color.color} value={color.color}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Box
+                      sx={{
+                        width: 14,
+                        height: 14,
+                        backgroundColor: color.color,
+                        border: '1px solid #ccc',
+                        borderRadius: '50%'
+                      }}
+                    />
+                    {color.name}
+                  </Box>
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="Title template"
+            placeholder="Keep title"
+            value={rule.titleTemplate || ''}
+            onChange={(e) => updateRule(index, { titleTemplate: e.target.value })}
+            sx={{ width: 200 }}
+          />
+          <Box sx={{ display: 'flex' }}>
+            <IconButton size="small" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+              <ArrowUpward fontSize="small" />
+            </IconButton>
+            <IconButton size="small" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1}>
+              <ArrowDownward fontSize="small" />
+            </IconButton>
+            <IconButton size="small" onClick={() => onChange(rules.filter((_, i) => i !== index))}>
+              <Delete fontSize="small" />
+            </IconButton>
+          </Box>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        <Button variant="outlined" size="small" startIcon={<Add />} onClick={handleAddRule}>
+          Add Rule
+        </Button>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<PlayArrow />}
+          onClick={onApply}
+          disabled={applying}
+        >
+          {rules.length === 0 ? 'Clear Rules' : 'Apply Rules'}
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default StylingRulesEditor;
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Alert,
+  Select,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Switch,
+  Chip,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { Sync, Close } from '@mui/icons-material';
+import axios from 'axios';
+
+// Planned changes listed per section before the rest are summarized
+const CHANGES_SHOWN = 50;
+
+// Plan sections in the order they are applied, from POST /api/dronedeploy/sync/plan
+const PLAN_SECTIONS = [
+  { key: 'creates', countKey: 'create', label: 'Create', color: 'success' },
+  { key: 'updates', countKey: 'update', label: 'Update', color: 'warning' },
+  { key: 'deletes', countKey: 'delete', label: 'Delete', color: 'error' },
+  { key: 'unchanged', countKey: 'unchanged', label: 'Unchanged', color: 'default' },
+  { key: 'skipped', countKey: 'skipped', label: 'Skipped', color: 'default' }
+];
+
+const describeChange = (section, change, idProperty) => {
+  if (section === 'updates') return `${idProperty} ${change.id} • ${change.changes.join(', ')} changed`;
+  if (section === 'deletes') return `${idProperty} ${change.id} • no longer in the file`;
+  if (section === 'skipped') return `Row ${change.index + 1} • ${change.message}`;
+  return `${idProperty} ${change.id}`;
+};
+
+/**
+ * Sync the map with the file instead of adding to it
+ * Annotations are matched by an ID property the user picks; the dry run lists what would be
+ * created, updated (replaced) and deleted, and onPlanChange hands the plan to the parent,
+ * which applies exactly that plan as an upload job.
+ */
+const SyncPlanner = ({ annotations, config, descriptionAttributes, attributeKeys, plan, stale, onPlanChange, disabled }) => {
+  const [idProperty, setIdProperty] = useState('');
+  const [deleteMissing, setDeleteMissing] = useState(false);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePreview = async () => {
+    setPlanning(true);
+    setError(null);
+
+    try {
+      const response = await axios.post('http://localhost:3001/api/dronedeploy/sync/plan', {
+        annotations,
+        planId: config.planId,
+        apiKey: config.apiKey,
+        descriptionAttributes,
+        idProperty,
+        deleteMissing
+      });
+      const { data, counts, existingCount } = response.data;
+      onPlanChange({ annotations, descriptionAttributes, idProperty, deleteMissing, data, counts, existingCount });
+    } catch (planError) {
+      console.error('Failed to plan the sync:', planError);
+      setError(planError.response?.data?.details || planError.response?.data?.error || planError.message);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  return (
+    <Paper
+      elevation={2}
+      sx={{
+        mt: 4,
+        p: 3,
+        borderRadius: 3,
+        background: 'rgba(26, 26, 26, 0.98)',
+        border: '1px solid rgba(63, 72, 233, 0.2)',
+      }}
+    >
+      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+        <Sync color="primary" />
+        Sync With Map
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Make the map match this file instead of adding to it. Annotations are matched by an ID attribute,
+        which is stored at the end of each description; annotations on the map without it are never changed.
+      </Typography>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel id="sync-id-property-label">ID Attribute</InputLabel>
+          <Select
+            labelId="sync-id-property-label"
+            value={idProperty}
+            label="ID Attribute"
+            onChange={(e) => {
+              setIdProperty(e.target.value);
+              onPlanChange(null);
+            }}
+            disabled={disabled}
+          >
+            {attributeKeys.map((key) => (
+              <MenuItem key={key} value={key}>
+                {key}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={(
+            <Switch
+              checked={deleteMissing}
+              onChange={(e) => {
+                setDeleteMissing(e.target.checked);
+                onPlanChange(null);
+              }}
+              disabled={disabled}
+            />
+          )}
+          label="Delete annotations no longer in the file"
+        />
+        <Button
+          variant="outlined"
+          startIcon={<Sync />}
+          onClick={handlePreview}
+          disabled={disabled || planning || !idProperty || !config.apiKey || !config.planId}
+        >
+          {planning ? 'Planning...' : plan ? 'Preview Again' : 'Preview Sync'}
+        </Button>
+        {plan && (
+          <Button startIcon={<Close />} onClick={() => onPlanChange(null)} disabled={disabled}>
+            Leave Sync
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          Could not plan the sync: {error}
+        </Alert>
+      )}
+
+      {plan && (
+        <Box sx={{ mt: 2 }}>
+          <Alert severity={stale ? 'warning' : 'info'} sx={{ mb: 2 }}>
+            Dry run against {plan.existingCount} annotation{plan.existingCount === 1 ? '' : 's'} on the map.
+            {' '}Nothing has changed yet; Apply Sync makes exactly these changes.
+            {plan.data.untrackedCount > 0 && ` ${plan.data.untrackedCount} annotation${plan.data.untrackedCount === 1 ? ' has' : 's have'} no ${plan.idProperty} tag and will be left alone.`}
+            {plan.counts.delete > 0 && ' Deleted annotations cannot be restored by undo.'}
+            {stale && ' The annotations were edited after the preview. Preview again before applying.'}
+          </Alert>
+
+          <Box sx={{ display: 'flex', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+            {PLAN_SECTIONS.map(section => (
+              <Chip
+                key={section.key}
+                label={`${plan.counts[section.countKey]} ${section.label}`}
+                color={section.color}
+                variant={plan.counts[section.countKey] > 0 ? 'filled' : 'outlined'}
+                size="small"
+              />
+            ))}
+          </Box>
+
+          {PLAN_SECTIONS.filter(section => section.key !== 'unchanged' && plan.data[section.key].length > 0).map(section => (
+            <Box key={section.key} sx={{ mt: 1 }}>
+              <Typography variant="subtitle2">{section.label}</Typography>
+              <List dense sx={{ maxHeight: 200, overflow: 'auto' }}>
+                {plan.data[section.key].slice(0, CHANGES_SHOWN).map(change => (
+                  <ListItem key={change.existingId || `${section.key}-${change.index}`} disableGutters>
+                    <ListItemText
+                      primary={change.title}
+                      secondary={describeChange(section.key, change, plan.idProperty)}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+              {plan.data[section.key].length > CHANGES_SHOWN && (
+                <Typography variant="caption" color="text.secondary">
+                  …and {plan.data[section.key].length - CHANGES_SHOWN} more
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default SyncPlanner;
@@ -103,7 +103,7 @@ const UndoUpload = ({ onBack, config = {} }) => {
       console.error('Undo failed:', error);
       setUndoResult({
         success: false,
-        message: error.response?.data?.error || error.message || 'Failed to undo upload'
+        message: error.response?.data?.details || error.response?.data?.error || error.message || 'Failed to undo upload'
       });
     } finally {
       setUndoing(false);
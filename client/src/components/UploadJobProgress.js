@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  LinearProgress,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material';
+import { Replay, CheckCircle, ErrorOutline } from '@mui/icons-material';
+import axios from 'axios';
+
+// How long to wait before reopening a stream the server refused
+const STREAM_RETRY_DELAY = 3000;
+// Finished annotations kept in the live list
+const RECENT_ITEMS_SHOWN = 100;
+// Finished annotations the throughput is averaged over
+const THROUGHPUT_WINDOW = 20;
+
+/**
+ * Annotations per second over the most recent finished annotations of the current run
+ * @param {Array} items - Finished annotations, newest first
+ * @param {Object} job - Job summary
+ * @returns {number|null} Throughput, or null until there are two annotations to measure
+ */
+const getThroughput = (items, job) => {
+  const recent = items.filter(item => item.at >= job.startedAt).slice(0, THROUGHPUT_WINDOW);
+  if (recent.length < 2) return null;
+
+  const seconds = (Date.parse(recent[0].at) - Date.parse(recent[recent.length - 1].at)) / 1000;
+  return seconds > 0 ? (recent.length - 1) / seconds : null;
+};
+
+const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(1, Math.round(totalSeconds));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+/**
+ * Progress of a server-side upload job (POST /api/jobs)
+ * Follows the job's event stream, listing each annotation as it is created or fails with
+ * the throughput and time left. A running job can be cancelled; the server stops after the
+ * annotations it is creating. A completed job is handed to onComplete with its results;
+ * a failed, interrupted or cancelled job can be resumed, which only uploads the annotations
+ * that were not created, or finished as it is.
+ */
+const UploadJobProgress = ({ jobId, apiKey, onComplete, onDismiss }) => {
+  const [job, setJob] = useState(null);
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState(null);
+  const [resuming, setResuming] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  // Bumped to open the stream again, e.g. after a resume
+  const [streamKey, setStreamKey] = useState(0);
+
+  useEffect(() => {
+    let stopped = false;
+    let timer = null;
+    const source = new EventSource(`http://localhost:3001/api/jobs/${jobId}/events`);
+
+    const finish = async () => {
+      try {
+        const response = await axios.get(`http://localhost:3001/api/jobs/${jobId}/results`);
+        if (!stopped) {
+          onComplete(response.data.data);
+        }
+      } catch (finishError) {
+        console.error('Failed to fetch upload job results:', finishError);
+        if (!stopped) setError(finishError.message);
+      }
+    };
+
+    const handleSummary = (summary) => {
+      setJob(summary);
+      setError(null);
+      if (summary.status !== 'running') {
+        // Nothing more will happen until the job is resumed
+        source.close();
+        if (summary.status === 'completed') {
+          finish();
+        }
+      }
+    };
+
+    source.addEventListener('snapshot', (event) => {
+      const snapshot = JSON.parse(event.data);
+      setItems(snapshot.items.slice().reverse());
+      handleSummary(snapshot.job);
+    });
+
+    source.addEventListener('item', (event) => {
+      const { item, job: summary } = JSON.parse(event.data);
+      setItems(current => [item, ...current].slice(0, RECENT_ITEMS_SHOWN));
+      setJob(summary);
+    });
+
+    source.addEventListener('status', (event) => {
+      handleSummary(JSON.parse(event.data).job);
+    });
+
+    source.onerror = async () => {
+      if (source.readyState !== EventSource.CLOSED) {
+        // The browser reconnects by itself, e.g. while the server restarts
+        setError('Lost contact with the server. Reconnecting...');
+        return;
+      }
+
+      // The stream was refused; find out whether the job still exists
+      try {
+        await axios.get(`http://localhost:3001/api/jobs/${jobId}`);
+      } catch (statusError) {
+        if (stopped) return;
+        console.error('Failed to fetch upload job:', statusError);
+        if (statusError.response?.status === 404) {
+          setError('This upload job no longer exists on the server.');
+          return;
+        }
+      }
+      if (stopped) return;
+      setError('Lost contact with the server. Retrying...');
+      timer = setTimeout(() => setStreamKey(key => key + 1), STREAM_RETRY_DELAY);
+    };
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      source.close();
+    };
+    // onComplete is left out so a parent re-render does not reopen the stream
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [jobId, streamKey]);
+
+  const handleResume = async () => {
+    setResuming(true);
+    try {
+      const response = await axios.post(`http://localhost:3001/api/jobs/${jobId}/resume`, { apiKey });
+      setJob(response.data.data);
+      setError(null);
+      setStreamKey(key => key + 1);
+    } catch (resumeError) {
+      console.error('Failed to resume upload job:', resumeError);
+      setError(resumeError.response?.data?.details || resumeError.response?.data?.error || resumeError.message);
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    try {
+      const response = await axios.post(`http://localhost:3001/api/jobs/${jobId}/cancel`);
+      setJob(response.data.data);
+    } catch (cancelError) {
+      // 409 when the job stopped on its own meanwhile; the stream reports how it ended
+      console.error('Failed to cancel upload job:', cancelError);
+      if (cancelError.response?.status !== 409) {
+        setError(cancelError.response?.data?.error || cancelError.message);
+      }
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handleFinish = async () => {
+    try {
+      const response = await axios.get(`http://localhost:3001/api/jobs/${jobId}/results`);
+      onComplete(response.data.data);
+    } catch (finishError) {
+      console.error('Failed to fetch upload job results:', finishError);
+      setError(finishError.message);
+    }
+  };
+
+  if (error && !job) {
+    return (
+      <Alert
+        severity="error"
+        action={onDismiss && <Button color="inherit" size="small" onClick={onDismiss}>Dismiss</Button>}
+      >
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!job) {
+    return <LinearProgress sx={{ height: 8, borderRadius: 4 }} />;
+  }
+
+  // A sync job's deletes come after its annotations and count towards the progress
+  const deleteTotal = job.deleteTotal || 0;
+  const processed = job.total - job.pendingCount + (job.deletedCount || 0);
+  const progress = job.total + deleteTotal > 0 ? Math.round((processed / (job.total + deleteTotal)) * 100) : 0;
+  const stopped = job.status === 'failed' || job.status === 'interrupted' || job.status === 'cancelled';
+  const throughput = job.status === 'running' ? getThroughput(items, job) : null;
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        {job.status === 'running' && (job.cancelRequested
+          ? 'Cancelling after the annotations being created...'
+          : `Uploading annotations... (${progress}%)`)}
+        {job.status === 'completed' && 'Upload complete'}
+        {job.status === 'failed' && 'Upload finished with errors'}
+        {job.status === 'interrupted' && 'Upload interrupted'}
+        {job.status === 'cancelled' && 'Upload cancelled'}
+      </Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+        {job.createdCount} of {job.total} created
+        {job.failedCount > 0 && ` • ${job.failedCount} failed`}
+        {job.pendingCount > 0 && ` • ${job.pendingCount} waiting`}
+        {deleteTotal > 0 && ` • ${job.deletedCount} of ${deleteTotal} deleted`}
+        {throughput && !job.cancelRequested && ` • ${throughput.toFixed(1)} annotations/s • about ${formatDuration(job.pendingCount / throughput)} left`}
+        {' • '}processed on the server, safe to close this page
+      </Typography>
+      <LinearProgress
+        variant="determinate"
+        value={progress}
+        sx={{
+          height: 8,
+          borderRadius: 4,
+          backgroundColor: 'rgba(255,255,255,0.1)',
+          '& .MuiLinearProgress-bar': {
+            backgroundColor: job.status === 'completed' ? '#4caf50' : stopped ? '#ff9800' : '#3F48E9'
+          }
+        }}
+      />
+
+      {job.status === 'running' && (
+        <Button
+          variant="outlined"
+          color="error"
+          size="small"
+          onClick={handleCancel}
+          disabled={cancelling || job.cancelRequested}
+          sx={{ mt: 1 }}
+        >
+          {cancelling || job.cancelRequested ? 'Cancelling...' : 'Cancel Upload'}
+        </Button>
+      )}
+
+      {items.length > 0 && (
+        <List dense sx={{ mt: 1, maxHeight: 200, overflow: 'auto' }}>
+          {items.map(item => (
+            <ListItem key={`${item.index}-${item.at}`} disableGutters>
+              <ListItemIcon sx={{ minWidth: 32 }}>
+                {item.state === 'created'
+                  ? <CheckCircle fontSize="small" color="success" />
+                  : <ErrorOutline fontSize="small" color="error" />}
+              </ListItemIcon>
+              <ListItemText
+                primary={`#${item.index + 1} ${item.title}`}
+                secondary={item.state === 'created' ? item.annotationType : item.error}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {error && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {stopped && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {job.status === 'interrupted' && 'The server stopped while this upload was running.'}
+          {job.status === 'cancelled' && `${job.createdCount} annotation${job.createdCount === 1 ? ' was' : 's were'} created before the cancel and ${job.pendingCount} ${job.pendingCount === 1 ? 'was' : 'were'} not uploaded. View the results to keep or undo them.`}
+          {job.status === 'failed' && (job.error || `${job.failedCount} annotation${job.failedCount === 1 ? '' : 's'} could not be created.`)}
+          {' '}Resuming uploads only the annotations that were not created.
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button
+              variant="contained"
+              size="small"
+              startIcon={<Replay />}
+              onClick={handleResume}
+              disabled={resuming || !apiKey}
+            >
+              {resuming ? 'Resuming...' : 'Resume'}
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<CheckCircle />}
+              onClick={handleFinish}
+              disabled={resuming}
+            >
+              {job.status === 'cancelled' ? 'View results' : 'Finish and view results'}
+            </Button>
+          </Box>
+          {!apiKey && (
+            <Typography variant="caption" sx={{ display: 'block', mt: 1 }}>
+              Enter your API key in the configuration section to resume.
+            </Typography>
+          )}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default UploadJobProgress;
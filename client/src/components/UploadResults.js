@@ -15,7 +15,8 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
-  Link
+  Link,
+  Tooltip
 } from '@mui/material';
 import {
   CheckCircle,
@@ -39,7 +40,12 @@ const UploadResults = ({ results, onReset, onNewUpload, onUndo }) => {
     results: successResults, 
     errors,
     projectId,
-    mapId
+    mapId,
+    cancelled,
+    notUploadedCount,
+    skippedCount,
+    replacedCount,
+    deletedCount
   } = results;
 
   const createDroneDeployLink = (annotationId) => {
@@ -54,12 +60,21 @@ const UploadResults = ({ results, onReset, onNewUpload, onUndo }) => {
   };
 
   const getOverallStatus = () => {
-    if (errorCount === 0) {
+    if (cancelled) {
+      return {
+        severity: 'info',
+        icon: <Warning />,
+        title: 'Upload Cancelled',
+        message: `${successCount} annotation${successCount === 1 ? ' was' : 's were'} created before the upload was cancelled and ${notUploadedCount} ${notUploadedCount === 1 ? 'was' : 'were'} not uploaded. Keep the created annotations, or undo the upload to delete them.`
+      };
+    } else if (errorCount === 0) {
       return {
         severity: 'success',
         icon: <CloudDone />,
         title: 'Upload Completed Successfully!',
-        message: `All ${successCount} annotation${successCount === 1 ? '' : 's'} were uploaded to DroneDeploy.`
+        message: (successCount > 0 || !deletedCount ? `All ${successCount} annotation${successCount === 1 ? '' : 's'} were uploaded to DroneDeploy.` : 'The map now matches the file.')
+          + (replacedCount > 0 ? ` ${replacedCount} of them replaced ${replacedCount === 1 ? 'an annotation' : 'annotations'} already on the map.` : '')
+          + (deletedCount > 0 ? ` ${deletedCount} annotation${deletedCount === 1 ? ' that is' : 's that are'} no longer in the file ${deletedCount === 1 ? 'was' : 'were'} deleted from the map.` : '')
       };
     } else if (successCount === 0) {
       return {
@@ -119,6 +134,36 @@ const UploadResults = ({ results, onReset, onNewUpload, onUndo }) => {
               Failed
             </Typography>
           </Box>
+          {skippedCount > 0 && (
+            <Box sx={{ textAlign: 'center' }}>
+              <Typography variant="h4" color="text.secondary">
+                {skippedCount}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Skipped Duplicates
+              </Typography>
+            </Box>
+          )}
+          {deletedCount > 0 && (
+            <Box sx={{ textAlign: 'center' }}>
+              <Typography variant="h4" color="text.secondary">
+                {deletedCount}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Deleted
+              </Typography>
+            </Box>
+          )}
+          {cancelled && (
+            <Box sx={{ textAlign: 'center' }}>
+              <Typography variant="h4" color="text.secondary">
+                {notUploadedCount}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Not Uploaded
+              </Typography>
+            </Box>
+          )}
           <Box sx={{ textAlign: 'center' }}>
             <Typography variant="h4" color="primary.main">
               {totalProcessed}
@@ -177,12 +222,18 @@ const UploadResults = ({ results, onReset, onNewUpload, onUndo }) => {
                           )}
                         </TableCell>
                         <TableCell>
-                          <Chip 
-                            icon={<CheckCircle />}
-                            label="Uploaded" 
-                            color="success" 
-                            size="small"
-                          />
+                          {result.replaceError ? (
+                            <Tooltip title={`The annotation it replaces is still on the map: ${result.replaceError}`}>
+                              <Chip icon={<Warning />} label="Uploaded, old kept" color="warning" size="small" />
+                            </Tooltip>
+                          ) : (
+                            <Chip 
+                              icon={<CheckCircle />}
+                              label={result.replacedId ? 'Replaced' : 'Uploaded'} 
+                              color="success" 
+                              size="small"
+                            />
+                          )}
                         </TableCell>
                       </TableRow>
                     ))}
@@ -14,11 +14,14 @@ export const UI_CONFIG = {
 
 // File Upload Configuration
 export const FILE_CONFIG = {
-  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-  ALLOWED_EXTENSIONS: ['.csv', '.json', '.geojson', '.kml', '.kmz'],
-  SUPPORTED_FORMATS: ['CSV', 'GeoJSON', 'KML', 'KMZ'],
+  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
+  ALLOWED_EXTENSIONS: ['.csv', '.json', '.geojson', '.kml', '.kmz', '.gpx', '.zip', '.xlsx', '.xls', '.ods'],
+  SUPPORTED_FORMATS: ['CSV', 'GeoJSON', 'KML', 'KMZ', 'GPX', 'Shapefile', 'Excel', 'ODS'],
 };
 
+// Version of the annotation model the server returns (GET /api/annotation-schema)
+export const ANNOTATION_SCHEMA_VERSION = 1;
+
 // DroneDeploy Colors (for frontend display)
 export const DRONEDEPLOY_COLORS = [
   { name: 'Red', color: '#f34235', fillColor: '#f67168' },
@@ -53,8 +56,8 @@ export const API_ENDPOINTS = {
 
 // Error Messages
 export const ERROR_MESSAGES = {
-  FILE_TOO_LARGE: 'File too large. Maximum size is 10MB.',
-  INVALID_FILE_TYPE: 'Invalid file type. Please use CSV, GeoJSON, KML, or KMZ files.',
+  FILE_TOO_LARGE: 'File too large. Maximum size is 50MB.',
+  INVALID_FILE_TYPE: 'Invalid file type. Please use CSV, GeoJSON, KML, KMZ, or zipped Shapefile files.',
   NETWORK_ERROR: 'Network error. Please check your connection.',
   TIMEOUT_ERROR: 'Request timeout. Please try again.',
   UNKNOWN_ERROR: 'An unexpected error occurred.',
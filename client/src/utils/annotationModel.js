@@ -0,0 +1,40 @@
+/**
+ * Annotation Model
+ * Reads the canonical annotations returned by the server (GET /api/annotation-schema):
+ * geometry is always GeoJSON, a Point for LOCATION, a LineString for LINE and a
+ * Polygon for AREA, with [lng, lat] positions
+ */
+
+import { ANNOTATION_SCHEMA_VERSION } from '../constants';
+
+export const isCurrentSchemaVersion = (annotations) =>
+  annotations.every(annotation => annotation.schemaVersion === ANNOTATION_SCHEMA_VERSION);
+
+// [lat, lng] pairs for Leaflet: the point, the line's vertices or the polygon's outer ring
+export const getLatLngs = (annotation) => {
+  const { geometry } = annotation;
+  switch (geometry?.type) {
+    case 'Point':
+      return [[geometry.coordinates[1], geometry.coordinates[0]]];
+    case 'LineString':
+      return geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+    case 'Polygon':
+      return geometry.coordinates[0].map(([lng, lat]) => [lat, lng]);
+    default:
+      return [];
+  }
+};
+
+export const formatGeometry = (annotation) => {
+  const latLngs = getLatLngs(annotation);
+  switch (annotation.geometry?.type) {
+    case 'Point':
+      return `${latLngs[0][0].toFixed(6)}, ${latLngs[0][1].toFixed(6)}`;
+    case 'LineString':
+      return `Line (${latLngs.length} points)`;
+    case 'Polygon':
+      return `Polygon (${latLngs.length} points)`;
+    default:
+      return 'No geometry';
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Column Mapping Profiles
+ * Stores CSV column mappings in localStorage, keyed by the file's header signature
+ */
+
+const COLUMN_MAPPING_PROFILES_KEY = 'dronedeploy_column_mapping_profiles';
+
+export const getColumnMappingProfiles = () => {
+  try {
+    const profiles = localStorage.getItem(COLUMN_MAPPING_PROFILES_KEY);
+    return profiles ? JSON.parse(profiles) : [];
+  } catch (error) {
+    console.error('Failed to get column mapping profiles:', error);
+    return [];
+  }
+};
+
+export const getColumnMappingProfile = (headerSignature) => {
+  return getColumnMappingProfiles().find(profile => profile.headerSignature === headerSignature) || null;
+};
+
+export const saveColumnMappingProfile = (headerSignature, name, mapping) => {
+  try {
+    // One profile per header layout; saving again replaces it
+    const profiles = getColumnMappingProfiles().filter(profile => profile.headerSignature !== headerSignature);
+
+    const newProfile = {
+      headerSignature,
+      name,
+      mapping,
+      updatedAt: new Date().toISOString()
+    };
+
+    profiles.push(newProfile);
+    localStorage.setItem(COLUMN_MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+
+    return newProfile;
+  } catch (error) {
+    console.error('Failed to save column mapping profile:', error);
+    return null;
+  }
+};
+
+export const deleteColumnMappingProfile = (headerSignature) => {
+  try {
+    const profiles = getColumnMappingProfiles().filter(profile => profile.headerSignature !== headerSignature);
+    localStorage.setItem(COLUMN_MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+    return true;
+  } catch (error) {
+    console.error('Failed to delete column mapping profile:', error);
+    return false;
+  }
+};
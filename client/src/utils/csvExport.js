@@ -0,0 +1,37 @@
+/**
+ * CSV Export
+ * Builds CSV text in the browser and saves it, or any other file, as a download
+ */
+
+const escapeCSVValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (columns, rows) => {
+  const header = columns.map(column => escapeCSVValue(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCSVValue(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+export const downloadFile = (fileName, blob) => {
+  try {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return true;
+  } catch (error) {
+    console.error('Failed to download file:', error);
+    return false;
+  }
+};
+
+export const downloadCSV = (fileName, columns, rows) => (
+  downloadFile(fileName, new Blob([toCSV(columns, rows)], { type: 'text/csv;charset=utf-8' }))
+);
@@ -0,0 +1,50 @@
+/**
+ * Styling Rule Presets
+ * Stores and retrieves named styling rule sets from localStorage
+ */
+
+const STYLING_PRESETS_KEY = 'dronedeploy_styling_presets';
+
+export const getStylingPresets = () => {
+  try {
+    const presets = localStorage.getItem(STYLING_PRESETS_KEY);
+    return presets ? JSON.parse(presets) : [];
+  } catch (error) {
+    console.error('Failed to get styling presets:', error);
+    return [];
+  }
+};
+
+export const saveStylingPreset = (name, rules) => {
+  try {
+    // Saving under an existing name replaces that preset
+    const presets = getStylingPresets().filter(preset => preset.name !== name);
+
+    const newPreset = {
+      name,
+      rules,
+      updatedAt: new Date().toISOString()
+    };
+
+    presets.push(newPreset);
+    presets.sort((a, b) => a.name.localeCompare(b.name));
+
+    localStorage.setItem(STYLING_PRESETS_KEY, JSON.stringify(presets));
+
+    return newPreset;
+  } catch (error) {
+    console.error('Failed to save styling preset:', error);
+    return null;
+  }
+};
+
+export const deleteStylingPreset = (name) => {
+  try {
+    const presets = getStylingPresets().filter(preset => preset.name !== name);
+    localStorage.setItem(STYLING_PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error('Failed to delete styling preset:', error);
+    return false;
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Upload Job Tracking
+ * Remembers the server-side upload job in progress so the page can reconnect to it after a reload
+ */
+
+import { saveUploadToHistory } from './uploadHistory';
+
+const ACTIVE_UPLOAD_JOB_KEY = 'dronedeploy_active_upload_job';
+
+export const saveActiveUploadJob = (job) => {
+  try {
+    const activeJob = {
+      jobId: job.jobId,
+      mapId: job.mapId,
+      mapName: job.mapName,
+      mapDate: job.mapDate,
+      projectId: job.projectId,
+      totalAnnotations: job.totalAnnotations,
+      // Duplicates of annotations already on the map, left out of the upload
+      skippedCount: job.skippedCount || 0,
+      startedAt: new Date().toISOString()
+    };
+
+    localStorage.setItem(ACTIVE_UPLOAD_JOB_KEY, JSON.stringify(activeJob));
+    return activeJob;
+  } catch (error) {
+    console.error('Failed to save active upload job:', error);
+    return null;
+  }
+};
+
+export const getActiveUploadJob = () => {
+  try {
+    const activeJob = localStorage.getItem(ACTIVE_UPLOAD_JOB_KEY);
+    return activeJob ? JSON.parse(activeJob) : null;
+  } catch (error) {
+    console.error('Failed to get active upload job:', error);
+    return null;
+  }
+};
+
+export const clearActiveUploadJob = () => {
+  try {
+    localStorage.removeItem(ACTIVE_UPLOAD_JOB_KEY);
+    return true;
+  } catch (error) {
+    console.error('Failed to clear active upload job:', error);
+    return false;
+  }
+};
+
+// Record a finished job in the upload history and stop tracking it.
+// jobResults comes from GET /api/jobs/:jobId/results; returns the results UploadResults shows.
+export const finishUploadJob = (activeJob, jobResults) => {
+  const { results = [], errors = [], deletedAnnotationIds = [] } = jobResults;
+
+  if (results.length > 0) {
+    const annotationTypes = {};
+    results.forEach(result => {
+      const type = result.annotationType || 'unknown';
+      annotationTypes[type] = (annotationTypes[type] || 0) + 1;
+    });
+
+    saveUploadToHistory({
+      mapId: activeJob.mapId,
+      mapName: activeJob.mapName,
+      mapDate: activeJob.mapDate,
+      totalAnnotations: results.length,
+      annotationTypes,
+      successfulAnnotationIds: results.map(result => result.id).filter(id => id),
+      projectId: activeJob.projectId || jobResults.projectId
+    });
+  }
+
+  clearActiveUploadJob();
+
+  return {
+    success: true,
+    jobId: jobResults.id,
+    results,
+    errors,
+    totalProcessed: jobResults.total,
+    successCount: results.length,
+    errorCount: errors.length,
+    // A cancelled job keeps what it created; the rest was never sent
+    cancelled: jobResults.status === 'cancelled',
+    notUploadedCount: jobResults.pendingCount || 0,
+    skippedCount: activeJob.skippedCount || 0,
+    replacedCount: results.filter(result => result.replacedId).length,
+    // Removed by a sync because they are no longer in the file
+    deletedCount: deletedAnnotationIds.length,
+    projectId: jobResults.projectId,
+    mapId: activeJob.mapId
+  };
+};
@@ -2,21 +2,44 @@
  * Application Constants and Configuration
  */
 
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Used when the variable is unset or not a number
+ * @returns {number} Value
+ */
+const envNumber = (name, defaultValue) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : defaultValue;
+};
+
 // Server Configuration
 const SERVER_CONFIG = {
   PORT: process.env.PORT || 3001,
-  PAYLOAD_LIMIT: '10mb',
+  PAYLOAD_LIMIT: '50mb', // Parsed annotations of a large file are posted back for upload
   UPLOAD_DIR: 'uploads/',
-  FILE_SIZE_LIMIT: 10 * 1024 * 1024, // 10MB
+  JOBS_DIR: process.env.JOBS_DIR || 'jobs/', // Upload job state; see server/utils/uploadJobs.js
+  JOB_EVENTS_HEARTBEAT: 15000, // Keeps idle job event streams open through proxies
+  JOB_EVENTS_RECENT_ITEMS: 100, // Finished annotations replayed when a job event stream opens
+  JOB_RETENTION_DAYS: envNumber('JOB_RETENTION_DAYS', 30), // Jobs not updated for this long are deleted; 0 keeps them
+  JOB_SWEEP_INTERVAL: 24 * 60 * 60 * 1000, // How often old jobs are looked for, in milliseconds
+  FILE_SIZE_LIMIT: 50 * 1024 * 1024, // 50MB; GeoJSON, KML and GPX are parsed as streams
 };
 
-// DroneDeploy API Configuration
+// DroneDeploy API Configuration; see server/utils/droneDeployApi.js
 const DRONEDEPLOY_CONFIG = {
-  API_URL: 'https://www.dronedeploy.com/graphql',
+  // Point at the mock API (npm run mock-api) to work offline
+  API_URL: process.env.DRONEDEPLOY_API_URL || 'https://www.dronedeploy.com/graphql',
   TIMEOUT: 120000, // 2 minutes
-  BATCH_SIZE: 50, // Annotations per batch
-  BATCH_DELAY: 100, // Milliseconds between batches
-  REQUEST_TIMEOUT: 30000, // 30 seconds per request
+  REQUEST_TIMEOUT: envNumber('DRONEDEPLOY_REQUEST_TIMEOUT', 30000), // Per attempt, in milliseconds
+  CONCURRENCY: envNumber('DRONEDEPLOY_CONCURRENCY', 4), // Requests in flight at once, across all uploads
+  RATE_LIMIT: envNumber('DRONEDEPLOY_RATE_LIMIT', 5), // Requests per second, sustained; 0 for no limit
+  RATE_BURST: envNumber('DRONEDEPLOY_RATE_BURST', 10), // Requests that may start at once after a quiet spell
+  MAX_RETRIES: envNumber('DRONEDEPLOY_MAX_RETRIES', 4), // On network errors, timeouts, 429 and 5xx
+  RETRY_BASE_DELAY: envNumber('DRONEDEPLOY_RETRY_BASE_DELAY', 500), // Doubled each retry, with jitter
+  RETRY_MAX_DELAY: envNumber('DRONEDEPLOY_RETRY_MAX_DELAY', 30000),
+  ANNOTATIONS_PAGE_SIZE: 500, // Existing annotations read per request when checking for duplicates
+  MATCH_TOLERANCE: envNumber('DRONEDEPLOY_MATCH_TOLERANCE', 1) // Meters an existing annotation's points may be off and still match
 };
 
 // DroneDeploy supported color palette
@@ -33,6 +56,9 @@ const DRONEDEPLOY_COLORS = [
   { name: 'Amethyst', color: '#6639b6', fillColor: '#8c6bc8' }
 ];
 
+// Used for a KML placemark with no resolvable style color, and for an exported color that cannot be written
+const DEFAULT_KML_COLOR = '#FF0000';
+
 // File Format Configuration
 const FILE_FORMATS = {
   CSV: {
@@ -44,24 +70,45 @@ const FILE_FORMATS = {
       AREA: ['geometry'],
       LINE: ['geometry']
     },
-    optionalFields: ['fillColor']
+    optionalFields: ['fillColor', 'description'],
+    aliasFields: ['type'] // Alternative header for annotationType
   },
   GEOJSON: {
     extensions: ['.json', '.geojson'],
     mimeTypes: ['application/json'],
     requiredStructure: ['type', 'features'],
     requiredFields: ['properties.title', 'properties.color'],
-    optionalFields: ['properties.fillColor']
+    optionalFields: ['properties.fillColor', 'properties.description']
   },
   KML: {
     extensions: ['.kml'],
     mimeTypes: ['application/vnd.google-earth.kml+xml', 'text/xml'],
     requiredFields: ['name', 'geometry'],
-    optionalFields: ['description', 'style']
+    optionalFields: ['description', 'style', 'ExtendedData']
   },
   KMZ: {
     extensions: ['.kmz'],
     mimeTypes: ['application/vnd.google-earth.kmz']
+  },
+  SHAPEFILE: {
+    extensions: ['.zip'],
+    mimeTypes: ['application/zip', 'application/x-zip-compressed'],
+    requiredFiles: ['.shp', '.dbf', '.prj'],
+    optionalFiles: ['.shx', '.cpg']
+  },
+  GPX: {
+    extensions: ['.gpx'],
+    mimeTypes: ['application/gpx+xml'],
+    requiredFields: ['wpt, rte or trk'],
+    optionalFields: ['name', 'desc', 'time']
+  },
+  SPREADSHEET: { // Rows follow the CSV column conventions
+    extensions: ['.xlsx', '.xls', '.ods'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'application/vnd.oasis.opendocument.spreadsheet'
+    ]
   }
 };
 
@@ -84,6 +131,93 @@ const ANNOTATION_TYPES = {
   }
 };
 
+// Version of the canonical annotation model (server/utils/annotationModel.js);
+// requests carrying annotations of another version are rejected
+const ANNOTATION_SCHEMA_VERSION = 1;
+
+// Polygon hole (interior ring) handling; DroneDeploy areas only have an outer ring
+const HOLE_POLICIES = {
+  DROP: 'drop', // Keep the outer ring and report the dropped holes
+  SPLIT: 'split' // Also create each hole as its own AREA annotation
+};
+
+// Attribute-driven styling rule operators
+const STYLING_RULE_OPERATORS = {
+  EQUALS: 'equals', // Case-insensitive string match
+  IN: 'in', // Case-insensitive match against a list of values
+  REGEX: 'regex', // Case-insensitive regular expression
+  RANGE: 'range' // Numeric range, inclusive; min and/or max
+};
+
+// Upload job lifecycle (POST /api/jobs)
+const UPLOAD_JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed', // Every annotation was created
+  FAILED: 'failed', // Finished with annotations that failed; resumable
+  INTERRUPTED: 'interrupted', // The server stopped while the job was running; resumable
+  CANCELLED: 'cancelled' // Stopped on request after the annotations being created; resumable
+};
+
+// Per-annotation state within an upload job
+const UPLOAD_ITEM_STATES = {
+  PENDING: 'pending',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+// How an annotation compares to the annotations already on the map (POST /api/dronedeploy/dedupe)
+const ANNOTATION_MATCH_STATUS = {
+  NEW: 'new', // No existing annotation with the same title, type and geometry
+  DUPLICATE: 'duplicate', // Already on the map as it is
+  CHANGED: 'changed' // On the map, with a different color, fill color or description
+};
+
+// What to do with an annotation on upload, and the default for each match status
+const ANNOTATION_MATCH_ACTIONS = {
+  CREATE: 'create',
+  SKIP: 'skip',
+  REPLACE: 'replace' // Create it, then delete the existing annotation it matched
+};
+
+const DEFAULT_MATCH_ACTIONS = {
+  [ANNOTATION_MATCH_STATUS.NEW]: ANNOTATION_MATCH_ACTIONS.CREATE,
+  [ANNOTATION_MATCH_STATUS.DUPLICATE]: ANNOTATION_MATCH_ACTIONS.SKIP,
+  [ANNOTATION_MATCH_STATUS.CHANGED]: ANNOTATION_MATCH_ACTIONS.REPLACE
+};
+
+// Formats a map's annotations can be exported in (GET /api/dronedeploy/map/:mapId/annotations)
+const EXPORT_FORMATS = {
+  geojson: { extension: '.geojson', contentType: 'application/geo+json' },
+  kml: { extension: '.kml', contentType: 'application/vnd.google-earth.kml+xml' },
+  csv: { extension: '.csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Why a parser skipped a row, feature or placemark, reported back with each upload
+const DIAGNOSTIC_CODES = {
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_COORDINATES: 'INVALID_COORDINATES',
+  INVALID_GEOMETRY: 'INVALID_GEOMETRY',
+  INSUFFICIENT_POINTS: 'INSUFFICIENT_POINTS',
+  UNSUPPORTED_GEOMETRY: 'UNSUPPORTED_GEOMETRY',
+  OUT_OF_RANGE: 'OUT_OF_RANGE', // Not longitude/latitude after reprojection
+  NO_STYLE_MATCH: 'NO_STYLE_MATCH', // No color in the file and no styling rule matched
+  INVALID_ITEM: 'INVALID_ITEM' // Any other problem
+};
+
+// Header aliases used to guess a CSV column mapping, in priority order.
+// Headers are compared lower-case with spaces, dashes and underscores removed.
+const CSV_COLUMN_ALIASES = {
+  annotationType: ['annotationtype', 'type', 'featuretype', 'geometrytype', 'kind'],
+  title: ['title', 'name', 'label', 'featurename', 'id'],
+  lat: ['lat', 'latitude', 'y', 'northing', 'pointy', 'latdd'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x', 'easting', 'pointx', 'longdd', 'londd'],
+  geometry: ['geometry', 'geom', 'wkt', 'thegeom', 'shape', 'coordinates', 'coords'],
+  color: ['color', 'colour', 'stroke', 'strokecolor', 'linecolor'],
+  fillColor: ['fillcolor', 'fillcolour', 'fill'],
+  description: ['description', 'desc', 'notes', 'note', 'comments', 'comment', 'remarks']
+};
+
 // Validation Rules
 const VALIDATION_RULES = {
   COORDINATES: {
@@ -96,10 +230,14 @@ const VALIDATION_RULES = {
     TITLE_MAX_LENGTH: 255,
     DESCRIPTION_MAX_LENGTH: 1000
   },
+  STYLING_RULES: {
+    PATTERN_MAX_LENGTH: 200, // Regular expressions run on the server thread for every annotation
+    VALUE_MAX_LENGTH: 255 // Each equals or in value
+  },
   FILE_LIMITS: {
     MAX_ANNOTATIONS: 10000,
     MAX_FILE_SIZE: SERVER_CONFIG.FILE_SIZE_LIMIT,
-    ALLOWED_EXTENSIONS: ['.csv', '.json', '.geojson', '.kml', '.kmz']
+    ALLOWED_EXTENSIONS: ['.csv', '.json', '.geojson', '.kml', '.kmz', '.gpx', '.zip', '.xlsx', '.xls', '.ods']
   }
 };
 
@@ -109,19 +247,40 @@ const ERROR_MESSAGES = {
     MISSING_REQUIRED_FIELD: (field) => `Missing required field: ${field}`,
     INVALID_COORDINATE: (lat, lng) => `Invalid coordinates: lat=${lat}, lng=${lng}`,
     INVALID_ANNOTATION_TYPE: (type) => `Invalid annotation type: ${type}`,
+    INVALID_COLOR: (color) => `Invalid color: ${color}; expected a hex color such as #FF0000`,
     INSUFFICIENT_POINTS: (type, count, min) => `${type} requires at least ${min} points, got ${count}`,
     FILE_TOO_LARGE: `File size exceeds ${SERVER_CONFIG.FILE_SIZE_LIMIT / 1024 / 1024}MB limit`,
-    TOO_MANY_ANNOTATIONS: `File contains more than ${VALIDATION_RULES.FILE_LIMITS.MAX_ANNOTATIONS} annotations`
+    TOO_MANY_ANNOTATIONS: `File contains more than ${VALIDATION_RULES.FILE_LIMITS.MAX_ANNOTATIONS} annotations`,
+    UNSUPPORTED_SCHEMA_VERSION: (version) => `Annotation schema version ${version} is not supported; expected ${ANNOTATION_SCHEMA_VERSION}. Re-import the file`,
+    INVALID_FIELDS: (errors) => errors.length === 1
+      ? `${errors[0].field}: ${errors[0].message}`
+      : `${errors.length} fields are invalid, starting with ${errors[0].field}: ${errors[0].message}`
   },
   FILE_PROCESSING: {
     INVALID_FILE_FORMAT: 'Invalid file format or corrupted file',
     PARSE_ERROR: 'Failed to parse file content',
-    UNSUPPORTED_FORMAT: 'Unsupported file format'
+    UNSUPPORTED_FORMAT: 'Unsupported file format',
+    COLUMN_MAPPING_REQUIRED: (fields) => `No columns found for: ${fields.join(', ')}. Map the file's columns to annotation fields`,
+    UNKNOWN_MAPPED_COLUMN: (field, column) => `Column "${column}" mapped to ${field} is not in the file`,
+    WORKSHEET_SELECTION_REQUIRED: (count) => `The workbook has ${count} worksheets with data; choose the one to import`,
+    WORKSHEET_NOT_FOUND: (name) => `Worksheet not found: ${name}`,
+    EMPTY_WORKBOOK: 'The workbook has no worksheets with data'
+  },
+  PROJECTION: {
+    UNSUPPORTED_CRS: (crs) => `Unsupported coordinate system: ${crs}`,
+    NOT_LONGITUDE_LATITUDE: 'Coordinates are outside the longitude/latitude range. The file appears to use a projected coordinate system; select its EPSG code before uploading'
+  },
+  JOBS: {
+    NOT_FOUND: (jobId) => `Upload job not found: ${jobId}`,
+    ALREADY_RUNNING: 'The upload job is already running',
+    NOTHING_TO_RESUME: 'Every annotation in this upload job has already been created',
+    NOT_RUNNING: 'The upload job is not running'
   },
   API: {
     DRONEDEPLOY_ERROR: 'DroneDeploy API error',
     NETWORK_ERROR: 'Network connection error',
     TIMEOUT_ERROR: 'Request timeout',
+    HTTP_ERROR: (status) => `DroneDeploy API responded with HTTP ${status}`,
     AUTHENTICATION_ERROR: 'Authentication failed - check API key'
   }
 };
@@ -130,8 +289,20 @@ module.exports = {
   SERVER_CONFIG,
   DRONEDEPLOY_CONFIG,
   DRONEDEPLOY_COLORS,
+  DEFAULT_KML_COLOR,
   FILE_FORMATS,
   ANNOTATION_TYPES,
+  ANNOTATION_SCHEMA_VERSION,
+  HOLE_POLICIES,
+  STYLING_RULE_OPERATORS,
+  UPLOAD_JOB_STATUS,
+  UPLOAD_ITEM_STATES,
+  ANNOTATION_MATCH_STATUS,
+  ANNOTATION_MATCH_ACTIONS,
+  DEFAULT_MATCH_ACTIONS,
+  EXPORT_FORMATS,
+  DIAGNOSTIC_CODES,
+  CSV_COLUMN_ALIASES,
   VALIDATION_RULES,
   ERROR_MESSAGES
 };
@@ -0,0 +1,70 @@
+/**
+ * Bundled Coordinate Reference System Definitions
+ * proj4 strings for common EPSG codes, so reprojection works offline
+ */
+
+// Target CRS for DroneDeploy LocationInput (WGS 84 longitude/latitude)
+const WGS84_CRS = 'EPSG:4326';
+
+// Individually defined systems
+const NAMED_DEFINITIONS = {
+  'EPSG:4326': { name: 'WGS 84', proj4: '+proj=longlat +datum=WGS84 +no_defs' },
+  'EPSG:3857': { name: 'WGS 84 / Pseudo-Mercator', proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs' },
+  'EPSG:4269': { name: 'NAD83', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  'EPSG:4258': { name: 'ETRS89', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  'EPSG:4283': { name: 'GDA94', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  'EPSG:7844': { name: 'GDA2020', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  'EPSG:27700': { name: 'OSGB36 / British National Grid', proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs' },
+  'EPSG:2154': { name: 'RGF93 / Lambert-93', proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+  'EPSG:3035': { name: 'ETRS89 / LAEA Europe', proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+  'EPSG:28992': { name: 'Amersfoort / RD New', proj4: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs' },
+  'EPSG:2056': { name: 'CH1903+ / LV95', proj4: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+  'EPSG:2193': { name: 'NZGD2000 / New Zealand Transverse Mercator 2000', proj4: '+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+  'EPSG:3577': { name: 'GDA94 / Australian Albers', proj4: '+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+  // US State Plane (NAD83, US survey feet)
+  'EPSG:2227': { name: 'NAD83 / California zone 3 (ftUS)', proj4: '+proj=lcc +lat_0=36.5 +lon_0=-120.5 +lat_1=38.4333333333333 +lat_2=37.0666666666667 +x_0=2000000.0001016 +y_0=500000.0001016 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2229': { name: 'NAD83 / California zone 5 (ftUS)', proj4: '+proj=lcc +lat_0=33.5 +lon_0=-118 +lat_1=35.4666666666667 +lat_2=34.0333333333333 +x_0=2000000.0001016 +y_0=500000.0001016 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2231': { name: 'NAD83 / Colorado North (ftUS)', proj4: '+proj=lcc +lat_0=39.3333333333333 +lon_0=-105.5 +lat_1=40.7833333333333 +lat_2=39.7166666666667 +x_0=914401.828803658 +y_0=304800.609601219 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2236': { name: 'NAD83 / Florida East (ftUS)', proj4: '+proj=tmerc +lat_0=24.3333333333333 +lon_0=-81 +k=0.999941177 +x_0=200000.0001016 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2249': { name: 'NAD83 / Massachusetts Mainland (ftUS)', proj4: '+proj=lcc +lat_0=41 +lon_0=-71.5 +lat_1=42.6833333333333 +lat_2=41.7166666666667 +x_0=200000.0001016 +y_0=750000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2263': { name: 'NAD83 / New York Long Island (ftUS)', proj4: '+proj=lcc +lat_0=40.1666666666667 +lon_0=-74 +lat_1=41.0333333333333 +lat_2=40.6666666666667 +x_0=300000.0000000001 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2272': { name: 'NAD83 / Pennsylvania South (ftUS)', proj4: '+proj=lcc +lat_0=39.3333333333333 +lon_0=-77.75 +lat_1=40.9666666666667 +lat_2=39.9333333333333 +x_0=600000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2276': { name: 'NAD83 / Texas North Central (ftUS)', proj4: '+proj=lcc +lat_0=31.6666666666667 +lon_0=-98.5 +lat_1=33.9666666666667 +lat_2=32.1333333333333 +x_0=600000 +y_0=2000000.0001016 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2278': { name: 'NAD83 / Texas South Central (ftUS)', proj4: '+proj=lcc +lat_0=27.8333333333333 +lon_0=-99 +lat_1=30.2833333333333 +lat_2=28.3833333333333 +x_0=600000 +y_0=3999999.9998984 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' },
+  'EPSG:2285': { name: 'NAD83 / Washington North (ftUS)', proj4: '+proj=lcc +lat_0=47 +lon_0=-120.833333333333 +lat_1=48.7333333333333 +lat_2=47.5 +x_0=500000.0001016 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs' }
+};
+
+/**
+ * Build definitions for a family of UTM zones
+ * @param {Object} family - { codeBase, firstZone, lastZone, name, params, south }
+ * @returns {Object} Definitions keyed by EPSG code
+ */
+function buildUTMDefinitions({ codeBase, firstZone, lastZone, name, params, south = false }) {
+  const definitions = {};
+  for (let zone = firstZone; zone <= lastZone; zone++) {
+    definitions[`EPSG:${codeBase + zone}`] = {
+      name: name(zone),
+      proj4: `+proj=utm +zone=${zone}${south ? ' +south' : ''} ${params} +units=m +no_defs`
+    };
+  }
+  return definitions;
+}
+
+const UTM_DEFINITIONS = {
+  ...buildUTMDefinitions({ codeBase: 32600, firstZone: 1, lastZone: 60, name: zone => `WGS 84 / UTM zone ${zone}N`, params: '+datum=WGS84' }),
+  ...buildUTMDefinitions({ codeBase: 32700, firstZone: 1, lastZone: 60, name: zone => `WGS 84 / UTM zone ${zone}S`, params: '+datum=WGS84', south: true }),
+  ...buildUTMDefinitions({ codeBase: 26900, firstZone: 1, lastZone: 23, name: zone => `NAD83 / UTM zone ${zone}N`, params: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' }),
+  ...buildUTMDefinitions({ codeBase: 25800, firstZone: 28, lastZone: 38, name: zone => `ETRS89 / UTM zone ${zone}N`, params: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' }),
+  ...buildUTMDefinitions({ codeBase: 28300, firstZone: 48, lastZone: 58, name: zone => `GDA94 / MGA zone ${zone}`, params: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0', south: true }),
+  ...buildUTMDefinitions({ codeBase: 7800, firstZone: 46, lastZone: 59, name: zone => `GDA2020 / MGA zone ${zone}`, params: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0', south: true })
+};
+
+const CRS_DEFINITIONS = {
+  ...NAMED_DEFINITIONS,
+  ...UTM_DEFINITIONS
+};
+
+module.exports = {
+  WGS84_CRS,
+  CRS_DEFINITIONS
+};
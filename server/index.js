@@ -3,23 +3,110 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const { SERVER_CONFIG, DRONEDEPLOY_CONFIG, ERROR_MESSAGES, ANNOTATION_SCHEMA_VERSION, EXPORT_FORMATS } = require('./config/constants');
 const { parseFile } = require('./utils/fileParsers');
+const { buildAnnotationDescription } = require('./utils/descriptionUtils');
+const { listSupportedCRS } = require('./utils/projectionUtils');
+const { standardizeAnnotationColors, buildColorMappingTable } = require('./utils/colorUtils');
+const { applyStylingRules } = require('./utils/stylingRules');
+const { createParseDiagnostics } = require('./utils/parseDiagnostics');
+const { ANNOTATION_SCHEMA, toCreateAnnotationInput } = require('./utils/annotationModel');
+const {
+  createAnnotation,
+  replaceAnnotation,
+  fetchMapPlan,
+  fetchMapProjectId,
+  fetchMapAnnotations,
+  deleteAnnotations
+} = require('./utils/droneDeployApi');
+const { matchAnnotations, countMatches } = require('./utils/annotationMatching');
+const { planSync } = require('./utils/annotationSync');
+const { fromMapAnnotations, exportAnnotations } = require('./utils/annotationExport');
+const {
+  createJob,
+  getJob,
+  resumeJob,
+  cancelJob,
+  subscribeToJob,
+  summarizeJob,
+  getJobResults,
+  startJobSweeper
+} = require('./utils/uploadJobs');
+const {
+  validateFileUploadRequest,
+  validateStylingRulesRequest,
+  validateUploadRequest,
+  validateDedupeRequest,
+  validateSyncRequest,
+  validateMapRequest,
+  validateExportRequest,
+  validateUndoRequest,
+  validateJobRequest,
+  validateResumeRequest
+} = require('./utils/validators');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: SERVER_CONFIG.PAYLOAD_LIMIT }));
 
 // Configure multer for file uploads
 const upload = multer({
-  dest: 'uploads/',
+  dest: SERVER_CONFIG.UPLOAD_DIR,
   limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
+    fileSize: SERVER_CONFIG.FILE_SIZE_LIMIT
   }
 });
 
+// Answer files over the size limit with a JSON 413 instead of multer's unhandled error
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File too large', details: ERROR_MESSAGES.VALIDATION.FILE_TOO_LARGE });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Answer a request that failed validation
+ * @param {Object} res - Express response
+ * @param {Error} error - VALIDATION_FAILED error from validators.js
+ * @returns {Object} Express response with a 400 listing every invalid field
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Invalid request',
+  details: error.message,
+  errors: error.errors
+});
+
+// HTTP status for upload job errors (see uploadJobs.js)
+const JOB_ERROR_STATUS = {
+  JOB_NOT_FOUND: 404,
+  JOB_RUNNING: 409,
+  JOB_NOT_RUNNING: 409,
+  JOB_COMPLETE: 409
+};
+
+/**
+ * Answer a request that failed on an upload job
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from uploadJobs.js
+ * @returns {Object} Express response
+ */
+const sendJobError = (res, error) => {
+  const status = JOB_ERROR_STATUS[error.code];
+  if (!status) {
+    console.error('Upload job error:', error);
+  }
+  return res.status(status || 500).json({ error: error.message, code: error.code });
+};
+
+// Parse progress of uploads being processed, keyed by the upload id the client sends
+const parseProgress = new Map();
+
 // Serve static files from uploads directory
 app.use('/uploads', express.static('uploads'));
 
@@ -28,24 +115,80 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'DroneDeploy Annotation Uploader API is running' });
 });
 
+// Coordinate systems available for reprojection on import
+app.get('/api/crs', (req, res) => {
+  res.json({ success: true, data: listSupportedCRS() });
+});
+
+// JSON Schema of the annotations returned by /api/upload and accepted by /api/dronedeploy/upload
+app.get('/api/annotation-schema', (req, res) => {
+  res.json(ANNOTATION_SCHEMA);
+});
+
+// Progress of a file being parsed; polled by the client while /api/upload is pending
+app.get('/api/upload/:uploadId/progress', (req, res) => {
+  const progress = parseProgress.get(req.params.uploadId);
+  
+  if (!progress) {
+    return res.status(404).json({ error: 'No upload in progress with this id' });
+  }
+  
+  res.json({ success: true, data: progress });
+});
+
 // Upload and parse annotation files
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+app.post('/api/upload', uploadSingleFile, async (req, res) => {
+  let request;
+  try {
+    request = validateFileUploadRequest(req.file, req.body);
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    return sendValidationError(res, error);
   }
 
   const filePath = req.file.path;
   const originalName = req.file.originalname;
+  const uploadId = req.body.uploadId;
+  // Rows, features and placemarks skipped while parsing, returned so the user can fix the file
+  const diagnostics = createParseDiagnostics();
+  
+  if (uploadId) {
+    parseProgress.set(uploadId, { bytesRead: 0, totalBytes: req.file.size, annotationCount: 0 });
+  }
 
   try {
     console.log(`\n=== PARSING FILE ===`);
     console.log('File:', originalName);
     console.log('Path:', filePath);
     
+    // Multipart fields arrive as strings
+    const parseOptions = {
+      prefixFolderNames: req.body.prefixFolderNames === 'true',
+      splitTrackSegments: req.body.splitTrackSegments === 'true',
+      closeTracks: req.body.closeTracks === 'true',
+      titleField: req.body.titleField || undefined,
+      sourceCRS: req.body.sourceCRS || undefined,
+      holePolicy: request.holePolicy,
+      stylingRules: request.stylingRules,
+      columnMapping: request.columnMapping,
+      sheetName: req.body.sheetName || undefined,
+      onProgress: uploadId ? (progress) => parseProgress.set(uploadId, progress) : undefined,
+      diagnostics
+    };
+    
     // Use the new file parsers
-    const annotations = await parseFile(filePath, originalName);
+    const annotations = await parseFile(filePath, originalName, parseOptions);
     
-    console.log(`Successfully parsed ${annotations.length} annotations`);
+    console.log(`Successfully parsed ${annotations.length} annotations, skipped ${diagnostics.total} items`);
+    
+    // Snap to the DroneDeploy palette when requested; the raw colors are returned alongside.
+    // Colors assigned by styling rules are palette colors already and are left alone.
+    const forceStandardColors = req.body.forceStandardColors === 'true';
+    const standardizedAnnotations = annotations.map(annotation =>
+      standardizeAnnotationColors(annotation, forceStandardColors && annotation.metadata?.styleRule === undefined)
+    );
     
     // Clean up uploaded file
     fs.unlinkSync(filePath);
@@ -53,7 +196,13 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     res.json({
       success: true,
       message: `Successfully parsed ${annotations.length} annotations from ${originalName}`,
-      data: annotations
+      schemaVersion: ANNOTATION_SCHEMA_VERSION,
+      data: standardizedAnnotations,
+      diagnostics: diagnostics.items,
+      skippedCount: diagnostics.total,
+      originalAnnotations: annotations,
+      colorMapping: buildColorMappingTable(annotations),
+      forceStandardColors
     });
     
   } catch (error) {
@@ -64,32 +213,77 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
       fs.unlinkSync(filePath);
     }
     
+    // The columns could not be matched to annotation fields; send the headers
+    // and sample rows so the client can ask the user to map them
+    if (error.code === 'COLUMN_MAPPING_REQUIRED') {
+      return res.status(422).json({
+        error: 'Column mapping required',
+        details: error.message,
+        columnMapping: error.columnMapping
+      });
+    }
+    
+    // Several worksheets have data; the client asks which one to import
+    if (error.code === 'WORKSHEET_SELECTION_REQUIRED') {
+      return res.status(422).json({
+        error: 'Worksheet selection required',
+        details: error.message,
+        worksheets: error.worksheets
+      });
+    }
+    
     res.status(400).json({ 
       error: 'Failed to parse file', 
-      details: error.message 
+      details: error.message,
+      diagnostics: diagnostics.items,
+      skippedCount: diagnostics.total
     });
+  } finally {
+    parseProgress.delete(uploadId);
   }
 });
 
-// DroneDeploy upload endpoint - creates annotations using GraphQL API
-app.post('/api/dronedeploy/upload', async (req, res) => {
-  const { annotations, apiKey, planId } = req.body;
-
-  if (!apiKey) {
-    return res.status(400).json({ error: 'API key is required' });
+// Re-apply styling rules to already parsed annotations (rules edited in the preview)
+app.post('/api/styling-rules/apply', (req, res) => {
+  let request;
+  try {
+    request = validateStylingRulesRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
   }
+  
+  const result = applyStylingRules(request.annotations, request.rules);
+  res.json({
+    success: true,
+    data: result.annotations,
+    matchedCount: result.matchedCount,
+    unstyledCount: result.unstyledCount
+  });
+});
 
-  if (!annotations || !Array.isArray(annotations)) {
-    return res.status(400).json({ error: 'Annotations array is required' });
+// DroneDeploy upload endpoint - creates annotations using GraphQL API
+app.post('/api/dronedeploy/upload', async (req, res) => {
+  let request;
+  try {
+    request = validateUploadRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
   }
 
-  if (!planId) {
-    return res.status(400).json({ error: 'Plan ID is required' });
-  }
+  // Annotations are validated against the canonical model (annotationModel.js)
+  const {
+    annotations,
+    apiKey,
+    planId,
+    descriptionAttributes,
+    replaceAnnotationIds,
+    deleteAnnotationIds,
+    syncIdProperty
+  } = request;
 
   try {
     // Construct the proper MapPlan ID format for GraphQL
-    const mapPlanId = planId.startsWith('MapPlan:') ? planId : `MapPlan:${planId}`;
+    const mapPlanId = `MapPlan:${planId}`;
     
     console.log('\n=== RECEIVED REQUEST ===');
     console.log('Plan ID:', mapPlanId);
@@ -105,338 +299,66 @@ app.post('/api/dronedeploy/upload', async (req, res) => {
     const results = [];
     const errors = [];
 
-    // Process annotations in batches to avoid overwhelming the API
-    for (const annotation of annotations) {
+    // The client aborts the request to cancel; stop after the annotation being created
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = !res.writableEnded;
+    });
+
+    for (const [index, annotation] of annotations.entries()) {
+      if (clientGone) {
+        console.log(`Upload cancelled by the client after ${results.length} created:`, results.map(result => result.id));
+        return;
+      }
+
       try {
-        // Map annotation types to DroneDeploy's expected enum values
-        let annotationType = 'LOCATION'; // Default to LOCATION
-        
-        if (annotation.annotationType) {
-          switch (annotation.annotationType.toLowerCase()) {
-            case 'point':
-            case 'location':
-              annotationType = 'LOCATION';
-              break;
-            case 'polygon':
-            case 'area':
-              annotationType = 'AREA';
-              break;
-            case 'linestring':
-            case 'line':
-              annotationType = 'LINE';
-              break;
-            default:
-              annotationType = 'LOCATION';
-          }
-        } else if (annotation.geometry) {
-          // Infer type from geometry
-          switch (annotation.geometry.type?.toLowerCase()) {
-            case 'point':
-              annotationType = 'LOCATION';
-              break;
-            case 'polygon':
-              annotationType = 'AREA';
-              break;
-            case 'linestring':
-              annotationType = 'LINE';
-              break;
-            default:
-              annotationType = 'LOCATION';
-          }
-        }
-
-        console.log(`Processing annotation: ${annotation.title}, Type: ${annotationType}`);
-        console.log(`Raw geometry:`, JSON.stringify(annotation.geometry));
-        console.log(`Geometry type:`, annotation.geometry?.type);
-        console.log(`Geometry coordinates:`, JSON.stringify(annotation.geometry?.coordinates));
-
-        // Convert geometry to DroneDeploy's expected format
-        let droneDeployGeometry = null;
-        
-        if (annotation.geometry) {
-          const geometryType = annotation.geometry.type?.toLowerCase();
-          console.log(`Geometry type (normalized):`, geometryType);
-          
-          switch (geometryType) {
-            case 'point':
-              // For points, DroneDeploy expects array containing single LocationInput
-              if (annotation.geometry.coordinates && annotation.geometry.coordinates.length >= 2) {
-                const lat = parseFloat(annotation.geometry.coordinates[1]); // Latitude is second
-                const lng = parseFloat(annotation.geometry.coordinates[0]); // Longitude is first
-                
-                // Ensure we have valid numbers
-                if (isNaN(lat) || isNaN(lng)) {
-                  console.error(`Invalid coordinates: lat=${lat}, lng=${lng}`);
-                  break;
-                }
-                
-                droneDeployGeometry = [{ lat, lng }]; // Array with single object for LOCATION
-                console.log(`🔍 LOCATION Point converted to:`, droneDeployGeometry);
-                console.log(`🔍 LOCATION Point type check:`, typeof droneDeployGeometry, Array.isArray(droneDeployGeometry));
-              } else {
-                console.log(`Invalid point coordinates:`, annotation.geometry.coordinates);
-              }
-              break;
-            case 'polygon':
-              // For polygons, DroneDeploy expects array of LocationInput objects
-              if (annotation.geometry.coordinates && annotation.geometry.coordinates[0]) {
-                const outerRing = annotation.geometry.coordinates[0];
-                console.log(`Polygon outer ring:`, outerRing);
-                // Convert each coordinate to LocationInput format
-                droneDeployGeometry = outerRing.map(coord => {
-                  if (Array.isArray(coord) && coord.length >= 2) {
-                    return {
-                      lat: coord[1],
-                      lng: coord[0]
-                    };
-                  }
-                  return null;
-                }).filter(coord => coord !== null);
-                console.log(`Polygon converted to LocationInput array:`, droneDeployGeometry);
-              } else {
-                console.log(`Invalid polygon coordinates:`, annotation.geometry.coordinates);
-              }
-              break;
-            case 'linestring':
-              // For lines, DroneDeploy expects array of LocationInput objects
-              if (annotation.geometry.coordinates && Array.isArray(annotation.geometry.coordinates)) {
-                const coords = annotation.geometry.coordinates;
-                console.log(`Line coordinates:`, coords);
-                // Convert each coordinate to LocationInput format
-                droneDeployGeometry = coords.map(coord => {
-                  if (Array.isArray(coord) && coord.length >= 2) {
-                    return {
-                      lat: coord[1],
-                      lng: coord[0]
-                    };
-                  }
-                  return null;
-                }).filter(coord => coord !== null);
-                console.log(`Line converted to LocationInput array:`, droneDeployGeometry);
-              } else {
-                console.log(`Invalid line coordinates:`, annotation.geometry.coordinates);
-              }
-              break;
-            default:
-              console.log(`Unknown geometry type or fallback processing:`, geometryType, annotation.geometry);
-              // Fallback: if it's still an array, try to convert it
-              if (Array.isArray(annotation.geometry) && annotation.geometry.length >= 2) {
-                droneDeployGeometry = {
-                  lat: annotation.geometry[1],
-                  lng: annotation.geometry[0]
-                };
-                console.log(`Array converted to:`, droneDeployGeometry);
-              } else if (annotation.geometry.lat !== undefined && annotation.geometry.lng !== undefined) {
-                // Already in correct format
-                droneDeployGeometry = annotation.geometry;
-                console.log(`Already in correct format:`, droneDeployGeometry);
-              } else {
-                console.warn('Unknown geometry format:', annotation.geometry);
-                droneDeployGeometry = null;
-              }
-          }
-        } else {
-          console.log(`No geometry found for annotation:`, annotation.title);
-        }
-
-        console.log(`Final converted geometry:`, JSON.stringify(droneDeployGeometry));
-        
-        // Validate geometry was converted properly
-        if (!droneDeployGeometry) {
-          console.error(`❌ Failed to convert geometry for ${annotation.title}`);
-          errors.push({
-            annotation: annotation.title,
-            error: 'Failed to convert geometry to DroneDeploy format'
-          });
-          continue;
-        }
-        
-        // Additional validation for LOCATION type
-        if (annotationType === 'LOCATION') {
-          if (!Array.isArray(droneDeployGeometry) || 
-              droneDeployGeometry.length !== 1 ||
-              typeof droneDeployGeometry[0].lat !== 'number' || 
-              typeof droneDeployGeometry[0].lng !== 'number') {
-            console.error(`❌ Invalid LOCATION geometry format for ${annotation.title}:`, droneDeployGeometry);
-            errors.push({
-              annotation: annotation.title,
-              error: 'Invalid LOCATION geometry format - must be [{lat: number, lng: number}]'
-            });
-            continue;
-          }
-        }
-
-        // Additional validation - ensure we have valid geometry
-        if (!droneDeployGeometry) {
-          console.log(`Geometry validation failed: null geometry`);
-          errors.push({
-            annotation: annotation.title || 'Untitled',
-            error: 'Invalid or missing geometry data'
-          });
-          continue;
-        }
-        
-        // Validate geometry based on type
-        let geometryValid = false;
-        if (Array.isArray(droneDeployGeometry)) {
-          // For all types - array of LocationInput objects
-          geometryValid = droneDeployGeometry.length > 0 && 
-            droneDeployGeometry.every(coord => 
-              coord && typeof coord.lat === 'number' && typeof coord.lng === 'number'
-            );
-        }
-        
-        if (!geometryValid) {
-          console.log(`Geometry validation failed:`, droneDeployGeometry);
-          errors.push({
-            annotation: annotation.title || 'Untitled',
-            error: 'Invalid or missing geometry data'
-          });
-          continue;
-        }
-
-        // Build the GraphQL mutation for creating an annotation
-        const createAnnotationMutation = {
-          query: `
-            mutation CreateAnnotation($input: CreateAnnotationInput!) {
-              createAnnotation(input: $input) {
-                annotation {
-                  id
-                  title
-                  annotationType
-                }
-              }
-            }
-          `,
-          variables: {
-            input: {
-              planId: mapPlanId,
-              title: annotation.title || 'Untitled Annotation',
-              annotationType: annotationType,
-              geometry: droneDeployGeometry,
-              color: annotation.color || '#FF0000',
-              fillColor: annotation.fillColor || annotation.color || '#FF0000'
-            }
-          }
-        };
-
-        console.log('\n=== GRAPHQL MUTATION ===');
-        console.log('Query:', createAnnotationMutation.query);
-        console.log('\n=== VARIABLES ===');
-        console.log(JSON.stringify(createAnnotationMutation.variables, null, 2));
-        console.log('\n=== FULL REQUEST BODY ===');
-        console.log(JSON.stringify(createAnnotationMutation, null, 2));
-        console.log('========================\n');
-
-        console.log(`🚨 FINAL CHECK - Annotation: ${annotation.title}, Type: ${annotationType}`);
-        console.log(`🚨 FINAL GEOMETRY:`, JSON.stringify(droneDeployGeometry));
-        console.log(`🚨 FINAL IS ARRAY?:`, Array.isArray(droneDeployGeometry));
-
-        // Make request to DroneDeploy's GraphQL endpoint
-        const response = await fetch('https://www.dronedeploy.com/graphql', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify(createAnnotationMutation)
+        const description = buildAnnotationDescription(annotation, descriptionAttributes, syncIdProperty);
+        const input = toCreateAnnotationInput(annotation, mapPlanId, description);
+        console.log(`Creating ${annotation.annotationType} "${annotation.title}":`, JSON.stringify(input.geometry));
+
+        const replacedId = replaceAnnotationIds[index];
+        const created = replacedId
+          ? await replaceAnnotation(apiKey, input, replacedId)
+          : await createAnnotation(apiKey, input);
+        results.push({
+          id: created.id, // Real DroneDeploy annotation ID
+          annotation: annotation.title,
+          title: annotation.title,
+          annotationType: created.annotationType,
+          status: 'success',
+          message: 'Successfully uploaded',
+          ...(replacedId ? { replacedId: created.replacedId, replaceError: created.replaceError } : {})
         });
-        
-        const result = await response.json();
-        
-        console.log('\n=== API RESPONSE ===');
-        console.log('Status:', response.status);
-        console.log('Response:', JSON.stringify(result, null, 2));
-        console.log('==================\n');
-        
-        if (result.errors) {
-          console.error('GraphQL errors:', result.errors);
-          console.error('First error object:', JSON.stringify(result.errors[0], null, 2));
-          const errorMessage = result.errors[0]?.message || JSON.stringify(result.errors[0]) || 'Unknown GraphQL error';
-          errors.push({
-            annotation: annotation.title || 'Untitled',
-            error: errorMessage
-          });
-          continue;
-        }
-        
-        if (!result.data || !result.data.createAnnotation) {
-          errors.push({
-            annotation: annotation.title || 'Untitled',
-            error: 'Invalid response from DroneDeploy API'
-          });
-          continue;
-        }
-        
-        const createResult = result.data.createAnnotation;
-        
-        if (createResult && createResult.annotation) {
-          results.push({
-            id: createResult.annotation.id, // Real DroneDeploy annotation ID
-            annotation: annotation.title || 'Untitled',
-            title: annotation.title || 'Untitled',
-            annotationType: createResult.annotation.annotationType,
-            status: 'success',
-            message: 'Successfully uploaded'
-          });
-        } else {
-          errors.push({
-            annotation: annotation.title || 'Untitled',
-            error: 'No annotation returned from API'
-          });
-        }
-        
-        // Small delay between requests to be respectful to the API
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
       } catch (error) {
-        console.error('Error creating annotation:', error);
+        console.error('Error creating annotation:', error.message);
         errors.push({
-          annotation: annotation.title || 'Untitled',
+          annotation: annotation.title,
           error: error.message
         });
       }
     }
 
-    // Get project ID from map details
-    let projectId = null;
-    if (results.length > 0) {
+    // A sync removes the annotations that are no longer in the source
+    let deletedAnnotationIds = [];
+    if (deleteAnnotationIds.length > 0 && !clientGone) {
       try {
-        // Fetch map details to get project ID
-        const mapDetailsQuery = {
-          query: `{
-            mapPlan(id: "${mapPlanId}") {
-              project {
-                id
-              }
-            }
-          }`
-        };
-
-        const mapResponse = await fetch('https://www.dronedeploy.com/graphql', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify(mapDetailsQuery)
-        });
-        
-        const mapResult = await mapResponse.json();
-        if (mapResult.data && mapResult.data.mapPlan && mapResult.data.mapPlan.project) {
-          projectId = mapResult.data.mapPlan.project.id;
-        }
+        await deleteAnnotations(apiKey, mapPlanId, deleteAnnotationIds);
+        deletedAnnotationIds = deleteAnnotationIds;
       } catch (error) {
-        console.warn('Could not fetch project ID:', error.message);
-        projectId = null;
+        console.error('Error deleting annotations:', error.message);
+        errors.push({ annotation: `${deleteAnnotationIds.length} annotations to delete`, error: error.message });
       }
     }
 
+    // Project ID for links to the map
+    const projectId = results.length > 0 ? await fetchMapProjectId(apiKey, mapPlanId) : null;
+
     res.json({
       success: true,
       message: `Processed ${annotations.length} annotations: ${results.length} successful, ${errors.length} failed`,
       results: results,
       errors: errors,
+      deletedAnnotationIds,
       projectId: projectId,
       mapId: mapPlanId
     });
@@ -447,61 +369,133 @@ app.post('/api/dronedeploy/upload', async (req, res) => {
   }
 });
 
-// Get map details endpoint
-app.get('/api/dronedeploy/map/:mapId', async (req, res) => {
-  const { mapId } = req.params;
-  const { apiKey } = req.query;
+// Start a server-side upload job; the client follows it with GET /api/jobs/:jobId
+app.post('/api/jobs', (req, res) => {
+  let request;
+  try {
+    request = validateUploadRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const job = createJob(request);
+    console.log(`Job ${job.id}: uploading ${job.total} annotations to MapPlan:${job.planId}`);
+    res.status(201).json({ success: true, data: job });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Status and counts of an upload job
+app.get('/api/jobs/:jobId', (req, res) => {
+  let jobId;
+  try {
+    jobId = validateJobRequest(req.params.jobId);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    res.json({ success: true, data: summarizeJob(getJob(jobId)) });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Stop a running job after the annotations it is creating; the job then reports cancelled
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  let jobId;
+  try {
+    jobId = validateJobRequest(req.params.jobId);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    res.status(202).json({ success: true, data: cancelJob(jobId) });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Stream job progress as Server-Sent Events: a snapshot, then one event per annotation
+// created or failed and one per status change. The stream stays open until the client closes it.
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  let jobId;
+  try {
+    jobId = validateJobRequest(req.params.jobId);
+    getJob(jobId);
+  } catch (error) {
+    return error.code === 'VALIDATION_FAILED' ? sendValidationError(res, error) : sendJobError(res, error);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const unsubscribe = subscribeToJob(jobId, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SERVER_CONFIG.JOB_EVENTS_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Created and failed annotations of an upload job
+app.get('/api/jobs/:jobId/results', (req, res) => {
+  let jobId;
+  try {
+    jobId = validateJobRequest(req.params.jobId);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const job = getJob(jobId);
+    res.json({ success: true, data: { ...summarizeJob(job), ...getJobResults(job) } });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
 
-  if (!apiKey) {
-    return res.status(400).json({ error: 'API key is required' });
+// Resume a failed or interrupted job without re-creating annotations that succeeded
+app.post('/api/jobs/:jobId/resume', (req, res) => {
+  let request;
+  try {
+    request = validateResumeRequest(req.params.jobId, req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
   }
 
-  if (!mapId) {
-    return res.status(400).json({ error: 'Map ID is required' });
+  try {
+    res.status(202).json({ success: true, data: resumeJob(request.jobId, request.apiKey) });
+  } catch (error) {
+    sendJobError(res, error);
   }
+});
+
+// Get map details endpoint
+app.get('/api/dronedeploy/map/:mapId', async (req, res) => {
+  let request;
+  try {
+    request = validateMapRequest(req.params.mapId, req.query.apiKey);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  const { mapId, apiKey } = request;
 
   try {
     // Construct the proper MapPlan ID format for GraphQL
-    const mapPlanId = mapId.startsWith('MapPlan:') ? mapId : `MapPlan:${mapId}`;
-    
-    // GraphQL query to get map details
-    const graphqlQuery = {
-      query: `{
-        mapPlan(id: "${mapPlanId}") {
-          id
-          name
-          dateCreation
-          sortDate
-          project {
-            id
-          }
-        }
-      }`
-    };
+    const mapPlan = await fetchMapPlan(apiKey, `MapPlan:${mapId}`);
 
-    // Make request to DroneDeploy's GraphQL endpoint
-    const response = await fetch('https://www.dronedeploy.com/graphql', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(graphqlQuery)
-    });
-    
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('GraphQL errors:', result.errors);
-      throw new Error(result.errors[0].message);
-    }
-    
-    if (!result.data || !result.data.mapPlan) {
-      throw new Error('Map not found or access denied');
-    }
-    
-    // Process the response to determine the best date to use
-    const mapPlan = result.data.mapPlan;
+    // Determine the best date to use
     const captureDate = mapPlan.sortDate || mapPlan.dateCreation; // Use sortDate if available, otherwise dateCreation
     
     res.json({
@@ -519,66 +513,125 @@ app.get('/api/dronedeploy/map/:mapId', async (req, res) => {
   }
 });
 
-// Undo upload endpoint - delete annotations using GraphQL mutation
-app.post('/api/dronedeploy/undo-upload', async (req, res) => {
-  const { annotationIds, planId, apiKey } = req.body;
+// Download every annotation on a map as GeoJSON, KML or CSV, in the layout the importer reads
+app.get('/api/dronedeploy/map/:mapId/annotations', async (req, res) => {
+  let request;
+  try {
+    request = validateExportRequest(req.params.mapId, req.query);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  const { mapId, apiKey, format } = request;
 
-  if (!apiKey) {
-    return res.status(400).json({ error: 'API key is required' });
+  try {
+    const [mapPlan, existing] = await Promise.all([
+      fetchMapPlan(apiKey, `MapPlan:${mapId}`),
+      fetchMapAnnotations(apiKey, `MapPlan:${mapId}`)
+    ]);
+    const { annotations, skippedCount } = fromMapAnnotations(existing);
+    const name = mapPlan.name || mapId;
+    const fileName = `${name.replace(/[^\w.-]+/g, '_')}_annotations${EXPORT_FORMATS[format].extension}`;
+
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      // Annotations of types DroneDeploy has but this tool cannot import are left out
+      'X-Annotation-Count': String(annotations.length),
+      'X-Skipped-Annotation-Count': String(skippedCount),
+      'Access-Control-Expose-Headers': 'Content-Disposition, X-Annotation-Count, X-Skipped-Annotation-Count'
+    });
+    res.send(exportAnnotations(annotations, format, name));
+  } catch (error) {
+    console.error('Annotation export error:', error);
+    res.status(500).json({ error: 'Failed to read the annotations on the map', details: error.message });
   }
+});
 
-  if (!annotationIds || !Array.isArray(annotationIds) || annotationIds.length === 0) {
-    return res.status(400).json({ error: 'Annotation IDs array is required' });
+// Compare annotations with those already on the map: each is new, a duplicate or changed,
+// with the default action (create, skip or replace) the client offers for it
+app.post('/api/dronedeploy/dedupe', async (req, res) => {
+  let request;
+  try {
+    request = validateDedupeRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
   }
 
-  if (!planId) {
-    return res.status(400).json({ error: 'Plan ID is required' });
+  const { annotations, apiKey, planId, descriptionAttributes, tolerance } = request;
+
+  try {
+    const existing = await fetchMapAnnotations(apiKey, `MapPlan:${planId}`);
+    const matches = matchAnnotations(annotations, existing, { tolerance, descriptionAttributes });
+
+    res.json({
+      success: true,
+      data: matches,
+      counts: countMatches(matches),
+      existingCount: existing.length,
+      tolerance
+    });
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+    res.status(500).json({ error: 'Failed to read the annotations on the map', details: error.message });
   }
+});
 
+// Dry run of a sync: what to create, update (replace) and delete so the map mirrors the file.
+// Applying it is an upload job with replaceAnnotationIds, deleteAnnotationIds and syncIdProperty.
+app.post('/api/dronedeploy/sync/plan', async (req, res) => {
+  let request;
   try {
-    // Construct the proper MapPlan ID format for GraphQL
-    const mapPlanId = planId.startsWith('MapPlan:') ? planId : `MapPlan:${planId}`;
-    
-    // GraphQL mutation to delete annotations
-    const graphqlMutation = {
-      query: `
-        mutation UndoAnnotations {
-          deleteAnnotations(input: {
-            annotationIds: [${annotationIds.map(id => `"${id}"`).join(', ')}],
-            planId: "${mapPlanId}"
-          }) {
-            annotationIds
-          }
-        }
-      `
-    };
+    request = validateSyncRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
 
-    console.log('Executing undo mutation for', annotationIds.length, 'annotations on map', mapPlanId);
+  const { annotations, apiKey, planId, descriptionAttributes, idProperty, deleteMissing } = request;
 
-    // Make request to DroneDeploy's GraphQL endpoint
-    const response = await fetch('https://www.dronedeploy.com/graphql', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
+  try {
+    const existing = await fetchMapAnnotations(apiKey, `MapPlan:${planId}`);
+    const plan = planSync(annotations, existing, { idProperty, descriptionAttributes, deleteMissing });
+
+    res.json({
+      success: true,
+      data: plan,
+      counts: {
+        create: plan.creates.length,
+        update: plan.updates.length,
+        unchanged: plan.unchanged.length,
+        delete: plan.deletes.length,
+        skipped: plan.skipped.length
       },
-      body: JSON.stringify(graphqlMutation)
+      existingCount: existing.length,
+      idProperty,
+      deleteMissing
     });
+  } catch (error) {
+    console.error('Sync plan error:', error);
+    res.status(500).json({ error: 'Failed to read the annotations on the map', details: error.message });
+  }
+});
+
+// Undo upload endpoint - delete annotations using GraphQL mutation
+app.post('/api/dronedeploy/undo-upload', async (req, res) => {
+  let request;
+  try {
+    request = validateUndoRequest(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  const { annotationIds, planId, apiKey } = request;
+
+  try {
+    // Construct the proper MapPlan ID format for GraphQL
+    const mapPlanId = `MapPlan:${planId}`;
     
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.error('GraphQL errors during undo:', result.errors);
-      throw new Error(result.errors[0].message);
-    }
-    
-    if (!result.data || !result.data.deleteAnnotations) {
-      throw new Error('Invalid response from DroneDeploy API');
-    }
-    
-    const deleteResult = result.data.deleteAnnotations;
-    const deletedIds = deleteResult.annotationIds || [];
-    
+    console.log('Executing undo mutation for', annotationIds.length, 'annotations on map', mapPlanId);
+
+    const deletedIds = await deleteAnnotations(apiKey, mapPlanId, annotationIds);
+
     console.log('Successfully deleted', deletedIds.length, 'annotations');
     
     res.json({
@@ -595,20 +648,35 @@ app.post('/api/dronedeploy/undo-upload', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📡 API endpoints:`);
-  console.log(`   GET  /api/health - Health check`);
-  console.log(`   POST /api/upload - Upload CSV file`);
-  console.log(`   POST /api/dronedeploy/upload - Upload to DroneDeploy`);
-  console.log(`   GET  /api/dronedeploy/map/:mapId - Get map details`);
-  console.log(`   POST /api/dronedeploy/undo-upload - Undo annotation upload`);
-});
-
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Server shutting down...');
-  process.exit(0);
-});
-
+// Start server when run directly; tests require the app and listen on a free port
+if (require.main === module) {
+  startJobSweeper();
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log(`🔗 DroneDeploy API: ${DRONEDEPLOY_CONFIG.API_URL}`);
+    console.log(`📡 API endpoints:`);
+    console.log(`   GET  /api/health - Health check`);
+    console.log(`   GET  /api/crs - List supported coordinate systems`);
+    console.log(`   GET  /api/annotation-schema - Annotation JSON Schema`);
+    console.log(`   POST /api/upload - Upload CSV file`);
+    console.log(`   POST /api/styling-rules/apply - Apply styling rules`);
+    console.log(`   POST /api/dronedeploy/upload - Upload to DroneDeploy`);
+    console.log(`   POST /api/jobs - Start an upload job`);
+    console.log(`   GET  /api/jobs/:jobId - Upload job progress`);
+    console.log(`   POST /api/jobs/:jobId/cancel - Cancel an upload job`);
+    console.log(`   GET  /api/jobs/:jobId/events - Upload job progress stream (SSE)`);
+    console.log(`   GET  /api/dronedeploy/map/:mapId - Get map details`);
+    console.log(`   GET  /api/dronedeploy/map/:mapId/annotations - Export the annotations on a map`);
+    console.log(`   POST /api/dronedeploy/dedupe - Compare with annotations on the map`);
+    console.log(`   POST /api/dronedeploy/sync/plan - Plan a sync of a file to the map`);
+    console.log(`   POST /api/dronedeploy/undo-upload - Undo annotation upload`);
+  });
+
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('Server shutting down...');
+    process.exit(0);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,341 @@
+/**
+ * Mock DroneDeploy GraphQL API
+ * A local stand-in for the DroneDeploy GraphQL endpoint, for development, demos and tests
+ * without an API key or a real map:
+ *
+ *   npm run mock-api
+ *   DRONEDEPLOY_API_URL=http://localhost:3002/graphql npm run server
+ *
+ * It answers the operations this app sends (createAnnotation, deleteAnnotations and
+ * mapPlan, including the map's annotations) from an in-memory store, written to
+ * MOCK_STORE_FILE after every change when that is set. Queries are matched by the fields
+ * they contain rather than parsed as full GraphQL, and the whole object is returned
+ * whatever fields were selected.
+ *
+ * Failures can be injected at random (MOCK_*_RATE) or one by one through POST /__mock/failures:
+ *
+ *   auth         401 with a GraphQL error
+ *   rateLimit    429 with Retry-After
+ *   serverError  502
+ *   malformed    200 with a body that is not JSON
+ *
+ * GET /__mock/state shows the store and the requests received; POST /__mock/reset empties it.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FAILURE_TYPES = ['auth', 'rateLimit', 'serverError', 'malformed'];
+
+// Map plan every store starts with; the ID passes validatePlanId
+const DEFAULT_PLAN = {
+  id: 'MapPlan:5f1e2d3c4b5a69788796a5b4',
+  name: 'Mock Map',
+  dateCreation: '2024-01-15T10:00:00.000Z',
+  sortDate: '2024-01-15T09:30:00.000Z',
+  project: { id: 'Project:5f1e2d3c4b5a69788796a5b5' }
+};
+
+const ANNOTATION_TYPES = ['LOCATION', 'LINE', 'AREA'];
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Used when the variable is unset or not a number
+ * @returns {number} Value
+ */
+function envNumber(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Options from the environment, for npm run mock-api
+ * @returns {Object} Options for createMockDroneDeploy
+ */
+function getOptionsFromEnv() {
+  return {
+    storeFile: process.env.MOCK_STORE_FILE || null,
+    apiKey: process.env.MOCK_API_KEY || null,
+    latency: envNumber('MOCK_LATENCY', 0),
+    retryAfter: envNumber('MOCK_RETRY_AFTER', 1),
+    failureRates: {
+      auth: envNumber('MOCK_AUTH_ERROR_RATE', 0),
+      rateLimit: envNumber('MOCK_RATE_LIMIT_RATE', 0),
+      serverError: envNumber('MOCK_SERVER_ERROR_RATE', 0),
+      malformed: envNumber('MOCK_MALFORMED_RATE', 0)
+    }
+  };
+}
+
+/**
+ * Create the annotation store
+ * @param {Array<Object>} plans - Map plans to start with
+ * @param {string|null} storeFile - JSON file to load from and save to
+ * @returns {Object} { plans, annotations, save, reset }
+ */
+function createStore(plans, storeFile) {
+  const store = {
+    plans: [],
+    annotations: [],
+    save() {
+      if (storeFile) {
+        fs.writeFileSync(storeFile, JSON.stringify({ plans: store.plans, annotations: store.annotations }, null, 2));
+      }
+    },
+    reset() {
+      store.plans = plans.map(plan => ({ ...plan }));
+      store.annotations = [];
+      store.save();
+    }
+  };
+
+  if (storeFile && fs.existsSync(storeFile)) {
+    const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    store.plans = saved.plans || [];
+    store.annotations = saved.annotations || [];
+  } else {
+    store.reset();
+  }
+
+  return store;
+}
+
+/**
+ * Read a string or variable argument of a field, e.g. id: "MapPlan:1" or id: $id
+ * @param {string} query - GraphQL document
+ * @param {string} field - Field name
+ * @param {string} argument - Argument name
+ * @param {Object} variables - Request variables
+ * @returns {*} Argument value, or undefined
+ */
+function getArgument(query, field, argument, variables) {
+  const args = new RegExp(`\\b${field}\\s*\\(([^)]*)\\)`).exec(query);
+  if (!args) return undefined;
+
+  const match = new RegExp(`\\b${argument}\\s*:\\s*(?:"((?:[^"\\\\]|\\\\.)*)"|\\$(\\w+)|(-?\\d+))`).exec(args[1]);
+  if (!match) return undefined;
+  if (match[1] !== undefined) return match[1];
+  if (match[2] !== undefined) return variables[match[2]];
+  return Number(match[3]);
+}
+
+/**
+ * Read the input of deleteAnnotations, inline or from a variable
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Request variables
+ * @returns {Object} { annotationIds, planId }
+ */
+function getDeleteInput(query, variables) {
+  const variableInput = getArgument(query, 'deleteAnnotations', 'input', variables);
+  if (variableInput && typeof variableInput === 'object') {
+    return variableInput;
+  }
+
+  const ids = /annotationIds\s*:\s*\[([^\]]*)\]/.exec(query);
+  const planId = /planId\s*:\s*"([^"]*)"/.exec(query);
+  return {
+    annotationIds: ids ? [...ids[1].matchAll(/"([^"]*)"/g)].map(match => match[1]) : [],
+    planId: planId ? planId[1] : undefined
+  };
+}
+
+/**
+ * Check a CreateAnnotationInput the way DroneDeploy would
+ * @param {Object} input - CreateAnnotationInput
+ * @param {Object} store - Store
+ * @returns {string|null} Error message, or null when the input is valid
+ */
+function validateCreateInput(input, store) {
+  if (!input || typeof input !== 'object') return 'Variable "$input" of required type "CreateAnnotationInput!" was not provided.';
+  if (!store.plans.some(plan => plan.id === input.planId)) return `Map plan not found: ${input.planId}`;
+  if (typeof input.title !== 'string' || !input.title) return 'title is required';
+  if (!ANNOTATION_TYPES.includes(input.annotationType)) return `Invalid annotationType: ${input.annotationType}`;
+  if (!Array.isArray(input.geometry) || input.geometry.length === 0
+    || !input.geometry.every(point => Number.isFinite(point?.lat) && Number.isFinite(point?.lng))) {
+    return 'geometry must be a list of { lat, lng }';
+  }
+  if (input.annotationType === 'LOCATION' && input.geometry.length !== 1) return 'A LOCATION takes exactly one point';
+  return null;
+}
+
+/**
+ * Answer a GraphQL request from the store
+ * @param {Object} store - Store
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Request variables
+ * @returns {Object} { operation, body }
+ */
+function resolve(store, query, variables) {
+  if (/\bcreateAnnotation\s*\(/.test(query)) {
+    const input = getArgument(query, 'createAnnotation', 'input', variables);
+    const error = validateCreateInput(input, store);
+    if (error) {
+      return { operation: 'createAnnotation', body: { data: { createAnnotation: null }, errors: [{ message: error }] } };
+    }
+
+    const annotation = {
+      id: `Annotation:${crypto.randomBytes(12).toString('hex')}`,
+      planId: input.planId,
+      title: input.title,
+      annotationType: input.annotationType,
+      color: input.color || null,
+      fillColor: input.fillColor || null,
+      description: input.description || null,
+      geometry: input.geometry.map(({ lat, lng }) => ({ lat, lng })),
+      dateCreation: new Date().toISOString()
+    };
+    store.annotations.push(annotation);
+    store.save();
+    return { operation: 'createAnnotation', body: { data: { createAnnotation: { annotation } } } };
+  }
+
+  if (/\bdeleteAnnotations\s*\(/.test(query)) {
+    const { annotationIds = [], planId } = getDeleteInput(query, variables);
+    const deleted = store.annotations
+      .filter(annotation => annotation.planId === planId && annotationIds.includes(annotation.id))
+      .map(annotation => annotation.id);
+    store.annotations = store.annotations.filter(annotation => !deleted.includes(annotation.id));
+    store.save();
+    return { operation: 'deleteAnnotations', body: { data: { deleteAnnotations: { annotationIds: deleted } } } };
+  }
+
+  if (/\bmapPlan\s*\(/.test(query)) {
+    const id = getArgument(query, 'mapPlan', 'id', variables);
+    const plan = store.plans.find(candidate => candidate.id === id);
+    if (!plan) {
+      return { operation: 'mapPlan', body: { data: { mapPlan: null } } };
+    }
+
+    const mapPlan = { ...plan };
+    if (/\bannotations\b/.test(query)) {
+      // Relay-style connection, paged with first and after (the last annotation ID seen)
+      const planAnnotations = store.annotations.filter(annotation => annotation.planId === plan.id);
+      const after = getArgument(query, 'annotations', 'after', variables);
+      const first = getArgument(query, 'annotations', 'first', variables) || planAnnotations.length;
+      const start = after ? planAnnotations.findIndex(annotation => annotation.id === after) + 1 : 0;
+      const page = planAnnotations.slice(start, start + first);
+      mapPlan.annotations = {
+        edges: page.map(node => ({ node, cursor: node.id })),
+        pageInfo: {
+          hasNextPage: start + page.length < planAnnotations.length,
+          endCursor: page.length > 0 ? page[page.length - 1].id : null
+        }
+      };
+    }
+    return { operation: 'mapPlan', body: { data: { mapPlan } } };
+  }
+
+  return { operation: 'unknown', body: { errors: [{ message: 'The mock DroneDeploy API does not support this operation' }] } };
+}
+
+/**
+ * Create the mock DroneDeploy API
+ * @param {Object} options - { storeFile, apiKey, plans, latency, retryAfter, failureRates }
+ * @returns {Object} Express app; POST /graphql plus the /__mock control routes
+ */
+function createMockDroneDeploy(options = {}) {
+  const settings = {
+    apiKey: options.apiKey || null,
+    latency: options.latency || 0,
+    retryAfter: options.retryAfter ?? 1,
+    failureRates: { auth: 0, rateLimit: 0, serverError: 0, malformed: 0, ...options.failureRates },
+    // Failures to inject into the next requests, in order
+    nextFailures: []
+  };
+  const store = createStore(options.plans || [DEFAULT_PLAN], options.storeFile || null);
+  const requests = [];
+
+  const pickFailure = () => {
+    if (settings.nextFailures.length > 0) {
+      return settings.nextFailures.shift();
+    }
+    return FAILURE_TYPES.find(type => Math.random() < settings.failureRates[type]) || null;
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/graphql', async (req, res) => {
+    const { query = '', variables = {} } = req.body || {};
+    if (settings.latency > 0) {
+      await new Promise(resolveLatency => setTimeout(resolveLatency, settings.latency));
+    }
+
+    const token = /^Bearer\s+(\S+)$/.exec(req.get('Authorization') || '')?.[1];
+    const failure = pickFailure() || (!token || (settings.apiKey && token !== settings.apiKey) ? 'auth' : null);
+    const log = { at: new Date().toISOString(), failure };
+    requests.push(log);
+
+    switch (failure) {
+      case 'auth':
+        log.status = 401;
+        return res.status(401).json({ errors: [{ message: 'Not authorized. Check your API key.' }] });
+      case 'rateLimit':
+        log.status = 429;
+        return res.status(429).set('Retry-After', String(settings.retryAfter)).json({ errors: [{ message: 'Too many requests' }] });
+      case 'serverError':
+        log.status = 502;
+        return res.status(502).type('text/html').send('<html><body>502 Bad Gateway</body></html>');
+      case 'malformed':
+        log.status = 200;
+        return res.status(200).type('application/json').send('{"data": {"createAnnot');
+      default: {
+        const { operation, body } = resolve(store, query, variables);
+        log.operation = operation;
+        log.status = 200;
+        return res.json(body);
+      }
+    }
+  });
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      plans: store.plans,
+      annotations: store.annotations,
+      requests,
+      settings
+    });
+  });
+
+  // Body: { latency, retryAfter, failureRates: { auth, ... }, next: ['rateLimit', ...] }
+  app.post('/__mock/failures', (req, res) => {
+    const { latency, retryAfter, failureRates, next } = req.body || {};
+    const unknown = [...Object.keys(failureRates || {}), ...(next || [])].filter(type => !FAILURE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown failure types: ${unknown.join(', ')}`, supported: FAILURE_TYPES });
+    }
+
+    if (latency !== undefined) settings.latency = Number(latency) || 0;
+    if (retryAfter !== undefined) settings.retryAfter = Number(retryAfter) || 0;
+    Object.assign(settings.failureRates, failureRates);
+    settings.nextFailures.push(...(next || []));
+    res.json({ success: true, settings });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    store.reset();
+    requests.length = 0;
+    settings.nextFailures = [];
+    res.json({ success: true });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_PORT || 3002;
+  const options = getOptionsFromEnv();
+  createMockDroneDeploy(options).listen(port, () => {
+    console.log(`🧪 Mock DroneDeploy API on http://localhost:${port}/graphql`);
+    console.log(`   Map plan: ${DEFAULT_PLAN.id.replace('MapPlan:', '')}${options.storeFile ? ` • store: ${options.storeFile}` : ' • in-memory store'}`);
+    console.log(`   Point the server at it with DRONEDEPLOY_API_URL=http://localhost:${port}/graphql`);
+  });
+}
+
+module.exports = {
+  createMockDroneDeploy,
+  DEFAULT_PLAN,
+  FAILURE_TYPES
+};
@@ -0,0 +1,235 @@
+/**
+ * Annotation Export
+ * Writes the annotations on a map as GeoJSON, KML or CSV in the layouts the parsers read,
+ * so an exported file can be edited elsewhere and imported again. A sync tag is taken off
+ * each description and written back as the ID property it came from, so the file can
+ * also be synced straight back to the map.
+ */
+
+const { ANNOTATION_TYPES, FILE_FORMATS, DEFAULT_KML_COLOR } = require('../config/constants');
+const { toCanonicalAnnotation, fromLocationInputs } = require('./annotationModel');
+const { readSyncTag, removeSyncTag } = require('./descriptionUtils');
+const { hexToKMLColor } = require('./colorUtils');
+
+// Columns written for annotation fields, in the order of templates/template.csv
+const CSV_COLUMNS = ['annotationType', 'title', 'lat', 'lng', 'color', 'fillColor', 'geometry', 'description'];
+
+// Headers the CSV parser reads as annotation fields; properties with these names are not written
+const CSV_RESERVED_COLUMNS = new Set([
+  ...FILE_FORMATS.CSV.requiredFields,
+  ...Object.values(FILE_FORMATS.CSV.conditionalFields).flat(),
+  ...FILE_FORMATS.CSV.optionalFields,
+  ...FILE_FORMATS.CSV.aliasFields
+]);
+
+// Opacity of area fills in KML, so the map below shows through in Google Earth and QGIS
+const KML_FILL_ALPHA = '80';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// A color that is not hex (e.g. from an older annotation) is written as the parser's default
+const toKMLColor = (hex, alpha) => hexToKMLColor(hex, alpha) || hexToKMLColor(DEFAULT_KML_COLOR, alpha);
+
+const escapeXML = (value) => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+const escapeCSVValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert the annotations read from a map to canonical annotations
+ * @param {Array<Object>} existing - Annotations on the map (droneDeployApi.fetchMapAnnotations)
+ * @returns {Object} { annotations, skippedCount }; skipped annotations are of a type
+ *   this tool cannot import, or have too few points
+ */
+function fromMapAnnotations(existing) {
+  const annotations = [];
+  let skippedCount = 0;
+
+  existing.forEach(annotation => {
+    const type = ANNOTATION_TYPES[annotation.annotationType];
+    const points = annotation.geometry || [];
+    if (!type || points.length < type.minPoints) {
+      skippedCount++;
+      return;
+    }
+
+    const tag = readSyncTag(annotation.description);
+    annotations.push(toCanonicalAnnotation({
+      annotationType: annotation.annotationType,
+      title: annotation.title,
+      color: annotation.color,
+      fillColor: annotation.fillColor,
+      geometry: fromLocationInputs(points, annotation.annotationType),
+      description: removeSyncTag(annotation.description),
+      properties: tag ? { [tag.idProperty]: tag.id } : {}
+    }));
+  });
+
+  return { annotations, skippedCount };
+}
+
+/**
+ * Write annotations as a GeoJSON FeatureCollection
+ * @param {Array<Object>} annotations - Canonical annotations
+ * @returns {string} GeoJSON text
+ */
+function toGeoJSON(annotations) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: annotations.map(annotation => ({
+      type: 'Feature',
+      properties: {
+        ...annotation.properties,
+        title: annotation.title,
+        color: annotation.color,
+        fillColor: annotation.fillColor,
+        ...(annotation.description ? { description: annotation.description } : {})
+      },
+      geometry: annotation.geometry
+    }))
+  }, null, 2);
+}
+
+/**
+ * Format GeoJSON positions as a KML coordinates string
+ * @param {Array} positions - [lng, lat] positions
+ * @returns {string} "lng,lat,0" tuples separated by spaces
+ */
+function formatKMLCoordinates(positions) {
+  return positions.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+}
+
+/**
+ * KML geometry element of an annotation
+ * @param {Object} geometry - GeoJSON Point, LineString or Polygon
+ * @returns {string} Point, LineString or Polygon element
+ */
+function toKMLGeometry(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${formatKMLCoordinates([geometry.coordinates])}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><tessellate>1</tessellate><coordinates>${formatKMLCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${formatKMLCoordinates(geometry.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+    default:
+      throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * Write annotations as a KML document
+ * Each color pair gets one shared style: IconStyle and LineStyle carry the color and
+ * PolyStyle the fill, which is how the KML parser reads them back.
+ * @param {Array<Object>} annotations - Canonical annotations
+ * @param {string} name - Document name
+ * @returns {string} KML text
+ */
+function toKML(annotations, name) {
+  const styleIds = new Map();
+  const styles = [];
+  const placemarks = annotations.map(annotation => {
+    const key = `${annotation.color}|${annotation.fillColor}`.toLowerCase();
+    if (!styleIds.has(key)) {
+      const id = `style-${styleIds.size + 1}`;
+      const color = toKMLColor(annotation.color);
+      styleIds.set(key, id);
+      styles.push([
+        `    <Style id="${id}">`,
+        `      <IconStyle><color>${color}</color></IconStyle>`,
+        `      <LineStyle><color>${color}</color><width>2</width></LineStyle>`,
+        `      <PolyStyle><color>${toKMLColor(annotation.fillColor, KML_FILL_ALPHA)}</color></PolyStyle>`,
+        '    </Style>'
+      ].join('\n'));
+    }
+
+    const properties = Object.entries(annotation.properties || {});
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXML(annotation.title)}</name>`,
+      ...(annotation.description ? [`      <description>${escapeXML(annotation.description)}</description>`] : []),
+      `      <styleUrl>#${styleIds.get(key)}</styleUrl>`,
+      ...(properties.length > 0 ? [
+        '      <ExtendedData>',
+        ...properties.map(([property, value]) => `        <Data name="${escapeXML(property)}"><value>${escapeXML(value)}</value></Data>`),
+        '      </ExtendedData>'
+      ] : []),
+      `      ${toKMLGeometry(annotation.geometry)}`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write annotations as CSV in the layout of templates/template.csv
+ * LOCATION annotations use lat/lng; LINE and AREA annotations a JSON array of [lng, lat]
+ * positions in the geometry column. Properties follow as extra columns.
+ * @param {Array<Object>} annotations - Canonical annotations
+ * @returns {string} CSV text
+ */
+function toCSV(annotations) {
+  const propertyColumns = Array.from(new Set(
+    annotations.flatMap(annotation => Object.keys(annotation.properties || {}))
+  )).filter(key => !CSV_RESERVED_COLUMNS.has(key));
+
+  const rows = annotations.map(annotation => {
+    const { geometry } = annotation;
+    const isPoint = geometry.type === 'Point';
+    const row = {
+      annotationType: annotation.annotationType,
+      title: annotation.title,
+      lat: isPoint ? geometry.coordinates[1] : '',
+      lng: isPoint ? geometry.coordinates[0] : '',
+      color: annotation.color,
+      fillColor: annotation.fillColor,
+      geometry: isPoint ? '' : JSON.stringify(geometry.type === 'Polygon' ? geometry.coordinates[0] : geometry.coordinates),
+      description: annotation.description || ''
+    };
+    return [
+      ...CSV_COLUMNS.map(column => row[column]),
+      ...propertyColumns.map(column => annotation.properties?.[column])
+    ].map(escapeCSVValue).join(',');
+  });
+
+  return [[...CSV_COLUMNS, ...propertyColumns].map(escapeCSVValue).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Write annotations in an export format
+ * @param {Array<Object>} annotations - Canonical annotations
+ * @param {string} format - geojson, kml or csv (see EXPORT_FORMATS)
+ * @param {string} name - Name of the map, used as the KML document name
+ * @returns {string} File content
+ */
+function exportAnnotations(annotations, format, name) {
+  switch (format) {
+    case 'geojson':
+      return toGeoJSON(annotations);
+    case 'kml':
+      return toKML(annotations, name);
+    case 'csv':
+      return toCSV(annotations);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  fromMapAnnotations,
+  exportAnnotations
+};
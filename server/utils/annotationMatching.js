@@ -0,0 +1,148 @@
+/**
+ * Annotation Matching
+ * Compares annotations about to be uploaded with the annotations already on the map,
+ * so re-running an upload does not create everything a second time. An annotation
+ * matches an existing one with the same type and title whose points are all within
+ * the tolerance; each existing annotation matches at most one incoming annotation.
+ */
+
+const { ANNOTATION_MATCH_STATUS, DEFAULT_MATCH_ACTIONS } = require('../config/constants');
+const { toLocationInputs } = require('./annotationModel');
+const { buildAnnotationDescription } = require('./descriptionUtils');
+
+const EARTH_RADIUS = 6371008.8; // Mean radius in meters
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Meters
+ */
+function distanceBetween(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Drop the closing point of an area ring, which DroneDeploy may or may not keep
+ * @param {Array<Object>} points - { lat, lng } points
+ * @returns {Array<Object>} Open ring
+ */
+function openRing(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  return points.length > 1 && first.lat === last.lat && first.lng === last.lng ? points.slice(0, -1) : points;
+}
+
+/**
+ * Largest distance between corresponding points of two geometries
+ * @param {Array<Object>} a - { lat, lng } points
+ * @param {Array<Object>} b - { lat, lng } points
+ * @param {string} annotationType - LOCATION, LINE or AREA
+ * @returns {number|null} Meters, or null when the geometries have different point counts
+ */
+function geometryDistance(a, b, annotationType) {
+  const left = annotationType === 'AREA' ? openRing(a) : a;
+  const right = annotationType === 'AREA' ? openRing(b) : b;
+  if (left.length !== right.length) {
+    return null;
+  }
+  return left.reduce((max, point, index) => Math.max(max, distanceBetween(point, right[index])), 0);
+}
+
+const normalizeColor = (color) => (color || '').replace(/^#/, '').toLowerCase();
+
+/**
+ * Fields that differ between an annotation and the existing annotation it matched
+ * @param {Object} annotation - Canonical annotation
+ * @param {string} description - Description that would be uploaded
+ * @param {Object} existing - Existing annotation
+ * @returns {Array<string>} Changed fields: color, fillColor and/or description
+ */
+function findChanges(annotation, description, existing) {
+  const changes = [];
+  if (normalizeColor(annotation.color) !== normalizeColor(existing.color)) changes.push('color');
+  if (normalizeColor(annotation.fillColor) !== normalizeColor(existing.fillColor)) changes.push('fillColor');
+  if (description.trim() !== (existing.description || '').trim()) changes.push('description');
+  return changes;
+}
+
+/**
+ * Match annotations against the annotations already on a map
+ * @param {Array<Object>} annotations - Validated canonical annotations
+ * @param {Array<Object>} existing - Annotations on the map (droneDeployApi.fetchMapAnnotations)
+ * @param {Object} options - { tolerance (meters), descriptionAttributes }
+ * @returns {Array<Object>} For each annotation, in order:
+ *   { index, status, action, existing, distance, changes }
+ */
+function matchAnnotations(annotations, existing, { tolerance, descriptionAttributes = [] }) {
+  // Existing annotations by type and title, until claimed by a match
+  const candidates = new Map();
+  existing.forEach(annotation => {
+    const key = `${annotation.annotationType}\u0000${(annotation.title || '').trim()}`;
+    candidates.set(key, [...(candidates.get(key) || []), annotation]);
+  });
+
+  return annotations.map((annotation, index) => {
+    const key = `${annotation.annotationType}\u0000${annotation.title.trim()}`;
+    const points = toLocationInputs(annotation.geometry);
+
+    let best = null;
+    (candidates.get(key) || []).forEach(candidate => {
+      const distance = geometryDistance(points, candidate.geometry || [], annotation.annotationType);
+      if (distance !== null && distance <= tolerance && (!best || distance < best.distance)) {
+        best = { candidate, distance };
+      }
+    });
+
+    if (!best) {
+      return {
+        index,
+        status: ANNOTATION_MATCH_STATUS.NEW,
+        action: DEFAULT_MATCH_ACTIONS[ANNOTATION_MATCH_STATUS.NEW],
+        existing: null,
+        distance: null,
+        changes: []
+      };
+    }
+
+    candidates.set(key, candidates.get(key).filter(candidate => candidate !== best.candidate));
+    const changes = findChanges(annotation, buildAnnotationDescription(annotation, descriptionAttributes), best.candidate);
+    const status = changes.length > 0 ? ANNOTATION_MATCH_STATUS.CHANGED : ANNOTATION_MATCH_STATUS.DUPLICATE;
+    const { id, title, color, fillColor, description } = best.candidate;
+
+    return {
+      index,
+      status,
+      action: DEFAULT_MATCH_ACTIONS[status],
+      existing: { id, title, color, fillColor, description: description || '' },
+      distance: Math.round(best.distance * 100) / 100,
+      changes
+    };
+  });
+}
+
+/**
+ * Count match results by status
+ * @param {Array<Object>} matches - Results of matchAnnotations
+ * @returns {Object} { new, duplicate, changed }
+ */
+function countMatches(matches) {
+  const counts = Object.fromEntries(Object.values(ANNOTATION_MATCH_STATUS).map(status => [status, 0]));
+  matches.forEach(match => {
+    counts[match.status]++;
+  });
+  return counts;
+}
+
+module.exports = {
+  distanceBetween,
+  geometryDistance,
+  findChanges,
+  matchAnnotations,
+  countMatches
+};
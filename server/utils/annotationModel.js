@@ -0,0 +1,180 @@
+/**
+ * Annotation Model
+ * The one shape annotations take from the parsers, through the client, to DroneDeploy.
+ * Parser output is converted on the way in (toCanonicalAnnotation) and DroneDeploy
+ * input is built on the way out (toCreateAnnotationInput); nothing in between
+ * converts geometry. Exports read DroneDeploy geometry back with fromLocationInputs.
+ */
+
+const { ANNOTATION_SCHEMA_VERSION, ANNOTATION_TYPES } = require('../config/constants');
+
+const POSITION_SCHEMA = {
+  type: 'array',
+  description: '[longitude, latitude] in WGS 84',
+  minItems: 2,
+  items: { type: 'number' }
+};
+
+const COLOR_SCHEMA = { type: 'string', pattern: '^#?[0-9A-Fa-f]{6}$' };
+
+// JSON Schema of a canonical annotation, served by GET /api/annotation-schema.
+// validators.js enforces it on requests; bump ANNOTATION_SCHEMA_VERSION when it changes.
+const ANNOTATION_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:dronedeploy-annotation-uploader:annotation:${ANNOTATION_SCHEMA_VERSION}`,
+  title: 'Annotation',
+  type: 'object',
+  required: ['schemaVersion', 'annotationType', 'title', 'color', 'fillColor', 'geometry'],
+  properties: {
+    schemaVersion: { const: ANNOTATION_SCHEMA_VERSION },
+    annotationType: { enum: Object.keys(ANNOTATION_TYPES) },
+    title: { type: 'string', minLength: 1 },
+    color: COLOR_SCHEMA,
+    fillColor: COLOR_SCHEMA,
+    geometry: {
+      description: 'GeoJSON geometry: a Point for LOCATION, a LineString for LINE and a Polygon for AREA',
+      type: 'object',
+      required: ['type', 'coordinates'],
+      properties: {
+        type: { enum: Object.values(ANNOTATION_TYPES).map(type => type.geometryType) }
+      }
+    },
+    description: { type: 'string' },
+    properties: {
+      description: 'Source attributes, selectable for the DroneDeploy description',
+      type: 'object'
+    },
+    metadata: {
+      description: 'Import details such as folder paths, timestamps and styling rule matches; not uploaded',
+      type: 'object'
+    }
+  },
+  additionalProperties: false,
+  allOf: Object.values(ANNOTATION_TYPES).map(type => ({
+    if: { properties: { annotationType: { const: type.name } } },
+    then: {
+      properties: {
+        geometry: {
+          properties: {
+            type: { const: type.geometryType },
+            coordinates: type.geometryType === 'Point'
+              ? POSITION_SCHEMA
+              : type.geometryType === 'LineString'
+                ? { type: 'array', minItems: type.minPoints, items: POSITION_SCHEMA }
+                : { type: 'array', minItems: 1, items: { type: 'array', items: POSITION_SCHEMA } }
+          }
+        }
+      }
+    }
+  }))
+};
+
+/**
+ * Convert a parsed annotation to the canonical model
+ * Keeps only schema fields, fills fillColor from color and stamps the schema version
+ * @param {Object} annotation - Annotation produced by a parser
+ * @returns {Object} Canonical annotation
+ */
+function toCanonicalAnnotation(annotation) {
+  const canonical = {
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    annotationType: annotation.annotationType,
+    title: annotation.title,
+    color: annotation.color,
+    fillColor: annotation.fillColor || annotation.color,
+    geometry: annotation.geometry
+  };
+
+  if (annotation.description) {
+    canonical.description = annotation.description;
+  }
+  if (annotation.properties && Object.keys(annotation.properties).length > 0) {
+    canonical.properties = annotation.properties;
+  }
+  if (annotation.metadata && Object.keys(annotation.metadata).length > 0) {
+    canonical.metadata = annotation.metadata;
+  }
+
+  return canonical;
+}
+
+/**
+ * Convert a GeoJSON position to a DroneDeploy LocationInput
+ * @param {Array} position - [lng, lat]
+ * @returns {Object} { lat, lng }
+ */
+function toLocationInput([lng, lat]) {
+  return { lat, lng };
+}
+
+/**
+ * Convert canonical geometry to the LocationInput array DroneDeploy expects
+ * LOCATION takes a single point; AREA takes the outer ring only, since DroneDeploy
+ * areas have no holes (holes are resolved at parse time by the hole policy)
+ * @param {Object} geometry - GeoJSON Point, LineString or Polygon
+ * @returns {Array<Object>} LocationInput array
+ */
+function toLocationInputs(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return [toLocationInput(geometry.coordinates)];
+    case 'LineString':
+      return geometry.coordinates.map(toLocationInput);
+    case 'Polygon':
+      return geometry.coordinates[0].map(toLocationInput);
+    default:
+      throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * Convert DroneDeploy LocationInputs back to canonical geometry
+ * Area rings are closed, whether or not DroneDeploy kept the closing point
+ * @param {Array<Object>} locations - { lat, lng } points
+ * @param {string} annotationType - LOCATION, LINE or AREA
+ * @returns {Object} GeoJSON Point, LineString or Polygon
+ */
+function fromLocationInputs(locations, annotationType) {
+  const positions = locations.map(({ lat, lng }) => [lng, lat]);
+  switch (annotationType) {
+    case 'LOCATION':
+      return { type: 'Point', coordinates: positions[0] };
+    case 'LINE':
+      return { type: 'LineString', coordinates: positions };
+    case 'AREA': {
+      const [first] = positions;
+      const last = positions[positions.length - 1];
+      const closed = first[0] === last[0] && first[1] === last[1];
+      return { type: 'Polygon', coordinates: [closed ? positions : [...positions, first]] };
+    }
+    default:
+      throw new Error(`Unsupported annotation type: ${annotationType}`);
+  }
+}
+
+/**
+ * Build the CreateAnnotationInput for a canonical annotation
+ * @param {Object} annotation - Validated canonical annotation
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix
+ * @param {string} description - Description to upload, built from the annotation's description and attributes
+ * @returns {Object} GraphQL CreateAnnotationInput
+ */
+function toCreateAnnotationInput(annotation, mapPlanId, description) {
+  return {
+    planId: mapPlanId,
+    title: annotation.title,
+    annotationType: annotation.annotationType,
+    geometry: toLocationInputs(annotation.geometry),
+    color: annotation.color,
+    fillColor: annotation.fillColor,
+    ...(description ? { description } : {})
+  };
+}
+
+module.exports = {
+  ANNOTATION_SCHEMA,
+  toCanonicalAnnotation,
+  toLocationInputs,
+  fromLocationInputs,
+  toCreateAnnotationInput
+};
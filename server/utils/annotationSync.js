@@ -0,0 +1,109 @@
+/**
+ * Annotation Sync
+ * Plans how to make a map mirror a source file. Annotations are keyed by a stable ID
+ * property of the source; the ID is written to the end of each synced annotation's
+ * description as a sync tag (see descriptionUtils.formatSyncTag), so the next sync can
+ * find it again. DroneDeploy annotations cannot be edited, so an update is a replace:
+ * the new annotation is created and the old one deleted.
+ *
+ * Annotations on the map without a tag for the ID property are never touched.
+ */
+
+const { findChanges, geometryDistance } = require('./annotationMatching');
+const { toLocationInputs } = require('./annotationModel');
+const { buildAnnotationDescription, getSyncId, readSyncTag } = require('./descriptionUtils');
+
+// Meters a point may move before the annotation counts as changed; absorbs float noise
+const GEOMETRY_EPSILON = 0.01;
+
+/**
+ * Fields of a source annotation that differ from its synced copy on the map
+ * @param {Object} annotation - Canonical annotation
+ * @param {string} description - Description that would be uploaded, with the sync tag
+ * @param {Object} existing - Existing annotation
+ * @returns {Array<string>} Changed fields
+ */
+function findSyncChanges(annotation, description, existing) {
+  const changes = [];
+  if (annotation.title !== existing.title) changes.push('title');
+  if (annotation.annotationType !== existing.annotationType) {
+    changes.push('annotationType');
+  } else {
+    const distance = geometryDistance(toLocationInputs(annotation.geometry), existing.geometry || [], annotation.annotationType);
+    if (distance === null || distance > GEOMETRY_EPSILON) changes.push('geometry');
+  }
+  return [...changes, ...findChanges(annotation, description, existing)];
+}
+
+/**
+ * Plan a sync of a source file to a map
+ * @param {Array<Object>} annotations - Validated canonical annotations from the source
+ * @param {Array<Object>} existing - Annotations on the map (droneDeployApi.fetchMapAnnotations)
+ * @param {Object} options - { idProperty, descriptionAttributes, deleteMissing }
+ * @returns {Object} Dry-run plan:
+ *   creates    [{ index, id, title, annotationType }]              in the source, not on the map
+ *   updates    [{ index, id, title, annotationType, existingId, changes }]
+ *   unchanged  [{ index, id, existingId }]
+ *   deletes    [{ id, existingId, title, annotationType }]         synced before, gone from the source;
+ *                                                                  only when deleteMissing is set
+ *   skipped    [{ index, title, message }]                         no ID, or an ID seen earlier in the source
+ *   untrackedCount                                                 annotations on the map without a tag
+ */
+function planSync(annotations, existing, { idProperty, descriptionAttributes = [], deleteMissing = false }) {
+  // Synced annotations on the map by ID; a sync cut short can leave more than one per ID
+  const synced = new Map();
+  let untrackedCount = 0;
+  existing.forEach(annotation => {
+    const tag = readSyncTag(annotation.description);
+    if (!tag || tag.idProperty !== idProperty) {
+      untrackedCount++;
+      return;
+    }
+    synced.set(tag.id, [...(synced.get(tag.id) || []), annotation]);
+  });
+
+  const plan = { creates: [], updates: [], unchanged: [], deletes: [], skipped: [], untrackedCount };
+  const seen = new Set();
+
+  annotations.forEach((annotation, index) => {
+    const id = getSyncId(annotation, idProperty);
+    if (!id) {
+      plan.skipped.push({ index, title: annotation.title, message: `No ${idProperty}` });
+      return;
+    }
+    if (seen.has(id)) {
+      plan.skipped.push({ index, title: annotation.title, message: `${idProperty} ${id} appears earlier in the file` });
+      return;
+    }
+    seen.add(id);
+
+    const [current] = synced.get(id) || [];
+    if (!current) {
+      plan.creates.push({ index, id, title: annotation.title, annotationType: annotation.annotationType });
+      return;
+    }
+
+    const description = buildAnnotationDescription(annotation, descriptionAttributes, idProperty);
+    const changes = findSyncChanges(annotation, description, current);
+    if (changes.length === 0) {
+      plan.unchanged.push({ index, id, existingId: current.id });
+    } else {
+      plan.updates.push({ index, id, title: annotation.title, annotationType: annotation.annotationType, existingId: current.id, changes });
+    }
+  });
+
+  if (deleteMissing) {
+    synced.forEach((copies, id) => {
+      // Extra copies of an ID still in the source are deleted too
+      copies.slice(seen.has(id) ? 1 : 0).forEach(annotation => {
+        plan.deletes.push({ id, existingId: annotation.id, title: annotation.title, annotationType: annotation.annotationType });
+      });
+    });
+  }
+
+  return plan;
+}
+
+module.exports = {
+  planSync
+};
@@ -115,6 +115,48 @@ function findNearestDroneDeployColor(inputColor) {
   return nearestColor;
 }
 
+/**
+ * Match a color to the DroneDeploy palette, reporting how far it was moved
+ * @param {string} inputColor - Input color (hex)
+ * @returns {Object} Palette entry {name, color, fillColor} and distance (null if the input is not hex)
+ */
+function matchDroneDeployColor(inputColor) {
+  const nearestColor = findNearestDroneDeployColor(inputColor);
+  const distance = colorDistance(inputColor, nearestColor.color);
+  
+  return {
+    paletteColor: nearestColor,
+    distance: Number.isFinite(distance) ? Math.round(distance * 100) / 100 : null
+  };
+}
+
+/**
+ * Build a per-source-color mapping table to the DroneDeploy palette
+ * @param {Array} annotations - Annotations with their original colors
+ * @returns {Array} Rows {originalColor, paletteColor, distance, annotationCount}, in order of first use
+ */
+function buildColorMappingTable(annotations) {
+  const rows = new Map();
+  
+  annotations.forEach(annotation => {
+    if (!annotation.color) return;
+    
+    const row = rows.get(annotation.color);
+    if (row) {
+      row.annotationCount += 1;
+      return;
+    }
+    
+    rows.set(annotation.color, {
+      originalColor: annotation.color,
+      ...matchDroneDeployColor(annotation.color),
+      annotationCount: 1
+    });
+  });
+  
+  return Array.from(rows.values());
+}
+
 /**
  * Standardize annotation colors to DroneDeploy palette
  * @param {Object} annotation - Annotation object
@@ -167,14 +209,47 @@ function normalizeHexColor(color) {
   return `#${cleanColor}`;
 }
 
+/**
+ * Convert a KML color (AABBGGRR) to a hex color
+ * @param {string} kmlColor - KML color string, e.g. "ff0000ff"
+ * @returns {string|null} Hex color (#RRGGBB) or null if invalid
+ */
+function kmlColorToHex(kmlColor) {
+  if (!kmlColor || typeof kmlColor !== 'string') return null;
+
+  // KML stores alpha first and the channels in reverse order; alpha is dropped
+  const cleanColor = kmlColor.trim().replace('#', '');
+  const result = /^[a-f\d]{2}([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(cleanColor);
+
+  return result ? `#${result[3]}${result[2]}${result[1]}`.toLowerCase() : null;
+}
+
+/**
+ * Convert a hex color to KML's AABBGGRR order
+ * @param {string} hex - Hex color string (with or without #)
+ * @param {string} alpha - Two hex digits of opacity
+ * @returns {string|null} KML color, or null if the hex color is invalid
+ */
+function hexToKMLColor(hex, alpha = 'ff') {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+
+  const toHex = (channel) => channel.toString(16).padStart(2, '0');
+  return `${alpha}${toHex(rgb.b)}${toHex(rgb.g)}${toHex(rgb.r)}`;
+}
+
 module.exports = {
   hexToRgb,
   rgbToHsl,
   colorDistance,
   findNearestDroneDeployColor,
+  matchDroneDeployColor,
+  buildColorMappingTable,
   standardizeAnnotationColors,
   isValidHexColor,
-  normalizeHexColor
+  normalizeHexColor,
+  kmlColorToHex,
+  hexToKMLColor
 };
 
 
@@ -0,0 +1,212 @@
+/**
+ * CSV Column Mapping
+ * Maps arbitrary spreadsheet headers (Latitude, LONG, Name, X/Y...) onto annotation fields
+ */
+
+const { ANNOTATION_TYPES, CSV_COLUMN_ALIASES, ERROR_MESSAGES } = require('../config/constants');
+
+// Annotation fields a column can be mapped to
+const MAPPING_FIELDS = Object.keys(CSV_COLUMN_ALIASES);
+
+// Fields that can take a fixed value for every row instead of a column
+const DEFAULT_FIELDS = ['annotationType', 'color'];
+
+// Number of rows returned so the user can recognise the columns
+const SAMPLE_ROW_COUNT = 5;
+
+/**
+ * Normalize a header for alias comparison
+ * @param {string} header - Column header
+ * @returns {string} Lower-case header without spaces, dashes or underscores
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_\-.]+/g, '');
+}
+
+/**
+ * Build a signature identifying a header layout, used to key saved mapping profiles
+ * Column order and case are ignored
+ * @param {Array<string>} headers - Column headers
+ * @returns {string} Header signature
+ */
+function getHeaderSignature(headers) {
+  return headers.map(header => String(header).trim().toLowerCase()).sort().join('|');
+}
+
+/**
+ * Guess a column mapping from common header aliases
+ * Each column is used for at most one field
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Mapping { columns: { field: header }, defaults: {} }
+ */
+function guessColumnMapping(headers) {
+  const columns = {};
+  const used = new Set();
+
+  MAPPING_FIELDS.forEach(field => {
+    for (const alias of CSV_COLUMN_ALIASES[field]) {
+      const header = headers.find(candidate => !used.has(candidate) && normalizeHeader(candidate) === alias);
+      if (header) {
+        columns[field] = header;
+        used.add(header);
+        break;
+      }
+    }
+  });
+
+  return { columns, defaults: {} };
+}
+
+/**
+ * Mapping implied by the built-in headers (annotationType|type, title, color, lat, lng, geometry...)
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Mapping { columns: { field: header }, defaults: {} }
+ */
+function getExactColumnMapping(headers) {
+  const columns = {};
+
+  MAPPING_FIELDS.forEach(field => {
+    if (headers.includes(field)) {
+      columns[field] = field;
+    }
+  });
+  if (!columns.annotationType && headers.includes('type')) {
+    columns.annotationType = 'type';
+  }
+
+  return { columns, defaults: {} };
+}
+
+/**
+ * Validate a column mapping sent by the client against the file's headers
+ * @param {Object} mapping - Mapping { columns, defaults }
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Normalized mapping
+ */
+function validateColumnMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object') {
+    throw new Error('Column mapping must be an object');
+  }
+
+  const columns = {};
+  Object.entries(mapping.columns || {}).forEach(([field, header]) => {
+    if (!header) return;
+    if (!MAPPING_FIELDS.includes(field)) {
+      throw new Error(`Unknown mapping field: ${field} (expected ${MAPPING_FIELDS.join(', ')})`);
+    }
+    if (!headers.includes(header)) {
+      throw new Error(ERROR_MESSAGES.FILE_PROCESSING.UNKNOWN_MAPPED_COLUMN(field, header));
+    }
+    columns[field] = header;
+  });
+
+  const defaults = {};
+  Object.entries(mapping.defaults || {}).forEach(([field, value]) => {
+    if (!value) return;
+    if (!DEFAULT_FIELDS.includes(field)) {
+      throw new Error(`A fixed value cannot be set for ${field}`);
+    }
+    defaults[field] = String(value).trim();
+  });
+  if (defaults.annotationType) {
+    defaults.annotationType = defaults.annotationType.toUpperCase();
+    if (!ANNOTATION_TYPES[defaults.annotationType]) {
+      throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(defaults.annotationType));
+    }
+  }
+
+  return { columns, defaults };
+}
+
+/**
+ * List the required annotation fields a mapping leaves unassigned
+ * @param {Object} mapping - Mapping { columns, defaults }
+ * @param {Object} options - Options
+ * @param {boolean} options.colorOptional - Color is supplied later by styling rules
+ * @returns {Array<string>} Missing fields (empty when the mapping is complete)
+ */
+function findMissingMappingFields(mapping, options = {}) {
+  const { columns = {}, defaults = {} } = mapping;
+  const missing = [];
+
+  // WKT/WKB geometry columns imply the type, so it is only needed without one
+  if (!columns.annotationType && !defaults.annotationType && !columns.geometry) {
+    missing.push('annotationType');
+  }
+  if (!columns.title) {
+    missing.push('title');
+  }
+  if (!columns.color && !defaults.color && !options.colorOptional) {
+    missing.push('color');
+  }
+  if (!columns.geometry && !(columns.lat && columns.lng)) {
+    missing.push('lat/lng or geometry');
+  }
+
+  return missing;
+}
+
+/**
+ * Rewrite a row's keys to annotation fields using a mapping
+ * Unmapped columns are kept unchanged so they end up as properties
+ * @param {Object} row - Row keyed by the file's headers
+ * @param {Object} mapping - Validated mapping { columns, defaults }
+ * @returns {Object} Row keyed by annotation field names
+ */
+function applyColumnMapping(row, mapping) {
+  const mappedHeaders = new Set(Object.values(mapping.columns));
+  const mapped = {};
+
+  Object.keys(row).forEach(header => {
+    // Built-in header names are only honoured when mapped, so an unmapped
+    // "color" column cannot override the column the user picked
+    if (!mappedHeaders.has(header) && !MAPPING_FIELDS.includes(header) && header !== 'type') {
+      mapped[header] = row[header];
+    }
+  });
+
+  MAPPING_FIELDS.forEach(field => {
+    const header = mapping.columns[field];
+    const value = header ? row[header] : undefined;
+    if (value !== undefined && value !== '') {
+      mapped[field] = value;
+    } else if (mapping.defaults[field]) {
+      mapped[field] = mapping.defaults[field];
+    }
+  });
+
+  return mapped;
+}
+
+/**
+ * Error raised when a file's columns cannot be matched to annotation fields
+ * Carries what the client needs to show the mapping step
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} sampleRows - First rows of the file
+ * @param {Array<string>} missingFields - Unassigned required fields
+ * @returns {Error} Error with code COLUMN_MAPPING_REQUIRED and a columnMapping payload
+ */
+function createColumnMappingError(headers, sampleRows, missingFields) {
+  const error = new Error(ERROR_MESSAGES.FILE_PROCESSING.COLUMN_MAPPING_REQUIRED(missingFields));
+  error.code = 'COLUMN_MAPPING_REQUIRED';
+  error.columnMapping = {
+    headers,
+    sampleRows,
+    missingFields,
+    suggestedMapping: guessColumnMapping(headers),
+    headerSignature: getHeaderSignature(headers)
+  };
+  return error;
+}
+
+module.exports = {
+  MAPPING_FIELDS,
+  SAMPLE_ROW_COUNT,
+  getHeaderSignature,
+  guessColumnMapping,
+  getExactColumnMapping,
+  validateColumnMapping,
+  findMissingMappingFields,
+  applyColumnMapping,
+  createColumnMappingError
+};
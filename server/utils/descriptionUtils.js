@@ -0,0 +1,117 @@
+/**
+ * Annotation Description Utilities
+ */
+
+const { VALIDATION_RULES } = require('../config/constants');
+
+/**
+ * Format a property value for display in a description
+ * @param {*} value - Property value
+ * @returns {string} Display string
+ */
+function formatAttributeValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Render selected annotation properties as "key: value" lines
+ * @param {Object} properties - Annotation properties
+ * @param {Array<string>} attributeKeys - Property names to include, in order
+ * @returns {string} Key/value block (empty if no selected property has a value)
+ */
+function formatAttributeBlock(properties = {}, attributeKeys = []) {
+  return attributeKeys
+    .filter(key => properties[key] !== undefined && properties[key] !== null && properties[key] !== '')
+    .map(key => `${key}: ${formatAttributeValue(properties[key])}`)
+    .join('\n');
+}
+
+// Last line of a synced annotation's description, e.g. [sync:issue_id=ISS-42];
+// the property name and value are URI-encoded so they cannot contain ] or a newline
+const SYNC_TAG_PATTERN = /\[sync:([^=\]\s]+)=([^\]\s]*)\]\s*$/;
+
+/**
+ * Read an annotation's sync ID from its source properties
+ * @param {Object} annotation - Annotation with properties
+ * @param {string} idProperty - Property holding the stable ID
+ * @returns {string|null} ID, or null when the property is missing or empty
+ */
+function getSyncId(annotation, idProperty) {
+  const value = annotation.properties?.[idProperty];
+  if (value === undefined || value === null) return null;
+  const id = formatAttributeValue(value);
+  return id === '' ? null : id;
+}
+
+/**
+ * Format the tag that keys a synced annotation
+ * @param {string} idProperty - Property holding the stable ID
+ * @param {string} id - ID value
+ * @returns {string} Tag
+ */
+function formatSyncTag(idProperty, id) {
+  return `[sync:${encodeURIComponent(idProperty)}=${encodeURIComponent(id)}]`;
+}
+
+/**
+ * Read the sync tag at the end of a description
+ * @param {string} description - DroneDeploy description
+ * @returns {Object|null} { idProperty, id }, or null when the description has no tag
+ */
+function readSyncTag(description) {
+  const match = SYNC_TAG_PATTERN.exec(description || '');
+  if (!match) return null;
+
+  try {
+    return { idProperty: decodeURIComponent(match[1]), id: decodeURIComponent(match[2]) };
+  } catch (error) {
+    // Not a tag this app wrote
+    return null;
+  }
+}
+
+/**
+ * Remove the sync tag from the end of a description
+ * @param {string} description - DroneDeploy description
+ * @returns {string} Description without the tag
+ */
+function removeSyncTag(description) {
+  return readSyncTag(description) ? description.replace(SYNC_TAG_PATTERN, '').trim() : (description || '');
+}
+
+/**
+ * Build the description sent to DroneDeploy for an annotation
+ * @param {Object} annotation - Annotation with optional description and properties
+ * @param {Array<string>} attributeKeys - Property names to append as a key/value block
+ * @param {string} syncIdProperty - When syncing, the ID property to tag the description with
+ * @returns {string} Description text, empty if there is nothing to send
+ */
+function buildAnnotationDescription(annotation, attributeKeys = [], syncIdProperty = null) {
+  const parts = [
+    annotation.description ? String(annotation.description).trim() : '',
+    formatAttributeBlock(annotation.properties || {}, attributeKeys)
+  ].filter(Boolean);
+  const maxLength = VALIDATION_RULES.TEXT_FIELDS.DESCRIPTION_MAX_LENGTH;
+
+  const syncId = syncIdProperty ? getSyncId(annotation, syncIdProperty) : null;
+  if (!syncId) {
+    return parts.join('\n\n').slice(0, maxLength);
+  }
+
+  // The tag is kept whole; the text before it is shortened instead
+  const tag = formatSyncTag(syncIdProperty, syncId);
+  const text = parts.join('\n\n').slice(0, Math.max(0, maxLength - tag.length - 2));
+  return text ? `${text}\n\n${tag}` : tag;
+}
+
+module.exports = {
+  formatAttributeBlock,
+  buildAnnotationDescription,
+  getSyncId,
+  formatSyncTag,
+  readSyncTag,
+  removeSyncTag
+};
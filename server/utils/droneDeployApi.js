@@ -0,0 +1,530 @@
+/**
+ * DroneDeploy GraphQL API Client
+ * Every call to DroneDeploy goes through postGraphQL, which shares across all routes and jobs:
+ *
+ *   - a pool of at most DRONEDEPLOY_CONFIG.CONCURRENCY requests in flight
+ *   - a token bucket allowing RATE_LIMIT requests per second, in bursts of up to RATE_BURST
+ *   - a REQUEST_TIMEOUT per attempt
+ *   - up to MAX_RETRIES retries on network errors, timeouts, 429 and 5xx, with exponential
+ *     backoff and full jitter; a Retry-After header is honored and holds back every request,
+ *     unless it asks for longer than RETRY_MAX_DELAY, in which case the request fails
+ *
+ * Creates are not idempotent, so postGraphQL only retries them when DroneDeploy cannot have
+ * processed the request; createAnnotation looks for the annotation on the map after any
+ * other failure before creating it again.
+ *
+ * Limits are read on each request, so they can be tuned through the environment
+ * (see DRONEDEPLOY_CONFIG) without touching callers.
+ */
+
+const { DRONEDEPLOY_CONFIG, ERROR_MESSAGES, ANNOTATION_MATCH_STATUS } = require('../config/constants');
+const { fromLocationInputs } = require('./annotationModel');
+const { matchAnnotations } = require('./annotationMatching');
+
+const CREATE_ANNOTATION_MUTATION = `
+  mutation CreateAnnotation($input: CreateAnnotationInput!) {
+    createAnnotation(input: $input) {
+      annotation {
+        id
+        title
+        annotationType
+      }
+    }
+  }
+`;
+
+// Requests in flight, and requests waiting for a slot (resolve functions, oldest first)
+let activeRequests = 0;
+const waitingRequests = [];
+
+// Token bucket; tokens are refilled continuously at RATE_LIMIT per second
+const bucket = {
+  tokens: DRONEDEPLOY_CONFIG.RATE_BURST,
+  refilledAt: Date.now(),
+  // Set from Retry-After; no request starts before this time
+  pausedUntil: 0
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for a free slot in the concurrency pool
+ * @returns {Promise<void>}
+ */
+function acquireSlot() {
+  if (activeRequests < Math.max(1, DRONEDEPLOY_CONFIG.CONCURRENCY)) {
+    activeRequests++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingRequests.push(resolve));
+}
+
+/**
+ * Hand the slot to the next waiting request, or free it
+ */
+function releaseSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * Wait until the rate limit allows another request, and take its token
+ * @returns {Promise<void>}
+ */
+async function takeToken() {
+  for (;;) {
+    const now = Date.now();
+    if (now < bucket.pausedUntil) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+
+    const { RATE_LIMIT, RATE_BURST } = DRONEDEPLOY_CONFIG;
+    if (!RATE_LIMIT) {
+      return;
+    }
+
+    // A burst below 1 would never hold a whole token
+    bucket.tokens = Math.min(Math.max(1, RATE_BURST), bucket.tokens + ((now - bucket.refilledAt) / 1000) * RATE_LIMIT);
+    bucket.refilledAt = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+
+    await sleep(((1 - bucket.tokens) / RATE_LIMIT) * 1000);
+  }
+}
+
+/**
+ * Create an API error
+ * @param {string} message - Error message
+ * @param {Object} details - { status, retryable, retryAfter, notSent }; notSent when the
+ *   connection was refused, so the request never reached DroneDeploy
+ * @returns {Error} Error with code DRONEDEPLOY_API and the details
+ */
+function createApiError(message, { status = null, retryable = false, retryAfter = null, notSent = false } = {}) {
+  const error = new Error(message);
+  error.code = 'DRONEDEPLOY_API';
+  error.status = status;
+  error.retryable = retryable;
+  error.retryAfter = retryAfter;
+  error.notSent = notSent;
+  return error;
+}
+
+/**
+ * Whether DroneDeploy may have processed a request that failed
+ * @param {Error} error - DRONEDEPLOY_API error
+ * @returns {boolean} True after a timeout, a network error other than a refused connection,
+ *   or a 5xx; a 429 was never processed
+ */
+function isAmbiguousFailure(error) {
+  return error.retryable && error.status !== 429 && !error.notSent;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} header - Seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null when absent or unreadable
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before a retry: full jitter over an exponentially growing window
+ * @param {number} attempt - Retry number, from 1
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempt) {
+  const { RETRY_BASE_DELAY, RETRY_MAX_DELAY } = DRONEDEPLOY_CONFIG;
+  return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+}
+
+/**
+ * Send one request, within a pool slot and a rate limit token
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {Object} body - { query, variables }
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} DRONEDEPLOY_API error; retryable for network errors, timeouts, 429 and 5xx
+ */
+async function sendRequest(apiKey, body) {
+  const controller = new AbortController();
+  let timeout = null;
+  const timeoutError = () => createApiError(ERROR_MESSAGES.API.TIMEOUT_ERROR, { retryable: true });
+
+  await acquireSlot();
+  try {
+    await takeToken();
+    // Covers the response body too, not just the headers
+    timeout = setTimeout(() => controller.abort(), DRONEDEPLOY_CONFIG.REQUEST_TIMEOUT);
+
+    let response;
+    try {
+      response = await fetch(DRONEDEPLOY_CONFIG.API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw controller.signal.aborted
+        ? timeoutError()
+        : createApiError(`${ERROR_MESSAGES.API.NETWORK_ERROR}: ${error.message}`, {
+          retryable: true,
+          notSent: error.cause?.code === 'ECONNREFUSED'
+        });
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      throw createApiError(ERROR_MESSAGES.API.HTTP_ERROR(response.status), {
+        status: response.status,
+        retryable: true,
+        retryAfter: parseRetryAfter(response.headers?.get('retry-after'))
+      });
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw timeoutError();
+      }
+      // Not JSON; a GraphQL error body would have been
+      throw createApiError(
+        response.ok ? `${ERROR_MESSAGES.API.DRONEDEPLOY_ERROR}: invalid response` : ERROR_MESSAGES.API.HTTP_ERROR(response.status),
+        { status: response.status }
+      );
+    }
+  } finally {
+    clearTimeout(timeout);
+    releaseSlot();
+  }
+}
+
+/**
+ * Post a GraphQL request to DroneDeploy, retrying transient failures
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {Object} body - { query, variables }
+ * @param {Object} options - { idempotent, firstAttempt }; a request that is not idempotent is
+ *   only retried after a 429 or a refused connection, never after a failure it may have survived.
+ *   firstAttempt counts sends a caller already made, so they share the MAX_RETRIES budget.
+ * @returns {Promise<Object>} Parsed response body, including any GraphQL errors
+ * @throws {Error} DRONEDEPLOY_API error once retries are used up, the failure is not transient,
+ *   or Retry-After asks for a longer wait than RETRY_MAX_DELAY; its attempt is the number
+ *   of the failed send, from 0
+ */
+async function postGraphQL(apiKey, body, { idempotent = true, firstAttempt = 0 } = {}) {
+  for (let attempt = firstAttempt; ; attempt++) {
+    try {
+      return await sendRequest(apiKey, body);
+    } catch (error) {
+      error.attempt = attempt;
+      if (!error.retryable || (!idempotent && isAmbiguousFailure(error)) || attempt >= DRONEDEPLOY_CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      let delay = getRetryDelay(attempt + 1);
+      if (error.retryAfter !== null) {
+        if (error.retryAfter > DRONEDEPLOY_CONFIG.RETRY_MAX_DELAY) {
+          // Pausing that long would stall every route and job in the process
+          throw error;
+        }
+        // DroneDeploy asked everyone to back off, not just this request
+        delay = error.retryAfter;
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+      }
+      console.warn(`DroneDeploy request failed (${error.message}); retry ${attempt + 1} of ${DRONEDEPLOY_CONFIG.MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Throw the first GraphQL error of a response, if any
+ * @param {Object} result - Parsed response body
+ * @throws {Error} With the GraphQL error message
+ */
+function assertNoGraphQLErrors(result) {
+  if (result.errors) {
+    console.error('GraphQL errors:', result.errors);
+    throw new Error(result.errors[0]?.message || JSON.stringify(result.errors[0]) || 'Unknown GraphQL error');
+  }
+}
+
+/**
+ * Find an annotation a failed create may have left on the map
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {Object} input - CreateAnnotationInput that was sent
+ * @param {Error} failure - Error of the create
+ * @returns {Promise<Object|null>} { id, title, annotationType } of an identical annotation, or null
+ * @throws {Error} The failure of the create when the map cannot be read either
+ */
+async function findCreatedAnnotation(apiKey, input, failure) {
+  let existing;
+  try {
+    existing = await fetchMapAnnotations(apiKey, input.planId);
+  } catch (error) {
+    console.warn('Could not check the map for a failed create:', error.message);
+    throw failure;
+  }
+
+  const [match] = matchAnnotations([{
+    annotationType: input.annotationType,
+    title: input.title,
+    color: input.color,
+    fillColor: input.fillColor,
+    description: input.description,
+    geometry: fromLocationInputs(input.geometry, input.annotationType)
+  }], existing, { tolerance: DRONEDEPLOY_CONFIG.MATCH_TOLERANCE });
+
+  return match.status === ANNOTATION_MATCH_STATUS.DUPLICATE
+    ? { id: match.existing.id, title: match.existing.title, annotationType: input.annotationType }
+    : null;
+}
+
+/**
+ * Create one annotation
+ * After a failure DroneDeploy may have survived (a timeout, a dropped connection or a 5xx),
+ * the map is searched for an identical annotation, which is returned instead of creating
+ * another. An identical annotation that was on the map before the call is taken for it too.
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {Object} input - CreateAnnotationInput (see annotationModel.toCreateAnnotationInput)
+ * @returns {Promise<Object>} Created annotation { id, title, annotationType }
+ * @throws {Error} With the GraphQL error message when DroneDeploy rejects the annotation
+ */
+async function createAnnotation(apiKey, input) {
+  let result = null;
+  // Every send of the create counts against one MAX_RETRIES budget, whichever loop retries it
+  let attempt = 0;
+  while (!result) {
+    try {
+      result = await postGraphQL(apiKey, {
+        query: CREATE_ANNOTATION_MUTATION,
+        variables: { input }
+      }, { idempotent: false, firstAttempt: attempt });
+    } catch (error) {
+      attempt = error.attempt + 1;
+      if (!isAmbiguousFailure(error) || attempt > DRONEDEPLOY_CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      const created = await findCreatedAnnotation(apiKey, input, error);
+      if (created) {
+        return created;
+      }
+      const delay = getRetryDelay(attempt);
+      console.warn(`DroneDeploy create failed (${error.message}) and is not on the map; retry ${attempt} of ${DRONEDEPLOY_CONFIG.MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+
+  assertNoGraphQLErrors(result);
+
+  if (!result.data || !result.data.createAnnotation) {
+    throw new Error(`${ERROR_MESSAGES.API.DRONEDEPLOY_ERROR}: invalid response`);
+  }
+
+  const { annotation } = result.data.createAnnotation;
+  if (!annotation) {
+    throw new Error('No annotation returned from API');
+  }
+
+  return annotation;
+}
+
+/**
+ * Look up a map plan
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix, validated by validatePlanId
+ * @returns {Promise<Object>} { id, name, dateCreation, sortDate, project: { id } }
+ * @throws {Error} When the map does not exist or the key cannot see it
+ */
+async function fetchMapPlan(apiKey, mapPlanId) {
+  const result = await postGraphQL(apiKey, {
+    query: `{
+      mapPlan(id: "${mapPlanId}") {
+        id
+        name
+        dateCreation
+        sortDate
+        project {
+          id
+        }
+      }
+    }`
+  });
+
+  assertNoGraphQLErrors(result);
+
+  if (!result.data || !result.data.mapPlan) {
+    throw new Error('Map not found or access denied');
+  }
+
+  return result.data.mapPlan;
+}
+
+/**
+ * Look up the project a map belongs to, for links to the uploaded annotations
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix
+ * @returns {Promise<string|null>} Project ID, or null when it cannot be found
+ */
+async function fetchMapProjectId(apiKey, mapPlanId) {
+  try {
+    // mapPlanId is validated (validatePlanId) before it reaches the query
+    const result = await postGraphQL(apiKey, {
+      query: `{
+        mapPlan(id: "${mapPlanId}") {
+          project {
+            id
+          }
+        }
+      }`
+    });
+
+    return result.data?.mapPlan?.project?.id || null;
+  } catch (error) {
+    console.warn('Could not fetch project ID:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Read every annotation on a map, a page at a time
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix, validated by validatePlanId
+ * @returns {Promise<Array<Object>>} { id, title, annotationType, color, fillColor, description, geometry: [{ lat, lng }] }
+ * @throws {Error} When the map does not exist or the key cannot see it
+ */
+async function fetchMapAnnotations(apiKey, mapPlanId) {
+  const annotations = [];
+  let after = null;
+
+  for (;;) {
+    const result = await postGraphQL(apiKey, {
+      query: `
+        query MapAnnotations($id: ID!, $first: Int!, $after: String) {
+          mapPlan(id: $id) {
+            annotations(first: $first, after: $after) {
+              edges {
+                node {
+                  id
+                  title
+                  annotationType
+                  color
+                  fillColor
+                  description
+                  geometry {
+                    lat
+                    lng
+                  }
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      `,
+      variables: { id: mapPlanId, first: DRONEDEPLOY_CONFIG.ANNOTATIONS_PAGE_SIZE, after }
+    });
+
+    assertNoGraphQLErrors(result);
+
+    const connection = result.data?.mapPlan?.annotations;
+    if (!connection) {
+      throw new Error('Map not found or access denied');
+    }
+
+    annotations.push(...connection.edges.map(edge => edge.node));
+    if (!connection.pageInfo?.hasNextPage || !connection.pageInfo.endCursor) {
+      return annotations;
+    }
+    after = connection.pageInfo.endCursor;
+  }
+}
+
+/**
+ * Delete annotations from a map
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix
+ * @param {Array<string>} annotationIds - IDs validated by validateAnnotationId
+ * @returns {Promise<Array<string>>} IDs that were deleted
+ * @throws {Error} With the GraphQL error message when DroneDeploy refuses
+ */
+async function deleteAnnotations(apiKey, mapPlanId, annotationIds) {
+  const result = await postGraphQL(apiKey, {
+    query: `
+      mutation UndoAnnotations {
+        deleteAnnotations(input: {
+          annotationIds: [${annotationIds.map(id => `"${id}"`).join(', ')}],
+          planId: "${mapPlanId}"
+        }) {
+          annotationIds
+        }
+      }
+    `
+  });
+
+  assertNoGraphQLErrors(result);
+
+  if (!result.data || !result.data.deleteAnnotations) {
+    throw new Error('Invalid response from DroneDeploy API');
+  }
+
+  return result.data.deleteAnnotations.annotationIds || [];
+}
+
+/**
+ * Create an annotation in place of an existing one
+ * The new annotation is created first, so a failure never leaves the map without either.
+ * @param {string} apiKey - DroneDeploy API key
+ * @param {Object} input - CreateAnnotationInput
+ * @param {string} replacedId - ID of the annotation to delete, validated by validateAnnotationId
+ * @returns {Promise<Object>} Created annotation, with replacedId once the old one is deleted,
+ *   or replaceError when it could not be
+ * @throws {Error} When the annotation cannot be created
+ */
+async function replaceAnnotation(apiKey, input, replacedId) {
+  const created = await createAnnotation(apiKey, input);
+
+  try {
+    const deletedIds = await deleteAnnotations(apiKey, input.planId, [replacedId]);
+    if (!deletedIds.includes(replacedId)) {
+      throw new Error(`${replacedId} is no longer on the map`);
+    }
+    return { ...created, replacedId };
+  } catch (error) {
+    console.warn(`Created ${created.id} but could not delete ${replacedId}:`, error.message);
+    return { ...created, replacedId: null, replaceError: error.message };
+  }
+}
+
+module.exports = {
+  postGraphQL,
+  createAnnotation,
+  replaceAnnotation,
+  fetchMapPlan,
+  fetchMapProjectId,
+  fetchMapAnnotations,
+  deleteAnnotations
+};
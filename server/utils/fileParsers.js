@@ -3,98 +3,479 @@
  */
 
 const csv = require('csv-parser');
-const xml2js = require('xml2js');
 const JSZip = require('jszip');
+const XLSX = require('xlsx');
 const fs = require('fs');
-const { ANNOTATION_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const {
+  ANNOTATION_TYPES,
+  ERROR_MESSAGES,
+  FILE_FORMATS,
+  DRONEDEPLOY_COLORS,
+  DEFAULT_KML_COLOR,
+  VALIDATION_RULES,
+  DIAGNOSTIC_CODES
+} = require('../config/constants');
+const { kmlColorToHex, isValidHexColor, normalizeHexColor } = require('./colorUtils');
+const { readShp, readDbf } = require('./shapefileReader');
+const { detectGeoJSONCRS, crsFromPrj, reprojectAnnotations } = require('./projectionUtils');
+const { GEOMETRY_ANNOTATION_TYPES, explodeGeometry, applyHolePolicy } = require('./geometryUtils');
+const { isWKTOrWKB, readGeometrySRID, parseGeometryText } = require('./wktParser');
+const { applyStylingRules } = require('./stylingRules');
+const { toCanonicalAnnotation } = require('./annotationModel');
+const { createProgressStream, readXMLElements, readGeoJSONFeatures } = require('./streamReaders');
+const { createItemError, describeLocation } = require('./parseDiagnostics');
+const {
+  SAMPLE_ROW_COUNT,
+  getExactColumnMapping,
+  validateColumnMapping,
+  findMissingMappingFields,
+  applyColumnMapping,
+  createColumnMappingError
+} = require('./columnMapping');
+
+// Tags or entities that mark a KML description as HTML rather than plain text
+const HTML_MARKUP_PATTERN = /<\/?[a-z][^>]*>|&(?:[a-z]+|#\d+);/i;
+
+// KML elements that hold placemarks, shared styles and nested folders
+const KML_CONTAINERS = ['kml', 'Document', 'Folder'];
+
+// CSV columns that map onto annotation fields; any other column is kept as a property
+const CSV_ANNOTATION_COLUMNS = [
+  ...FILE_FORMATS.CSV.requiredFields,
+  ...Object.values(FILE_FORMATS.CSV.conditionalFields).flat(),
+  ...FILE_FORMATS.CSV.optionalFields,
+  ...FILE_FORMATS.CSV.aliasFields
+];
+
+// GeoJSON properties that map onto annotation fields
+const GEOJSON_ANNOTATION_PROPERTIES = ['title', 'color', 'fillColor', 'description'];
+
+// GPX has no styling, so waypoints, routes and tracks use one palette color
+const DEFAULT_GPX_COLOR = { color: '#fe9700', fillColor: '#feb140' };
+
+// GPX elements that map onto annotation fields or metadata; other simple elements become properties
+const GPX_ANNOTATION_ELEMENTS = ['$', 'name', 'desc', 'time', 'rtept', 'trkseg', 'link', 'extensions'];
+
+// Top-level GPX elements that become annotations, with the label used in diagnostics
+const GPX_ELEMENT_LABELS = { wpt: 'Waypoint', rte: 'Route', trk: 'Track' };
+
+// DBF attributes tried, in order, when no title attribute is chosen
+const SHAPEFILE_TITLE_FIELDS = ['title', 'name', 'label', 'id'];
+
+// Where each parsed annotation came from ({ kind, index, name }), for items skipped after conversion
+const annotationSources = new WeakMap();
 
 /**
  * Parse CSV file content
  * @param {string} filePath - Path to CSV file
+ * @param {Object} options - Parse options
+ * @param {string} options.sourceCRS - EPSG code of the lng/lat and geometry columns (default WGS 84)
+ * @param {Array} options.stylingRules - Styling rules; when present the color column is optional
+ * @param {Object} options.columnMapping - Mapping { columns: { field: header }, defaults } for non-standard headers
  * @returns {Promise<Array>} Array of parsed annotations
  */
-function parseCSV(filePath) {
+function parseCSV(filePath, options = {}) {
   return new Promise((resolve, reject) => {
-    const results = [];
-    
     if (!fs.existsSync(filePath)) {
       return reject(new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT));
     }
     
-    fs.createReadStream(filePath)
+    const collector = createTableRowCollector(options, 'CSV file');
+    const source = fs.createReadStream(filePath);
+    const progress = createProgressStream(fs.statSync(filePath).size, collector.progress);
+    const finish = () => {
+      try {
+        resolve(collector.finish());
+      } catch (error) {
+        reject(error);
+      }
+    };
+    
+    source
+      .pipe(progress)
       .pipe(csv())
-      .on('data', (row) => {
+      .on('headers', (headers) => {
         try {
-          // Clean and validate the row
-          const cleanRow = {};
-          Object.keys(row).forEach(key => {
-            const cleanKey = key.trim();
-            cleanRow[cleanKey] = row[key]?.toString().trim();
-          });
-          
-          // Convert to annotation format
-          const annotation = convertCSVRowToAnnotation(cleanRow);
-          if (annotation) {
-            results.push(annotation);
-          }
+          collector.setHeaders(headers.map(header => header.trim()));
         } catch (error) {
-          console.warn(`Skipping invalid CSV row: ${error.message}`);
+          source.destroy();
+          reject(error);
         }
       })
-      .on('end', () => {
-        if (results.length === 0) {
-          reject(new Error('No valid annotations found in CSV file'));
-        } else {
-          resolve(results);
+      .on('data', (row) => {
+        // Clean and validate the row
+        const cleanRow = {};
+        Object.keys(row).forEach(key => {
+          const cleanKey = key.trim();
+          cleanRow[cleanKey] = row[key]?.toString().trim();
+        });
+        
+        let wantsMore;
+        try {
+          wantsMore = collector.addRow(cleanRow);
+        } catch (error) {
+          source.destroy();
+          return reject(error);
+        }
+        
+        if (!wantsMore) {
+          source.destroy();
+          finish();
         }
       })
+      .on('end', finish)
       .on('error', (error) => {
         reject(new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`));
       });
   });
 }
 
+/**
+ * Parse an Excel (.xlsx/.xls) or OpenDocument (.ods) spreadsheet
+ * Rows follow the CSV column conventions; numeric cells are read as numbers, so
+ * coordinates are not affected by locale decimal separators
+ * @param {string} filePath - Path to spreadsheet file
+ * @param {Object} options - Parse options (see parseCSV)
+ * @param {string} options.sheetName - Worksheet to import; required when several have data
+ * @returns {Promise<Array>} Array of parsed annotations
+ */
+async function parseSpreadsheet(filePath, options = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.readFile(filePath, { cellDates: true });
+  } catch (error) {
+    throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
+  }
+  
+  const sheetName = selectWorksheet(workbook, options.sheetName);
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    header: 1,
+    raw: true,
+    defval: '',
+    blankrows: false
+  });
+  
+  const collector = createTableRowCollector(options, `worksheet "${sheetName}"`);
+  const headers = headerRow.map(formatSpreadsheetCell);
+  collector.setHeaders(headers.filter(Boolean));
+  
+  for (const values of dataRows) {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        row[header] = formatSpreadsheetCell(values[index]);
+      }
+    });
+    if (!collector.addRow(row)) break;
+  }
+  
+  return collector.finish();
+}
+
+/**
+ * Choose the worksheet to import
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Requested worksheet, if any
+ * @returns {string} Worksheet name
+ */
+function selectWorksheet(workbook, sheetName) {
+  if (sheetName) {
+    if (!workbook.SheetNames.includes(sheetName)) {
+      throw new Error(ERROR_MESSAGES.FILE_PROCESSING.WORKSHEET_NOT_FOUND(sheetName));
+    }
+    return sheetName;
+  }
+  
+  const worksheets = listWorksheets(workbook).filter(sheet => sheet.rowCount > 0);
+  if (worksheets.length === 0) {
+    throw new Error(ERROR_MESSAGES.FILE_PROCESSING.EMPTY_WORKBOOK);
+  }
+  if (worksheets.length === 1) {
+    return worksheets[0].name;
+  }
+  
+  const error = new Error(ERROR_MESSAGES.FILE_PROCESSING.WORKSHEET_SELECTION_REQUIRED(worksheets.length));
+  error.code = 'WORKSHEET_SELECTION_REQUIRED';
+  error.worksheets = listWorksheets(workbook);
+  throw error;
+}
+
+/**
+ * List a workbook's worksheets with their number of rows below the header
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {Array} Array of { name, rowCount }
+ */
+function listWorksheets(workbook) {
+  return workbook.SheetNames.map(name => {
+    const ref = workbook.Sheets[name]?.['!ref'];
+    const range = ref ? XLSX.utils.decode_range(ref) : null;
+    return { name, rowCount: range ? range.e.r - range.s.r : 0 };
+  });
+}
+
+/**
+ * Convert a spreadsheet cell to the string form CSV rows use
+ * @param {*} value - Raw cell value
+ * @returns {string} Cell text
+ */
+function formatSpreadsheetCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value).trim();
+}
+
+/**
+ * Collect annotations from table rows (CSV or spreadsheet) using the CSV column conventions
+ * Handles column mapping, per-row errors and EWKT/EWKB SRIDs
+ * @param {Object} options - Parse options (see parseCSV)
+ * @param {string} sourceName - Used in errors, e.g. "CSV file"
+ * @returns {Object} Collector with setHeaders(headers), addRow(row), progress(bytesRead, totalBytes) and finish()
+ */
+function createTableRowCollector(options, sourceName) {
+  const colorOptional = Array.isArray(options.stylingRules) && options.stylingRules.length > 0;
+  const results = new Map(); // Source CRS -> annotations
+  const rowErrors = [];
+  const sampleRows = [];
+  let rowNumber = 1; // Spreadsheet row; the header is row 1
+  let annotationCount = 0;
+  let mapping = null;
+  let unmappedHeaders = null; // Set when the columns need mapping before rows can be read
+  
+  return {
+    setHeaders(headers) {
+      mapping = options.columnMapping ? validateColumnMapping(options.columnMapping, headers) : null;
+      
+      const missingFields = findMissingMappingFields(mapping || getExactColumnMapping(headers), { colorOptional });
+      if (missingFields.length > 0) {
+        unmappedHeaders = { headers, missingFields };
+      }
+    },
+    
+    // Returns false once no more rows are needed
+    addRow(row) {
+      rowNumber++;
+      
+      if (unmappedHeaders) {
+        // Only a few rows are needed to show the mapping step
+        sampleRows.push(row);
+        return sampleRows.length < SAMPLE_ROW_COUNT;
+      }
+      
+      const annotationRow = mapping ? applyColumnMapping(row, mapping) : row;
+      const location = { kind: 'Row', index: rowNumber, name: annotationRow.title };
+      let annotations;
+      let sourceCRS;
+      try {
+        annotations = convertCSVRowToAnnotations(annotationRow, { colorOptional });
+        
+        // A selected coordinate system overrides an EWKT/EWKB SRID
+        const srid = readGeometrySRID(annotationRow.geometry);
+        sourceCRS = options.sourceCRS || (srid ? `EPSG:${srid}` : '');
+      } catch (error) {
+        rowErrors.push(`row ${rowNumber}: ${error.message}`);
+        reportSkippedItem(options, location, error, annotationRow);
+        return true;
+      }
+      
+      assertAnnotationLimit(annotationCount + annotations.length);
+      annotationCount += annotations.length;
+      annotations.forEach(annotation => annotationSources.set(annotation, location));
+      if (!results.has(sourceCRS)) {
+        results.set(sourceCRS, []);
+      }
+      results.get(sourceCRS).push(...annotations);
+      return true;
+    },
+    
+    progress(bytesRead, totalBytes) {
+      if (options.onProgress) {
+        options.onProgress({ bytesRead, totalBytes, annotationCount });
+      }
+    },
+    
+    finish() {
+      if (unmappedHeaders) {
+        throw createColumnMappingError(unmappedHeaders.headers, sampleRows.slice(0, SAMPLE_ROW_COUNT), unmappedHeaders.missingFields);
+      }
+      if (results.size === 0) {
+        const examples = rowErrors.slice(0, 3).join('; ');
+        throw new Error(`No valid annotations found in ${sourceName}${examples ? ` (${examples})` : ''}`);
+      }
+      return Array.from(results).flatMap(([sourceCRS, annotations]) =>
+        reprojectAnnotations(annotations, sourceCRS || undefined, reportOutOfRange(options)));
+    }
+  };
+}
+
+/**
+ * Collect annotations as a streaming parser emits them
+ * Reading stops as soon as the file exceeds MAX_ANNOTATIONS
+ * @param {Object} options - Parse options
+ * @param {Function} options.onProgress - Called with { bytesRead, totalBytes, annotationCount } while the file is read
+ * @returns {Object} Collector with annotations, add(annotations, location) and progress(bytesRead, totalBytes)
+ */
+function createAnnotationCollector(options = {}) {
+  const annotations = [];
+  
+  return {
+    annotations,
+    
+    add(items, location) {
+      assertAnnotationLimit(annotations.length + items.length);
+      items.forEach(annotation => annotationSources.set(annotation, location));
+      annotations.push(...items);
+    },
+    
+    progress(bytesRead, totalBytes) {
+      if (options.onProgress) {
+        options.onProgress({ bytesRead, totalBytes, annotationCount: annotations.length });
+      }
+    }
+  };
+}
+
+/**
+ * Record an item the parser skipped, in options.diagnostics when the caller collects them
+ * @param {Object} options - Parse options
+ * @param {Object} options.diagnostics - Collector from createParseDiagnostics, optional
+ * @param {Object} location - Where the item is: { kind, index, part, name }
+ * @param {Error} error - Why it was skipped
+ * @param {Object} source - Raw item, used to look up the offending value
+ */
+function reportSkippedItem(options, location, error, source) {
+  console.warn(`Skipping ${describeLocation(location)}: ${error.message}`);
+  if (options.diagnostics) {
+    options.diagnostics.add(location, error, source);
+  }
+}
+
+/**
+ * Callback for reprojectAnnotations reporting annotations left outside longitude/latitude
+ * @param {Object} options - Parse options
+ * @returns {Function} (annotation, message) => void
+ */
+function reportOutOfRange(options) {
+  return (annotation, message) => {
+    const location = annotationSources.get(annotation) || { kind: 'Annotation', name: annotation.title };
+    const error = createItemError(DIAGNOSTIC_CODES.OUT_OF_RANGE, message, {
+      field: 'geometry',
+      value: annotation.geometry.coordinates
+    });
+    reportSkippedItem(options, location, error);
+  };
+}
+
+/**
+ * Throw when a file yields more annotations than VALIDATION_RULES.FILE_LIMITS.MAX_ANNOTATIONS
+ * @param {number} count - Number of annotations read so far
+ */
+function assertAnnotationLimit(count) {
+  if (count > VALIDATION_RULES.FILE_LIMITS.MAX_ANNOTATIONS) {
+    throw new Error(ERROR_MESSAGES.VALIDATION.TOO_MANY_ANNOTATIONS);
+  }
+}
+
+/**
+ * Convert a CSV row to annotations
+ * WKT/WKB geometry is parsed here; multi-part geometries give one annotation per part
+ * @param {Object} row - CSV row data
+ * @param {Object} options - Conversion options (see convertCSVRowToAnnotation)
+ * @returns {Array} Annotation objects
+ */
+function convertCSVRowToAnnotations(row, options = {}) {
+  if (!row.geometry || !isWKTOrWKB(row.geometry)) {
+    return [convertCSVRowToAnnotation(row, options)];
+  }
+  
+  let geometry;
+  try {
+    ({ geometry } = parseGeometryText(row.geometry));
+  } catch (error) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, error.message, { field: 'geometry' });
+  }
+  
+  const parts = explodeGeometry(geometry);
+  if (parts.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, `${geometry.type} geometry contains no parts`, { field: 'geometry' });
+  }
+  if (parts.length === 1) {
+    return [convertCSVRowToAnnotation(row, { ...options, geometry: parts[0] })];
+  }
+  
+  return parts.map((part, index) => {
+    const annotation = convertCSVRowToAnnotation(row, { ...options, geometry: part });
+    annotation.title = `${annotation.title} (${index + 1}/${parts.length})`;
+    return annotation;
+  });
+}
+
 /**
  * Convert CSV row to annotation object
  * @param {Object} row - CSV row data
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.colorOptional - Allow a missing color (supplied later by a styling rule)
+ * @param {Object} options.geometry - Single-part GeoJSON geometry already parsed from WKT/WKB
  * @returns {Object|null} Annotation object or null if invalid
  */
-function convertCSVRowToAnnotation(row) {
-  // Required fields validation
-  if (!row.annotationType && !row.type) {
-    throw new Error('Missing required field: annotationType');
+function convertCSVRowToAnnotation(row, options = {}) {
+  const parsedGeometry = options.geometry;
+  const geometryType = parsedGeometry && GEOMETRY_ANNOTATION_TYPES[parsedGeometry.type];
+  
+  // Required fields validation; the type can be inferred from WKT geometry
+  if (!row.annotationType && !row.type && !geometryType) {
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('annotationType'), { field: 'annotationType' });
   }
   if (!row.title) {
-    throw new Error('Missing required field: title');
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('title'), { field: 'title' });
   }
-  if (!row.color) {
-    throw new Error('Missing required field: color');
+  if (!row.color && !options.colorOptional) {
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('color'), { field: 'color' });
   }
 
   const annotation = {
-    annotationType: (row.annotationType || row.type)?.toUpperCase(),
+    annotationType: (row.annotationType || row.type)?.toUpperCase() || geometryType,
     title: row.title,
-    color: row.color,
-    fillColor: row.fillColor || row.color // Use color as fallback for fillColor
+    color: row.color || undefined,
+    fillColor: row.fillColor || row.color || undefined // Use color as fallback for fillColor
   };
   
   // Validate annotation type
   if (!Object.keys(ANNOTATION_TYPES).includes(annotation.annotationType)) {
-    throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(annotation.annotationType));
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_TYPE, ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(annotation.annotationType), {
+      field: 'annotationType',
+      value: row.annotationType || row.type
+    });
   }
   
   // Parse geometry based on annotation type
-  if (annotation.annotationType === 'LOCATION') {
+  if (parsedGeometry) {
+    if (annotation.annotationType !== geometryType) {
+      throw createItemError(
+        DIAGNOSTIC_CODES.INVALID_TYPE,
+        `${annotation.annotationType} annotations cannot use ${parsedGeometry.type} geometry`,
+        { field: 'annotationType', value: row.annotationType || row.type }
+      );
+    }
+    annotation.geometry = validateParsedGeometry(parsedGeometry, annotation.annotationType);
+  } else if (annotation.annotationType === 'LOCATION') {
     // For LOCATION, lat and lng are required
     if (!row.lat || !row.lng) {
-      throw new Error('LOCATION annotations require lat and lng fields');
+      throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'LOCATION annotations require lat and lng fields', {
+        field: row.lat ? 'lng' : 'lat'
+      });
     }
     
     const lat = parseFloat(row.lat);
     const lng = parseFloat(row.lng);
     
     if (isNaN(lat) || isNaN(lng)) {
-      throw new Error('Invalid coordinates for LOCATION annotation');
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_COORDINATES, 'Invalid coordinates for LOCATION annotation', {
+        field: isNaN(lat) ? 'lat' : 'lng'
+      });
     }
     
     // Create GeoJSON Point geometry format
@@ -105,7 +486,9 @@ function convertCSVRowToAnnotation(row) {
   } else if (annotation.annotationType === 'AREA' || annotation.annotationType === 'LINE') {
     // For AREA and LINE, geometry field is required
     if (!row.geometry) {
-      throw new Error(`${annotation.annotationType} annotations require geometry field`);
+      throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, `${annotation.annotationType} annotations require geometry field`, {
+        field: 'geometry'
+      });
     }
     
     try {
@@ -119,7 +502,7 @@ function convertCSVRowToAnnotation(row) {
       // Validate minimum points
       const minPoints = ANNOTATION_TYPES[annotation.annotationType].minPoints;
       if (geometryData.length < minPoints) {
-        throw new Error(ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
+        throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
           annotation.annotationType,
           geometryData.length,
           minPoints
@@ -155,49 +538,112 @@ function convertCSVRowToAnnotation(row) {
         };
       }
     } catch (error) {
-      throw new Error(`Invalid geometry format: ${error.message}`);
+      throw createItemError(error.code || DIAGNOSTIC_CODES.INVALID_GEOMETRY, `Invalid geometry format: ${error.message}`, {
+        field: 'geometry'
+      });
     }
   }
   
+  if (row.description) {
+    annotation.description = row.description;
+  }
+  
+  const properties = pickProperties(row, CSV_ANNOTATION_COLUMNS);
+  if (Object.keys(properties).length > 0) {
+    annotation.properties = properties;
+  }
+  
   return annotation;
 }
 
+/**
+ * Check point counts of a geometry parsed from WKT/WKB, closing polygon rings
+ * @param {Object} geometry - Point, LineString or Polygon geometry
+ * @param {string} annotationType - Annotation type of the geometry
+ * @returns {Object} Validated geometry
+ */
+function validateParsedGeometry(geometry, annotationType) {
+  const minPoints = ANNOTATION_TYPES[annotationType].minPoints;
+  
+  if (geometry.type === 'LineString' && geometry.coordinates.length < minPoints) {
+    throw createItemError(
+      DIAGNOSTIC_CODES.INSUFFICIENT_POINTS,
+      ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(annotationType, geometry.coordinates.length, minPoints),
+      { field: 'geometry' }
+    );
+  }
+  
+  if (geometry.type === 'Polygon') {
+    const rings = geometry.coordinates.map(ring => {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      const closed = first[0] === last[0] && first[1] === last[1];
+      const pointCount = closed ? ring.length - 1 : ring.length;
+      if (pointCount < minPoints) {
+        throw createItemError(
+          DIAGNOSTIC_CODES.INSUFFICIENT_POINTS,
+          ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(annotationType, pointCount, minPoints),
+          { field: 'geometry' }
+        );
+      }
+      return closed ? ring : [...ring, [first[0], first[1]]];
+    });
+    return { type: 'Polygon', coordinates: rings };
+  }
+  
+  return geometry;
+}
+
 /**
  * Parse GeoJSON file content
  * @param {string} filePath - Path to GeoJSON file
+ * @param {Object} options - Parse options
+ * @param {string} options.sourceCRS - EPSG code overriding the file's "crs" member
+ * @param {Array} options.stylingRules - Styling rules; when present the color property is optional
  * @returns {Promise<Array>} Array of parsed annotations
  */
-async function parseGeoJSON(filePath) {
+async function parseGeoJSON(filePath, options = {}) {
+  const colorOptional = Array.isArray(options.stylingRules) && options.stylingRules.length > 0;
+  
   try {
     if (!fs.existsSync(filePath)) {
       throw new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT);
     }
     
-    const content = fs.readFileSync(filePath, 'utf8');
-    const geoJSON = JSON.parse(content);
-    
-    if (!geoJSON.type || geoJSON.type !== 'FeatureCollection' || !Array.isArray(geoJSON.features)) {
-      throw new Error('Invalid GeoJSON format: must be a FeatureCollection');
-    }
-    
-    const annotations = [];
+    const collector = createAnnotationCollector(options);
+    let featureCount = 0;
     
-    for (const feature of geoJSON.features) {
-      try {
-        const annotation = convertGeoJSONFeatureToAnnotation(feature);
-        if (annotation) {
-          annotations.push(annotation);
+    // Features are converted as they are read; the full document is never held in memory
+    const geoJSON = await readGeoJSONFeatures(fs.createReadStream(filePath), {
+      totalBytes: fs.statSync(filePath).size,
+      onProgress: collector.progress,
+      onFeature: (feature) => {
+        const location = { kind: 'Feature', index: ++featureCount, name: feature?.properties?.title };
+        let featureAnnotations;
+        try {
+          featureAnnotations = convertGeoJSONFeatureToAnnotations(feature, {
+            colorOptional,
+            onSkippedPart: (part, error) => reportSkippedItem(options, { ...location, part }, error, feature)
+          });
+        } catch (error) {
+          reportSkippedItem(options, location, error, feature);
+          return;
         }
-      } catch (error) {
-        console.warn(`Skipping invalid GeoJSON feature: ${error.message}`);
+        collector.add(featureAnnotations, location);
       }
+    });
+    
+    if (geoJSON.type !== 'FeatureCollection' || !geoJSON.hasFeatures) {
+      throw new Error('Invalid GeoJSON format: must be a FeatureCollection');
     }
     
-    if (annotations.length === 0) {
+    const sourceCRS = options.sourceCRS || detectGeoJSONCRS(geoJSON);
+    
+    if (collector.annotations.length === 0) {
       throw new Error('No valid annotations found in GeoJSON file');
     }
     
-    return annotations;
+    return reprojectAnnotations(collector.annotations, sourceCRS, reportOutOfRange(options));
   } catch (error) {
     if (error instanceof SyntaxError) {
       throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: Invalid JSON format`);
@@ -206,28 +652,80 @@ async function parseGeoJSON(filePath) {
   }
 }
 
+/**
+ * Convert a GeoJSON feature to annotation objects
+ * Multi* geometries and GeometryCollections become one annotation per part, e.g. "Parcel 12 (2/3)"
+ * @param {Object} feature - GeoJSON feature
+ * @param {Object} options - Conversion options (see convertGeoJSONFeatureToAnnotation)
+ * @param {Function} options.onSkippedPart - Called with (part number, error) for each invalid part
+ * @returns {Array} Array of annotation objects
+ */
+function convertGeoJSONFeatureToAnnotations(feature, options = {}) {
+  if (!feature || typeof feature !== 'object') {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_ITEM, 'Invalid GeoJSON feature: not an object');
+  }
+  if (!feature.geometry || !feature.geometry.type) {
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'Invalid GeoJSON feature: missing geometry', { field: 'geometry' });
+  }
+  
+  const parts = explodeGeometry(feature.geometry);
+  if (parts.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, `GeoJSON ${feature.geometry.type} contains no geometries`, {
+      field: 'geometry.type'
+    });
+  }
+  if (parts.length === 1) {
+    return [convertGeoJSONFeatureToAnnotation({ ...feature, geometry: parts[0] }, options)];
+  }
+  
+  const annotations = [];
+  parts.forEach((geometry, index) => {
+    try {
+      const annotation = convertGeoJSONFeatureToAnnotation({ ...feature, geometry }, options);
+      annotation.title = `${annotation.title} (${index + 1}/${parts.length})`;
+      annotations.push(annotation);
+    } catch (error) {
+      if (options.onSkippedPart) {
+        options.onSkippedPart(index + 1, error);
+      } else {
+        console.warn(`Skipping invalid part ${index + 1} of GeoJSON feature: ${error.message}`);
+      }
+    }
+  });
+  
+  if (annotations.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, `No valid geometries in GeoJSON ${feature.geometry.type}`, {
+      field: 'geometry.type'
+    });
+  }
+  
+  return annotations;
+}
+
 /**
  * Convert GeoJSON feature to annotation object
  * @param {Object} feature - GeoJSON feature
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.colorOptional - Allow a missing color (supplied later by a styling rule)
  * @returns {Object|null} Annotation object or null if invalid
  */
-function convertGeoJSONFeatureToAnnotation(feature) {
+function convertGeoJSONFeatureToAnnotation(feature, options = {}) {
   if (!feature.geometry || !feature.geometry.type || !feature.geometry.coordinates) {
-    throw new Error('Invalid GeoJSON feature: missing geometry');
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'Invalid GeoJSON feature: missing geometry', { field: 'geometry' });
   }
   
   // Required fields validation
   if (!feature.properties?.title) {
-    throw new Error('Missing required field: title in properties');
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'Missing required field: title in properties', { field: 'properties.title' });
   }
-  if (!feature.properties?.color) {
-    throw new Error('Missing required field: color in properties');
+  if (!feature.properties?.color && !options.colorOptional) {
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'Missing required field: color in properties', { field: 'properties.color' });
   }
   
   const annotation = {
     title: feature.properties.title,
-    color: feature.properties.color,
-    fillColor: feature.properties.fillColor || feature.properties.color // Use color as fallback
+    color: feature.properties.color || undefined,
+    fillColor: feature.properties.fillColor || feature.properties.color || undefined // Use color as fallback
   };
   
   // Map GeoJSON geometry types to annotation types and preserve geometry
@@ -248,120 +746,308 @@ function convertGeoJSONFeatureToAnnotation(feature) {
       break;
       
     default:
-      throw new Error(`Unsupported GeoJSON geometry type: ${feature.geometry.type}`);
+      throw createItemError(DIAGNOSTIC_CODES.UNSUPPORTED_GEOMETRY, `Unsupported GeoJSON geometry type: ${feature.geometry.type}`, {
+        field: 'geometry.type'
+      });
+  }
+  
+  if (feature.properties.description) {
+    annotation.description = String(feature.properties.description);
+  }
+  
+  const properties = pickProperties(feature.properties, GEOJSON_ANNOTATION_PROPERTIES);
+  if (Object.keys(properties).length > 0) {
+    annotation.properties = properties;
   }
   
   return annotation;
 }
 
+/**
+ * Copy source attributes that are not already mapped onto annotation fields
+ * @param {Object} source - CSV row or GeoJSON properties
+ * @param {Array<string>} mappedKeys - Keys consumed by the annotation itself
+ * @returns {Object} Remaining attributes
+ */
+function pickProperties(source, mappedKeys) {
+  const properties = {};
+  
+  Object.keys(source || {}).forEach(key => {
+    if (key && !mappedKeys.includes(key)) {
+      properties[key] = source[key];
+    }
+  });
+  
+  return properties;
+}
+
 /**
  * Parse KML file content
  * @param {string} filePath - Path to KML file
+ * @param {Object} options - Parse options
+ * @param {boolean} options.prefixFolderNames - Prefix titles with the placemark's folder path
  * @returns {Promise<Array>} Array of parsed annotations
  */
-async function parseKML(filePath) {
+async function parseKML(filePath, options = {}) {
   try {
     if (!fs.existsSync(filePath)) {
       throw new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT);
     }
     
-    const content = fs.readFileSync(filePath, 'utf8');
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(content);
-    
-    if (!result.kml || !result.kml.Document) {
-      throw new Error('Invalid KML format: missing Document element');
+    return await readKMLStream(fs.createReadStream(filePath), fs.statSync(filePath).size, options);
+  } catch (error) {
+    throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
+  }
+}
+
+/**
+ * Read KML from a stream, converting each placemark as soon as it has been read
+ * Placemarks whose styleUrl points at a style not read yet are converted at the end,
+ * so styles defined anywhere in the document still apply
+ * @param {Readable} input - KML byte stream
+ * @param {number} totalBytes - Size of the stream, if known, for progress reporting
+ * @param {Object} options - Parse options (see parseKML)
+ * @returns {Promise<Array>} Array of parsed annotations
+ */
+async function readKMLStream(input, totalBytes, options = {}) {
+  const collector = createAnnotationCollector(options);
+  const styles = {};
+  const deferred = [];
+  const containers = []; // Open kml/Document/Folder elements: { named, name }
+  let placemarkCount = 0;
+  let hasRoot = false;
+  
+  const getFolderPath = () => containers.filter(container => container.name).map(container => container.name);
+  
+  const convertPlacemark = (placemark, folderPath, location) => {
+    let placemarkAnnotations;
+    try {
+      placemarkAnnotations = convertKMLPlacemarkToAnnotations(placemark, styles, folderPath, {
+        onSkippedPart: (part, error) => reportSkippedItem(options, { ...location, part }, error, placemark)
+      });
+    } catch (error) {
+      reportSkippedItem(options, location, error, placemark);
+      return;
     }
     
-    const annotations = [];
-    const placemarks = Array.isArray(result.kml.Document.Placemark) 
-      ? result.kml.Document.Placemark 
-      : [result.kml.Document.Placemark].filter(Boolean);
+    if (options.prefixFolderNames && folderPath.length > 0) {
+      placemarkAnnotations.forEach(annotation => {
+        annotation.title = [...folderPath, annotation.title].join(' / ');
+      });
+    }
+    collector.add(placemarkAnnotations, location);
+  };
+  
+  await readXMLElements(input, {
+    totalBytes,
+    onProgress: collector.progress,
+    select: (name, path) => {
+      const parent = path[path.length - 1];
+      if (!KML_CONTAINERS.includes(parent)) return false;
+      return ['Placemark', 'Style', 'StyleMap'].includes(name) || (name === 'name' && parent !== 'kml');
+    },
+    onOpen: (name, attributes, path) => {
+      if (path.length === 0) {
+        if (name !== 'kml') {
+          throw new Error('Invalid KML format: missing kml element');
+        }
+        hasRoot = true;
+      }
+      if (KML_CONTAINERS.includes(name)) {
+        // A top-level Document is the file itself, so its name is not part of the folder path
+        containers.push({ named: name !== 'kml' && !(name === 'Document' && path.length === 1), name: undefined });
+      }
+    },
+    onClose: (name) => {
+      if (KML_CONTAINERS.includes(name)) {
+        containers.pop();
+      }
+    },
+    onElement: (name, node) => {
+      if (name === 'name') {
+        const container = containers[containers.length - 1];
+        if (container.named) {
+          container.name = getKMLText(node) || undefined;
+        }
+      } else if (name === 'Placemark') {
+        const location = { kind: 'Placemark', index: ++placemarkCount, name: getKMLText(node?.name) };
+        if (!node || typeof node !== 'object') {
+          reportSkippedItem(options, location, createItemError(DIAGNOSTIC_CODES.INVALID_ITEM, 'Empty placemark'));
+          return;
+        }
+        
+        const styleId = getKMLText(node.styleUrl)?.split('#').pop();
+        if (styleId && !styles[styleId]) {
+          deferred.push({ placemark: node, folderPath: getFolderPath(), location });
+        } else {
+          convertPlacemark(node, getFolderPath(), location);
+        }
+      } else {
+        collectKMLStyles({ [name]: node }, styles);
+      }
+    }
+  });
+  
+  if (!hasRoot) {
+    throw new Error('Invalid KML format: missing kml element');
+  }
+  
+  deferred.forEach(({ placemark, folderPath, location }) => convertPlacemark(placemark, folderPath, location));
+  
+  if (collector.annotations.length === 0) {
+    throw new Error('No valid annotations found in KML file');
+  }
+  
+  return collector.annotations;
+}
+
+/**
+ * Convert a KML placemark to one annotation per geometry
+ * MultiGeometry placemarks are expanded into numbered parts, e.g. "Fence (2/3)"
+ * @param {Object} placemark - KML placemark object
+ * @param {Object} styles - Shared styles from collectKMLStyles, keyed by id
+ * @param {Array<string>} folderPath - Names of the enclosing Folders/Documents
+ * @param {Object} options - Conversion options
+ * @param {Function} options.onSkippedPart - Called with (part number, error) for each invalid part
+ * @returns {Array} Array of annotation objects
+ */
+function convertKMLPlacemarkToAnnotations(placemark, styles = {}, folderPath = [], options = {}) {
+  let annotations;
+  
+  if (placemark.MultiGeometry) {
+    const parts = flattenKMLMultiGeometry(placemark.MultiGeometry);
+    if (parts.length === 0) {
+      throw createItemError(DIAGNOSTIC_CODES.UNSUPPORTED_GEOMETRY, 'KML MultiGeometry contains no supported geometries', {
+        field: 'MultiGeometry'
+      });
+    }
     
-    for (const placemark of placemarks) {
+    annotations = [];
+    parts.forEach((part, index) => {
       try {
-        const annotation = convertKMLPlacemarkToAnnotation(placemark);
-        if (annotation) {
-          annotations.push(annotation);
+        const annotation = convertKMLPlacemarkToAnnotation({ ...placemark, MultiGeometry: undefined, ...part }, styles);
+        if (parts.length > 1) {
+          annotation.title = `${annotation.title} (${index + 1}/${parts.length})`;
         }
+        annotations.push(annotation);
       } catch (error) {
-        console.warn(`Skipping invalid KML placemark: ${error.message}`);
+        if (options.onSkippedPart) {
+          options.onSkippedPart(index + 1, error);
+        } else {
+          console.warn(`Skipping invalid part ${index + 1} of KML placemark: ${error.message}`);
+        }
       }
-    }
+    });
     
     if (annotations.length === 0) {
-      throw new Error('No valid annotations found in KML file');
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'No valid geometries in KML MultiGeometry', { field: 'MultiGeometry' });
     }
-    
-    return annotations;
-  } catch (error) {
-    throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
+  } else {
+    annotations = [convertKMLPlacemarkToAnnotation(placemark, styles)];
+  }
+  
+  if (folderPath.length > 0) {
+    annotations.forEach(annotation => {
+      annotation.metadata = { ...annotation.metadata, folderPath };
+    });
   }
+  
+  return annotations;
 }
 
 /**
- * Convert KML placemark to annotation object
- * @param {Object} placemark - KML placemark object
- * @returns {Object|null} Annotation object or null if invalid
+ * Flatten a (possibly nested) MultiGeometry into single-geometry parts
+ * @param {Object|Array} multiGeometry - KML MultiGeometry node(s)
+ * @returns {Array} Parts shaped like placemark geometry, e.g. { Point: {...} }
  */
-function convertKMLPlacemarkToAnnotation(placemark) {
+function flattenKMLMultiGeometry(multiGeometry) {
+  const parts = [];
+  
+  for (const node of toArray(multiGeometry)) {
+    if (!node || typeof node !== 'object') continue;
+    
+    for (const type of ['Point', 'LineString', 'Polygon']) {
+      for (const geometry of toArray(node[type])) {
+        parts.push({ [type]: geometry });
+      }
+    }
+    
+    parts.push(...flattenKMLMultiGeometry(node.MultiGeometry));
+  }
+  
+  return parts;
+}
+
+/**
+ * Convert KML placemark to annotation object
+ * @param {Object} placemark - KML placemark object with a single geometry
+ * @param {Object} styles - Shared styles from collectKMLStyles, keyed by id
+ * @returns {Object|null} Annotation object or null if invalid
+ */
+function convertKMLPlacemarkToAnnotation(placemark, styles = {}) {
   // Required field validation
-  if (!placemark.name) {
-    throw new Error('KML placemark missing required field: name');
+  const title = getKMLText(placemark.name);
+  if (!title) {
+    throw createItemError(DIAGNOSTIC_CODES.MISSING_FIELD, 'KML placemark missing required field: name', { field: 'name' });
   }
   
   const annotation = {
-    title: placemark.name,
-    color: '#FF0000', // Default color, KML color parsing is complex
-    fillColor: '#FF0000' // Default fillColor
+    title
   };
   
   // Parse different geometry types
   if (placemark.Point) {
     annotation.annotationType = 'LOCATION';
-    const coords = placemark.Point.coordinates.split(',');
-    if (coords.length < 2) {
-      throw new Error('Invalid Point coordinates in KML');
+    const coords = (getKMLText(placemark.Point.coordinates) || '').split(',');
+    const lng = parseFloat(coords[0]);
+    const lat = parseFloat(coords[1]);
+    if (coords.length < 2 || isNaN(lng) || isNaN(lat)) {
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_COORDINATES, 'Invalid Point coordinates in KML', { field: 'Point.coordinates' });
     }
     annotation.geometry = {
       type: 'Point',
-      coordinates: [parseFloat(coords[0]), parseFloat(coords[1])] // [lng, lat]
+      coordinates: [lng, lat]
     };
   } else if (placemark.Polygon) {
     annotation.annotationType = 'AREA';
     if (!placemark.Polygon.outerBoundaryIs?.LinearRing?.coordinates) {
-      throw new Error('Invalid Polygon structure in KML');
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Invalid Polygon structure in KML', { field: 'Polygon' });
     }
-    const coordString = placemark.Polygon.outerBoundaryIs.LinearRing.coordinates;
-    const coordinates = parseKMLCoordinates(coordString);
+    const coordinates = parseKMLCoordinates(getKMLText(placemark.Polygon.outerBoundaryIs.LinearRing.coordinates) || '');
     
     // Validate minimum points for area
     if (coordinates.length < ANNOTATION_TYPES.AREA.minPoints) {
-      throw new Error(ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
+      throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
         'AREA',
         coordinates.length,
         ANNOTATION_TYPES.AREA.minPoints
-      ));
+      ), { field: 'Polygon.outerBoundaryIs.LinearRing.coordinates' });
     }
     
+    // Holes are kept here and resolved by the hole policy in parseFile
+    const holes = toArray(placemark.Polygon.innerBoundaryIs)
+      .flatMap(boundary => toArray(boundary?.LinearRing))
+      .map(ring => parseKMLCoordinates(getKMLText(ring?.coordinates) || ''))
+      .filter(ring => ring.length >= ANNOTATION_TYPES.AREA.minPoints);
+    
     annotation.geometry = {
       type: 'Polygon',
-      coordinates: [coordinates]
+      coordinates: [coordinates, ...holes]
     };
   } else if (placemark.LineString) {
     annotation.annotationType = 'LINE';
     if (!placemark.LineString.coordinates) {
-      throw new Error('Invalid LineString structure in KML');
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Invalid LineString structure in KML', { field: 'LineString' });
     }
-    const coordinates = parseKMLCoordinates(placemark.LineString.coordinates);
+    const coordinates = parseKMLCoordinates(getKMLText(placemark.LineString.coordinates) || '');
     
     // Validate minimum points for line
     if (coordinates.length < ANNOTATION_TYPES.LINE.minPoints) {
-      throw new Error(ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
+      throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
         'LINE',
         coordinates.length,
         ANNOTATION_TYPES.LINE.minPoints
-      ));
+      ), { field: 'LineString.coordinates' });
     }
     
     annotation.geometry = {
@@ -369,12 +1055,210 @@ function convertKMLPlacemarkToAnnotation(placemark) {
       coordinates: coordinates
     };
   } else {
-    throw new Error('Unsupported KML geometry type or missing geometry');
+    throw createItemError(DIAGNOSTIC_CODES.UNSUPPORTED_GEOMETRY, 'Unsupported KML geometry type or missing geometry');
+  }
+  
+  const { color, fillColor } = getKMLStyleColors(
+    resolveKMLStyle(placemark, styles),
+    annotation.annotationType
+  );
+  annotation.color = color;
+  annotation.fillColor = fillColor;
+  
+  // Google Earth writes HTML balloons; plain text (e.g. from an export) keeps its blank lines
+  const descriptionText = getKMLText(placemark.description) || '';
+  const description = HTML_MARKUP_PATTERN.test(descriptionText) ? htmlToText(descriptionText) : descriptionText;
+  if (description) {
+    annotation.description = description;
+  }
+  
+  const properties = parseKMLExtendedData(placemark.ExtendedData);
+  if (Object.keys(properties).length > 0) {
+    annotation.properties = properties;
   }
   
   return annotation;
 }
 
+/**
+ * Read <Data> and <SchemaData>/<SimpleData> values from KML ExtendedData
+ * @param {Object|Array} extendedData - KML ExtendedData node(s)
+ * @returns {Object} Properties keyed by data name
+ */
+function parseKMLExtendedData(extendedData) {
+  const properties = {};
+  
+  for (const node of toArray(extendedData)) {
+    if (!node || typeof node !== 'object') continue;
+    
+    for (const data of toArray(node.Data)) {
+      if (data?.$?.name) {
+        properties[data.$.name] = getKMLText(data.value) ?? '';
+      }
+    }
+    
+    for (const schemaData of toArray(node.SchemaData)) {
+      for (const simpleData of toArray(schemaData?.SimpleData)) {
+        if (simpleData?.$?.name) {
+          properties[simpleData.$.name] = getKMLText(simpleData) ?? '';
+        }
+      }
+    }
+  }
+  
+  return properties;
+}
+
+/**
+ * Reduce an HTML balloon description (as written by Google Earth) to plain text
+ * @param {string} html - Description text, possibly containing HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) return '';
+  
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Normalize an xml2js node that may be missing, a single object or an array
+ * @param {*} value - xml2js node value
+ * @returns {Array} Array of nodes
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read the text content of an xml2js node
+ * @param {*} node - xml2js node (string, or object with text in "_")
+ * @returns {string|undefined} Trimmed text content
+ */
+function getKMLText(node) {
+  if (typeof node === 'string') return node.trim();
+  if (node && typeof node._ === 'string') return node._.trim();
+  return undefined;
+}
+
+/**
+ * Collect shared Style and StyleMap definitions from a KML container
+ * @param {Object} container - KML Document or Folder node
+ * @param {Object} styles - Existing style lookup to add to
+ * @returns {Object} Style lookup keyed by id
+ */
+function collectKMLStyles(container, styles = {}) {
+  if (!container || typeof container !== 'object') return styles;
+  
+  for (const style of toArray(container.Style)) {
+    if (style?.$?.id) {
+      styles[style.$.id] = { type: 'Style', style };
+    }
+  }
+  
+  for (const styleMap of toArray(container.StyleMap)) {
+    if (styleMap?.$?.id) {
+      styles[styleMap.$.id] = { type: 'StyleMap', pairs: toArray(styleMap.Pair) };
+    }
+  }
+  
+  return styles;
+}
+
+/**
+ * Resolve a styleUrl reference to a style object
+ * StyleMaps resolve to their "normal" pair, falling back to the first pair
+ * @param {string} styleUrl - Style reference, e.g. "#area-style"
+ * @param {Object} styles - Style lookup from collectKMLStyles
+ * @param {number} depth - Current reference depth, guards against cycles
+ * @returns {Object} Style object (empty if unresolved)
+ */
+function resolveKMLStyleUrl(styleUrl, styles, depth = 0) {
+  if (!styleUrl || depth > 5) return {};
+  
+  // Only local references are supported; "other.kml#id" resolves by id
+  const entry = styles[styleUrl.split('#').pop()];
+  if (!entry) return {};
+  
+  if (entry.type === 'Style') {
+    return entry.style;
+  }
+  
+  const pair = entry.pairs.find(p => getKMLText(p.key) === 'normal') || entry.pairs[0];
+  if (!pair) return {};
+  
+  return {
+    ...resolveKMLStyleUrl(getKMLText(pair.styleUrl), styles, depth + 1),
+    ...toArray(pair.Style)[0]
+  };
+}
+
+/**
+ * Resolve the effective style for a placemark
+ * Inline <Style> sub-styles override those of the referenced shared style
+ * @param {Object} placemark - KML placemark object
+ * @param {Object} styles - Style lookup from collectKMLStyles
+ * @returns {Object} Style object with IconStyle/LineStyle/PolyStyle members
+ */
+function resolveKMLStyle(placemark, styles = {}) {
+  return {
+    ...resolveKMLStyleUrl(getKMLText(placemark.styleUrl), styles),
+    ...toArray(placemark.Style)[0]
+  };
+}
+
+/**
+ * Pick annotation colors from a resolved KML style
+ * @param {Object} style - Resolved KML style
+ * @param {string} annotationType - LOCATION, AREA or LINE
+ * @returns {Object} { color, fillColor } as hex strings
+ */
+function getKMLStyleColors(style, annotationType) {
+  const iconColor = kmlColorToHex(getKMLText(style.IconStyle?.color));
+  const lineColor = kmlColorToHex(getKMLText(style.LineStyle?.color));
+  const polyColor = kmlColorToHex(getKMLText(style.PolyStyle?.color));
+  
+  let color;
+  let fillColor;
+  
+  switch (annotationType) {
+    // Icons and lines have one color; a PolyStyle (as the export writes) carries the fill
+    case 'LOCATION':
+      color = iconColor;
+      fillColor = polyColor || iconColor;
+      break;
+    case 'LINE':
+      color = lineColor;
+      fillColor = polyColor || lineColor;
+      break;
+    case 'AREA':
+      // Outline comes from LineStyle, fill from PolyStyle; each falls back to the other
+      color = lineColor || polyColor;
+      fillColor = polyColor || lineColor;
+      break;
+    default:
+      break;
+  }
+  
+  return {
+    color: color || DEFAULT_KML_COLOR,
+    fillColor: fillColor || color || DEFAULT_KML_COLOR
+  };
+}
+
 /**
  * Parse KML coordinate string
  * @param {string} coordString - KML coordinate string
@@ -390,9 +1274,10 @@ function parseKMLCoordinates(coordString) {
 /**
  * Parse KMZ file (compressed KML)
  * @param {string} filePath - Path to KMZ file
+ * @param {Object} options - Parse options, see parseKML
  * @returns {Promise<Array>} Array of parsed annotations
  */
-async function parseKMZ(filePath) {
+async function parseKMZ(filePath, options = {}) {
   try {
     if (!fs.existsSync(filePath)) {
       throw new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT);
@@ -410,47 +1295,550 @@ async function parseKMZ(filePath) {
       throw new Error('No KML file found in KMZ archive');
     }
     
-    const kmlContent = await zip.files[kmlFile].async('text');
+    // The uncompressed size is not known up front, so only the annotation count is reported
+    return await readKMLStream(zip.files[kmlFile].nodeStream(), undefined, options);
+  } catch (error) {
+    throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse GPX file content
+ * Waypoints become LOCATION annotations, routes and tracks LINE annotations
+ * @param {string} filePath - Path to GPX file
+ * @param {Object} options - Parse options
+ * @param {boolean} options.splitTrackSegments - One annotation per <trkseg> instead of one per track
+ * @param {boolean} options.closeTracks - Close tracks into AREA annotations (e.g. walked boundaries)
+ * @returns {Promise<Array>} Array of parsed annotations
+ */
+async function parseGPX(filePath, options = {}) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT);
+    }
+    
+    const collector = createAnnotationCollector(options);
+    const counts = { wpt: 0, rte: 0, trk: 0 }; // Used to number untitled elements
+    let hasRoot = false;
     
-    // Create temporary KML file and parse it
-    const tempKMLPath = filePath.replace('.kmz', '_temp.kml');
-    fs.writeFileSync(tempKMLPath, kmlContent);
+    await readXMLElements(fs.createReadStream(filePath), {
+      totalBytes: fs.statSync(filePath).size,
+      onProgress: collector.progress,
+      select: (name, path) => path.length === 1 && name in GPX_ELEMENT_LABELS,
+      onOpen: (name, attributes, path) => {
+        if (path.length === 0) {
+          if (name !== 'gpx') {
+            throw new Error('Invalid GPX format: missing gpx element');
+          }
+          hasRoot = true;
+        }
+      },
+      onElement: (name, element) => {
+        const index = counts[name]++;
+        const location = { kind: GPX_ELEMENT_LABELS[name], index: index + 1, name: getKMLText(element?.name) };
+        let elementAnnotations;
+        try {
+          elementAnnotations = convertGPXElementToAnnotations(name, element, index, {
+            ...options,
+            onSkippedPart: (part, error) => reportSkippedItem(options, { ...location, part }, error, element)
+          });
+        } catch (error) {
+          reportSkippedItem(options, location, error, element);
+          return;
+        }
+        collector.add(elementAnnotations, location);
+      }
+    });
     
+    if (!hasRoot) {
+      throw new Error('Invalid GPX format: missing gpx element');
+    }
+    
+    if (collector.annotations.length === 0) {
+      throw new Error('No valid annotations found in GPX file');
+    }
+    
+    return collector.annotations;
+  } catch (error) {
+    throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a top-level GPX element to annotations
+ * @param {string} name - Element name: wpt, rte or trk
+ * @param {Object} element - xml2js-style node
+ * @param {number} index - Position among elements of the same kind, used for untitled elements
+ * @param {Object} options - Parse options (see parseGPX)
+ * @returns {Array} Annotation objects
+ */
+function convertGPXElementToAnnotations(name, element, index, options = {}) {
+  if (!element || typeof element !== 'object') {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_ITEM, `Empty <${name}> element`);
+  }
+  
+  switch (name) {
+    case 'wpt':
+      return [convertGPXWaypointToAnnotation(element, index)];
+    case 'rte':
+      return [buildGPXPathAnnotation(element, getKMLText(element.name) || `Route ${index + 1}`, toArray(element.rtept), false)];
+    default:
+      return convertGPXTrackToAnnotations(element, index, options);
+  }
+}
+
+/**
+ * Convert a GPX waypoint to a LOCATION annotation
+ * @param {Object} waypoint - xml2js <wpt> node
+ * @param {number} index - Position in the file, used for untitled waypoints
+ * @returns {Object} Annotation object
+ */
+function convertGPXWaypointToAnnotation(waypoint, index) {
+  const annotation = {
+    annotationType: 'LOCATION',
+    title: getKMLText(waypoint.name) || `Waypoint ${index + 1}`,
+    color: DEFAULT_GPX_COLOR.color,
+    fillColor: DEFAULT_GPX_COLOR.fillColor,
+    geometry: {
+      type: 'Point',
+      coordinates: parseGPXPoint(waypoint)
+    }
+  };
+  
+  return applyGPXDetails(annotation, waypoint, { time: getKMLText(waypoint.time) });
+}
+
+/**
+ * Convert a GPX track to LINE (or AREA) annotations
+ * @param {Object} track - xml2js <trk> node
+ * @param {number} index - Position in the file, used for untitled tracks
+ * @param {Object} options - Parse options (see parseGPX)
+ * @returns {Array} Annotation objects
+ */
+function convertGPXTrackToAnnotations(track, index, options = {}) {
+  const title = getKMLText(track.name) || `Track ${index + 1}`;
+  const segments = toArray(track.trkseg)
+    .map(segment => toArray(segment?.trkpt))
+    .filter(points => points.length > 0);
+  
+  if (segments.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, `Track "${title}" has no points`, { field: 'trkseg' });
+  }
+  
+  // Without splitting, the segments of a track are joined into one path
+  const parts = options.splitTrackSegments ? segments : [segments.flat()];
+  if (parts.length === 1) {
+    return [buildGPXPathAnnotation(track, title, parts[0], options.closeTracks)];
+  }
+  
+  const annotations = [];
+  parts.forEach((points, partIndex) => {
     try {
-      const annotations = await parseKML(tempKMLPath);
-      fs.unlinkSync(tempKMLPath); // Clean up temp file
-      return annotations;
+      annotations.push(buildGPXPathAnnotation(track, `${title} (${partIndex + 1}/${parts.length})`, points, options.closeTracks));
     } catch (error) {
-      fs.unlinkSync(tempKMLPath); // Clean up temp file on error
-      throw error;
+      if (options.onSkippedPart) {
+        options.onSkippedPart(partIndex + 1, error);
+      } else {
+        console.warn(`Skipping invalid segment ${partIndex + 1} of GPX track "${title}": ${error.message}`);
+      }
     }
+  });
+  
+  if (annotations.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, `No valid segments in track "${title}"`, { field: 'trkseg' });
+  }
+  
+  return annotations;
+}
+
+/**
+ * Build a LINE or AREA annotation from GPX route/track points
+ * @param {Object} element - xml2js <rte> or <trk> node carrying name/desc
+ * @param {string} title - Annotation title
+ * @param {Array} points - xml2js <rtept>/<trkpt> nodes
+ * @param {boolean} asArea - Close the path into an AREA
+ * @returns {Object} Annotation object
+ */
+function buildGPXPathAnnotation(element, title, points, asArea) {
+  const annotationType = asArea ? 'AREA' : 'LINE';
+  const coordinates = points.map(parseGPXPoint);
+  
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  const closed = coordinates.length > 1 && first[0] === last[0] && first[1] === last[1];
+  const pointCount = asArea && closed ? coordinates.length - 1 : coordinates.length;
+  const minPoints = ANNOTATION_TYPES[annotationType].minPoints;
+  if (pointCount < minPoints) {
+    throw createItemError(DIAGNOSTIC_CODES.INSUFFICIENT_POINTS, ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(annotationType, pointCount, minPoints));
+  }
+  
+  const annotation = {
+    annotationType,
+    title,
+    color: DEFAULT_GPX_COLOR.color,
+    fillColor: DEFAULT_GPX_COLOR.fillColor,
+    geometry: asArea
+      ? { type: 'Polygon', coordinates: [closed ? coordinates : [...coordinates, [first[0], first[1]]]] }
+      : { type: 'LineString', coordinates }
+  };
+  
+  const times = points.map(point => getKMLText(point.time)).filter(Boolean);
+  return applyGPXDetails(annotation, element, {
+    startTime: times[0],
+    endTime: times[times.length - 1]
+  });
+}
+
+/**
+ * Read a GPX point's lat/lon attributes
+ * @param {Object} point - xml2js <wpt>, <rtept> or <trkpt> node
+ * @returns {Array} [lng, lat]
+ */
+function parseGPXPoint(point) {
+  const lat = parseFloat(point?.$?.lat);
+  const lng = parseFloat(point?.$?.lon);
+  
+  if (isNaN(lat) || isNaN(lng)) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_COORDINATES, 'Invalid GPX point: missing lat/lon', {
+      field: 'lat/lon',
+      value: point?.$ ? `${point.$.lat ?? ''}, ${point.$.lon ?? ''}` : undefined
+    });
+  }
+  
+  return [lng, lat];
+}
+
+/**
+ * Copy <desc>, times and simple child elements (cmt, sym, type, ele...) onto an annotation
+ * @param {Object} annotation - Annotation to complete
+ * @param {Object} element - xml2js <wpt>, <rte> or <trk> node
+ * @param {Object} times - Time values for metadata; empty values are left out
+ * @returns {Object} The annotation
+ */
+function applyGPXDetails(annotation, element, times) {
+  const desc = getKMLText(element.desc);
+  if (desc) {
+    annotation.description = desc;
+  }
+  
+  const metadata = {};
+  Object.entries({ desc, ...times }).forEach(([key, value]) => {
+    if (value) {
+      metadata[key] = value;
+    }
+  });
+  if (Object.keys(metadata).length > 0) {
+    annotation.metadata = metadata;
+  }
+  
+  const properties = {};
+  Object.keys(element).forEach(key => {
+    const text = GPX_ANNOTATION_ELEMENTS.includes(key) ? undefined : getKMLText(element[key]);
+    if (text) {
+      properties[key] = text;
+    }
+  });
+  if (Object.keys(properties).length > 0) {
+    annotation.properties = properties;
+  }
+  
+  return annotation;
+}
+
+/**
+ * Parse zipped ESRI shapefile bundle (.shp/.shx/.dbf/.prj)
+ * @param {string} filePath - Path to ZIP file
+ * @param {Object} options - Parse options
+ * @param {string} options.titleField - DBF attribute to use as the annotation title
+ * @param {string} options.sourceCRS - EPSG code overriding the .prj file
+ * @returns {Promise<Array>} Array of parsed annotations
+ */
+async function parseShapefile(filePath, options = {}) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(ERROR_MESSAGES.FILE_PROCESSING.INVALID_FILE_FORMAT);
+    }
+    
+    const data = fs.readFileSync(filePath);
+    const zip = await JSZip.loadAsync(data);
+    
+    // Index archive members by lowercase path so sidecar files match regardless of case
+    const members = {};
+    Object.keys(zip.files).forEach(filename => {
+      if (!zip.files[filename].dir && !filename.startsWith('__MACOSX/')) {
+        members[filename.toLowerCase()] = zip.files[filename];
+      }
+    });
+    
+    const layers = Object.keys(members).filter(filename => filename.endsWith('.shp'));
+    if (layers.length === 0) {
+      throw new Error('No .shp file found in ZIP archive');
+    }
+    
+    const annotations = [];
+    
+    for (const shpName of layers) {
+      const basePath = shpName.slice(0, -4);
+      const layerName = members[shpName].name.split('/').pop().slice(0, -4);
+      
+      if (!members[`${basePath}.dbf`]) {
+        throw new Error(`Shapefile ${layerName} is missing its .dbf attribute file`);
+      }
+      if (!members[`${basePath}.prj`] && !options.sourceCRS) {
+        throw new Error(`Shapefile ${layerName} is missing its .prj projection file, so its coordinate system is unknown. Add the .prj or select the coordinate system`);
+      }
+      
+      const sourceCRS = options.sourceCRS ||
+        crsFromPrj(await members[`${basePath}.prj`].async('text'));
+      
+      const encoding = members[`${basePath}.cpg`]
+        ? (await members[`${basePath}.cpg`].async('text')).trim()
+        : 'latin1';
+      const shapes = readShp(await members[shpName].async('nodebuffer'));
+      const { fields, records } = readDbf(await members[`${basePath}.dbf`].async('nodebuffer'), encoding);
+      
+      if (options.titleField && !fields.includes(options.titleField)) {
+        throw new Error(`Attribute "${options.titleField}" not found in ${layerName}.dbf (available: ${fields.join(', ')})`);
+      }
+      
+      const titleField = options.titleField ||
+        SHAPEFILE_TITLE_FIELDS
+          .map(candidate => fields.find(field => field.toLowerCase() === candidate))
+          .find(Boolean);
+      
+      // Records are numbered per layer, so the layer is named when there are several
+      const getRecordLocation = (shape) => ({
+        kind: layers.length > 1 ? `${layerName} record` : 'Record',
+        index: shape.recordNumber
+      });
+      
+      const layerAnnotations = [];
+      shapes.forEach((shape, index) => {
+        try {
+          const attributes = records[index];
+          if (attributes === null) {
+            return; // Deleted record
+          }
+          
+          const shapeAnnotations = convertShapeToAnnotations(shape, attributes || {}, titleField);
+          shapeAnnotations.forEach(annotation => {
+            if (layers.length > 1) {
+              annotation.metadata = { ...annotation.metadata, layer: layerName };
+            }
+            annotationSources.set(annotation, getRecordLocation(shape));
+            layerAnnotations.push(annotation);
+          });
+        } catch (error) {
+          reportSkippedItem(options, getRecordLocation(shape), error, records[index]);
+        }
+      });
+      
+      annotations.push(...reprojectAnnotations(layerAnnotations, sourceCRS, reportOutOfRange(options)));
+    }
+    
+    if (annotations.length === 0) {
+      throw new Error('No valid annotations found in shapefile');
+    }
+    
+    return annotations;
   } catch (error) {
     throw new Error(`${ERROR_MESSAGES.FILE_PROCESSING.PARSE_ERROR}: ${error.message}`);
   }
 }
 
+/**
+ * Convert a shapefile record to annotation objects
+ * Multi-part records become one annotation per part, e.g. "Fence (2/3)"
+ * @param {Object} shape - Record from readShp
+ * @param {Object} attributes - Matching DBF record
+ * @param {string} titleField - DBF attribute used for the title
+ * @returns {Array} Array of annotation objects
+ */
+function convertShapeToAnnotations(shape, attributes, titleField) {
+  const baseType = shape.shapeType.replace(/[ZM]$/, '');
+  let parts;
+  
+  switch (baseType) {
+    case 'Point':
+    case 'MultiPoint':
+      parts = shape.points.map(point => ({
+        annotationType: 'LOCATION',
+        geometry: { type: 'Point', coordinates: point }
+      }));
+      break;
+      
+    case 'PolyLine':
+      parts = shape.parts.map(points => {
+        if (points.length < ANNOTATION_TYPES.LINE.minPoints) {
+          throw createItemError(
+            DIAGNOSTIC_CODES.INSUFFICIENT_POINTS,
+            ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS('LINE', points.length, ANNOTATION_TYPES.LINE.minPoints)
+          );
+        }
+        return {
+          annotationType: 'LINE',
+          geometry: { type: 'LineString', coordinates: points }
+        };
+      });
+      break;
+      
+    case 'Polygon':
+      parts = groupShapefileRings(shape.parts).map(rings => ({
+        annotationType: 'AREA',
+        geometry: { type: 'Polygon', coordinates: rings }
+      }));
+      break;
+      
+    case 'Null':
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Record has no geometry');
+      
+    default:
+      throw createItemError(DIAGNOSTIC_CODES.UNSUPPORTED_GEOMETRY, `Unsupported shape type: ${shape.shapeType}`);
+  }
+  
+  if (parts.length === 0) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Record has no geometry');
+  }
+  
+  const titleValue = titleField ? attributes[titleField] : null;
+  const title = titleValue !== null && titleValue !== undefined && String(titleValue).trim() !== ''
+    ? String(titleValue).trim()
+    : `Feature ${shape.recordNumber}`;
+  
+  // Shapefiles carry no styling; honour color attributes when present
+  const defaultColor = DRONEDEPLOY_COLORS[0];
+  const color = isValidHexColor(attributes.color) ? normalizeHexColor(attributes.color) : defaultColor.color;
+  const fillColor = isValidHexColor(attributes.fillColor)
+    ? normalizeHexColor(attributes.fillColor)
+    : (isValidHexColor(attributes.color) ? color : defaultColor.fillColor);
+  
+  return parts.map((part, index) => {
+    const annotation = {
+      annotationType: part.annotationType,
+      title: parts.length > 1 ? `${title} (${index + 1}/${parts.length})` : title,
+      color,
+      fillColor,
+      geometry: part.geometry
+    };
+    
+    if (Object.keys(attributes).length > 0) {
+      annotation.properties = { ...attributes };
+    }
+    
+    return annotation;
+  });
+}
+
+/**
+ * Group shapefile polygon rings into GeoJSON polygons
+ * Shapefile outer rings are clockwise and holes counter-clockwise; each hole
+ * belongs to the outer ring before it. Rings are re-wound to the GeoJSON convention.
+ * @param {Array<Array<Array<number>>>} rings - Polygon record parts
+ * @returns {Array<Array>} Polygons as arrays of rings, outer ring first
+ */
+function groupShapefileRings(rings) {
+  const polygons = [];
+  
+  for (const ring of rings) {
+    if (ring.length < ANNOTATION_TYPES.AREA.minPoints) {
+      continue;
+    }
+    
+    const isHole = ringSignedArea(ring) > 0;
+    if (isHole && polygons.length > 0) {
+      polygons[polygons.length - 1].push([...ring].reverse());
+    } else {
+      polygons.push([isHole ? ring : [...ring].reverse()]);
+    }
+  }
+  
+  return polygons;
+}
+
+/**
+ * Signed area of a ring (shoelace formula); positive when counter-clockwise
+ * @param {Array<Array<number>>} ring - Ring of [x, y] points
+ * @returns {number} Signed area
+ */
+function ringSignedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
 /**
  * Parse file based on extension
  * @param {string} filePath - Path to file
  * @param {string} originalName - Original filename
- * @returns {Promise<Array>} Array of parsed annotations
+ * @param {Object} options - Format-specific parse options
+ * @param {string} options.holePolicy - How polygon holes are handled (HOLE_POLICIES)
+ * @param {Array} options.stylingRules - Ordered styling rules applied to the parsed annotations
+ * @param {Function} options.onProgress - Called with { bytesRead, totalBytes, annotationCount } while the file is read
+ * @param {Object} options.diagnostics - Collector from createParseDiagnostics for the items that are skipped
+ * @returns {Promise<Array>} Canonical annotations (see annotationModel.js)
  */
-async function parseFile(filePath, originalName) {
+async function parseFile(filePath, originalName, options = {}) {
   const extension = originalName.toLowerCase().split('.').pop();
+  let annotations;
   
   switch (extension) {
     case 'csv':
-      return parseCSV(filePath);
+      annotations = await parseCSV(filePath, options);
+      break;
     case 'json':
     case 'geojson':
-      return parseGeoJSON(filePath);
+      annotations = await parseGeoJSON(filePath, options);
+      break;
     case 'kml':
-      return parseKML(filePath);
+      annotations = await parseKML(filePath, options);
+      break;
     case 'kmz':
-      return parseKMZ(filePath);
+      annotations = await parseKMZ(filePath, options);
+      break;
+    case 'zip':
+      annotations = await parseShapefile(filePath, options);
+      break;
+    case 'gpx':
+      annotations = await parseGPX(filePath, options);
+      break;
+    case 'xlsx':
+    case 'xls':
+    case 'ods':
+      annotations = await parseSpreadsheet(filePath, options);
+      break;
     default:
       throw new Error(ERROR_MESSAGES.FILE_PROCESSING.UNSUPPORTED_FORMAT);
   }
+  
+  annotations = applyHolePolicy(annotations, options.holePolicy);
+  
+  // Streaming parsers stop early; this also covers non-streaming formats and split holes
+  assertAnnotationLimit(annotations.length);
+  
+  if (Array.isArray(options.stylingRules) && options.stylingRules.length > 0) {
+    const unstyled = annotations;
+    annotations = applyStylingRules(annotations, options.stylingRules).annotations.filter((annotation, index) => {
+      if (!annotation.color) {
+        const location = annotationSources.get(unstyled[index]) || { kind: 'Annotation', name: annotation.title };
+        const error = createItemError(
+          DIAGNOSTIC_CODES.NO_STYLE_MATCH,
+          `${ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('color')} (no styling rule matched)`,
+          { field: 'color' }
+        );
+        reportSkippedItem(options, location, error);
+        return false;
+      }
+      return true;
+    });
+    
+    if (annotations.length === 0) {
+      throw new Error('No valid annotations found: no styling rule supplied a color for rows without one');
+    }
+  }
+  
+  return annotations.map(toCanonicalAnnotation);
 }
 
 module.exports = {
@@ -458,10 +1846,18 @@ module.exports = {
   parseGeoJSON,
   parseKML,
   parseKMZ,
+  parseGPX,
+  parseShapefile,
+  parseSpreadsheet,
   parseFile,
   convertCSVRowToAnnotation,
+  convertCSVRowToAnnotations,
   convertGeoJSONFeatureToAnnotation,
-  convertKMLPlacemarkToAnnotation
+  convertGeoJSONFeatureToAnnotations,
+  convertKMLPlacemarkToAnnotation,
+  convertKMLPlacemarkToAnnotations,
+  collectKMLStyles,
+  resolveKMLStyle
 };
 
 
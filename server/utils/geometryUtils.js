@@ -0,0 +1,104 @@
+/**
+ * Geometry Utilities for Multi-part and Holed Geometries
+ */
+
+const { ANNOTATION_TYPES, HOLE_POLICIES, DIAGNOSTIC_CODES } = require('../config/constants');
+const { createItemError } = require('./parseDiagnostics');
+
+// Single-part GeoJSON geometry types that map directly onto an annotation type
+const GEOMETRY_ANNOTATION_TYPES = Object.fromEntries(
+  Object.values(ANNOTATION_TYPES).map(type => [type.geometryType, type.name])
+);
+
+// Multi-part GeoJSON geometry types and the single-part type of each part
+const MULTI_GEOMETRY_PARTS = {
+  MultiPoint: 'Point',
+  MultiLineString: 'LineString',
+  MultiPolygon: 'Polygon'
+};
+
+/**
+ * Split a GeoJSON geometry into single-part geometries
+ * Multi* geometries give one part per member and GeometryCollections are flattened
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Object>} Point, LineString and Polygon geometries
+ */
+function explodeGeometry(geometry) {
+  if (!geometry || !geometry.type) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Invalid geometry: missing type');
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries)) {
+      throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, 'Invalid GeometryCollection: missing geometries');
+    }
+    return geometry.geometries.flatMap(explodeGeometry);
+  }
+
+  if (!Array.isArray(geometry.coordinates)) {
+    throw createItemError(DIAGNOSTIC_CODES.INVALID_GEOMETRY, `Invalid ${geometry.type}: missing coordinates`);
+  }
+
+  if (MULTI_GEOMETRY_PARTS[geometry.type]) {
+    return geometry.coordinates.map(coordinates => ({
+      type: MULTI_GEOMETRY_PARTS[geometry.type],
+      coordinates
+    }));
+  }
+
+  if (GEOMETRY_ANNOTATION_TYPES[geometry.type]) {
+    return [geometry];
+  }
+
+  throw createItemError(DIAGNOSTIC_CODES.UNSUPPORTED_GEOMETRY, `Unsupported GeoJSON geometry type: ${geometry.type}`);
+}
+
+/**
+ * Apply the polygon hole policy to parsed annotations
+ * DroneDeploy areas are a single ring, so interior rings are either dropped
+ * (recorded in metadata.droppedHoles) or split out as separate AREA annotations
+ * @param {Array} annotations - Parsed annotations
+ * @param {string} policy - One of HOLE_POLICIES
+ * @returns {Array} Annotations whose polygons have only an outer ring
+ */
+function applyHolePolicy(annotations, policy = HOLE_POLICIES.DROP) {
+  const result = [];
+
+  annotations.forEach(annotation => {
+    const { geometry } = annotation;
+    if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length <= 1) {
+      result.push(annotation);
+      return;
+    }
+
+    const [outerRing, ...holes] = geometry.coordinates;
+    const outer = {
+      ...annotation,
+      geometry: { ...geometry, coordinates: [outerRing] }
+    };
+
+    if (policy === HOLE_POLICIES.SPLIT) {
+      result.push(outer);
+      holes.forEach((ring, index) => {
+        result.push({
+          ...annotation,
+          title: `${annotation.title} (hole ${index + 1}/${holes.length})`,
+          geometry: { type: 'Polygon', coordinates: [ring] },
+          metadata: { ...annotation.metadata, holeOf: annotation.title }
+        });
+      });
+    } else {
+      console.warn(`Dropping ${holes.length} hole${holes.length === 1 ? '' : 's'} from "${annotation.title}"`);
+      outer.metadata = { ...annotation.metadata, droppedHoles: holes.length };
+      result.push(outer);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  GEOMETRY_ANNOTATION_TYPES,
+  explodeGeometry,
+  applyHolePolicy
+};
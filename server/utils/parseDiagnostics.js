@@ -0,0 +1,111 @@
+/**
+ * Parse Diagnostics
+ * Structured records of the rows, features and placemarks a parser skipped, so users can fix the source file
+ */
+
+const { DIAGNOSTIC_CODES } = require('../config/constants');
+
+// Diagnostics kept per upload; the total is still counted past this
+const MAX_DIAGNOSTICS = 1000;
+
+// Raw values are cut to this many characters (geometries can be huge)
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Create an error for an item that cannot be converted
+ * @param {string} code - One of DIAGNOSTIC_CODES
+ * @param {string} message - Error message
+ * @param {Object} details - Optional details
+ * @param {string} details.field - Field or attribute at fault, e.g. "lat" or "properties.title"
+ * @param {*} details.value - Offending raw value; looked up from the item by field when omitted
+ * @returns {Error} Error with code, field and value
+ */
+function createItemError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.field = details.field;
+  error.value = details.value;
+  return error;
+}
+
+/**
+ * Describe where a skipped item is in the file
+ * @param {Object} location - { kind, index, part, name }, e.g. { kind: 'Row', index: 14 }
+ * @returns {string} e.g. 'Row 14', 'Feature 3, part 2 "Parcel 12"' or 'Annotation "Gate"'
+ */
+function describeLocation(location) {
+  const { kind, index, part, name } = location;
+  let description = index !== undefined ? `${kind} ${index}` : kind;
+  if (part !== undefined) {
+    description += `, part ${part}`;
+  }
+  if (name) {
+    description += ` "${name}"`;
+  }
+  return description;
+}
+
+/**
+ * Read a dotted field path from a raw item, e.g. "properties.title"
+ * @param {Object} source - Raw row, feature or placemark
+ * @param {string} field - Field path
+ * @returns {*} Value, or undefined
+ */
+function getFieldValue(source, field) {
+  if (!source || !field) return undefined;
+  return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+/**
+ * Format a raw value for display and CSV export
+ * @param {*} value - Raw value
+ * @returns {string} Text, cut to MAX_VALUE_LENGTH characters
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Create a collector for the items skipped while parsing one file
+ * @returns {Object} Collector with items, total and add(location, error, source)
+ */
+function createParseDiagnostics() {
+  const diagnostics = {
+    items: [],
+    total: 0,
+
+    /**
+     * Record a skipped item
+     * @param {Object} location - { kind, index, part, name }
+     * @param {Error} error - Why it was skipped; createItemError adds code, field and value
+     * @param {Object} source - Raw item, used to look up the value of error.field
+     */
+    add(location, error, source) {
+      diagnostics.total++;
+      if (diagnostics.items.length >= MAX_DIAGNOSTICS) return;
+
+      const value = error.value !== undefined ? error.value : getFieldValue(source, error.field);
+      diagnostics.items.push({
+        location: describeLocation(location),
+        kind: location.kind,
+        index: location.index,
+        part: location.part,
+        field: error.field || '',
+        code: Object.values(DIAGNOSTIC_CODES).includes(error.code) ? error.code : DIAGNOSTIC_CODES.INVALID_ITEM,
+        message: error.message,
+        value: formatValue(value)
+      });
+    }
+  };
+
+  return diagnostics;
+}
+
+module.exports = {
+  MAX_DIAGNOSTICS,
+  createItemError,
+  describeLocation,
+  createParseDiagnostics
+};
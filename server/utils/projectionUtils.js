@@ -0,0 +1,205 @@
+/**
+ * Coordinate Reference System Detection and Reprojection Utilities
+ */
+
+const proj4 = require('proj4');
+const { VALIDATION_RULES, ERROR_MESSAGES } = require('../config/constants');
+const { WGS84_CRS, CRS_DEFINITIONS } = require('../config/crsDefinitions');
+const { describePrj, isWGS84Prj } = require('./shapefileReader');
+
+/**
+ * Normalize an EPSG code reference to "EPSG:<code>"
+ * Accepts 32755, "32755", "EPSG:32755", OGC URNs/URLs and CRS84
+ * @param {string|number} value - CRS reference
+ * @returns {string|null} Normalized code or null if not an EPSG reference
+ */
+function normalizeCRSCode(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+
+  // OGC CRS84 is WGS 84 with longitude/latitude axis order, i.e. GeoJSON's default
+  if (/(^|[:/])CRS:?84$/i.test(text)) {
+    return WGS84_CRS;
+  }
+
+  const match = /^(?:EPSG:{1,2})?(\d+)$/i.exec(text) ||
+    /^urn:ogc:def:crs:EPSG:[\d.]*:(\d+)$/i.exec(text) ||
+    /^https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/[\d.]+\/(\d+)$/i.exec(text);
+
+  return match ? `EPSG:${match[1]}` : null;
+}
+
+/**
+ * Detect the CRS declared by a GeoJSON "crs" member (2008 GeoJSON spec)
+ * @param {Object} geoJSON - Parsed GeoJSON object
+ * @returns {string|null} Normalized EPSG code, or null if none is declared
+ */
+function detectGeoJSONCRS(geoJSON) {
+  const crs = geoJSON && geoJSON.crs;
+  if (!crs) return null;
+
+  const reference = crs.properties && (crs.properties.name || crs.properties.code);
+  const code = normalizeCRSCode(reference);
+  if (!code) {
+    throw new Error(ERROR_MESSAGES.PROJECTION.UNSUPPORTED_CRS(reference || JSON.stringify(crs)));
+  }
+  return code;
+}
+
+/**
+ * Determine the CRS of a shapefile from its .prj content
+ * @param {string} wkt - WKT from the .prj file
+ * @returns {string} Normalized EPSG code, or the WKT itself when no bundled code matches
+ */
+function crsFromPrj(wkt) {
+  if (isWGS84Prj(wkt)) {
+    return WGS84_CRS;
+  }
+
+  // In WKT1 the outermost element's AUTHORITY is the last one in the string
+  const authorities = [...wkt.matchAll(/AUTHORITY\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi)];
+  if (authorities.length > 0) {
+    const code = `EPSG:${authorities[authorities.length - 1][1]}`;
+    if (CRS_DEFINITIONS[code]) {
+      return code;
+    }
+  }
+
+  return wkt.trim();
+}
+
+/**
+ * Describe a CRS reference for messages
+ * @param {string} sourceCRS - EPSG code or WKT definition
+ * @returns {string} Human-readable name
+ */
+function describeCRS(sourceCRS) {
+  const code = normalizeCRSCode(sourceCRS);
+  if (code) {
+    return CRS_DEFINITIONS[code] ? `${code} (${CRS_DEFINITIONS[code].name})` : code;
+  }
+  try {
+    return describePrj(sourceCRS).name;
+  } catch (error) {
+    return String(sourceCRS);
+  }
+}
+
+/**
+ * Create a transform from a source CRS to WGS 84 longitude/latitude
+ * @param {string} sourceCRS - EPSG code or WKT definition
+ * @returns {Function} Function mapping [x, y] to [lng, lat]
+ */
+function createWGS84Transform(sourceCRS) {
+  const code = normalizeCRSCode(sourceCRS);
+  let definition;
+
+  if (code) {
+    if (!CRS_DEFINITIONS[code]) {
+      throw new Error(ERROR_MESSAGES.PROJECTION.UNSUPPORTED_CRS(code));
+    }
+    definition = CRS_DEFINITIONS[code].proj4;
+  } else {
+    // WKT from a .prj; proj4 parses it locally without any lookup
+    definition = sourceCRS;
+  }
+
+  let converter;
+  try {
+    converter = proj4(definition, CRS_DEFINITIONS[WGS84_CRS].proj4);
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.PROJECTION.UNSUPPORTED_CRS(describeCRS(sourceCRS)));
+  }
+
+  return (point) => converter.forward([point[0], point[1]]);
+}
+
+/**
+ * Apply a point transform to nested GeoJSON coordinates
+ * @param {Array} coordinates - GeoJSON coordinates at any nesting depth
+ * @param {Function} transform - Function mapping [x, y] to [x, y]
+ * @returns {Array} Transformed coordinates
+ */
+function transformCoordinates(coordinates, transform) {
+  if (typeof coordinates[0] === 'number') {
+    return transform(coordinates);
+  }
+  return coordinates.map(child => transformCoordinates(child, transform));
+}
+
+/**
+ * Check that nested GeoJSON coordinates are valid longitude/latitude
+ * @param {Array} coordinates - GeoJSON coordinates at any nesting depth
+ * @returns {boolean} True if every position is within range
+ */
+function isLongitudeLatitude(coordinates) {
+  if (typeof coordinates[0] === 'number') {
+    const [lng, lat] = coordinates;
+    const { LAT_MIN, LAT_MAX, LNG_MIN, LNG_MAX } = VALIDATION_RULES.COORDINATES;
+    return Number.isFinite(lng) && Number.isFinite(lat) &&
+      lng >= LNG_MIN && lng <= LNG_MAX && lat >= LAT_MIN && lat <= LAT_MAX;
+  }
+  return coordinates.every(isLongitudeLatitude);
+}
+
+/**
+ * Reproject annotation geometries to WGS 84 and drop any left out of range
+ * @param {Array} annotations - Annotations with GeoJSON geometry
+ * @param {string} sourceCRS - EPSG code or WKT; WGS 84 is assumed when empty
+ * @param {Function} onSkipped - Called with (annotation, message) for each annotation dropped as out of range
+ * @returns {Array} Annotations in EPSG:4326
+ */
+function reprojectAnnotations(annotations, sourceCRS, onSkipped) {
+  const code = normalizeCRSCode(sourceCRS);
+  const needsTransform = Boolean(sourceCRS) && code !== WGS84_CRS;
+  const transform = needsTransform ? createWGS84Transform(sourceCRS) : null;
+
+  const reprojected = [];
+  annotations.forEach(annotation => {
+    const geometry = transform
+      ? { ...annotation.geometry, coordinates: transformCoordinates(annotation.geometry.coordinates, transform) }
+      : annotation.geometry;
+
+    if (!isLongitudeLatitude(geometry.coordinates)) {
+      const message = 'Coordinates are outside the longitude/latitude range';
+      if (onSkipped) {
+        onSkipped(annotation, message);
+      } else {
+        console.warn(`Skipping annotation "${annotation.title}": ${message}`);
+      }
+      return;
+    }
+
+    reprojected.push(transform ? { ...annotation, geometry } : annotation);
+  });
+
+  if (annotations.length > 0 && reprojected.length === 0) {
+    throw new Error(needsTransform
+      ? `Coordinates could not be converted from ${describeCRS(sourceCRS)} to longitude/latitude; check the source coordinate system`
+      : ERROR_MESSAGES.PROJECTION.NOT_LONGITUDE_LATITUDE);
+  }
+
+  return reprojected;
+}
+
+/**
+ * List the bundled coordinate systems
+ * @returns {Array} Array of { code, name }
+ */
+function listSupportedCRS() {
+  return Object.entries(CRS_DEFINITIONS).map(([code, definition]) => ({
+    code,
+    name: definition.name
+  }));
+}
+
+module.exports = {
+  normalizeCRSCode,
+  detectGeoJSONCRS,
+  crsFromPrj,
+  describeCRS,
+  createWGS84Transform,
+  reprojectAnnotations,
+  listSupportedCRS
+};
@@ -0,0 +1,242 @@
+/**
+ * ESRI Shapefile (.shp/.dbf/.prj) Binary Readers
+ */
+
+// Shape type codes from the ESRI Shapefile Technical Description
+const SHAPE_TYPES = {
+  0: 'Null',
+  1: 'Point',
+  3: 'PolyLine',
+  5: 'Polygon',
+  8: 'MultiPoint',
+  11: 'PointZ',
+  13: 'PolyLineZ',
+  15: 'PolygonZ',
+  18: 'MultiPointZ',
+  21: 'PointM',
+  23: 'PolyLineM',
+  25: 'PolygonM',
+  28: 'MultiPointM',
+  31: 'MultiPatch'
+};
+
+const SHP_FILE_CODE = 9994;
+const SHP_HEADER_LENGTH = 100;
+
+/**
+ * Read the parts/points layout shared by PolyLine and Polygon records
+ * @param {Buffer} buffer - .shp file content
+ * @param {number} offset - Offset of the record content (at the shape type)
+ * @returns {Array<Array<Array<number>>>} Parts as arrays of [x, y]
+ */
+function readParts(buffer, offset) {
+  const numParts = buffer.readInt32LE(offset + 36);
+  const numPoints = buffer.readInt32LE(offset + 40);
+  const partsOffset = offset + 44;
+  const pointsOffset = partsOffset + numParts * 4;
+
+  const starts = [];
+  for (let i = 0; i < numParts; i++) {
+    starts.push(buffer.readInt32LE(partsOffset + i * 4));
+  }
+
+  return starts.map((start, i) => {
+    const end = i + 1 < numParts ? starts[i + 1] : numPoints;
+    const points = [];
+    for (let p = start; p < end; p++) {
+      const pointOffset = pointsOffset + p * 16;
+      points.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+    }
+    return points;
+  });
+}
+
+/**
+ * Read the points of a MultiPoint record
+ * @param {Buffer} buffer - .shp file content
+ * @param {number} offset - Offset of the record content (at the shape type)
+ * @returns {Array<Array<number>>} Points as [x, y]
+ */
+function readMultiPoint(buffer, offset) {
+  const numPoints = buffer.readInt32LE(offset + 36);
+  const points = [];
+  for (let p = 0; p < numPoints; p++) {
+    const pointOffset = offset + 40 + p * 16;
+    points.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+  }
+  return points;
+}
+
+/**
+ * Read all shape records from a .shp file
+ * Z and M variants are read as their 2D equivalents
+ * @param {Buffer} buffer - .shp file content
+ * @returns {Array<Object>} Records { recordNumber, shapeType, points|parts }
+ */
+function readShp(buffer) {
+  if (buffer.length < SHP_HEADER_LENGTH || buffer.readInt32BE(0) !== SHP_FILE_CODE) {
+    throw new Error('Invalid .shp file: bad header');
+  }
+
+  // File length is stored in 16-bit words
+  const fileLength = Math.min(buffer.readInt32BE(24) * 2, buffer.length);
+  const records = [];
+  let offset = SHP_HEADER_LENGTH;
+
+  while (offset + 8 <= fileLength) {
+    const recordNumber = buffer.readInt32BE(offset);
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    const contentOffset = offset + 8;
+
+    if (contentOffset + contentLength > buffer.length) {
+      throw new Error(`Invalid .shp file: record ${recordNumber} is truncated`);
+    }
+
+    const shapeType = SHAPE_TYPES[buffer.readInt32LE(contentOffset)] || 'Unknown';
+    const record = { recordNumber, shapeType };
+
+    switch (shapeType.replace(/[ZM]$/, '')) {
+      case 'Point':
+        record.points = [[buffer.readDoubleLE(contentOffset + 4), buffer.readDoubleLE(contentOffset + 12)]];
+        break;
+      case 'MultiPoint':
+        record.points = readMultiPoint(buffer, contentOffset);
+        break;
+      case 'PolyLine':
+      case 'Polygon':
+        record.parts = readParts(buffer, contentOffset);
+        break;
+      default:
+        break;
+    }
+
+    records.push(record);
+    offset = contentOffset + contentLength;
+  }
+
+  return records;
+}
+
+/**
+ * Parse a single DBF field value
+ * @param {string} raw - Raw field text
+ * @param {string} type - DBF field type character
+ * @returns {*} Parsed value
+ */
+function parseDbfValue(raw, type) {
+  const value = raw.trim();
+
+  switch (type) {
+    case 'N':
+    case 'F': {
+      if (value === '' || /^\*+$/.test(value)) return null;
+      const number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'L':
+      if (/^[YyTt]$/.test(value)) return true;
+      if (/^[NnFf]$/.test(value)) return false;
+      return null;
+    case 'D':
+      return /^\d{8}$/.test(value)
+        ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+        : (value || null);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read attribute records from a .dbf file
+ * @param {Buffer} buffer - .dbf file content
+ * @param {string} encoding - Text encoding, e.g. from the .cpg file
+ * @returns {Object} { fields: Array<string>, records: Array<Object|null> } (null for deleted records)
+ */
+function readDbf(buffer, encoding = 'latin1') {
+  if (buffer.length < 32) {
+    throw new Error('Invalid .dbf file: bad header');
+  }
+
+  const numRecords = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  const fields = [];
+  for (let offset = 32; offset + 32 <= headerLength && buffer[offset] !== 0x0D; offset += 32) {
+    const nameEnd = buffer.indexOf(0, offset);
+    fields.push({
+      name: buffer.toString('latin1', offset, nameEnd >= offset && nameEnd < offset + 11 ? nameEnd : offset + 11).trim(),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+
+  const records = [];
+  for (let i = 0; i < numRecords; i++) {
+    const recordOffset = headerLength + i * recordLength;
+    if (recordOffset + recordLength > buffer.length) break;
+
+    // The first byte flags deleted records with '*'
+    if (buffer[recordOffset] === 0x2A) {
+      records.push(null);
+      continue;
+    }
+
+    const record = {};
+    let fieldOffset = recordOffset + 1;
+    for (const field of fields) {
+      const raw = decoder.decode(buffer.subarray(fieldOffset, fieldOffset + field.length));
+      record[field.name] = parseDbfValue(raw, field.type);
+      fieldOffset += field.length;
+    }
+    records.push(record);
+  }
+
+  return { fields: fields.map(field => field.name), records };
+}
+
+/**
+ * Describe the coordinate reference system declared in a .prj file
+ * @param {string} wkt - ESRI WKT from the .prj file
+ * @returns {Object} { name, geographic, datum }
+ */
+function describePrj(wkt) {
+  const text = (wkt || '').trim();
+  const match = /^(PROJCS|GEOGCS|GEOGCRS|PROJCRS)\s*\[\s*"([^"]*)"/i.exec(text);
+  if (!match) {
+    throw new Error('Invalid .prj file: unrecognised coordinate system definition');
+  }
+
+  const datum = /DATUM\s*\[\s*"([^"]*)"/i.exec(text);
+
+  return {
+    name: match[2],
+    geographic: match[1].toUpperCase().startsWith('GEOG'),
+    datum: datum ? datum[1] : null
+  };
+}
+
+/**
+ * Check whether a .prj definition is WGS 84 longitude/latitude
+ * @param {string} wkt - ESRI WKT from the .prj file
+ * @returns {boolean} True if coordinates are already EPSG:4326
+ */
+function isWGS84Prj(wkt) {
+  const crs = describePrj(wkt);
+  return crs.geographic && /WGS[_ ]?(19)?84/i.test(`${crs.datum || ''} ${crs.name}`);
+}
+
+module.exports = {
+  SHAPE_TYPES,
+  readShp,
+  readDbf,
+  describePrj,
+  isWGS84Prj
+};
@@ -0,0 +1,301 @@
+/**
+ * Streaming Readers
+ * Read large XML and GeoJSON files element by element instead of building the whole document in memory
+ */
+
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+const { parser: createJSONParser } = require('stream-json');
+const Assembler = require('stream-json/Assembler');
+
+/**
+ * Pass-through stream that counts the bytes flowing through it
+ * @param {number} totalBytes - Size of the source, if known
+ * @param {Function} onProgress - Called with (bytesRead, totalBytes) for every chunk
+ * @returns {Transform} Progress stream
+ */
+function createProgressStream(totalBytes, onProgress) {
+  let bytesRead = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytesRead += chunk.length;
+      onProgress(bytesRead, totalBytes);
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Streams to read an input through, adding a progress stream when progress is wanted
+ * @param {Readable} input - Source stream
+ * @param {number} totalBytes - Size of the source, if known
+ * @param {Function} onProgress - Progress callback, optional
+ * @returns {Array<Stream>} Streams for pipeline()
+ */
+function withProgress(input, totalBytes, onProgress) {
+  return onProgress ? [input, createProgressStream(totalBytes, onProgress)] : [input];
+}
+
+/**
+ * Element being read by readXMLElements
+ * Nodes are only built for selected elements and their descendants
+ */
+class XMLFrame {
+  constructor(name, attributes, build) {
+    this.name = name;
+    this.attributes = attributes;
+    this.build = build;
+    this.children = build ? {} : null;
+    this.text = '';
+    this.hasCDATA = false;
+  }
+
+  addChild(name, node) {
+    const existing = this.children[name];
+    if (existing === undefined) {
+      this.children[name] = node;
+    } else if (Array.isArray(existing)) {
+      existing.push(node);
+    } else {
+      this.children[name] = [existing, node];
+    }
+  }
+
+  /**
+   * Convert to the shape xml2js produces with explicitArray: false, so the
+   * existing KML/GPX converters can read streamed nodes unchanged
+   * @returns {Object|string} Node
+   */
+  toNode() {
+    const node = {};
+    const hasAttributes = Object.keys(this.attributes).length > 0;
+
+    if (hasAttributes) {
+      node.$ = this.attributes;
+    }
+    Object.assign(node, this.children);
+
+    // Whitespace between child elements is dropped, like xml2js does
+    const isBlank = !this.hasCDATA && /^\s*$/.test(this.text);
+    if (!isBlank) {
+      if (!hasAttributes && Object.keys(this.children).length === 0) {
+        return this.text;
+      }
+      node._ = this.text;
+    }
+
+    return Object.keys(node).length > 0 ? node : this.text;
+  }
+}
+
+/**
+ * Stream an XML document, handing back selected elements as xml2js-style nodes
+ * @param {Readable} input - XML byte stream
+ * @param {Object} handlers - Callbacks; any may throw to stop reading
+ * @param {Function} handlers.select - (name, path) => true to build the element and pass it to onElement;
+ *   path lists the names of the enclosing elements
+ * @param {Function} handlers.onElement - (name, node, path) for each selected element once it is closed
+ * @param {Function} handlers.onOpen - (name, attributes, path) for every element outside selected ones
+ * @param {Function} handlers.onClose - (name, path) for every element outside selected ones
+ * @param {number} handlers.totalBytes - Size of the input, if known
+ * @param {Function} handlers.onProgress - (bytesRead, totalBytes) as the input is consumed
+ * @returns {Promise<void>} Resolves when the whole document has been read
+ */
+async function readXMLElements(input, handlers) {
+  const { select, onElement, onOpen, onClose, totalBytes, onProgress } = handlers;
+  const parser = sax.parser(true);
+  const decoder = new StringDecoder('utf8');
+  const stack = [];
+  const path = [];
+
+  parser.onerror = (error) => {
+    throw error;
+  };
+
+  parser.onopentag = ({ name, attributes }) => {
+    const parent = stack[stack.length - 1];
+    const build = Boolean(parent?.build) || Boolean(select(name, path));
+
+    if (!parent?.build && onOpen) {
+      onOpen(name, attributes, path);
+    }
+    stack.push(new XMLFrame(name, attributes, build));
+    path.push(name);
+  };
+
+  parser.ontext = (text) => {
+    const frame = stack[stack.length - 1];
+    if (frame?.build) {
+      frame.text += text;
+    }
+  };
+
+  parser.oncdata = (text) => {
+    const frame = stack[stack.length - 1];
+    if (frame?.build) {
+      frame.text += text;
+      frame.hasCDATA = true;
+    }
+  };
+
+  parser.onclosetag = () => {
+    const frame = stack.pop();
+    path.pop();
+    const parent = stack[stack.length - 1];
+
+    if (parent?.build) {
+      parent.addChild(frame.name, frame.toNode());
+    } else {
+      if (frame.build) {
+        onElement(frame.name, frame.toNode(), path);
+      }
+      if (onClose) {
+        onClose(frame.name, path);
+      }
+    }
+  };
+
+  await pipeline(...withProgress(input, totalBytes, onProgress), new Writable({
+    write(chunk, encoding, callback) {
+      try {
+        parser.write(decoder.write(chunk));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    final(callback) {
+      try {
+        parser.write(decoder.end());
+        parser.close();
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  }));
+}
+
+/**
+ * Stream a GeoJSON FeatureCollection, handing back one feature at a time
+ * Only the top-level "type" and "crs" members are kept besides the features
+ * @param {Readable} input - JSON byte stream
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onFeature - Called with each member of the "features" array; may throw to stop reading
+ * @param {number} handlers.totalBytes - Size of the input, if known
+ * @param {Function} handlers.onProgress - (bytesRead, totalBytes) as the input is consumed
+ * @returns {Promise<Object>} { type, crs, hasFeatures } read from the top-level object
+ */
+async function readGeoJSONFeatures(input, handlers) {
+  const { onFeature, totalBytes, onProgress } = handlers;
+  const result = { type: undefined, crs: undefined, hasFeatures: false };
+  let depth = 0;
+  let key = null;
+  let inFeatures = false;
+  let assembler = null;
+  let assembling = null; // 'feature' or 'crs'
+
+  const startAssembling = (target, token) => {
+    assembler = new Assembler();
+    assembling = target;
+    assembler.consume(token);
+  };
+
+  const handleToken = (token) => {
+    if (assembler) {
+      assembler.consume(token);
+      if (assembler.done) {
+        const value = assembler.current;
+        assembler = null;
+        if (assembling === 'crs') {
+          result.crs = value;
+        } else {
+          onFeature(value);
+        }
+      }
+      return;
+    }
+
+    switch (token.name) {
+      case 'startObject':
+      case 'startArray':
+        if (depth === 0 && token.name !== 'startObject') {
+          throw new Error('Invalid GeoJSON format: must be a FeatureCollection');
+        }
+        if (depth === 1 && key === 'crs') {
+          startAssembling('crs', token);
+          return;
+        }
+        if (depth === 2 && inFeatures) {
+          startAssembling('feature', token);
+          return;
+        }
+        if (depth === 1 && key === 'features' && token.name === 'startArray') {
+          inFeatures = true;
+          result.hasFeatures = true;
+        }
+        depth++;
+        return;
+      case 'endObject':
+      case 'endArray':
+        depth--;
+        if (depth === 1) {
+          inFeatures = false;
+        }
+        return;
+      case 'keyValue':
+        if (depth === 1) {
+          key = token.value;
+        }
+        return;
+      default:
+        if (depth === 1 && key === 'type') {
+          result.type = token.value;
+        } else if (depth === 2 && inFeatures) {
+          // Not a feature object; let the converter reject it
+          onFeature(null);
+        }
+    }
+  };
+
+  // pipeline() hands the first error to every stream, so the tokenizer sees
+  // read and handler errors too; only its own errors mean invalid JSON
+  const tokens = createJSONParser({ packValues: true, streamValues: false });
+  let tokenizerError = null;
+  let otherError = null;
+  tokens.on('error', (error) => {
+    tokenizerError = tokenizerError || error;
+  });
+  input.on('error', (error) => {
+    otherError = otherError || error;
+  });
+
+  try {
+    await pipeline(...withProgress(input, totalBytes, onProgress), tokens, new Writable({
+      objectMode: true,
+      write(token, encoding, callback) {
+        try {
+          handleToken(token);
+          callback();
+        } catch (error) {
+          otherError = otherError || error;
+          callback(error);
+        }
+      }
+    }));
+  } catch (error) {
+    // Report malformed JSON as a SyntaxError, like JSON.parse
+    throw error === tokenizerError && error !== otherError ? new SyntaxError(error.message) : error;
+  }
+
+  return result;
+}
+
+module.exports = {
+  createProgressStream,
+  readXMLElements,
+  readGeoJSONFeatures
+};
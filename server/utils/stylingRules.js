@@ -0,0 +1,234 @@
+/**
+ * Attribute-driven Styling Rules Engine
+ * Ordered rules match annotation properties and assign palette colors and title templates
+ */
+
+const { DRONEDEPLOY_COLORS, STYLING_RULE_OPERATORS, VALIDATION_RULES } = require('../config/constants');
+const { isValidHexColor, normalizeHexColor } = require('./colorUtils');
+
+// Annotation fields that rules can match besides parsed properties
+const ANNOTATION_FIELDS = ['title', 'annotationType', 'description'];
+
+/**
+ * Read a field for rule matching and title templates
+ * Parsed properties take precedence over the built-in annotation fields
+ * @param {Object} annotation - Annotation object
+ * @param {Object} base - Unstyled title/color values of the annotation
+ * @param {string} field - Property or annotation field name
+ * @returns {*} Field value, or undefined if absent
+ */
+function getFieldValue(annotation, base, field) {
+  const properties = annotation.properties || {};
+  if (Object.prototype.hasOwnProperty.call(properties, field)) {
+    return properties[field];
+  }
+  if (field === 'title') {
+    return base.title;
+  }
+  return ANNOTATION_FIELDS.includes(field) ? annotation[field] : undefined;
+}
+
+/**
+ * Validate and normalize a list of styling rules
+ * @param {Array} rules - Rules as sent by the client
+ * @returns {Array} Normalized rules
+ */
+function validateStylingRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Styling rules must be an array');
+  }
+
+  const operators = Object.values(STYLING_RULE_OPERATORS);
+
+  return rules.map((rule, index) => {
+    const label = `Styling rule ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!rule.field || typeof rule.field !== 'string') {
+      throw new Error(`${label} is missing the field to match`);
+    }
+    if (!operators.includes(rule.operator)) {
+      throw new Error(`${label} has an invalid operator: ${rule.operator} (expected ${operators.join(', ')})`);
+    }
+
+    const normalized = { name: rule.name || '', field: rule.field.trim(), operator: rule.operator };
+    const { PATTERN_MAX_LENGTH, VALUE_MAX_LENGTH } = VALIDATION_RULES.STYLING_RULES;
+
+    switch (rule.operator) {
+      case STYLING_RULE_OPERATORS.EQUALS:
+        if (rule.value === undefined || rule.value === null) {
+          throw new Error(`${label} is missing a value`);
+        }
+        normalized.value = String(rule.value);
+        if (normalized.value.length > VALUE_MAX_LENGTH) {
+          throw new Error(`${label} value must be ${VALUE_MAX_LENGTH} characters or less`);
+        }
+        break;
+      case STYLING_RULE_OPERATORS.IN: {
+        const values = Array.isArray(rule.value) ? rule.value : String(rule.value ?? '').split(',');
+        normalized.value = values.map(value => String(value).trim()).filter(Boolean);
+        if (normalized.value.length === 0) {
+          throw new Error(`${label} needs at least one value`);
+        }
+        if (normalized.value.some(value => value.length > VALUE_MAX_LENGTH)) {
+          throw new Error(`${label} values must be ${VALUE_MAX_LENGTH} characters or less`);
+        }
+        break;
+      }
+      case STYLING_RULE_OPERATORS.REGEX:
+        if (rule.value === undefined || rule.value === null || rule.value === '') {
+          throw new Error(`${label} is missing a value`);
+        }
+        normalized.value = String(rule.value);
+        if (normalized.value.length > PATTERN_MAX_LENGTH) {
+          throw new Error(`${label} regular expression must be ${PATTERN_MAX_LENGTH} characters or less`);
+        }
+        // Compiled once here rather than for every annotation
+        try {
+          normalized.pattern = new RegExp(normalized.value, 'i');
+        } catch (error) {
+          throw new Error(`${label} has an invalid regular expression: ${error.message}`);
+        }
+        break;
+      case STYLING_RULE_OPERATORS.RANGE: {
+        const min = rule.value?.min === '' || rule.value?.min === undefined || rule.value?.min === null ? null : Number(rule.value.min);
+        const max = rule.value?.max === '' || rule.value?.max === undefined || rule.value?.max === null ? null : Number(rule.value.max);
+        if ((min === null && max === null) || Number.isNaN(min) || Number.isNaN(max)) {
+          throw new Error(`${label} needs a numeric min and/or max`);
+        }
+        normalized.value = { min, max };
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (rule.color) {
+      const paletteColor = DRONEDEPLOY_COLORS.find(color => color.color.toLowerCase() === String(rule.color).toLowerCase());
+      if (!paletteColor) {
+        throw new Error(`${label} color ${rule.color} is not a DroneDeploy palette color`);
+      }
+      normalized.color = paletteColor.color;
+      normalized.fillColor = paletteColor.fillColor;
+    }
+    if (rule.fillColor) {
+      if (!isValidHexColor(rule.fillColor)) {
+        throw new Error(`${label} has an invalid fill color: ${rule.fillColor}`);
+      }
+      normalized.fillColor = normalizeHexColor(rule.fillColor).toLowerCase();
+    }
+    if (rule.titleTemplate) {
+      normalized.titleTemplate = String(rule.titleTemplate);
+    }
+
+    if (!normalized.color && !normalized.fillColor && !normalized.titleTemplate) {
+      throw new Error(`${label} does not assign a color, fill color or title`);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Check whether a rule matches an annotation
+ * @param {Object} rule - Normalized rule (validateStylingRules), with a compiled pattern for regex rules
+ * @param {Object} annotation - Annotation object
+ * @param {Object} base - Unstyled title/color values of the annotation
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, annotation, base) {
+  const value = getFieldValue(annotation, base, rule.field);
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+
+  const text = String(value).trim().toLowerCase();
+
+  switch (rule.operator) {
+    case STYLING_RULE_OPERATORS.EQUALS:
+      return text === rule.value.trim().toLowerCase();
+    case STYLING_RULE_OPERATORS.IN:
+      return rule.value.some(candidate => candidate.toLowerCase() === text);
+    case STYLING_RULE_OPERATORS.REGEX:
+      return rule.pattern.test(String(value));
+    case STYLING_RULE_OPERATORS.RANGE: {
+      // The whole value must be a number: "12 ft" is not 12
+      const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+      if (Number.isNaN(number)) return false;
+      return (rule.value.min === null || number >= rule.value.min) &&
+        (rule.value.max === null || number <= rule.value.max);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Render a title template such as "{status}: {title}"
+ * @param {string} template - Template with {field} placeholders
+ * @param {Object} annotation - Annotation object
+ * @param {Object} base - Unstyled title/color values of the annotation
+ * @returns {string} Rendered title
+ */
+function renderTitleTemplate(template, annotation, base) {
+  const title = template.replace(/\{([^{}]+)\}/g, (match, field) => {
+    const value = getFieldValue(annotation, base, field.trim());
+    return value === undefined || value === null ? '' : String(value);
+  }).trim();
+
+  return (title || base.title).slice(0, VALIDATION_RULES.TEXT_FIELDS.TITLE_MAX_LENGTH);
+}
+
+/**
+ * Apply ordered styling rules to annotations; the first matching rule wins
+ * Unstyled values are kept in metadata.styleBase so rules can be re-applied after editing
+ * @param {Array} annotations - Annotations to style
+ * @param {Array} rules - Styling rules (validated here)
+ * @returns {Object} { annotations, matchedCount, unstyledCount }
+ */
+function applyStylingRules(annotations, rules) {
+  const normalizedRules = validateStylingRules(rules);
+  let matchedCount = 0;
+  let unstyledCount = 0;
+
+  const styled = annotations.map(annotation => {
+    const { styleBase, styleRule, ...metadata } = annotation.metadata || {};
+    const base = styleBase || { title: annotation.title, color: annotation.color, fillColor: annotation.fillColor };
+    const ruleIndex = normalizedRules.findIndex(rule => ruleMatches(rule, annotation, base));
+
+    const result = { ...annotation, title: base.title, color: base.color, fillColor: base.fillColor };
+    delete result.metadata;
+
+    if (ruleIndex === -1) {
+      if (Object.keys(metadata).length > 0) {
+        result.metadata = metadata;
+      }
+    } else {
+      const rule = normalizedRules[ruleIndex];
+      matchedCount += 1;
+
+      if (rule.color) result.color = rule.color;
+      if (rule.fillColor) result.fillColor = rule.fillColor;
+      if (rule.titleTemplate) result.title = renderTitleTemplate(rule.titleTemplate, annotation, base);
+
+      result.metadata = { ...metadata, styleBase: base, styleRule: ruleIndex };
+    }
+
+    if (!result.color) {
+      unstyledCount += 1;
+    } else if (!result.fillColor) {
+      result.fillColor = result.color;
+    }
+
+    return result;
+  });
+
+  return { annotations: styled, matchedCount, unstyledCount };
+}
+
+module.exports = {
+  validateStylingRules,
+  applyStylingRules
+};
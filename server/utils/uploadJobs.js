@@ -0,0 +1,585 @@
+/**
+ * Upload Jobs
+ * Server-side uploads that survive the browser closing. Each job is kept on disk:
+ *
+ *   <JOBS_DIR>/<jobId>/job.json          Status, plan, counts, the annotations each one replaces
+ *                                        and the annotations to delete afterwards
+ *   <JOBS_DIR>/<jobId>/annotations.json  Validated annotations, written once
+ *   <JOBS_DIR>/<jobId>/states.jsonl      One line per finished annotation: { index, state, id, error }
+ *
+ * The state log is append-only and replayed on load, the last line for an index
+ * winning, so a resumed job only uploads annotations that were not created.
+ * API keys are never written to disk; resuming needs the key again.
+ *
+ * A sync job also deletes annotations once every annotation has been tried, in batches
+ * recorded in job.json as they succeed.
+ *
+ * annotations.json is deleted once a job completes, since nothing is left to resume, and
+ * sweepOldJobs deletes jobs that have not been updated for SERVER_CONFIG.JOB_RETENTION_DAYS.
+ *
+ * Progress is pushed to subscribers (GET /api/jobs/:jobId/events) as each annotation
+ * is created or fails, and whenever the job status changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const {
+  SERVER_CONFIG,
+  DRONEDEPLOY_CONFIG,
+  UPLOAD_JOB_STATUS,
+  UPLOAD_ITEM_STATES,
+  ERROR_MESSAGES
+} = require('../config/constants');
+const { toCreateAnnotationInput } = require('./annotationModel');
+const { buildAnnotationDescription } = require('./descriptionUtils');
+const { createAnnotation, replaceAnnotation, deleteAnnotations, fetchMapProjectId } = require('./droneDeployApi');
+
+// Annotations deleted per request in a sync job
+const DELETE_BATCH_SIZE = 100;
+
+// Jobs held in memory, by ID: running jobs and finished jobs with subscribers.
+// Other jobs are read from disk when asked for (getJob).
+const jobs = new Map();
+
+// Progress events, emitted under the job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Create an error with a code the routes map to an HTTP status
+ * @param {string} code - JOB_NOT_FOUND, JOB_RUNNING, JOB_NOT_RUNNING or JOB_COMPLETE
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function createJobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Directory holding a job's files
+ * @param {string} jobId - Job ID (validated by validateJobId)
+ * @returns {string} Directory path
+ */
+function getJobDir(jobId) {
+  return path.join(SERVER_CONFIG.JOBS_DIR, jobId);
+}
+
+/**
+ * Write a file atomically, so a crash never leaves half a job.json behind
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Persist a job's status and counts
+ * @param {Object} job - Job
+ */
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const { annotations, states, apiKey, ...record } = job;
+  writeFileAtomic(path.join(getJobDir(job.id), 'job.json'), JSON.stringify(record, null, 2));
+}
+
+/**
+ * Record the outcome of one annotation, in memory and in the state log
+ * @param {Object} job - Job
+ * @param {number} index - Annotation index
+ * @param {Object} entry - { state, id, annotationType, error, replacedId, replaceError }
+ */
+function recordItemState(job, index, entry) {
+  const line = { index, ...entry, at: new Date().toISOString() };
+  fs.appendFileSync(path.join(getJobDir(job.id), 'states.jsonl'), `${JSON.stringify(line)}\n`);
+  job.states[index] = line;
+  jobEvents.emit(job.id, { type: 'item', item: line, job: summarizeJob(job) });
+}
+
+/**
+ * Tell subscribers the job status changed
+ * @param {Object} job - Job
+ */
+function publishStatus(job) {
+  jobEvents.emit(job.id, { type: 'status', job: summarizeJob(job) });
+}
+
+/**
+ * Count annotations by state
+ * @param {Object} job - Job
+ * @returns {Object} { createdCount, failedCount, pendingCount }
+ */
+function countItemStates(job) {
+  let createdCount = 0;
+  let failedCount = 0;
+  job.states.forEach(entry => {
+    if (entry?.state === UPLOAD_ITEM_STATES.CREATED) createdCount++;
+    else if (entry?.state === UPLOAD_ITEM_STATES.FAILED) failedCount++;
+  });
+  return { createdCount, failedCount, pendingCount: job.total - createdCount - failedCount };
+}
+
+/**
+ * Annotations a job still has to delete
+ * @param {Object} job - Job
+ * @returns {Array<string>} Annotation IDs
+ */
+function getPendingDeletes(job) {
+  const deleted = new Set(job.deletedAnnotationIds);
+  return job.deleteAnnotationIds.filter(annotationId => !deleted.has(annotationId));
+}
+
+/**
+ * Load the annotations of a job from disk
+ * @param {Object} job - Job
+ * @returns {Array<Object>} Validated annotations
+ */
+function loadJobAnnotations(job) {
+  return JSON.parse(fs.readFileSync(path.join(getJobDir(job.id), 'annotations.json'), 'utf8'));
+}
+
+/**
+ * Read a job from disk, replaying its state log
+ * A job recorded as running that is not running in this process was cut short by a restart
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, or null when there is no such job
+ */
+function loadJob(jobId) {
+  const jobFile = path.join(getJobDir(jobId), 'job.json');
+  if (!fs.existsSync(jobFile)) {
+    return null;
+  }
+
+  const job = JSON.parse(fs.readFileSync(jobFile, 'utf8'));
+  job.states = new Array(job.total).fill(null);
+
+  const logFile = path.join(getJobDir(jobId), 'states.jsonl');
+  if (fs.existsSync(logFile)) {
+    fs.readFileSync(logFile, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        job.states[entry.index] = entry;
+      } catch (error) {
+        // A line cut off by a crash; that annotation is uploaded again on resume
+        console.warn(`Ignoring a damaged state line in job ${jobId}`);
+      }
+    });
+  }
+
+  if (job.status === UPLOAD_JOB_STATUS.RUNNING) {
+    job.status = UPLOAD_JOB_STATUS.INTERRUPTED;
+    saveJob(job);
+  }
+
+  return job;
+}
+
+/**
+ * Find a job in memory or on disk
+ * A job read from disk is not kept in memory; startJob and subscribeToJob keep it.
+ * @param {string} jobId - Job ID (validated by validateJobId)
+ * @returns {Object} Job
+ * @throws {Error} JOB_NOT_FOUND when there is no such job
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId) || loadJob(jobId);
+  if (!job) {
+    throw createJobError('JOB_NOT_FOUND', ERROR_MESSAGES.JOBS.NOT_FOUND(jobId));
+  }
+  return job;
+}
+
+/**
+ * Drop a job from memory once it has finished and nobody follows it; it stays on disk
+ * @param {Object} job - Job
+ */
+function evictIdleJob(job) {
+  if (job.status !== UPLOAD_JOB_STATUS.RUNNING && jobEvents.listenerCount(job.id) === 0) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Status and counts of a job, as returned to the client
+ * @param {Object} job - Job
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    planId: job.planId,
+    status: job.status,
+    total: job.total,
+    ...countItemStates(job),
+    deleteTotal: job.deleteAnnotationIds.length,
+    deletedCount: job.deletedAnnotationIds.length,
+    projectId: job.projectId || null,
+    error: job.error || null,
+    cancelRequested: Boolean(job.cancelRequested),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Created and failed annotations of a job, in the shape /api/dronedeploy/upload returns them
+ * @param {Object} job - Job
+ * @returns {Object} { results, errors, deletedAnnotationIds }
+ */
+function getJobResults(job) {
+  const results = [];
+  const errors = [];
+
+  job.states.forEach(entry => {
+    if (entry?.state === UPLOAD_ITEM_STATES.CREATED) {
+      results.push({
+        index: entry.index,
+        id: entry.id,
+        annotation: entry.title,
+        title: entry.title,
+        annotationType: entry.annotationType,
+        status: 'success',
+        message: 'Successfully uploaded',
+        ...(entry.replacedId || entry.replaceError ? { replacedId: entry.replacedId, replaceError: entry.replaceError } : {})
+      });
+    } else if (entry?.state === UPLOAD_ITEM_STATES.FAILED) {
+      errors.push({ index: entry.index, annotation: entry.title, error: entry.error });
+    }
+  });
+
+  return { results, errors, deletedAnnotationIds: job.deletedAnnotationIds };
+}
+
+/**
+ * Delete the annotations a sync job removes, a batch at a time
+ * Each batch is recorded once DroneDeploy confirms it, so a resume only deletes the rest;
+ * IDs already gone from the map count as deleted.
+ * @param {Object} job - Job, with apiKey set
+ * @param {string} mapPlanId - Plan ID with the MapPlan: prefix
+ * @returns {Promise<void>}
+ * @throws {Error} When a batch cannot be deleted
+ */
+async function deleteJobAnnotations(job, mapPlanId) {
+  const pending = getPendingDeletes(job);
+
+  for (let start = 0; start < pending.length; start += DELETE_BATCH_SIZE) {
+    if (job.cancelRequested) {
+      return;
+    }
+
+    const batch = pending.slice(start, start + DELETE_BATCH_SIZE);
+    await deleteAnnotations(job.apiKey, mapPlanId, batch);
+    job.deletedAnnotationIds = [...job.deletedAnnotationIds, ...batch];
+    saveJob(job);
+    publishStatus(job);
+  }
+}
+
+/**
+ * Upload every annotation of a job that has not been created yet
+ * Runs until the job finishes or is cancelled; progress is read with summarizeJob.
+ * Up to DRONEDEPLOY_CONFIG.CONCURRENCY annotations are created at once. A cancel stops
+ * new annotations from starting, so the ones being created are always recorded.
+ * @param {Object} job - Job, with annotations and apiKey set
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const mapPlanId = `MapPlan:${job.planId}`;
+  let cancelled = false;
+  let nextIndex = 0;
+  let stopped = false;
+
+  // Each worker takes the next annotation until none are left; droneDeployApi
+  // bounds how many requests are in flight across every job
+  const uploadNext = async () => {
+    while (!stopped && nextIndex < job.total) {
+      if (job.cancelRequested) {
+        cancelled = true;
+        return;
+      }
+
+      const index = nextIndex++;
+      if (job.states[index]?.state === UPLOAD_ITEM_STATES.CREATED) {
+        continue;
+      }
+
+      const annotation = job.annotations[index];
+      const title = annotation.title;
+      const replacedId = job.replaceAnnotationIds[index];
+
+      let entry;
+      try {
+        const description = buildAnnotationDescription(annotation, job.descriptionAttributes, job.syncIdProperty);
+        const input = toCreateAnnotationInput(annotation, mapPlanId, description);
+        const created = replacedId
+          ? await replaceAnnotation(job.apiKey, input, replacedId)
+          : await createAnnotation(job.apiKey, input);
+        entry = { state: UPLOAD_ITEM_STATES.CREATED, id: created.id, title, annotationType: created.annotationType };
+        if (replacedId) {
+          Object.assign(entry, { replacedId: created.replacedId, replaceError: created.replaceError });
+        }
+      } catch (error) {
+        console.error(`Job ${job.id}: annotation ${index + 1} "${title}" failed:`, error.message);
+        entry = { state: UPLOAD_ITEM_STATES.FAILED, title, error: error.message };
+      }
+      // Throws when the log cannot be written, which stops the job
+      recordItemState(job, index, entry);
+    }
+  };
+
+  try {
+    const workerCount = Math.max(1, Math.min(DRONEDEPLOY_CONFIG.CONCURRENCY, job.total));
+    const outcomes = await Promise.allSettled(Array.from({ length: workerCount }, () => uploadNext().catch(error => {
+      stopped = true;
+      throw error;
+    })));
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+
+    if (!cancelled) {
+      await deleteJobAnnotations(job, mapPlanId);
+      // Stopped between batches by a cancel
+      cancelled = getPendingDeletes(job).length > 0;
+    }
+
+    const { createdCount, failedCount } = countItemStates(job);
+    if (createdCount > 0 && !job.projectId) {
+      job.projectId = await fetchMapProjectId(job.apiKey, mapPlanId);
+    }
+    if (cancelled) {
+      job.status = UPLOAD_JOB_STATUS.CANCELLED;
+    } else {
+      job.status = failedCount > 0 ? UPLOAD_JOB_STATUS.FAILED : UPLOAD_JOB_STATUS.COMPLETED;
+    }
+    job.error = null;
+  } catch (error) {
+    // Not an annotation failure (e.g. the disk is full, or a sync's deletes failed); the job can be resumed
+    console.error(`Job ${job.id} stopped:`, error);
+    job.status = UPLOAD_JOB_STATUS.FAILED;
+    job.error = error.message;
+  } finally {
+    // Annotations and the API key are only held while the job runs
+    job.annotations = null;
+    job.apiKey = null;
+    job.cancelRequested = false;
+    saveJob(job);
+    if (job.status === UPLOAD_JOB_STATUS.COMPLETED && getPendingDeletes(job).length === 0) {
+      // resumeJob refuses a completed job, so the annotations are never read again
+      fs.rmSync(path.join(getJobDir(job.id), 'annotations.json'), { force: true });
+    }
+    publishStatus(job);
+    evictIdleJob(job);
+    console.log(`Job ${job.id} ${job.status}:`, countItemStates(job));
+  }
+}
+
+/**
+ * Start (or restart) the worker for a job
+ * @param {Object} job - Job
+ * @param {string} apiKey - DroneDeploy API key, kept in memory only
+ */
+function startJob(job, apiKey) {
+  jobs.set(job.id, job);
+  job.annotations = job.annotations || loadJobAnnotations(job);
+  job.apiKey = apiKey;
+  job.status = UPLOAD_JOB_STATUS.RUNNING;
+  job.error = null;
+  job.startedAt = new Date().toISOString();
+  saveJob(job);
+  publishStatus(job);
+
+  runJob(job).catch(error => console.error(`Job ${job.id} could not be saved:`, error));
+}
+
+/**
+ * Persist a new upload job and start uploading it
+ * @param {Object} request - Validated upload request { annotations, apiKey, planId, descriptionAttributes,
+ *   replaceAnnotationIds, deleteAnnotationIds, syncIdProperty }
+ * @returns {Object} Job summary
+ */
+function createJob({
+  annotations,
+  apiKey,
+  planId,
+  descriptionAttributes,
+  replaceAnnotationIds = [],
+  deleteAnnotationIds = [],
+  syncIdProperty = null
+}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    planId,
+    descriptionAttributes,
+    replaceAnnotationIds,
+    deleteAnnotationIds,
+    deletedAnnotationIds: [],
+    syncIdProperty,
+    total: annotations.length,
+    status: UPLOAD_JOB_STATUS.RUNNING,
+    projectId: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    annotations,
+    states: new Array(annotations.length).fill(null)
+  };
+
+  fs.mkdirSync(getJobDir(job.id), { recursive: true });
+  writeFileAtomic(path.join(getJobDir(job.id), 'annotations.json'), JSON.stringify(annotations));
+  startJob(job, apiKey);
+
+  return summarizeJob(job);
+}
+
+/**
+ * Resume a failed, interrupted or cancelled job; annotations already created are skipped
+ * @param {string} jobId - Job ID
+ * @param {string} apiKey - DroneDeploy API key
+ * @returns {Object} Job summary
+ * @throws {Error} JOB_NOT_FOUND, JOB_RUNNING, or JOB_COMPLETE when nothing is left to upload
+ */
+function resumeJob(jobId, apiKey) {
+  const job = getJob(jobId);
+
+  if (job.status === UPLOAD_JOB_STATUS.RUNNING) {
+    throw createJobError('JOB_RUNNING', ERROR_MESSAGES.JOBS.ALREADY_RUNNING);
+  }
+
+  if (countItemStates(job).createdCount === job.total && getPendingDeletes(job).length === 0) {
+    throw createJobError('JOB_COMPLETE', ERROR_MESSAGES.JOBS.NOTHING_TO_RESUME);
+  }
+
+  startJob(job, apiKey);
+  return summarizeJob(job);
+}
+
+/**
+ * Ask a running job to stop after the annotations it is creating
+ * The job becomes cancelled once that annotation is recorded; what was created is kept
+ * and can be undone or resumed.
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job summary, with cancelRequested set
+ * @throws {Error} JOB_NOT_FOUND, or JOB_NOT_RUNNING when the job has already stopped
+ */
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+
+  if (job.status !== UPLOAD_JOB_STATUS.RUNNING) {
+    throw createJobError('JOB_NOT_RUNNING', ERROR_MESSAGES.JOBS.NOT_RUNNING);
+  }
+
+  job.cancelRequested = true;
+  publishStatus(job);
+  return summarizeJob(job);
+}
+
+/**
+ * Follow a job's progress
+ * The listener is called at once with a snapshot event (the job summary and its most
+ * recently finished annotations), then with an item event for each annotation that is
+ * created or fails and a status event whenever the job starts or stops.
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with { type, job, item?, items? }
+ * @returns {Function} Unsubscribe
+ * @throws {Error} JOB_NOT_FOUND when there is no such job
+ */
+function subscribeToJob(jobId, listener) {
+  const job = getJob(jobId);
+  const items = job.states
+    .filter(Boolean)
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .slice(-SERVER_CONFIG.JOB_EVENTS_RECENT_ITEMS);
+
+  listener({ type: 'snapshot', job: summarizeJob(job), items });
+  jobs.set(jobId, job);
+  jobEvents.on(jobId, listener);
+
+  return () => {
+    jobEvents.off(jobId, listener);
+    evictIdleJob(job);
+  };
+}
+
+/**
+ * Delete the jobs that have not been updated for SERVER_CONFIG.JOB_RETENTION_DAYS
+ * Running jobs are kept. A directory without a readable job.json (a job cut off while
+ * being created) goes by the directory's own age.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<string>} IDs of the deleted jobs
+ */
+function sweepOldJobs(now = Date.now()) {
+  const retention = SERVER_CONFIG.JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  if (!retention || !fs.existsSync(SERVER_CONFIG.JOBS_DIR)) {
+    return [];
+  }
+
+  const deleted = [];
+  fs.readdirSync(SERVER_CONFIG.JOBS_DIR, { withFileTypes: true }).forEach(entry => {
+    const jobId = entry.name;
+    if (!entry.isDirectory() || jobs.get(jobId)?.status === UPLOAD_JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const jobDir = getJobDir(jobId);
+    let updatedAt;
+    try {
+      updatedAt = Date.parse(JSON.parse(fs.readFileSync(path.join(jobDir, 'job.json'), 'utf8')).updatedAt);
+    } catch (error) {
+      updatedAt = NaN;
+    }
+    if (Number.isNaN(updatedAt)) {
+      updatedAt = fs.statSync(jobDir).mtimeMs;
+    }
+
+    if (now - updatedAt > retention) {
+      fs.rmSync(jobDir, { recursive: true, force: true });
+      jobs.delete(jobId);
+      deleted.push(jobId);
+    }
+  });
+
+  return deleted;
+}
+
+/**
+ * Sweep old jobs now and every SERVER_CONFIG.JOB_SWEEP_INTERVAL
+ * The timer does not keep the process alive.
+ */
+function startJobSweeper() {
+  const sweep = () => {
+    try {
+      const deleted = sweepOldJobs();
+      if (deleted.length > 0) {
+        console.log(`Deleted ${deleted.length} upload job${deleted.length === 1 ? '' : 's'} older than ${SERVER_CONFIG.JOB_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Could not delete old upload jobs:', error);
+    }
+  };
+
+  sweep();
+  setInterval(sweep, SERVER_CONFIG.JOB_SWEEP_INTERVAL).unref();
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  resumeJob,
+  cancelJob,
+  subscribeToJob,
+  summarizeJob,
+  getJobResults,
+  sweepOldJobs,
+  startJobSweeper
+};
@@ -2,8 +2,18 @@
  * Input Validation and Sanitization Utilities
  */
 
-const { VALIDATION_RULES, ANNOTATION_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const {
+  DRONEDEPLOY_CONFIG,
+  VALIDATION_RULES,
+  ANNOTATION_TYPES,
+  ANNOTATION_SCHEMA_VERSION,
+  HOLE_POLICIES,
+  EXPORT_FORMATS,
+  ERROR_MESSAGES
+} = require('../config/constants');
 const { isValidHexColor } = require('./colorUtils');
+const { validateStylingRules } = require('./stylingRules');
+const { MAPPING_FIELDS } = require('./columnMapping');
 
 /**
  * Sanitize string input to prevent injection attacks
@@ -21,17 +31,36 @@ function sanitizeString(input, maxLength = 255) {
     .replace(/[^\w\s\-_.,()]/g, ''); // Allow only safe characters
 }
 
+/**
+ * Clean free text sent on to DroneDeploy as a GraphQL variable
+ * Unlike sanitizeString, punctuation and line breaks are kept; titles and
+ * descriptions come from user files and are never interpolated into a query
+ * @param {string|number} input - Text
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {string} Trimmed text without control characters
+ */
+function cleanText(input, maxLength) {
+  return String(input)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
 /**
  * Validate and sanitize annotation title
  * @param {string} title - Annotation title
  * @returns {string} Sanitized title
  */
 function validateTitle(title) {
-  if (!title) {
+  if (title === undefined || title === null || title === '') {
     throw new Error(ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('title'));
   }
   
-  const sanitized = sanitizeString(title, VALIDATION_RULES.TEXT_FIELDS.TITLE_MAX_LENGTH);
+  if (typeof title !== 'string' && typeof title !== 'number') {
+    throw new Error('Title must be text');
+  }
+  
+  const sanitized = cleanText(title, VALIDATION_RULES.TEXT_FIELDS.TITLE_MAX_LENGTH);
   if (!sanitized) {
     throw new Error('Title contains only invalid characters');
   }
@@ -76,6 +105,10 @@ function validateAnnotationType(type) {
     throw new Error(ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('annotationType'));
   }
   
+  if (typeof type !== 'string') {
+    throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(type));
+  }
+  
   const upperType = type.toUpperCase();
   if (!Object.keys(ANNOTATION_TYPES).includes(upperType)) {
     throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(type));
@@ -88,7 +121,8 @@ function validateAnnotationType(type) {
  * Validate color format
  * @param {string} color - Color string
  * @param {boolean} required - Whether color is required
- * @returns {string} Validated color
+ * @returns {string} Validated color; #FF0000 when it is missing and not required
+ * @throws {Error} When the color is not a hex color
  */
 function validateColor(color, required = false) {
   if (!color) {
@@ -107,18 +141,63 @@ function validateColor(color, required = false) {
   }
   
   if (!isValidHexColor(sanitizedColor)) {
-    console.warn(`Invalid color format: ${color}, using default`);
-    return '#FF0000';
+    throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_COLOR(color));
   }
   
   return sanitizedColor;
 }
 
+/**
+ * Validate a GeoJSON position
+ * @param {Array} position - [lng, lat, ...]
+ * @param {string} path - Where the position sits in the geometry, for error messages
+ * @returns {Array} [lng, lat] as numbers
+ */
+function validatePosition(position, path) {
+  if (!Array.isArray(position) || position.length < 2) {
+    throw new Error(`Invalid position at ${path}: must be a [lng, lat] array`);
+  }
+  
+  const [lng, lat] = position;
+  const validated = validateCoordinates(lat, lng);
+  return [validated.lng, validated.lat];
+}
+
+/**
+ * Validate a GeoJSON LineString or linear ring
+ * @param {Array} positions - Array of positions
+ * @param {number} minPoints - Minimum number of distinct points
+ * @param {string} annotationType - Type of annotation, for error messages
+ * @param {string} path - Where the positions sit in the geometry, for error messages
+ * @returns {Array} Validated positions
+ */
+function validatePositions(positions, minPoints, annotationType, path) {
+  if (!Array.isArray(positions)) {
+    throw new Error(`Invalid coordinates at ${path}: must be an array of positions`);
+  }
+  
+  const validated = positions.map((position, index) => validatePosition(position, `${path}[${index}]`));
+  
+  // A closed ring repeats its first point; it does not count towards the minimum
+  const first = validated[0];
+  const last = validated[validated.length - 1];
+  const isClosed = validated.length > 1 && first[0] === last[0] && first[1] === last[1];
+  const pointCount = isClosed && annotationType === 'AREA' ? validated.length - 1 : validated.length;
+  
+  if (pointCount < minPoints) {
+    throw new Error(ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(annotationType, pointCount, minPoints));
+  }
+  
+  return validated;
+}
+
 /**
  * Validate geometry for annotation type
- * @param {Object|Array} geometry - Geometry data
+ * Geometry is GeoJSON as produced by the parsers: a Point for LOCATION,
+ * a LineString for LINE and a Polygon for AREA
+ * @param {Object} geometry - GeoJSON geometry
  * @param {string} annotationType - Type of annotation
- * @returns {Object|Array} Validated geometry
+ * @returns {Object} Validated geometry with [lng, lat] number positions
  */
 function validateGeometry(geometry, annotationType) {
   const typeConfig = ANNOTATION_TYPES[annotationType];
@@ -126,71 +205,152 @@ function validateGeometry(geometry, annotationType) {
     throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(annotationType));
   }
   
-  switch (annotationType) {
-    case 'LOCATION':
-      if (!geometry || typeof geometry !== 'object' || !geometry.lat || !geometry.lng) {
-        throw new Error('LOCATION geometry must have lat and lng properties');
-      }
-      return validateCoordinates(geometry.lat, geometry.lng);
-      
-    case 'AREA':
-    case 'LINE':
-      if (!Array.isArray(geometry)) {
-        throw new Error(`${annotationType} geometry must be an array of coordinates`);
-      }
+  if (!geometry || typeof geometry !== 'object' || Array.isArray(geometry)) {
+    throw new Error('Geometry must be a GeoJSON geometry object');
+  }
+  
+  if (geometry.type !== typeConfig.geometryType) {
+    throw new Error(`${annotationType} geometry must be a GeoJSON ${typeConfig.geometryType}, got ${geometry.type || 'no type'}`);
+  }
+  
+  switch (geometry.type) {
+    case 'Point':
+      return { type: 'Point', coordinates: validatePosition(geometry.coordinates, 'coordinates') };
       
-      if (geometry.length < typeConfig.minPoints) {
-        throw new Error(ERROR_MESSAGES.VALIDATION.INSUFFICIENT_POINTS(
-          annotationType,
-          geometry.length,
-          typeConfig.minPoints
-        ));
-      }
+    case 'LineString':
+      return {
+        type: 'LineString',
+        coordinates: validatePositions(geometry.coordinates, typeConfig.minPoints, annotationType, 'coordinates')
+      };
       
-      // Validate each coordinate pair
-      const validatedCoords = [];
-      for (let i = 0; i < geometry.length; i++) {
-        const coord = geometry[i];
-        if (!Array.isArray(coord) || coord.length < 2) {
-          throw new Error(`Invalid coordinate at index ${i}: must be [lng, lat] array`);
-        }
-        
-        const [lng, lat] = coord;
-        const validated = validateCoordinates(lat, lng);
-        validatedCoords.push([validated.lng, validated.lat]); // GeoJSON format
+    case 'Polygon':
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        throw new Error('Polygon geometry must have an outer ring');
       }
       
-      return validatedCoords;
+      return {
+        type: 'Polygon',
+        coordinates: geometry.coordinates.map((ring, index) =>
+          validatePositions(ring, typeConfig.minPoints, annotationType, `coordinates[${index}]`))
+      };
       
     default:
-      throw new Error(ERROR_MESSAGES.VALIDATION.INVALID_ANNOTATION_TYPE(annotationType));
+      throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * Create the error thrown when request fields fail validation
+ * @param {Array<Object>} errors - Field errors, { field, message }
+ * @returns {Error} Error with code VALIDATION_FAILED and the field errors
+ */
+function createValidationError(errors) {
+  const error = new Error(ERROR_MESSAGES.VALIDATION.INVALID_FIELDS(errors));
+  error.code = 'VALIDATION_FAILED';
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Run a validator, recording a failure against a field instead of throwing
+ * Field errors thrown by nested validators are recorded under the field
+ * @param {Array<Object>} errors - Field errors collected so far
+ * @param {string} field - Field name, e.g. 'planId' or 'annotations[2]'
+ * @param {Function} validate - Validator to run
+ * @returns {*} Validated value, or undefined when it failed
+ */
+function checkField(errors, field, validate) {
+  try {
+    return validate();
+  } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      errors.push(...error.errors.map(nested => ({
+        field: nested.field ? `${field}.${nested.field}` : field,
+        message: nested.message
+      })));
+    } else {
+      errors.push({ field, message: error.message });
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Validate annotation schema version
+ * @param {number} schemaVersion - Version the annotation was produced with
+ * @returns {number} Validated schema version
+ */
+function validateSchemaVersion(schemaVersion) {
+  if (schemaVersion === undefined) {
+    throw new Error(ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('schemaVersion'));
+  }
+  
+  if (schemaVersion !== ANNOTATION_SCHEMA_VERSION) {
+    throw new Error(ERROR_MESSAGES.VALIDATION.UNSUPPORTED_SCHEMA_VERSION(schemaVersion));
   }
+  
+  return schemaVersion;
 }
 
 /**
- * Validate complete annotation object
+ * Validate an optional object-valued annotation field
+ * @param {*} value - Field value
+ * @param {string} name - Field name, for the error message
+ * @returns {Object} Validated object
+ */
+function validatePlainObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${name} must be an object`);
+  }
+  
+  return value;
+}
+
+/**
+ * Validate complete annotation object against the canonical model (annotationModel.js)
  * @param {Object} annotation - Annotation to validate
  * @returns {Object} Validated annotation
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
  */
 function validateAnnotation(annotation) {
-  if (!annotation || typeof annotation !== 'object') {
-    throw new Error('Annotation must be an object');
+  if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+    throw createValidationError([{ field: '', message: 'Annotation must be an object' }]);
   }
   
+  const errors = [];
+  const annotationType = checkField(errors, 'annotationType', () => validateAnnotationType(annotation.annotationType));
+  const color = checkField(errors, 'color', () => validateColor(annotation.color));
+  
   const validated = {
-    annotationType: validateAnnotationType(annotation.annotationType),
-    title: validateTitle(annotation.title),
-    color: validateColor(annotation.color),
-    fillColor: validateColor(annotation.fillColor),
-    geometry: validateGeometry(annotation.geometry, annotation.annotationType)
+    schemaVersion: checkField(errors, 'schemaVersion', () => validateSchemaVersion(annotation.schemaVersion)),
+    annotationType,
+    title: checkField(errors, 'title', () => validateTitle(annotation.title)),
+    color,
+    fillColor: annotation.fillColor ? checkField(errors, 'fillColor', () => validateColor(annotation.fillColor)) : color,
+    geometry: annotationType && checkField(errors, 'geometry', () => validateGeometry(annotation.geometry, annotationType))
   };
   
   // Add description if provided
-  if (annotation.description) {
-    validated.description = sanitizeString(
-      annotation.description, 
-      VALIDATION_RULES.TEXT_FIELDS.DESCRIPTION_MAX_LENGTH
-    );
+  if (annotation.description !== undefined && annotation.description !== null && annotation.description !== '') {
+    validated.description = checkField(errors, 'description', () => {
+      if (typeof annotation.description !== 'string') {
+        throw new Error('Description must be text');
+      }
+      return cleanText(annotation.description, VALIDATION_RULES.TEXT_FIELDS.DESCRIPTION_MAX_LENGTH);
+    });
+  }
+  
+  // Source attributes, rendered into the description on upload
+  if (annotation.properties !== undefined) {
+    validated.properties = checkField(errors, 'properties', () => validatePlainObject(annotation.properties, 'Properties'));
+  }
+  
+  if (annotation.metadata !== undefined) {
+    validated.metadata = checkField(errors, 'metadata', () => validatePlainObject(annotation.metadata, 'Metadata'));
+  }
+  
+  if (errors.length > 0) {
+    throw createValidationError(errors);
   }
   
   return validated;
@@ -272,6 +432,39 @@ function validateFileUpload(file) {
   };
 }
 
+/**
+ * Validate a DroneDeploy annotation ID
+ * IDs are written into the delete mutation, so only ID characters are accepted
+ * @param {string} annotationId - Annotation ID
+ * @returns {string} Validated annotation ID
+ */
+function validateAnnotationId(annotationId) {
+  if (!annotationId || typeof annotationId !== 'string') {
+    throw new Error('Annotation ID must be a non-empty string');
+  }
+  
+  const trimmed = annotationId.trim();
+  if (!/^[\w:.-]+$/.test(trimmed)) {
+    throw new Error('Annotation ID contains invalid characters');
+  }
+  
+  return trimmed;
+}
+
+/**
+ * Validate an upload job ID
+ * Job IDs name directories on disk, so only UUIDs are accepted
+ * @param {string} jobId - Job ID
+ * @returns {string} Validated job ID
+ */
+function validateJobId(jobId) {
+  if (typeof jobId !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId)) {
+    throw new Error('Invalid job ID');
+  }
+  
+  return jobId.toLowerCase();
+}
+
 /**
  * Validate annotation count
  * @param {Array} annotations - Array of annotations
@@ -293,6 +486,356 @@ function validateAnnotationCount(annotations) {
   return true;
 }
 
+/**
+ * Throw the collected field errors, if any
+ * @param {Array<Object>} errors - Field errors
+ */
+function assertNoFieldErrors(errors) {
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+}
+
+/**
+ * Parse a JSON-encoded multipart field
+ * @param {string} value - Field value
+ * @returns {*} Parsed value, or undefined when the field is absent
+ */
+function parseJSONField(value) {
+  if (value === undefined || value === '') return undefined;
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the shape of a column mapping; its headers are checked against the file when parsing
+ * @param {Object} mapping - Mapping { columns: { field: header }, defaults: { field: value } }
+ * @returns {Object} Validated mapping
+ */
+function validateColumnMappingShape(mapping) {
+  validatePlainObject(mapping, 'Column mapping');
+  
+  ['columns', 'defaults'].forEach(key => {
+    if (mapping[key] === undefined || mapping[key] === null) return;
+    validatePlainObject(mapping[key], `Column mapping ${key}`);
+    Object.entries(mapping[key]).forEach(([field, value]) => {
+      if (key === 'columns' && !MAPPING_FIELDS.includes(field)) {
+        throw new Error(`Unknown mapping field: ${field} (expected ${MAPPING_FIELDS.join(', ')})`);
+      }
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`Column mapping ${key}.${field} must be text`);
+      }
+    });
+  });
+  
+  return mapping;
+}
+
+/**
+ * Validate a file upload request (POST /api/upload)
+ * @param {Object} file - Uploaded file object from multer
+ * @param {Object} body - Multipart fields
+ * @returns {Object} { file, holePolicy, stylingRules, columnMapping }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateFileUploadRequest(file, body = {}) {
+  const errors = [];
+  
+  const validated = {
+    file: checkField(errors, 'file', () => validateFileUpload(file)),
+    holePolicy: checkField(errors, 'holePolicy', () => {
+      if (body.holePolicy === undefined || body.holePolicy === '') return HOLE_POLICIES.DROP;
+      if (!Object.values(HOLE_POLICIES).includes(body.holePolicy)) {
+        throw new Error(`Must be one of: ${Object.values(HOLE_POLICIES).join(', ')}`);
+      }
+      return body.holePolicy;
+    }),
+    stylingRules: checkField(errors, 'stylingRules', () => {
+      const rules = parseJSONField(body.stylingRules);
+      return rules === undefined ? undefined : validateStylingRules(rules);
+    }),
+    columnMapping: checkField(errors, 'columnMapping', () => {
+      const mapping = parseJSONField(body.columnMapping);
+      return mapping === undefined ? undefined : validateColumnMappingShape(mapping);
+    })
+  };
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
+/**
+ * Validate a request to re-apply styling rules (POST /api/styling-rules/apply)
+ * @param {Object} body - Request body { annotations, rules }
+ * @returns {Object} { annotations, rules }; rules are normalized
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateStylingRulesRequest(body = {}) {
+  const errors = [];
+  
+  const validated = {
+    annotations: checkField(errors, 'annotations', () => {
+      if (!Array.isArray(body.annotations)) {
+        throw new Error(ERROR_MESSAGES.VALIDATION.MISSING_REQUIRED_FIELD('annotations'));
+      }
+      return body.annotations;
+    }),
+    rules: checkField(errors, 'rules', () => validateStylingRules(body.rules ?? []))
+  };
+  
+  (validated.annotations || []).forEach((annotation, index) => {
+    checkField(errors, `annotations[${index}]`, () => validatePlainObject(annotation, 'Annotation'));
+  });
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
+/**
+ * Validate the source property that keys synced annotations
+ * @param {string} idProperty - Property name
+ * @returns {string} Validated property name
+ */
+function validateSyncIdProperty(idProperty) {
+  if (typeof idProperty !== 'string' || !idProperty.trim()) {
+    throw new Error('ID property is required');
+  }
+  
+  if (idProperty.trim().length > 100) {
+    throw new Error('ID property must be 100 characters or less');
+  }
+  
+  return idProperty.trim();
+}
+
+/**
+ * Check the fields shared by uploads, duplicate checks and sync plans
+ * @param {Array<Object>} errors - Field errors collected so far
+ * @param {Object} body - Request body
+ * @param {boolean} allowEmpty - Accept an empty annotations array (a sync that only deletes)
+ * @returns {Object} { annotations, apiKey, planId, descriptionAttributes }
+ */
+function checkAnnotationRequestFields(errors, body, allowEmpty = false) {
+  const apiKey = checkField(errors, 'apiKey', () => validateApiKey(body.apiKey));
+  const planId = checkField(errors, 'planId', () => validatePlanId(body.planId));
+  
+  let annotations;
+  if (allowEmpty && Array.isArray(body.annotations) && body.annotations.length === 0) {
+    annotations = [];
+  } else if (checkField(errors, 'annotations', () => validateAnnotationCount(body.annotations))) {
+    annotations = body.annotations.map((annotation, index) =>
+      checkField(errors, `annotations[${index}]`, () => validateAnnotation(annotation)));
+  }
+  
+  // Property names the user chose to render into each annotation's description
+  const descriptionAttributes = checkField(errors, 'descriptionAttributes', () => {
+    if (body.descriptionAttributes === undefined) return [];
+    if (!Array.isArray(body.descriptionAttributes) || body.descriptionAttributes.some(key => typeof key !== 'string')) {
+      throw new Error('Must be an array of property names');
+    }
+    return body.descriptionAttributes;
+  });
+  
+  return { annotations, apiKey, planId, descriptionAttributes };
+}
+
+/**
+ * Validate a DroneDeploy upload request (POST /api/dronedeploy/upload and POST /api/jobs)
+ * @param {Object} body - Request body
+ * @returns {Object} { annotations, apiKey, planId, descriptionAttributes, replaceAnnotationIds,
+ *   deleteAnnotationIds, syncIdProperty }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateUploadRequest(body = {}) {
+  const errors = [];
+  
+  // Existing annotations to delete once the annotations are uploaded (a sync);
+  // checked first, since a sync that only deletes sends no annotations
+  const deleteErrors = [];
+  let deleteAnnotationIds = [];
+  if (body.deleteAnnotationIds !== undefined) {
+    if (!Array.isArray(body.deleteAnnotationIds)) {
+      deleteErrors.push({ field: 'deleteAnnotationIds', message: 'Must be an array of annotation IDs' });
+    } else {
+      deleteAnnotationIds = body.deleteAnnotationIds.map((annotationId, index) =>
+        checkField(deleteErrors, `deleteAnnotationIds[${index}]`, () => validateAnnotationId(annotationId)));
+    }
+  }
+  
+  const validated = checkAnnotationRequestFields(errors, body, deleteAnnotationIds.length > 0);
+  errors.push(...deleteErrors);
+  
+  // Tags each description with the annotation's ID, so the next sync can find it
+  const syncIdProperty = body.syncIdProperty === undefined
+    ? null
+    : checkField(errors, 'syncIdProperty', () => validateSyncIdProperty(body.syncIdProperty));
+  
+  // For each annotation, null or the ID of an existing annotation it replaces
+  let replaceAnnotationIds = [];
+  if (body.replaceAnnotationIds !== undefined) {
+    if (!Array.isArray(body.replaceAnnotationIds) || body.replaceAnnotationIds.length !== body.annotations?.length) {
+      errors.push({ field: 'replaceAnnotationIds', message: 'Must be an array with an entry for each annotation' });
+    } else {
+      replaceAnnotationIds = body.replaceAnnotationIds.map((annotationId, index) => (annotationId === null
+        ? null
+        : checkField(errors, `replaceAnnotationIds[${index}]`, () => validateAnnotationId(annotationId))));
+    }
+  }
+  
+  assertNoFieldErrors(errors);
+  return { ...validated, replaceAnnotationIds, deleteAnnotationIds, syncIdProperty };
+}
+
+/**
+ * Validate a duplicate check (POST /api/dronedeploy/dedupe)
+ * @param {Object} body - Request body
+ * @returns {Object} { annotations, apiKey, planId, descriptionAttributes, tolerance }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateDedupeRequest(body = {}) {
+  const errors = [];
+  const validated = checkAnnotationRequestFields(errors, body);
+  
+  // Meters between matching points
+  const tolerance = checkField(errors, 'tolerance', () => {
+    if (body.tolerance === undefined) return DRONEDEPLOY_CONFIG.MATCH_TOLERANCE;
+    if (typeof body.tolerance !== 'number' || !Number.isFinite(body.tolerance) || body.tolerance < 0 || body.tolerance > 1000) {
+      throw new Error('Must be a number of meters from 0 to 1000');
+    }
+    return body.tolerance;
+  });
+  
+  assertNoFieldErrors(errors);
+  return { ...validated, tolerance };
+}
+
+/**
+ * Validate a sync plan request (POST /api/dronedeploy/sync/plan)
+ * @param {Object} body - Request body
+ * @returns {Object} { annotations, apiKey, planId, descriptionAttributes, idProperty, deleteMissing }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateSyncRequest(body = {}) {
+  const errors = [];
+  const validated = checkAnnotationRequestFields(errors, body);
+  
+  const idProperty = checkField(errors, 'idProperty', () => validateSyncIdProperty(body.idProperty));
+  const deleteMissing = checkField(errors, 'deleteMissing', () => {
+    if (body.deleteMissing === undefined) return false;
+    if (typeof body.deleteMissing !== 'boolean') throw new Error('Must be true or false');
+    return body.deleteMissing;
+  });
+  
+  assertNoFieldErrors(errors);
+  return { ...validated, idProperty, deleteMissing };
+}
+
+/**
+ * Validate a map details request (GET /api/dronedeploy/map/:mapId)
+ * @param {string} mapId - Map ID from the path
+ * @param {string} apiKey - API key from the query string
+ * @returns {Object} { mapId, apiKey }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateMapRequest(mapId, apiKey) {
+  const errors = [];
+  
+  const validated = {
+    mapId: checkField(errors, 'mapId', () => validatePlanId(mapId)),
+    apiKey: checkField(errors, 'apiKey', () => validateApiKey(apiKey))
+  };
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
+/**
+ * Validate an export request (GET /api/dronedeploy/map/:mapId/annotations)
+ * @param {string} mapId - Map ID from the path
+ * @param {Object} query - Query string: apiKey and format (geojson, kml or csv; default geojson)
+ * @returns {Object} { mapId, apiKey, format }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateExportRequest(mapId, query = {}) {
+  const errors = [];
+  
+  const validated = {
+    mapId: checkField(errors, 'mapId', () => validatePlanId(mapId)),
+    apiKey: checkField(errors, 'apiKey', () => validateApiKey(query.apiKey)),
+    format: checkField(errors, 'format', () => {
+      if (query.format === undefined) return 'geojson';
+      if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, query.format)) {
+        throw new Error(`Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      }
+      return query.format;
+    })
+  };
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
+/**
+ * Validate an undo request (POST /api/dronedeploy/undo-upload)
+ * @param {Object} body - Request body
+ * @returns {Object} { annotationIds, planId, apiKey }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateUndoRequest(body = {}) {
+  const errors = [];
+  
+  const apiKey = checkField(errors, 'apiKey', () => validateApiKey(body.apiKey));
+  const planId = checkField(errors, 'planId', () => validatePlanId(body.planId));
+  
+  let annotationIds;
+  if (!Array.isArray(body.annotationIds) || body.annotationIds.length === 0) {
+    errors.push({ field: 'annotationIds', message: 'Annotation IDs array is required' });
+  } else {
+    annotationIds = body.annotationIds.map((annotationId, index) =>
+      checkField(errors, `annotationIds[${index}]`, () => validateAnnotationId(annotationId)));
+  }
+  
+  assertNoFieldErrors(errors);
+  return { annotationIds, planId, apiKey };
+}
+
+/**
+ * Validate a job lookup (GET /api/jobs/:jobId and /results)
+ * @param {string} jobId - Job ID from the path
+ * @returns {string} Validated job ID
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateJobRequest(jobId) {
+  const errors = [];
+  const validated = checkField(errors, 'jobId', () => validateJobId(jobId));
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
+/**
+ * Validate a job resume request (POST /api/jobs/:jobId/resume)
+ * @param {string} jobId - Job ID from the path
+ * @param {Object} body - Request body
+ * @returns {Object} { jobId, apiKey }
+ * @throws {Error} VALIDATION_FAILED error listing every invalid field
+ */
+function validateResumeRequest(jobId, body = {}) {
+  const errors = [];
+  
+  const validated = {
+    jobId: checkField(errors, 'jobId', () => validateJobId(jobId)),
+    apiKey: checkField(errors, 'apiKey', () => validateApiKey(body.apiKey))
+  };
+  
+  assertNoFieldErrors(errors);
+  return validated;
+}
+
 module.exports = {
   sanitizeString,
   validateTitle,
@@ -300,11 +843,24 @@ module.exports = {
   validateAnnotationType,
   validateColor,
   validateGeometry,
+  validateSchemaVersion,
   validateAnnotation,
   validateApiKey,
   validatePlanId,
   validateFileUpload,
-  validateAnnotationCount
+  validateAnnotationCount,
+  validateAnnotationId,
+  validateFileUploadRequest,
+  validateStylingRulesRequest,
+  validateUploadRequest,
+  validateDedupeRequest,
+  validateSyncRequest,
+  validateMapRequest,
+  validateExportRequest,
+  validateUndoRequest,
+  validateJobId,
+  validateJobRequest,
+  validateResumeRequest
 };
 
 
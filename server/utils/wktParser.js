@@ -0,0 +1,378 @@
+/**
+ * WKT / EWKT / WKB Geometry Parsing
+ * Converts the geometry text that PostGIS, QGIS and spreadsheet exports produce into GeoJSON
+ */
+
+// WKT geometry keywords and the GeoJSON type each produces
+const WKT_GEOMETRY_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection'
+};
+
+// WKB geometry type codes (ISO/OGC), without dimension offsets
+const WKB_GEOMETRY_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection'
+};
+
+// EWKB (PostGIS) flags stored in the high bits of the type code
+const EWKB_Z_FLAG = 0x80000000;
+const EWKB_M_FLAG = 0x40000000;
+const EWKB_SRID_FLAG = 0x20000000;
+
+const EWKT_SRID_PATTERN = /^\s*SRID=(\d+)\s*;/i;
+const WKB_HEX_PATTERN = /^(?:[0-9a-fA-F]{2})+$/;
+
+/**
+ * Check whether geometry text looks like WKT/EWKT or WKB hex rather than a JSON coordinate array
+ * @param {string} text - Geometry column value
+ * @returns {boolean} True for WKT, EWKT or WKB hex
+ */
+function isWKTOrWKB(text) {
+  const value = String(text || '').trim();
+  return EWKT_SRID_PATTERN.test(value) || /^[A-Za-z]/.test(value) || isWKBHex(value);
+}
+
+/**
+ * Check whether text is hex-encoded WKB (starts with a byte order marker)
+ * @param {string} text - Geometry column value
+ * @returns {boolean} True for WKB hex
+ */
+function isWKBHex(text) {
+  return WKB_HEX_PATTERN.test(text) && /^0[01]/.test(text) && text.length >= 10;
+}
+
+/**
+ * Read the SRID declared by EWKT or EWKB geometry text
+ * @param {string} text - Geometry column value
+ * @returns {number|null} SRID, or null when none is declared
+ */
+function readGeometrySRID(text) {
+  const value = String(text || '').trim();
+  const match = value.match(EWKT_SRID_PATTERN);
+  if (match) {
+    return Number(match[1]) || null;
+  }
+  if (isWKBHex(value)) {
+    try {
+      return parseWKBHex(value).srid;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse WKT/EWKT or WKB hex geometry text
+ * @param {string} text - Geometry column value
+ * @returns {Object} { geometry: GeoJSON geometry, srid: number|null }
+ */
+function parseGeometryText(text) {
+  const value = String(text || '').trim();
+  return isWKBHex(value) ? parseWKBHex(value) : parseWKT(value);
+}
+
+/**
+ * Parse WKT or EWKT (SRID=4326;POINT(...)) into GeoJSON
+ * Z and M values are accepted and dropped
+ * @param {string} text - WKT text
+ * @returns {Object} { geometry: GeoJSON geometry, srid: number|null }
+ */
+function parseWKT(text) {
+  let srid = null;
+  let input = String(text || '');
+  const match = input.match(EWKT_SRID_PATTERN);
+  if (match) {
+    srid = Number(match[1]) || null;
+    input = input.slice(match[0].length);
+  }
+
+  const reader = createWKTReader(input);
+  const geometry = readWKTGeometry(reader);
+  reader.skipWhitespace();
+  if (!reader.atEnd()) {
+    reader.fail('end of geometry');
+  }
+
+  return { geometry, srid };
+}
+
+/**
+ * Create a cursor over WKT text
+ * @param {string} input - WKT text without the SRID prefix
+ * @returns {Object} Reader with peek/expect helpers
+ */
+function createWKTReader(input) {
+  const reader = {
+    position: 0,
+    extraOrdinates: 1,
+    skipWhitespace() {
+      while (reader.position < input.length && /\s/.test(input[reader.position])) {
+        reader.position++;
+      }
+    },
+    atEnd() {
+      return reader.position >= input.length;
+    },
+    fail(expected) {
+      const found = reader.atEnd() ? 'end of text' : `"${input.slice(reader.position, reader.position + 12)}"`;
+      throw new Error(`Invalid WKT at position ${reader.position + 1}: expected ${expected}, found ${found}`);
+    },
+    peek(char) {
+      reader.skipWhitespace();
+      return input[reader.position] === char;
+    },
+    expect(char) {
+      if (!reader.peek(char)) {
+        reader.fail(`"${char}"`);
+      }
+      reader.position++;
+    },
+    readWord() {
+      reader.skipWhitespace();
+      const match = /^[A-Za-z]+/.exec(input.slice(reader.position));
+      if (!match) return '';
+      reader.position += match[0].length;
+      return match[0].toUpperCase();
+    },
+    readNumber() {
+      reader.skipWhitespace();
+      const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(input.slice(reader.position));
+      if (!match) {
+        reader.fail('a number');
+      }
+      reader.position += match[0].length;
+      return parseFloat(match[0]);
+    }
+  };
+  return reader;
+}
+
+/**
+ * Read one tagged geometry, e.g. "POLYGON Z ((...))"
+ * @param {Object} reader - WKT reader
+ * @returns {Object} GeoJSON geometry
+ */
+function readWKTGeometry(reader) {
+  const start = reader.position;
+  let keyword = reader.readWord();
+
+  // Dimension suffixes may be attached (POINTZ) or separate (POINT Z)
+  const attached = /^(.+?)(ZM|Z|M)$/.exec(keyword);
+  if (!WKT_GEOMETRY_TYPES[keyword] && attached && WKT_GEOMETRY_TYPES[attached[1]]) {
+    keyword = attached[1];
+  }
+  const type = WKT_GEOMETRY_TYPES[keyword];
+  if (!type) {
+    reader.position = start;
+    reader.fail(`a geometry type (${Object.keys(WKT_GEOMETRY_TYPES).join(', ')})`);
+  }
+
+  const afterType = reader.position;
+  const modifier = reader.readWord();
+  if (modifier === 'EMPTY') {
+    throw new Error(`Empty ${keyword} geometry`);
+  }
+  if (modifier && !['Z', 'M', 'ZM'].includes(modifier)) {
+    reader.position = afterType;
+    reader.fail('"(" or a Z/M dimension');
+  }
+  if (reader.readWord() === 'EMPTY') {
+    throw new Error(`Empty ${keyword} geometry`);
+  }
+
+  // Z or M values beyond x y; an undeclared Z is common in exports so one extra value is always allowed
+  const dimensions = modifier || (attached && WKT_GEOMETRY_TYPES[attached[1]] ? attached[2] : '');
+  reader.extraOrdinates = dimensions === 'ZM' ? 2 : 1;
+
+  switch (type) {
+    case 'Point': {
+      reader.expect('(');
+      const coordinates = readWKTPosition(reader);
+      reader.expect(')');
+      return { type, coordinates };
+    }
+    case 'LineString':
+      return { type, coordinates: readWKTPositionList(reader) };
+    case 'Polygon':
+      return { type, coordinates: readWKTList(reader, () => readWKTPositionList(reader)) };
+    case 'MultiPoint':
+      // Both MULTIPOINT ((1 2), (3 4)) and MULTIPOINT (1 2, 3 4) are in use
+      return {
+        type,
+        coordinates: readWKTList(reader, () => {
+          if (!reader.peek('(')) {
+            return readWKTPosition(reader);
+          }
+          reader.expect('(');
+          const position = readWKTPosition(reader);
+          reader.expect(')');
+          return position;
+        })
+      };
+    case 'MultiLineString':
+      return { type, coordinates: readWKTList(reader, () => readWKTPositionList(reader)) };
+    case 'MultiPolygon':
+      return { type, coordinates: readWKTList(reader, () => readWKTList(reader, () => readWKTPositionList(reader))) };
+    default:
+      return { type, geometries: readWKTList(reader, () => readWKTGeometry(reader)) };
+  }
+}
+
+/**
+ * Read a parenthesised, comma separated list
+ * @param {Object} reader - WKT reader
+ * @param {Function} readItem - Reads one list item
+ * @returns {Array} Items
+ */
+function readWKTList(reader, readItem) {
+  reader.expect('(');
+  const items = [readItem()];
+  while (reader.peek(',')) {
+    reader.expect(',');
+    items.push(readItem());
+  }
+  reader.expect(')');
+  return items;
+}
+
+/**
+ * Read "(x y, x y, ...)"
+ * @param {Object} reader - WKT reader
+ * @returns {Array} [x, y] positions
+ */
+function readWKTPositionList(reader) {
+  return readWKTList(reader, () => readWKTPosition(reader));
+}
+
+/**
+ * Read one "x y [z [m]]" position, keeping x and y
+ * @param {Object} reader - WKT reader
+ * @returns {Array} [x, y]
+ */
+function readWKTPosition(reader) {
+  const position = [reader.readNumber(), reader.readNumber()];
+  for (let extra = 0; extra < reader.extraOrdinates && !reader.peek(',') && !reader.peek(')'); extra++) {
+    reader.readNumber();
+  }
+  if (!reader.peek(',') && !reader.peek(')')) {
+    reader.fail('"," or ")"');
+  }
+  return position;
+}
+
+/**
+ * Parse hex-encoded WKB or PostGIS EWKB into GeoJSON
+ * @param {string} hex - WKB hex string
+ * @returns {Object} { geometry: GeoJSON geometry, srid: number|null }
+ */
+function parseWKBHex(hex) {
+  const buffer = Buffer.from(hex, 'hex');
+  const state = { buffer, offset: 0, srid: null };
+
+  const geometry = readWKBGeometry(state);
+  if (state.offset !== buffer.length) {
+    throw new Error(`Invalid WKB: ${buffer.length - state.offset} unexpected trailing bytes`);
+  }
+
+  return { geometry, srid: state.srid };
+}
+
+/**
+ * Read one WKB geometry (with its own byte order marker)
+ * @param {Object} state - { buffer, offset, srid }
+ * @returns {Object} GeoJSON geometry
+ */
+function readWKBGeometry(state) {
+  const { buffer } = state;
+  const ensure = (bytes) => {
+    if (state.offset + bytes > buffer.length) {
+      throw new Error(`Invalid WKB: unexpected end of data at byte ${state.offset}`);
+    }
+  };
+
+  ensure(5);
+  const byteOrder = buffer[state.offset];
+  if (byteOrder > 1) {
+    throw new Error(`Invalid WKB: bad byte order marker ${byteOrder} at byte ${state.offset}`);
+  }
+  const littleEndian = byteOrder === 1;
+  state.offset += 1;
+
+  const readUInt32 = () => {
+    ensure(4);
+    const value = littleEndian ? buffer.readUInt32LE(state.offset) : buffer.readUInt32BE(state.offset);
+    state.offset += 4;
+    return value;
+  };
+  const readDouble = () => {
+    ensure(8);
+    const value = littleEndian ? buffer.readDoubleLE(state.offset) : buffer.readDoubleBE(state.offset);
+    state.offset += 8;
+    return value;
+  };
+
+  const typeCode = readUInt32();
+  let hasZ = (typeCode & EWKB_Z_FLAG) !== 0;
+  let hasM = (typeCode & EWKB_M_FLAG) !== 0;
+  if (typeCode & EWKB_SRID_FLAG) {
+    state.srid = readUInt32() || null;
+  }
+
+  // ISO WKB encodes dimensions as 1000 (Z), 2000 (M) and 3000 (ZM) offsets
+  const isoCode = typeCode & 0x0fffffff;
+  const dimension = Math.floor(isoCode / 1000);
+  hasZ = hasZ || dimension === 1 || dimension === 3;
+  hasM = hasM || dimension === 2 || dimension === 3;
+  const type = WKB_GEOMETRY_TYPES[isoCode % 1000];
+  if (!type) {
+    throw new Error(`Invalid WKB: unsupported geometry type ${isoCode}`);
+  }
+
+  const readPosition = () => {
+    const position = [readDouble(), readDouble()];
+    if (hasZ) readDouble();
+    if (hasM) readDouble();
+    return position;
+  };
+  const readPositions = () => Array.from({ length: readUInt32() }, readPosition);
+  const readParts = () => Array.from({ length: readUInt32() }, () => readWKBGeometry(state));
+
+  switch (type) {
+    case 'Point': {
+      const coordinates = readPosition();
+      if (coordinates.every(Number.isNaN)) {
+        throw new Error('Empty POINT geometry');
+      }
+      return { type, coordinates };
+    }
+    case 'LineString':
+      return { type, coordinates: readPositions() };
+    case 'Polygon':
+      return { type, coordinates: Array.from({ length: readUInt32() }, readPositions) };
+    case 'GeometryCollection':
+      return { type, geometries: readParts() };
+    default:
+      // Multi* members are complete WKB geometries
+      return { type, coordinates: readParts().map(part => part.coordinates) };
+  }
+}
+
+module.exports = {
+  isWKTOrWKB,
+  readGeometrySRID,
+  parseGeometryText,
+  parseWKT,
+  parseWKBHex
+};
@@ -0,0 +1,200 @@
+/**
+ * DroneDeploy client tests - run with `npm test`
+ * The client is tested against a stubbed fetch, then against the mock DroneDeploy API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DRONEDEPLOY_CONFIG } = require('./server/config/constants');
+
+test('DroneDeploy client retries transient failures, times out, and bounds concurrency and rate', async (t) => {
+  const saved = { ...DRONEDEPLOY_CONFIG };
+  Object.assign(DRONEDEPLOY_CONFIG, { RATE_LIMIT: 0, CONCURRENCY: 2, MAX_RETRIES: 2, RETRY_BASE_DELAY: 1, RETRY_MAX_DELAY: 5, REQUEST_TIMEOUT: 50 });
+  t.after(() => Object.assign(DRONEDEPLOY_CONFIG, saved));
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const { postGraphQL, createAnnotation } = require('./server/utils/droneDeployApi');
+
+  const reply = (status, body, retryAfter = null) => ({
+    ok: status < 400,
+    status,
+    headers: { get: name => (name === 'retry-after' ? retryAfter : null) },
+    json: async () => body
+  });
+  const fetchMock = t.mock.method(globalThis, 'fetch');
+  const replyWith = (responses) => {
+    const calls = [];
+    fetchMock.mock.mockImplementation(async (url, request) => {
+      calls.push(request);
+      return responses.shift()(request);
+    });
+    return calls;
+  };
+
+  // 429 with Retry-After, then a 503, then success
+  let calls = replyWith([() => reply(429, null, '0'), () => reply(503, null), () => reply(200, { data: { ok: true } })]);
+  assert.deepStrictEqual(await postGraphQL('key', { query: '{ ok }' }), { data: { ok: true } });
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(calls[0].headers.Authorization, 'Bearer key');
+
+  // A Retry-After longer than RETRY_MAX_DELAY fails the request instead of pausing every other one
+  calls = replyWith([() => reply(429, null, '60'), () => reply(200, { data: { ok: true } })]);
+  await assert.rejects(postGraphQL('key', {}), { code: 'DRONEDEPLOY_API', status: 429, retryAfter: 60000 });
+  assert.strictEqual(calls.length, 1);
+
+  // A GraphQL error is an answer, not a transient failure
+  calls = replyWith([() => reply(400, { errors: [{ message: 'Invalid color' }] })]);
+  await assert.rejects(createAnnotation('key', {}), { message: 'Invalid color' });
+  assert.strictEqual(calls.length, 1);
+
+  const hang = (request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => reject(request.signal.reason));
+  });
+
+  // A create is not retried blind after a failure DroneDeploy may have survived: the map is
+  // checked first, and an identical annotation found there is returned
+  const input = {
+    planId: 'MapPlan:5f1e2d3c4b5a69788796a5b4',
+    title: 'Gate',
+    annotationType: 'LOCATION',
+    geometry: [{ lat: -38.1, lng: 145.1 }],
+    color: '#f34235',
+    fillColor: '#f34235'
+  };
+  const onMap = (annotations) => () => reply(200, {
+    data: { mapPlan: { annotations: { edges: annotations.map(node => ({ node })), pageInfo: { hasNextPage: false } } } }
+  });
+  const createdReply = () => reply(200, { data: { createAnnotation: { annotation: { id: 'Annotation:2', title: 'Gate', annotationType: 'LOCATION' } } } });
+  calls = replyWith([() => reply(502, null), onMap([{ ...input, id: 'Annotation:1', description: '' }])]);
+  assert.deepStrictEqual(await createAnnotation('key', input), { id: 'Annotation:1', title: 'Gate', annotationType: 'LOCATION' });
+  assert.strictEqual(calls.length, 2);
+
+  calls = replyWith([hang, onMap([{ ...input, id: 'Annotation:1', title: 'Other gate' }]), createdReply]);
+  assert.strictEqual((await createAnnotation('key', input)).id, 'Annotation:2');
+  assert.deepStrictEqual(calls.map(request => JSON.parse(request.body).query.includes('createAnnotation')), [true, false, true]);
+
+  // A 429 and a refused connection were never processed, so they are retried straight away
+  const refused = async () => {
+    throw new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+  };
+  calls = replyWith([() => reply(429, null, '0'), refused, createdReply]);
+  assert.strictEqual((await createAnnotation('key', input)).id, 'Annotation:2');
+  assert.strictEqual(calls.length, 3);
+
+  // Both kinds of retry share one budget: MAX_RETRIES + 1 creates at most, plus the map lookup
+  calls = replyWith([() => reply(429, null, '0'), () => reply(502, null), onMap([]), () => reply(429, null, '0'), createdReply]);
+  await assert.rejects(createAnnotation('key', input), { status: 429 });
+  assert.deepStrictEqual(calls.map(request => JSON.parse(request.body).query.includes('createAnnotation')), [true, true, false, true]);
+
+  // Retries run out
+  calls = replyWith([() => reply(502, null), () => reply(502, null), () => reply(502, null)]);
+  await assert.rejects(postGraphQL('key', {}), { code: 'DRONEDEPLOY_API', status: 502, message: /HTTP 502/ });
+  assert.strictEqual(calls.length, 3);
+
+  // Each attempt times out
+  calls = replyWith([hang, hang, () => reply(200, { data: {} })]);
+  assert.deepStrictEqual(await postGraphQL('key', {}), { data: {} });
+  assert.strictEqual(calls.length, 3);
+
+  // At most CONCURRENCY requests in flight
+  let inFlight = 0;
+  let maxInFlight = 0;
+  fetchMock.mock.mockImplementation(async () => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    return reply(200, { data: {} });
+  });
+  await Promise.all([1, 2, 3, 4, 5].map(() => postGraphQL('key', {})));
+  assert.strictEqual(maxInFlight, 2);
+
+  // RATE_LIMIT spaces out requests once the burst is used
+  Object.assign(DRONEDEPLOY_CONFIG, { RATE_LIMIT: 40, RATE_BURST: 1 });
+  const startedAt = Date.now();
+  await Promise.all([1, 2, 3, 4, 5].map(() => postGraphQL('key', {})));
+  assert.ok(Date.now() - startedAt >= 75, 'five requests at 40/s with a burst of 1 take about 100ms');
+
+  // A burst below 1 still lets one request through at a time, rather than none ever
+  DRONEDEPLOY_CONFIG.RATE_BURST = 0;
+  const stalled = new Promise((resolve, reject) => setTimeout(() => reject(new Error('requests stalled')), 1000).unref());
+  await Promise.race([Promise.all([1, 2, 3].map(() => postGraphQL('key', {}))), stalled]);
+});
+
+test('mock DroneDeploy API stores annotations and injects failures', async (t) => {
+  const { createMockDroneDeploy, DEFAULT_PLAN } = require('./server/mock/droneDeployMock');
+  const server = createMockDroneDeploy({ retryAfter: 0 }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const mockUrl = `http://localhost:${server.address().port}`;
+  const saved = { ...DRONEDEPLOY_CONFIG };
+  Object.assign(DRONEDEPLOY_CONFIG, { API_URL: `${mockUrl}/graphql`, RATE_LIMIT: 0, RETRY_BASE_DELAY: 1 });
+  t.after(() => {
+    Object.assign(DRONEDEPLOY_CONFIG, saved);
+    server.close();
+  });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const {
+    createAnnotation,
+    replaceAnnotation,
+    fetchMapPlan,
+    fetchMapAnnotations,
+    deleteAnnotations
+  } = require('./server/utils/droneDeployApi');
+  const { toCreateAnnotationInput } = require('./server/utils/annotationModel');
+  const injectFailures = (body) => fetch(`${mockUrl}/__mock/failures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const mapPlan = await fetchMapPlan('key', DEFAULT_PLAN.id);
+  assert.strictEqual(mapPlan.project.id, DEFAULT_PLAN.project.id);
+  await assert.rejects(fetchMapPlan('key', 'MapPlan:000000000000000000000000'), /Map not found/);
+
+  // A 429 is retried; after a 502 the map is checked for the annotation before it is retried
+  await injectFailures({ next: ['rateLimit', 'serverError'] });
+  const input = toCreateAnnotationInput({
+    annotationType: 'LINE',
+    title: 'Fence',
+    color: '#f34235',
+    fillColor: '#f67168',
+    geometry: { type: 'LineString', coordinates: [[145, -38], [145.1, -38.1]] }
+  }, DEFAULT_PLAN.id, 'North side');
+  const created = await createAnnotation('key', input);
+  assert.match(created.id, /^Annotation:[0-9a-f]{24}$/);
+
+  const state = await (await fetch(`${mockUrl}/__mock/state`)).json();
+  assert.deepStrictEqual(state.requests.map(request => request.status), [200, 200, 429, 502, 200, 200]);
+  assert.deepStrictEqual(state.annotations[0].geometry, [{ lat: -38, lng: 145 }, { lat: -38.1, lng: 145.1 }]);
+  assert.strictEqual(state.annotations[0].description, 'North side');
+
+  // Invalid input, a bad key and a malformed body are not retried
+  await assert.rejects(createAnnotation('key', { ...input, annotationType: 'CIRCLE' }), /Invalid annotationType/);
+  await injectFailures({ next: ['auth'] });
+  await assert.rejects(createAnnotation('key', input), /Not authorized/);
+  await injectFailures({ next: ['malformed'] });
+  await assert.rejects(createAnnotation('key', input), /invalid response/);
+
+  // Existing annotations are read a page at a time
+  const savedPageSize = DRONEDEPLOY_CONFIG.ANNOTATIONS_PAGE_SIZE;
+  DRONEDEPLOY_CONFIG.ANNOTATIONS_PAGE_SIZE = 2;
+  const second = await createAnnotation('key', { ...input, title: 'Fence 2' });
+  const third = await createAnnotation('key', { ...input, title: 'Fence 3' });
+  const onMap = await fetchMapAnnotations('key', DEFAULT_PLAN.id);
+  DRONEDEPLOY_CONFIG.ANNOTATIONS_PAGE_SIZE = savedPageSize;
+  assert.deepStrictEqual(onMap.map(annotation => annotation.title), ['Fence', 'Fence 2', 'Fence 3']);
+  assert.deepStrictEqual(onMap[0].geometry, input.geometry);
+  await assert.rejects(fetchMapAnnotations('key', 'MapPlan:000000000000000000000000'), /Map not found/);
+
+  // A replacement is created before the annotation it replaces is deleted
+  const replaced = await replaceAnnotation('key', { ...input, color: '#fe9700' }, second.id);
+  assert.strictEqual(replaced.replacedId, second.id);
+  const gone = await replaceAnnotation('key', input, second.id);
+  assert.strictEqual(gone.replacedId, null);
+  assert.match(gone.replaceError, /no longer on the map/);
+  assert.deepStrictEqual((await fetchMapAnnotations('key', DEFAULT_PLAN.id)).map(annotation => annotation.id), [created.id, third.id, replaced.id, gone.id]);
+
+  assert.deepStrictEqual(await deleteAnnotations('key', DEFAULT_PLAN.id, [created.id, 'Annotation:missing']), [created.id]);
+  assert.strictEqual((await fetchMapPlan('key', DEFAULT_PLAN.id)).id, DEFAULT_PLAN.id);
+  assert.strictEqual((await injectFailures({ next: ['timeout'] })).status, 400);
+});
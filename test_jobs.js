@@ -0,0 +1,185 @@
+/**
+ * Upload job tests - run with `npm test`
+ * Jobs run against a stubbed fetch, with their files in a temporary JOBS_DIR
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ANNOTATION_SCHEMA_VERSION, SERVER_CONFIG, DRONEDEPLOY_CONFIG } = require('./server/config/constants');
+
+test('upload jobs keep per-annotation state on disk and resume without re-creating annotations', async (t) => {
+  const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs_'));
+  const { JOBS_DIR } = SERVER_CONFIG;
+  const { CONCURRENCY, RATE_LIMIT } = DRONEDEPLOY_CONFIG;
+  SERVER_CONFIG.JOBS_DIR = jobsDir;
+  // One annotation at a time, so the order they are sent in is known
+  Object.assign(DRONEDEPLOY_CONFIG, { CONCURRENCY: 1, RATE_LIMIT: 0 });
+  t.after(() => {
+    SERVER_CONFIG.JOBS_DIR = JOBS_DIR;
+    Object.assign(DRONEDEPLOY_CONFIG, { CONCURRENCY, RATE_LIMIT });
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+
+  // DroneDeploy rejects "Pin 2" the first time it is sent
+  const sentTitles = [];
+  t.mock.method(globalThis, 'fetch', async (url, request) => {
+    const { variables } = JSON.parse(request.body);
+    if (!variables) {
+      return { json: async () => ({ data: { mapPlan: { project: { id: 'Project:1' } } } }) };
+    }
+    const { title, annotationType } = variables.input;
+    sentTitles.push(title);
+    if (title === 'Pin 2' && sentTitles.filter(sent => sent === title).length === 1) {
+      return { json: async () => ({ errors: [{ message: 'Rate limited' }] }) };
+    }
+    return { json: async () => ({ data: { createAnnotation: { annotation: { id: `Annotation:${sentTitles.length}`, title, annotationType } } } }) };
+  });
+
+  const jobModulePath = require.resolve('./server/utils/uploadJobs');
+  const { createJob, getJob, resumeJob, subscribeToJob, summarizeJob, getJobResults } = require(jobModulePath);
+  const waitForJob = async (jobId) => {
+    while (getJob(jobId).status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return summarizeJob(getJob(jobId));
+  };
+
+  const annotations = [1, 2, 3].map(number => ({
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    annotationType: 'LOCATION',
+    title: `Pin ${number}`,
+    color: '#f34235',
+    fillColor: '#f34235',
+    geometry: { type: 'Point', coordinates: [145.1, -38.1] }
+  }));
+  const { id } = createJob({ annotations, apiKey: 'abcdef123456', planId: '5f1e2d3c4b5a69788796a5b4', descriptionAttributes: [] });
+
+  let summary = await waitForJob(id);
+  assert.strictEqual(summary.status, 'failed');
+  const annotationsFile = path.join(jobsDir, id, 'annotations.json');
+  assert.ok(fs.existsSync(annotationsFile), 'a failed job keeps its annotations to resume');
+  assert.deepStrictEqual([summary.createdCount, summary.failedCount, summary.pendingCount], [2, 1, 0]);
+  assert.strictEqual(summary.projectId, 'Project:1');
+  assert.deepStrictEqual(getJobResults(getJob(id)).errors, [{ index: 1, annotation: 'Pin 2', error: 'Rate limited' }]);
+
+  const events = [];
+  const unsubscribe = subscribeToJob(id, event => events.push(event));
+  resumeJob(id, 'abcdef123456');
+  summary = await waitForJob(id);
+  assert.strictEqual(getJob(id), getJob(id));
+  unsubscribe();
+  // A finished job nobody follows is read back from disk instead of held in memory
+  assert.notStrictEqual(getJob(id), getJob(id));
+  assert.strictEqual(summary.status, 'completed');
+  assert.ok(!fs.existsSync(annotationsFile), 'a completed job has nothing left to resume');
+  assert.deepStrictEqual(events.map(event => event.type), ['snapshot', 'status', 'item', 'status']);
+  assert.strictEqual(events[0].items.length, 3);
+  assert.deepStrictEqual([events[2].item.index, events[2].item.state, events[2].job.createdCount], [1, 'created', 3]);
+  assert.strictEqual(events[3].job.status, 'completed');
+  assert.deepStrictEqual(sentTitles, ['Pin 1', 'Pin 2', 'Pin 3', 'Pin 2']);
+  assert.throws(() => resumeJob(id, 'abcdef123456'), { code: 'JOB_COMPLETE' });
+
+  // A fresh process reads the job back from disk; one recorded as running was interrupted
+  const jobFile = path.join(jobsDir, id, 'job.json');
+  fs.writeFileSync(jobFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(jobFile, 'utf8')), status: 'running' }));
+  delete require.cache[jobModulePath];
+  const reloaded = require(jobModulePath);
+  summary = reloaded.summarizeJob(reloaded.getJob(id));
+  assert.strictEqual(summary.status, 'interrupted');
+  assert.strictEqual(summary.createdCount, 3);
+  assert.deepStrictEqual(reloaded.getJobResults(reloaded.getJob(id)).results.map(result => result.title), ['Pin 1', 'Pin 2', 'Pin 3']);
+  assert.throws(() => reloaded.getJob('00000000-0000-4000-8000-000000000000'), { code: 'JOB_NOT_FOUND' });
+});
+
+test('cancelling an upload job stops it after the annotation being created', async (t) => {
+  const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs_'));
+  const { JOBS_DIR } = SERVER_CONFIG;
+  const { CONCURRENCY, RATE_LIMIT } = DRONEDEPLOY_CONFIG;
+  SERVER_CONFIG.JOBS_DIR = jobsDir;
+  // One annotation at a time, so the order they are sent in is known
+  Object.assign(DRONEDEPLOY_CONFIG, { CONCURRENCY: 1, RATE_LIMIT: 0 });
+  t.after(() => {
+    SERVER_CONFIG.JOBS_DIR = JOBS_DIR;
+    Object.assign(DRONEDEPLOY_CONFIG, { CONCURRENCY, RATE_LIMIT });
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+
+  const { createJob, getJob, cancelJob, resumeJob, subscribeToJob, summarizeJob } = require('./server/utils/uploadJobs');
+  const sentTitles = [];
+  let created;
+  t.mock.method(globalThis, 'fetch', async (url, request) => {
+    const { variables } = JSON.parse(request.body);
+    if (!variables) {
+      return { json: async () => ({ data: { mapPlan: null } }) };
+    }
+    const { title, annotationType } = variables.input;
+    sentTitles.push(title);
+    // The cancel arrives while "Pin 2" is being created
+    if (title === 'Pin 2' && !created) {
+      created = cancelJob(id);
+    }
+    return { json: async () => ({ data: { createAnnotation: { annotation: { id: `Annotation:${sentTitles.length}`, title, annotationType } } } }) };
+  });
+
+  const annotations = [1, 2, 3, 4].map(number => ({
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    annotationType: 'LOCATION',
+    title: `Pin ${number}`,
+    color: '#f34235',
+    fillColor: '#f34235',
+    geometry: { type: 'Point', coordinates: [145.1, -38.1] }
+  }));
+  const { id } = createJob({ annotations, apiKey: 'abcdef123456', planId: '5f1e2d3c4b5a69788796a5b4', descriptionAttributes: [] });
+  const statuses = [];
+  const unsubscribe = subscribeToJob(id, event => event.type === 'status' && statuses.push(event.job.status));
+  while (getJob(id).status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  unsubscribe();
+
+  assert.strictEqual(created.cancelRequested, true);
+  assert.deepStrictEqual(sentTitles, ['Pin 1', 'Pin 2']);
+  assert.deepStrictEqual(statuses, ['running', 'cancelled']);
+  const summary = summarizeJob(getJob(id));
+  assert.deepStrictEqual([summary.status, summary.createdCount, summary.pendingCount, summary.cancelRequested], ['cancelled', 2, 2, false]);
+  assert.throws(() => cancelJob(id), { code: 'JOB_NOT_RUNNING' });
+
+  resumeJob(id, 'abcdef123456');
+  while (getJob(id).status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(getJob(id).status, 'completed');
+  assert.deepStrictEqual(sentTitles, ['Pin 1', 'Pin 2', 'Pin 3', 'Pin 4']);
+});
+
+test('old upload jobs are deleted from JOBS_DIR, running and recent ones kept', (t) => {
+  const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs_'));
+  const { JOBS_DIR, JOB_RETENTION_DAYS } = SERVER_CONFIG;
+  Object.assign(SERVER_CONFIG, { JOBS_DIR: jobsDir, JOB_RETENTION_DAYS: 30 });
+  t.after(() => {
+    Object.assign(SERVER_CONFIG, { JOBS_DIR, JOB_RETENTION_DAYS });
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+  const { sweepOldJobs } = require('./server/utils/uploadJobs');
+
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const writeJob = (jobId, updatedAt) => {
+    fs.mkdirSync(path.join(jobsDir, jobId));
+    fs.writeFileSync(path.join(jobsDir, jobId, 'job.json'), JSON.stringify({ id: jobId, updatedAt }));
+  };
+  writeJob('old', '2026-04-01T00:00:00Z');
+  writeJob('recent', '2026-05-20T00:00:00Z');
+  // Cut off before job.json was written; judged by the directory's age
+  fs.mkdirSync(path.join(jobsDir, 'partial'));
+  fs.utimesSync(path.join(jobsDir, 'partial'), new Date('2026-01-01'), new Date('2026-01-01'));
+
+  assert.deepStrictEqual(sweepOldJobs(now).sort(), ['old', 'partial']);
+  assert.deepStrictEqual(fs.readdirSync(jobsDir), ['recent']);
+
+  SERVER_CONFIG.JOB_RETENTION_DAYS = 0;
+  assert.deepStrictEqual(sweepOldJobs(now + 365 * 24 * 60 * 60 * 1000), []);
+  assert.deepStrictEqual(fs.readdirSync(jobsDir), ['recent']);
+});
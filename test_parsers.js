@@ -1 +1,1415 @@
- 
\ No newline at end of file
+/**
+ * Parser tests - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const {
+  parseCSV,
+  parseGeoJSON,
+  parseKML,
+  parseKMZ,
+  parseGPX,
+  parseShapefile,
+  parseSpreadsheet,
+  parseFile,
+  convertKMLPlacemarkToAnnotation,
+  collectKMLStyles
+} = require('./server/utils/fileParsers');
+const {
+  kmlColorToHex,
+  buildColorMappingTable,
+  standardizeAnnotationColors,
+  findNearestDroneDeployColor,
+  matchDroneDeployColor
+} = require('./server/utils/colorUtils');
+const { buildAnnotationDescription, readSyncTag } = require('./server/utils/descriptionUtils');
+const { normalizeCRSCode } = require('./server/utils/projectionUtils');
+const { applyHolePolicy } = require('./server/utils/geometryUtils');
+const { applyStylingRules, validateStylingRules } = require('./server/utils/stylingRules');
+const { guessColumnMapping, getHeaderSignature } = require('./server/utils/columnMapping');
+const { createParseDiagnostics } = require('./server/utils/parseDiagnostics');
+const {
+  validateGeometry,
+  validateUploadRequest,
+  validateDedupeRequest,
+  validateSyncRequest,
+  validateUndoRequest
+} = require('./server/utils/validators');
+const { distanceBetween, matchAnnotations, countMatches } = require('./server/utils/annotationMatching');
+const { planSync } = require('./server/utils/annotationSync');
+const { fromMapAnnotations, exportAnnotations } = require('./server/utils/annotationExport');
+const { toCanonicalAnnotation, toLocationInputs, toCreateAnnotationInput } = require('./server/utils/annotationModel');
+const {
+  VALIDATION_RULES,
+  ANNOTATION_SCHEMA_VERSION,
+  DRONEDEPLOY_CONFIG,
+  DRONEDEPLOY_COLORS
+} = require('./server/config/constants');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const FIXTURES_DIR = path.join(__dirname, 'test_fixtures');
+
+/**
+ * Write content to a temporary file and run a parser on it
+ * @param {string} content - File content
+ * @param {string} extension - File extension without the dot
+ * @param {Function} parser - Parser taking (filePath, options)
+ * @param {Object} options - Parser options
+ * @returns {Promise<Array>} Parsed annotations
+ */
+async function parseString(content, extension, parser, options = {}) {
+  const filePath = path.join(os.tmpdir(), `test_${Date.now()}_${Math.random().toString(36).slice(2)}.${extension}`);
+  fs.writeFileSync(filePath, content);
+  try {
+    return await parser(filePath, options);
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+}
+
+const parseKMLString = (content, options) => parseString(content, 'kml', parseKML, options);
+
+test('kmlColorToHex converts AABBGGRR to #RRGGBB', () => {
+  assert.strictEqual(kmlColorToHex('ff0000ff'), '#ff0000');
+  assert.strictEqual(kmlColorToHex('7dff9800'), '#0098ff');
+  assert.strictEqual(kmlColorToHex('FF00FF00'), '#00ff00');
+  assert.strictEqual(kmlColorToHex('ff00ff'), null);
+  assert.strictEqual(kmlColorToHex(undefined), null);
+});
+
+test('parseKML resolves shared styles in sample_annotations.kml', async () => {
+  const annotations = await parseKML(path.join(TEMPLATES_DIR, 'sample_annotations.kml'));
+  const byTitle = Object.fromEntries(annotations.map(a => [a.title, a]));
+
+  // #location-style: IconStyle ff0000ff
+  assert.strictEqual(byTitle['Sample Location 1'].color, '#ff0000');
+  assert.strictEqual(byTitle['Sample Location 1'].fillColor, '#ff0000');
+
+  // #area-style: LineStyle ffff9800, PolyStyle 7dff9800
+  assert.strictEqual(byTitle['Building Footprint'].color, '#0098ff');
+  assert.strictEqual(byTitle['Building Footprint'].fillColor, '#0098ff');
+
+  // #line-style: LineStyle fff34235
+  assert.strictEqual(byTitle['Access Road'].color, '#3542f3');
+  assert.strictEqual(byTitle['Access Road'].fillColor, '#3542f3');
+});
+
+test('parseKML resolves StyleMap normal pairs and inline styles', async () => {
+  const annotations = await parseKMLString(`<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Style id="poly-normal">
+      <LineStyle><color>ff00ff00</color></LineStyle>
+      <PolyStyle><color>800000ff</color></PolyStyle>
+    </Style>
+    <Style id="poly-highlight">
+      <LineStyle><color>ffffffff</color></LineStyle>
+    </Style>
+    <StyleMap id="poly-map">
+      <Pair><key>highlight</key><styleUrl>#poly-highlight</styleUrl></Pair>
+      <Pair><key>normal</key><styleUrl>#poly-normal</styleUrl></Pair>
+    </StyleMap>
+    <Placemark>
+      <name>Mapped Area</name>
+      <styleUrl>#poly-map</styleUrl>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>
+        145.1,-38.1,0 145.2,-38.1,0 145.2,-38.2,0 145.1,-38.1,0
+      </coordinates></LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>
+    <Placemark>
+      <name>Overridden Area</name>
+      <styleUrl>#poly-map</styleUrl>
+      <Style><PolyStyle><color>ffff0000</color></PolyStyle></Style>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>
+        145.1,-38.1,0 145.2,-38.1,0 145.2,-38.2,0 145.1,-38.1,0
+      </coordinates></LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>
+    <Placemark>
+      <name>Unstyled Point</name>
+      <Point><coordinates>145.1,-38.1,0</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`);
+  const byTitle = Object.fromEntries(annotations.map(a => [a.title, a]));
+
+  assert.strictEqual(byTitle['Mapped Area'].color, '#00ff00');
+  assert.strictEqual(byTitle['Mapped Area'].fillColor, '#ff0000');
+
+  // Inline PolyStyle overrides the fill, LineStyle still comes from the StyleMap
+  assert.strictEqual(byTitle['Overridden Area'].color, '#00ff00');
+  assert.strictEqual(byTitle['Overridden Area'].fillColor, '#0000ff');
+
+  assert.strictEqual(byTitle['Unstyled Point'].color, '#FF0000');
+  assert.strictEqual(byTitle['Unstyled Point'].fillColor, '#FF0000');
+});
+
+test('convertKMLPlacemarkToAnnotation falls back to LineStyle for AREA fill', () => {
+  const styles = collectKMLStyles({
+    Style: { $: { id: 'outline' }, LineStyle: { color: 'ff0080ff' } }
+  });
+  const annotation = convertKMLPlacemarkToAnnotation({
+    name: 'Outline Only',
+    styleUrl: '#outline',
+    Polygon: {
+      outerBoundaryIs: {
+        LinearRing: { coordinates: '145.1,-38.1 145.2,-38.1 145.2,-38.2 145.1,-38.1' }
+      }
+    }
+  }, styles);
+
+  assert.strictEqual(annotation.color, '#ff8000');
+  assert.strictEqual(annotation.fillColor, '#ff8000');
+});
+
+test('parseKML walks nested Folders and Documents', async () => {
+  const annotations = await parseKMLString(`<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Inspection</name>
+    <Folder>
+      <name>Site A</name>
+      <Folder>
+        <name>Defects</name>
+        <Placemark>
+          <name>Crack 1</name>
+          <Point><coordinates>145.1,-38.1,0</coordinates></Point>
+        </Placemark>
+      </Folder>
+      <Document>
+        <name>Imported</name>
+        <Placemark>
+          <name>Marker</name>
+          <Point><coordinates>145.2,-38.2,0</coordinates></Point>
+        </Placemark>
+      </Document>
+    </Folder>
+    <Placemark>
+      <name>Top Level</name>
+      <Point><coordinates>145.3,-38.3,0</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`);
+  const byTitle = Object.fromEntries(annotations.map(a => [a.title, a]));
+
+  assert.strictEqual(annotations.length, 3);
+  assert.deepStrictEqual(byTitle['Crack 1'].metadata.folderPath, ['Site A', 'Defects']);
+  assert.deepStrictEqual(byTitle['Marker'].metadata.folderPath, ['Site A', 'Imported']);
+  assert.strictEqual(byTitle['Top Level'].metadata, undefined);
+});
+
+test('parseKML prefixes titles with folder names when requested', async () => {
+  const annotations = await parseKMLString(`<kml><Folder><name>Site A</name><Placemark>
+    <name>Gate</name><Point><coordinates>145.1,-38.1</coordinates></Point>
+  </Placemark></Folder></kml>`, { prefixFolderNames: true });
+
+  assert.strictEqual(annotations[0].title, 'Site A / Gate');
+});
+
+test('parseKML accepts root-level Placemarks without a Document', async () => {
+  const annotations = await parseKMLString(`<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Placemark>
+    <name>Lonely Point</name>
+    <Point><coordinates>145.1,-38.1,0</coordinates></Point>
+  </Placemark>
+</kml>`);
+
+  assert.strictEqual(annotations.length, 1);
+  assert.deepStrictEqual(annotations[0].geometry, { type: 'Point', coordinates: [145.1, -38.1] });
+});
+
+test('parseKML reports bad coordinates and reads coordinates elements with attributes', async () => {
+  const diagnostics = createParseDiagnostics();
+  const annotations = await parseKMLString(`<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Placemark>
+    <name>Nowhere</name>
+    <Point><coordinates>abc,def</coordinates></Point>
+  </Placemark>
+  <Placemark>
+    <name>Fence</name>
+    <LineString><coordinates id="fence">145.1,-38.1 145.2,-38.2</coordinates></LineString>
+  </Placemark>
+  <Placemark>
+    <name>Paddock</name>
+    <Polygon><outerBoundaryIs><LinearRing><coordinates id="paddock">0,0 1,0 1,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon>
+  </Placemark>
+</kml>`, { diagnostics });
+
+  assert.deepStrictEqual(annotations.map(annotation => annotation.title), ['Fence', 'Paddock']);
+  assert.deepStrictEqual(annotations[0].geometry.coordinates, [[145.1, -38.1], [145.2, -38.2]]);
+  assert.strictEqual(annotations[1].geometry.coordinates[0].length, 4);
+  assert.deepStrictEqual(diagnostics.items.map(item => [item.code, item.field]), [['INVALID_COORDINATES', 'Point.coordinates']]);
+});
+
+test('parseKML expands MultiGeometry into one annotation per part', async () => {
+  const annotations = await parseKMLString(`<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Style id="red-line"><LineStyle><color>ff0000ff</color></LineStyle></Style>
+    <Placemark>
+      <name>Fence</name>
+      <styleUrl>#red-line</styleUrl>
+      <MultiGeometry>
+        <LineString><coordinates>145.1,-38.1 145.2,-38.1</coordinates></LineString>
+        <LineString><coordinates>145.3,-38.1 145.4,-38.1</coordinates></LineString>
+        <MultiGeometry>
+          <Point><coordinates>145.5,-38.1</coordinates></Point>
+        </MultiGeometry>
+      </MultiGeometry>
+    </Placemark>
+  </Document>
+</kml>`);
+
+  assert.deepStrictEqual(annotations.map(a => a.title), ['Fence (1/3)', 'Fence (2/3)', 'Fence (3/3)']);
+  assert.deepStrictEqual(annotations.map(a => a.annotationType), ['LINE', 'LINE', 'LOCATION']);
+  assert.strictEqual(annotations[0].color, '#ff0000');
+});
+
+test('parseCSV keeps description and extra columns as properties', async () => {
+  const annotations = await parseString([
+    'annotationType,title,lat,lng,color,description,status,inspector',
+    'LOCATION,Crack,-38.1,145.1,#f34235,Hairline crack,defect,J. Smith'
+  ].join('\n'), 'csv', parseCSV);
+
+  assert.strictEqual(annotations[0].description, 'Hairline crack');
+  assert.deepStrictEqual(annotations[0].properties, { status: 'defect', inspector: 'J. Smith' });
+});
+
+test('parseGeoJSON keeps description and unmapped properties', async () => {
+  const annotations = await parseString(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: { title: 'Pole', color: '#00bbd3', description: 'Timber pole', height: 12, owner: 'Utility' },
+      geometry: { type: 'Point', coordinates: [145.1, -38.1] }
+    }]
+  }), 'geojson', parseGeoJSON);
+
+  assert.strictEqual(annotations[0].description, 'Timber pole');
+  assert.deepStrictEqual(annotations[0].properties, { height: 12, owner: 'Utility' });
+});
+
+test('parseKML keeps description and ExtendedData', async () => {
+  const annotations = await parseKMLString(`<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Placemark>
+    <name>Tower</name>
+    <description><![CDATA[<b>Tower</b> 7<br/>Needs &amp; repaint]]></description>
+    <ExtendedData>
+      <Data name="status"><value>defect</value></Data>
+      <SchemaData schemaUrl="#towers">
+        <SimpleData name="height">42</SimpleData>
+        <SimpleData name="owner"></SimpleData>
+      </SchemaData>
+    </ExtendedData>
+    <Point><coordinates>145.1,-38.1</coordinates></Point>
+  </Placemark>
+</kml>`);
+
+  assert.strictEqual(annotations[0].description, 'Tower 7\nNeeds & repaint');
+  assert.deepStrictEqual(annotations[0].properties, { status: 'defect', height: '42', owner: '' });
+});
+
+test('buildAnnotationDescription appends the selected attributes', () => {
+  const annotation = {
+    description: 'Hairline crack',
+    properties: { status: 'defect', inspector: 'J. Smith', notes: '' }
+  };
+
+  assert.strictEqual(buildAnnotationDescription(annotation), 'Hairline crack');
+  assert.strictEqual(
+    buildAnnotationDescription(annotation, ['status', 'notes', 'inspector']),
+    'Hairline crack\n\nstatus: defect\ninspector: J. Smith'
+  );
+  assert.strictEqual(buildAnnotationDescription({ title: 'Bare' }, ['status']), '');
+});
+
+test('buildAnnotationDescription tags synced annotations with their ID', () => {
+  const annotation = { description: 'Hairline crack', properties: { 'issue id': 'ISS-42]', status: 'defect' } };
+
+  const description = buildAnnotationDescription(annotation, ['status'], 'issue id');
+  assert.strictEqual(description, 'Hairline crack\n\nstatus: defect\n\n[sync:issue%20id=ISS-42%5D]');
+  assert.deepStrictEqual(readSyncTag(description), { idProperty: 'issue id', id: 'ISS-42]' });
+  assert.strictEqual(buildAnnotationDescription({ properties: { id: 7 } }, [], 'id'), '[sync:id=7]');
+
+  // The tag survives a description at the length limit; no ID means no tag
+  const long = buildAnnotationDescription({ description: 'x'.repeat(2000), properties: { id: 'A1' } }, [], 'id');
+  assert.strictEqual(long.length, VALIDATION_RULES.TEXT_FIELDS.DESCRIPTION_MAX_LENGTH);
+  assert.strictEqual(readSyncTag(long).id, 'A1');
+  assert.strictEqual(buildAnnotationDescription(annotation, [], 'missing'), 'Hairline crack');
+  assert.strictEqual(readSyncTag('Notes [sync:id=A1] and more'), null);
+  assert.strictEqual(readSyncTag('[sync:id=%E0%A4%A]'), null);
+});
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const UTM55S_PRJ = 'PROJCS["WGS_1984_UTM_Zone_55S",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",147.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+const UNKNOWN_PRJ = 'PROJCS["Site_Grid",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]]],PROJECTION["Site_Projection"],UNIT["Meter",1.0]]';
+
+/**
+ * Build a minimal .shp buffer
+ * @param {number} shapeType - 1 (Point) or 5 (Polygon)
+ * @param {Array} shapes - Points as [x, y], or polygons as arrays of rings
+ * @returns {Buffer} .shp content
+ */
+function buildShp(shapeType, shapes) {
+  const contents = shapes.map(shape => {
+    if (shapeType === 1) {
+      const content = Buffer.alloc(20);
+      content.writeInt32LE(1, 0);
+      content.writeDoubleLE(shape[0], 4);
+      content.writeDoubleLE(shape[1], 12);
+      return content;
+    }
+    const points = shape.flat();
+    const content = Buffer.alloc(44 + shape.length * 4 + points.length * 16);
+    content.writeInt32LE(shapeType, 0);
+    content.writeInt32LE(shape.length, 36);
+    content.writeInt32LE(points.length, 40);
+    let start = 0;
+    shape.forEach((ring, i) => {
+      content.writeInt32LE(start, 44 + i * 4);
+      start += ring.length;
+    });
+    points.forEach(([x, y], i) => {
+      content.writeDoubleLE(x, 44 + shape.length * 4 + i * 16);
+      content.writeDoubleLE(y, 44 + shape.length * 4 + i * 16 + 8);
+    });
+    return content;
+  });
+
+  const header = Buffer.alloc(100);
+  const records = contents.map((content, i) => {
+    const recordHeader = Buffer.alloc(8);
+    recordHeader.writeInt32BE(i + 1, 0);
+    recordHeader.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([recordHeader, content]);
+  });
+  const body = Buffer.concat(records);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE((100 + body.length) / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a minimal .dbf buffer with character fields
+ * @param {Array<string>} fields - Field names
+ * @param {Array<Array<string>>} rows - Field values per record
+ * @returns {Buffer} .dbf content
+ */
+function buildDbf(fields, rows) {
+  const fieldLength = 20;
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.length * fieldLength;
+  const buffer = Buffer.alloc(headerLength + rows.length * recordLength + 1, 0x20);
+  buffer.fill(0, 0, headerLength);
+  buffer[0] = 0x03;
+  buffer.writeUInt32LE(rows.length, 4);
+  buffer.writeUInt16LE(headerLength, 8);
+  buffer.writeUInt16LE(recordLength, 10);
+  fields.forEach((name, i) => {
+    buffer.write(name, 32 + i * 32, 'latin1');
+    buffer[32 + i * 32 + 11] = 'C'.charCodeAt(0);
+    buffer[32 + i * 32 + 16] = fieldLength;
+  });
+  buffer[headerLength - 1] = 0x0D;
+  rows.forEach((row, r) => {
+    row.forEach((value, i) => {
+      buffer.write(value, headerLength + r * recordLength + 1 + i * fieldLength, 'latin1');
+    });
+  });
+  buffer[buffer.length - 1] = 0x1A;
+  return buffer;
+}
+
+/**
+ * Zip shapefile members and parse the archive
+ * @param {Object} files - Archive members keyed by filename
+ * @param {Object} options - parseShapefile options
+ * @returns {Promise<Array>} Parsed annotations
+ */
+async function parseShapefileZip(files, options = {}) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  const filePath = path.join(os.tmpdir(), `test_${Date.now()}_${Math.random().toString(36).slice(2)}.zip`);
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  try {
+    return await parseShapefile(filePath, options);
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+}
+
+test('parseShapefile reads points with DBF attributes', async () => {
+  const annotations = await parseShapefileZip({
+    'poles.shp': buildShp(1, [[145.1, -38.1], [145.2, -38.2]]),
+    'poles.dbf': buildDbf(['NAME', 'ASSET_ID'], [['Pole 1', 'A-001'], ['Pole 2', 'A-002']]),
+    'poles.prj': WGS84_PRJ
+  });
+
+  assert.strictEqual(annotations.length, 2);
+  assert.strictEqual(annotations[0].title, 'Pole 1');
+  assert.strictEqual(annotations[0].annotationType, 'LOCATION');
+  assert.deepStrictEqual(annotations[0].geometry, { type: 'Point', coordinates: [145.1, -38.1] });
+  assert.deepStrictEqual(annotations[1].properties, { NAME: 'Pole 2', ASSET_ID: 'A-002' });
+});
+
+test('parseShapefile maps the chosen attribute to title and groups polygon holes', async () => {
+  // Outer ring clockwise, hole counter-clockwise (shapefile convention)
+  const outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+  const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+  const annotations = await parseShapefileZip({
+    'data/parcels.shp': buildShp(5, [[outer, hole]]),
+    'data/parcels.dbf': buildDbf(['NAME', 'LOT'], [['Parcel', 'Lot 12']]),
+    'data/parcels.prj': WGS84_PRJ
+  }, { titleField: 'LOT' });
+
+  assert.strictEqual(annotations.length, 1);
+  assert.strictEqual(annotations[0].title, 'Lot 12');
+  assert.strictEqual(annotations[0].annotationType, 'AREA');
+  assert.strictEqual(annotations[0].geometry.coordinates.length, 2);
+  assert.deepStrictEqual(annotations[0].geometry.coordinates[0], [...outer].reverse());
+});
+
+test('parseShapefile fails clearly on a missing or unsupported .prj', async () => {
+  const files = {
+    'poles.shp': buildShp(1, [[145.1, -38.1]]),
+    'poles.dbf': buildDbf(['NAME'], [['Pole 1']])
+  };
+
+  await assert.rejects(parseShapefileZip(files), /missing its \.prj/);
+  await assert.rejects(
+    parseShapefileZip({ ...files, 'poles.prj': UNKNOWN_PRJ }),
+    /Unsupported coordinate system: Site_Grid/
+  );
+  await assert.rejects(
+    parseShapefileZip({ ...files, 'poles.prj': WGS84_PRJ }, { titleField: 'MISSING' }),
+    /Attribute "MISSING" not found/
+  );
+});
+
+/**
+ * Assert a [lng, lat] position is within a small tolerance of the expected one
+ * @param {Array<number>} actual - Actual position
+ * @param {Array<number>} expected - Expected position
+ */
+function assertPositionNear(actual, expected) {
+  assert.ok(Math.abs(actual[0] - expected[0]) < 1e-6, `lng ${actual[0]} != ${expected[0]}`);
+  assert.ok(Math.abs(actual[1] - expected[1]) < 1e-6, `lat ${actual[1]} != ${expected[1]}`);
+}
+
+// UTM zone 55S easting/northing and the matching WGS 84 position (Melbourne)
+const UTM55S_POINT = [320000, 5800000];
+const UTM55S_POINT_WGS84 = [144.9518833663848, -37.92976135171425];
+
+test('normalizeCRSCode accepts EPSG codes, URNs and CRS84', () => {
+  assert.strictEqual(normalizeCRSCode(32755), 'EPSG:32755');
+  assert.strictEqual(normalizeCRSCode('epsg:32755'), 'EPSG:32755');
+  assert.strictEqual(normalizeCRSCode('urn:ogc:def:crs:EPSG::32755'), 'EPSG:32755');
+  assert.strictEqual(normalizeCRSCode('http://www.opengis.net/def/crs/EPSG/0/32755'), 'EPSG:32755');
+  assert.strictEqual(normalizeCRSCode('urn:ogc:def:crs:OGC:1.3:CRS84'), 'EPSG:4326');
+  assert.strictEqual(normalizeCRSCode('not a crs'), null);
+});
+
+test('parseGeoJSON reprojects features using the crs member', async () => {
+  const annotations = await parseString(JSON.stringify({
+    type: 'FeatureCollection',
+    crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::32755' } },
+    features: [{
+      type: 'Feature',
+      properties: { title: 'Survey Mark', color: '#FF0000' },
+      geometry: { type: 'Point', coordinates: UTM55S_POINT }
+    }]
+  }), 'geojson', parseGeoJSON);
+
+  assert.strictEqual(annotations.length, 1);
+  assertPositionNear(annotations[0].geometry.coordinates, UTM55S_POINT_WGS84);
+});
+
+test('parseCSV reprojects with a selected EPSG code and hints when none is given', async () => {
+  const content = [
+    'annotationType,title,lat,lng,color',
+    `LOCATION,Survey Mark,${UTM55S_POINT[1]},${UTM55S_POINT[0]},#FF0000`
+  ].join('\n');
+
+  const annotations = await parseString(content, 'csv', parseCSV, { sourceCRS: 'EPSG:32755' });
+  assertPositionNear(annotations[0].geometry.coordinates, UTM55S_POINT_WGS84);
+
+  await assert.rejects(parseString(content, 'csv', parseCSV), /select its EPSG code/);
+  await assert.rejects(
+    parseString(content, 'csv', parseCSV, { sourceCRS: 'EPSG:99999' }),
+    /Unsupported coordinate system: EPSG:99999/
+  );
+});
+
+test('parseShapefile reprojects using the .prj or a selected EPSG code', async () => {
+  const files = {
+    'marks.shp': buildShp(1, [UTM55S_POINT]),
+    'marks.dbf': buildDbf(['NAME'], [['Survey Mark']])
+  };
+
+  const fromPrj = await parseShapefileZip({ ...files, 'marks.prj': UTM55S_PRJ });
+  assertPositionNear(fromPrj[0].geometry.coordinates, UTM55S_POINT_WGS84);
+
+  const fromSelection = await parseShapefileZip(files, { sourceCRS: 'EPSG:32755' });
+  assertPositionNear(fromSelection[0].geometry.coordinates, UTM55S_POINT_WGS84);
+});
+
+const SQUARE = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+const SQUARE_HOLE = [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]];
+
+test('parseGeoJSON explodes Multi* geometries and flattens GeometryCollections', async () => {
+  const annotations = await parseString(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { title: 'Parcel 12', color: '#00FF00' },
+        geometry: { type: 'MultiPolygon', coordinates: [[SQUARE], [SQUARE], [SQUARE]] }
+      },
+      {
+        type: 'Feature',
+        properties: { title: 'Site', color: '#FF0000' },
+        geometry: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'MultiPoint', coordinates: [[1, 1], [2, 2]] },
+            { type: 'LineString', coordinates: [[0, 0], [5, 5]] }
+          ]
+        }
+      },
+      {
+        type: 'Feature',
+        properties: { title: 'Single Line', color: '#0000FF' },
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]]] }
+      }
+    ]
+  }), 'geojson', parseGeoJSON);
+
+  assert.deepStrictEqual(annotations.map(a => [a.title, a.annotationType]), [
+    ['Parcel 12 (1/3)', 'AREA'],
+    ['Parcel 12 (2/3)', 'AREA'],
+    ['Parcel 12 (3/3)', 'AREA'],
+    ['Site (1/3)', 'LOCATION'],
+    ['Site (2/3)', 'LOCATION'],
+    ['Site (3/3)', 'LINE'],
+    ['Single Line', 'LINE']
+  ]);
+  assert.deepStrictEqual(annotations[4].geometry, { type: 'Point', coordinates: [2, 2] });
+});
+
+test('parseKML keeps innerBoundaryIs rings as polygon holes', async () => {
+  const ring = coords => coords.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+  const annotations = await parseKMLString(`<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name>Courtyard</name><Polygon>
+    <outerBoundaryIs><LinearRing><coordinates>${ring(SQUARE)}</coordinates></LinearRing></outerBoundaryIs>
+    <innerBoundaryIs><LinearRing><coordinates>${ring(SQUARE_HOLE)}</coordinates></LinearRing></innerBoundaryIs>
+  </Polygon></Placemark>
+</Document></kml>`);
+
+  assert.deepStrictEqual(annotations[0].geometry.coordinates, [SQUARE, SQUARE_HOLE]);
+});
+
+test('applyHolePolicy drops holes with a record or splits them into AREAs', () => {
+  const annotation = {
+    annotationType: 'AREA',
+    title: 'Courtyard',
+    color: '#00FF00',
+    fillColor: '#00FF00',
+    geometry: { type: 'Polygon', coordinates: [SQUARE, SQUARE_HOLE] }
+  };
+
+  const dropped = applyHolePolicy([annotation], 'drop');
+  assert.strictEqual(dropped.length, 1);
+  assert.deepStrictEqual(dropped[0].geometry.coordinates, [SQUARE]);
+  assert.strictEqual(dropped[0].metadata.droppedHoles, 1);
+
+  const split = applyHolePolicy([annotation], 'split');
+  assert.deepStrictEqual(split.map(a => a.title), ['Courtyard', 'Courtyard (hole 1/1)']);
+  assert.deepStrictEqual(split[1].geometry.coordinates, [SQUARE_HOLE]);
+  assert.strictEqual(split[1].metadata.holeOf, 'Courtyard');
+  assert.strictEqual(split[0].metadata, undefined);
+});
+
+test('buildColorMappingTable maps each source color to its nearest palette entry', () => {
+  const annotations = [
+    { title: 'A', color: '#f34235' },
+    { title: 'B', color: '#ff0000' },
+    { title: 'C', color: '#f34235' },
+    { title: 'D', color: 'not-a-color' }
+  ];
+
+  const table = buildColorMappingTable(annotations);
+  assert.deepStrictEqual(table.map(row => [row.originalColor, row.paletteColor.name, row.annotationCount]), [
+    ['#f34235', 'Red', 2],
+    ['#ff0000', 'Red', 1],
+    ['not-a-color', 'Red', 1]
+  ]);
+  assert.strictEqual(table[0].distance, 0);
+  assert.ok(table[1].distance > 0);
+  assert.strictEqual(table[2].distance, null);
+
+  const snapped = standardizeAnnotationColors({ title: 'B', color: '#ff0000' }, true);
+  assert.strictEqual(snapped.color, '#f34235');
+  assert.strictEqual(snapped.fillColor, '#f67168');
+});
+
+const STATUS_RULES = [
+  { field: 'status', operator: 'equals', value: 'defect', color: '#f34235', titleTemplate: 'DEFECT: {title}' },
+  { field: 'status', operator: 'in', value: ['ok', 'fixed'], color: '#4bae4f' },
+  { field: 'asset', operator: 'regex', value: '^PL-\\d+$', color: '#00bbd3' },
+  { field: 'depth', operator: 'range', value: { min: 10 }, color: '#fe9700', titleTemplate: '{title} ({depth} m)' }
+];
+
+test('applyStylingRules matches ordered rules and the first match wins', () => {
+  const point = { type: 'Point', coordinates: [0, 0] };
+  const { annotations, matchedCount, unstyledCount } = applyStylingRules([
+    { title: 'Crack', color: '#000000', geometry: point, properties: { status: 'Defect', depth: '12' } },
+    { title: 'Joint', color: '#000000', geometry: point, properties: { status: 'FIXED' } },
+    { title: 'Pole', color: '#000000', geometry: point, properties: { asset: 'PL-42' } },
+    { title: 'Pit', color: '#000000', geometry: point, properties: { depth: 10 } },
+    { title: 'Other', color: '#000000', geometry: point, properties: { status: 'unknown' } }
+  ], STATUS_RULES);
+
+  assert.deepStrictEqual(annotations.map(a => [a.title, a.color, a.fillColor]), [
+    ['DEFECT: Crack', '#f34235', '#f67168'],
+    ['Joint', '#4bae4f', '#78c27b'],
+    ['Pole', '#00bbd3', '#40ccde'],
+    ['Pit (10 m)', '#fe9700', '#feb140'],
+    ['Other', '#000000', '#000000']
+  ]);
+  assert.strictEqual(matchedCount, 4);
+  assert.strictEqual(unstyledCount, 0);
+  assert.strictEqual(annotations[0].metadata.styleRule, 0);
+
+  // Re-applying edited rules starts from the unstyled values
+  const reapplied = applyStylingRules(annotations, [STATUS_RULES[1]]).annotations;
+  assert.deepStrictEqual(reapplied.map(a => [a.title, a.color]).slice(0, 2), [
+    ['Crack', '#000000'],
+    ['Joint', '#4bae4f']
+  ]);
+  assert.strictEqual(reapplied[0].metadata, undefined);
+
+  // Range rules only match values that are wholly numeric
+  const ranged = applyStylingRules(['12', ' 15 ', '12 ft', '3abc', ' '].map(depth => (
+    { title: depth, color: '#000000', geometry: point, properties: { depth } }
+  )), [STATUS_RULES[3]]);
+  assert.deepStrictEqual(ranged.annotations.map(a => a.color), ['#fe9700', '#fe9700', '#000000', '#000000', '#000000']);
+});
+
+test('validateStylingRules rejects malformed rules', () => {
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'like', value: 'x', color: '#f34235' }]), /invalid operator/);
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'regex', value: '(', color: '#f34235' }]), /invalid regular expression/);
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'regex', value: 'a'.repeat(201), color: '#f34235' }]), /200 characters or less/);
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'in', value: ['ok', 'x'.repeat(256)], color: '#f34235' }]), /255 characters or less/);
+  assert.match(validateStylingRules([STATUS_RULES[2]])[0].pattern.source, /\^PL-/);
+  assert.throws(() => validateStylingRules([{ field: 'depth', operator: 'range', value: {}, color: '#f34235' }]), /numeric min and\/or max/);
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'equals', value: 'x', color: '#123456' }]), /not a DroneDeploy palette color/);
+  assert.throws(() => validateStylingRules([{ field: 'status', operator: 'equals', value: 'x' }]), /does not assign/);
+});
+
+test('parseFile makes the CSV color column optional when a styling rule supplies it', async () => {
+  const content = [
+    'annotationType,title,lat,lng,status',
+    'LOCATION,Crack 1,-38.1,145.1,defect',
+    'LOCATION,Joint 1,-38.2,145.2,ok',
+    'LOCATION,Unknown 1,-38.3,145.3,unknown'
+  ].join('\n');
+  const parse = (filePath, options) => parseFile(filePath, filePath, options);
+
+  const annotations = await parseString(content, 'csv', parse, { stylingRules: STATUS_RULES });
+  assert.deepStrictEqual(annotations.map(a => [a.title, a.color]), [
+    ['DEFECT: Crack 1', '#f34235'],
+    ['Joint 1', '#4bae4f']
+  ]);
+
+  await assert.rejects(parseString(content, 'csv', parse), /No columns found for: color/);
+});
+
+const FIELD_APP_CSV = [
+  'Name,Latitude,LONG,Notes,Inspector',
+  'Crack 1,-38.1,145.1,Hairline,J. Smith',
+  'Crack 2,-38.2,145.2,Wide,A. Jones'
+].join('\n');
+
+test('parseCSV returns headers, sample rows and a guessed mapping for unknown headers', async () => {
+  const error = await parseString(FIELD_APP_CSV, 'csv', parseCSV).then(() => null, err => err);
+
+  assert.strictEqual(error.code, 'COLUMN_MAPPING_REQUIRED');
+  assert.deepStrictEqual(error.columnMapping.missingFields, ['annotationType', 'title', 'color', 'lat/lng or geometry']);
+  assert.deepStrictEqual(error.columnMapping.headers, ['Name', 'Latitude', 'LONG', 'Notes', 'Inspector']);
+  assert.strictEqual(error.columnMapping.sampleRows.length, 2);
+  assert.deepStrictEqual(error.columnMapping.suggestedMapping.columns, {
+    title: 'Name',
+    lat: 'Latitude',
+    lng: 'LONG',
+    description: 'Notes'
+  });
+  assert.strictEqual(error.columnMapping.headerSignature, getHeaderSignature(['LONG', 'inspector', 'latitude', 'name', 'notes']));
+});
+
+test('parseCSV applies a column mapping with fixed values', async () => {
+  const columnMapping = {
+    columns: { title: 'Name', lat: 'Latitude', lng: 'LONG', description: 'Notes' },
+    defaults: { annotationType: 'location', color: '#2196f3' }
+  };
+  const annotations = await parseString(FIELD_APP_CSV, 'csv', parseCSV, { columnMapping });
+
+  assert.strictEqual(annotations.length, 2);
+  assert.strictEqual(annotations[0].annotationType, 'LOCATION');
+  assert.strictEqual(annotations[0].title, 'Crack 1');
+  assert.strictEqual(annotations[0].color, '#2196f3');
+  assert.strictEqual(annotations[0].description, 'Hairline');
+  assert.deepStrictEqual(annotations[0].geometry.coordinates, [145.1, -38.1]);
+  assert.deepStrictEqual(annotations[0].properties, { Inspector: 'J. Smith' });
+
+  await assert.rejects(
+    parseString(FIELD_APP_CSV, 'csv', parseCSV, { columnMapping: { columns: { title: 'Label' } } }),
+    /Column "Label" mapped to title is not in the file/
+  );
+});
+
+test('guessColumnMapping recognises X/Y and WKT columns', () => {
+  assert.deepStrictEqual(guessColumnMapping(['ID', 'Feature Type', 'X', 'Y', 'WKT', 'Fill_Colour']).columns, {
+    annotationType: 'Feature Type',
+    title: 'ID',
+    lat: 'Y',
+    lng: 'X',
+    geometry: 'WKT',
+    fillColor: 'Fill_Colour'
+  });
+});
+
+test('parseCSV reads WKT geometry and infers the annotation type', async () => {
+  const annotations = await parseString([
+    'title,color,geometry',
+    'Pad,#4caf50,"POLYGON((145.1 -38.1, 145.2 -38.1, 145.2 -38.2, 145.1 -38.1))"',
+    'Fence,#ff9800,"LINESTRING Z (145.1 -38.1 12, 145.2 -38.2 14)"',
+    'Pole,#2196f3,POINT(145.3 -38.3)',
+    'Lots,#f34235,"MULTIPOLYGON(((145 -38, 145.1 -38, 145.1 -38.1)), ((146 -38, 146.1 -38, 146.1 -38.1)))"',
+    'Broken,#f34235,"LINESTRING(145.1 -38.1 145.2 -38.2 1)"'
+  ].join('\n'), 'csv', parseCSV);
+
+  assert.deepStrictEqual(annotations.map(a => [a.title, a.annotationType, a.geometry.type]), [
+    ['Pad', 'AREA', 'Polygon'],
+    ['Fence', 'LINE', 'LineString'],
+    ['Pole', 'LOCATION', 'Point'],
+    ['Lots (1/2)', 'AREA', 'Polygon'],
+    ['Lots (2/2)', 'AREA', 'Polygon']
+  ]);
+  assert.deepStrictEqual(annotations[1].geometry.coordinates, [[145.1, -38.1], [145.2, -38.2]]);
+  // Unclosed WKT rings are closed
+  assert.deepStrictEqual(annotations[3].geometry.coordinates[0][3], [145, -38]);
+});
+
+test('parseCSV reprojects EWKT and WKB hex geometry by SRID', async () => {
+  const annotations = await parseString([
+    'type,title,color,geometry',
+    `LOCATION,Survey mark,#2196f3,SRID=32755;POINT(${UTM55S_POINT.join(' ')})`,
+    'LOCATION,Hex mark,#2196f3,0101000020E6100000000000000060624000000000002043C0'
+  ].join('\n'), 'csv', parseCSV);
+
+  assert.deepStrictEqual(annotations.map(a => a.title), ['Survey mark', 'Hex mark']);
+  assertPositionNear(annotations[0].geometry.coordinates, UTM55S_POINT_WGS84);
+  assert.deepStrictEqual(annotations[1].geometry.coordinates, [147, -38.25]);
+});
+
+test('parseCSV reports WKT syntax errors and type mismatches by row', async () => {
+  await assert.rejects(parseString([
+    'type,title,color,geometry',
+    'AREA,Pad,#4caf50,"POLYGON((145.1 -38.1, 145.2 -38.1, 145.2 -38.2)"',
+    'LINE,Pole,#2196f3,POINT(145.3 -38.3)'
+  ].join('\n'), 'csv', parseCSV), error => {
+    assert.match(error.message, /row 2: Invalid WKT at position 48: expected "\)", found end of text/);
+    assert.match(error.message, /row 3: LINE annotations cannot use Point geometry/);
+    return true;
+  });
+});
+
+/**
+ * Build a workbook file in memory
+ * @param {Object} sheets - Worksheet name -> array of rows
+ * @param {string} bookType - xlsx, xls or ods
+ * @returns {Buffer} Workbook file content
+ */
+function buildWorkbook(sheets, bookType = 'xlsx') {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows, { cellDates: true }), name);
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType });
+}
+
+const PUNCH_LIST_ROWS = [
+  ['type', 'title', 'lat', 'lng', 'color', 'due', 'geometry'],
+  ['LOCATION', 'Loose handrail', -38.1234567, 145.7654321, '#f34235', new Date(Date.UTC(2024, 4, 1)), ''],
+  ['AREA', 'Ponding', '', '', '#00bbd3', '', 'POLYGON((145.1 -38.1, 145.2 -38.1, 145.2 -38.2, 145.1 -38.1))'],
+  ['LINE', 'Crack', '', '', '#fe9700', '', '[[145.1,-38.1],[145.2,-38.2]]']
+];
+
+test('parseSpreadsheet reads .xlsx and .ods rows with the CSV conventions', async () => {
+  for (const bookType of ['xlsx', 'ods']) {
+    const content = buildWorkbook({ Notes: [], 'Punch list': PUNCH_LIST_ROWS }, bookType);
+    const annotations = await parseString(content, bookType, parseSpreadsheet);
+
+    assert.deepStrictEqual(annotations.map(a => [a.title, a.annotationType]), [
+      ['Loose handrail', 'LOCATION'],
+      ['Ponding', 'AREA'],
+      ['Crack', 'LINE']
+    ], bookType);
+    // Numeric cells keep full precision
+    assert.deepStrictEqual(annotations[0].geometry.coordinates, [145.7654321, -38.1234567]);
+    assert.strictEqual(annotations[0].properties.due.slice(0, 10), '2024-05-01');
+  }
+});
+
+test('parseSpreadsheet asks which worksheet to import when several have data', async () => {
+  const content = buildWorkbook({
+    'Site A': PUNCH_LIST_ROWS,
+    'Site B': [PUNCH_LIST_ROWS[0], PUNCH_LIST_ROWS[3]]
+  });
+
+  const error = await parseString(content, 'xlsx', parseSpreadsheet).then(() => null, err => err);
+  assert.strictEqual(error.code, 'WORKSHEET_SELECTION_REQUIRED');
+  assert.deepStrictEqual(error.worksheets, [{ name: 'Site A', rowCount: 3 }, { name: 'Site B', rowCount: 1 }]);
+
+  const annotations = await parseString(content, 'xlsx', parseSpreadsheet, { sheetName: 'Site B' });
+  assert.deepStrictEqual(annotations.map(a => a.title), ['Crack']);
+
+  await assert.rejects(parseString(content, 'xlsx', parseSpreadsheet, { sheetName: 'Site C' }), /Worksheet not found: Site C/);
+});
+
+const SAMPLE_GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="eTrex 32x" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="-38.1858" lon="145.8111">
+    <ele>42.5</ele>
+    <time>2024-05-01T01:02:03Z</time>
+    <name>Gate</name>
+    <desc>North gate</desc>
+    <sym>Flag, Blue</sym>
+  </wpt>
+  <wpt lat="-38.1860" lon="145.8115"/>
+  <rte>
+    <name>Access</name>
+    <rtept lat="-38.1858" lon="145.8107"/>
+    <rtept lat="-38.1859" lon="145.8108"/>
+  </rte>
+  <trk>
+    <name>Boundary</name>
+    <desc>Walked fence line</desc>
+    <trkseg>
+      <trkpt lat="-38.1850" lon="145.8100"><time>2024-05-01T02:00:00Z</time></trkpt>
+      <trkpt lat="-38.1850" lon="145.8120"><time>2024-05-01T02:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="-38.1870" lon="145.8120"><time>2024-05-01T02:10:00Z</time></trkpt>
+      <trkpt lat="-38.1870" lon="145.8100"><time>2024-05-01T02:15:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+test('parseGPX converts waypoints, routes and tracks', async () => {
+  const annotations = await parseString(SAMPLE_GPX, 'gpx', parseGPX);
+
+  assert.deepStrictEqual(annotations.map(a => [a.title, a.annotationType]), [
+    ['Gate', 'LOCATION'],
+    ['Waypoint 2', 'LOCATION'],
+    ['Access', 'LINE'],
+    ['Boundary', 'LINE']
+  ]);
+  assert.deepStrictEqual(annotations[0].geometry.coordinates, [145.8111, -38.1858]);
+  assert.strictEqual(annotations[0].description, 'North gate');
+  assert.deepStrictEqual(annotations[0].metadata, { desc: 'North gate', time: '2024-05-01T01:02:03Z' });
+  assert.deepStrictEqual(annotations[0].properties, { ele: '42.5', sym: 'Flag, Blue' });
+  // Track segments are joined unless split
+  assert.strictEqual(annotations[3].geometry.coordinates.length, 4);
+  assert.deepStrictEqual(annotations[3].metadata, {
+    desc: 'Walked fence line',
+    startTime: '2024-05-01T02:00:00Z',
+    endTime: '2024-05-01T02:15:00Z'
+  });
+});
+
+test('parseGPX splits track segments and closes tracks into areas', async () => {
+  const split = await parseString(SAMPLE_GPX, 'gpx', parseGPX, { splitTrackSegments: true });
+  assert.deepStrictEqual(split.slice(3).map(a => [a.title, a.geometry.coordinates.length]), [
+    ['Boundary (1/2)', 2],
+    ['Boundary (2/2)', 2]
+  ]);
+
+  const closed = await parseString(SAMPLE_GPX, 'gpx', parseGPX, { closeTracks: true });
+  const boundary = closed.find(a => a.title === 'Boundary');
+  assert.strictEqual(boundary.annotationType, 'AREA');
+  assert.deepStrictEqual(boundary.geometry.coordinates[0][4], boundary.geometry.coordinates[0][0]);
+
+  // Two-point segments are too short to close, so every part is skipped
+  const tooShort = await parseString(SAMPLE_GPX, 'gpx', parseGPX, { closeTracks: true, splitTrackSegments: true });
+  assert.ok(!tooShort.some(a => a.title.startsWith('Boundary')));
+});
+
+test('parseKML and parseKMZ apply styles defined after the placemarks that use them', async () => {
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <name>Gate</name>
+      <description><![CDATA[<b>North</b> gate]]></description>
+      <styleUrl>#gate-style</styleUrl>
+      <Point><coordinates>-122.0841,37.4220</coordinates></Point>
+    </Placemark>
+    <Style id="gate-style">
+      <IconStyle><color>ff00ff00</color></IconStyle>
+    </Style>
+  </Document>
+</kml>`;
+
+  const annotations = await parseKMLString(kml);
+  assert.strictEqual(annotations.length, 1);
+  assert.strictEqual(annotations[0].color, '#00ff00');
+  assert.strictEqual(annotations[0].description, 'North gate');
+
+  const zip = new JSZip();
+  zip.file('doc.kml', kml);
+  const kmz = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const fromKMZ = await parseString(kmz, 'kmz', parseKMZ);
+  assert.deepStrictEqual(fromKMZ, annotations);
+});
+
+test('parseFile stops reading at MAX_ANNOTATIONS and reports progress while reading', async () => {
+  const buildCollection = (count) => JSON.stringify({
+    features: Array.from({ length: count }, (_, index) => ({
+      type: 'Feature',
+      properties: { title: `Pin ${index + 1}`, color: '#f34235' },
+      geometry: { type: 'Point', coordinates: [-122.08, 37.42] }
+    })),
+    // Members after the features are still read
+    type: 'FeatureCollection'
+  });
+  const parse = (filePath, options) => parseFile(filePath, filePath, options);
+
+  const progress = [];
+  const annotations = await parseString(buildCollection(250), 'geojson', parse, {
+    onProgress: (update) => progress.push(update)
+  });
+  assert.strictEqual(annotations.length, 250);
+  assert.ok(progress.length > 0);
+  const last = progress[progress.length - 1];
+  assert.strictEqual(last.bytesRead, last.totalBytes);
+
+  const limit = VALIDATION_RULES.FILE_LIMITS.MAX_ANNOTATIONS;
+  await assert.rejects(
+    parseString(buildCollection(limit + 1), 'geojson', parse),
+    /File contains more than 10000 annotations/
+  );
+});
+
+test('parsers report each skipped row and feature with a location, field and code', async () => {
+  const csvDiagnostics = createParseDiagnostics();
+  const annotations = await parseString([
+    'annotationType,title,color,lat,lng',
+    'LOCATION,Gate,#f34235,37.42,-122.08',
+    'LOCATION,,#f34235,37.43,-122.08',
+    'LOCATION,Tower,#f34235,north,-122.08',
+    'CIRCLE,Ring,#f34235,37.44,-122.08'
+  ].join('\n'), 'csv', parseCSV, { diagnostics: csvDiagnostics });
+
+  assert.strictEqual(annotations.length, 1);
+  assert.strictEqual(csvDiagnostics.total, 3);
+  assert.deepStrictEqual(
+    csvDiagnostics.items.map(({ location, field, code }) => ({ location, field, code })),
+    [
+      { location: 'Row 3', field: 'title', code: 'MISSING_FIELD' },
+      { location: 'Row 4 "Tower"', field: 'lat', code: 'INVALID_COORDINATES' },
+      { location: 'Row 5 "Ring"', field: 'annotationType', code: 'INVALID_TYPE' }
+    ]
+  );
+  assert.strictEqual(csvDiagnostics.items[1].value, 'north');
+
+  const geoJSONDiagnostics = createParseDiagnostics();
+  await parseString(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { color: '#f34235' }, geometry: { type: 'Point', coordinates: [-122.07, 37.42] } },
+      { type: 'Feature', properties: { title: 'Pin', color: '#f34235' }, geometry: { type: 'Point', coordinates: [-122.08, 37.42] } }
+    ]
+  }), 'geojson', parseGeoJSON, { diagnostics: geoJSONDiagnostics });
+
+  assert.strictEqual(geoJSONDiagnostics.total, 1);
+  assert.strictEqual(geoJSONDiagnostics.items[0].kind, 'Feature');
+  assert.strictEqual(geoJSONDiagnostics.items[0].index, 1);
+  assert.strictEqual(geoJSONDiagnostics.items[0].field, 'properties.title');
+  assert.strictEqual(geoJSONDiagnostics.items[0].code, 'MISSING_FIELD');
+});
+
+test('validateGeometry accepts the GeoJSON the parsers produce', () => {
+  assert.deepStrictEqual(
+    validateGeometry({ type: 'Point', coordinates: [-122.08, 37.42, 12] }, 'LOCATION'),
+    { type: 'Point', coordinates: [-122.08, 37.42] }
+  );
+  const triangle = [[-122.08, 37.42], [-122.07, 37.42], [-122.07, 37.43], [-122.08, 37.42]];
+  assert.deepStrictEqual(validateGeometry({ type: 'Polygon', coordinates: [triangle] }, 'AREA').coordinates, [triangle]);
+
+  assert.throws(() => validateGeometry({ type: 'Point', coordinates: [-122.08, 37.42] }, 'AREA'), /AREA geometry must be a GeoJSON Polygon/);
+  assert.throws(() => validateGeometry({ type: 'LineString', coordinates: [[-122.08, 37.42]] }, 'LINE'), /LINE requires at least 2 points, got 1/);
+  assert.throws(() => validateGeometry({ type: 'Polygon', coordinates: [[triangle[0], triangle[1], triangle[0]]] }, 'AREA'), /AREA requires at least 3 points, got 2/);
+  assert.throws(() => validateGeometry({ type: 'Point', coordinates: [200, 37.42] }, 'LOCATION'), /Longitude must be between/);
+});
+
+test('request validators list every invalid field', () => {
+  const planId = '5f1e2d3c4b5a69788796a5b4';
+  const pin = { schemaVersion: 1, annotationType: 'LOCATION', title: 'Gate #3', color: '#f34235', geometry: { type: 'Point', coordinates: [-122.08, 37.42] } };
+
+  const request = validateUploadRequest({ apiKey: 'abcdef123456', planId: `MapPlan:${planId}`, annotations: [pin] });
+  assert.strictEqual(request.planId, planId);
+  assert.strictEqual(request.annotations[0].title, 'Gate #3');
+  assert.deepStrictEqual(request.descriptionAttributes, []);
+
+  assert.throws(
+    () => validateUploadRequest({
+      apiKey: 'short',
+      planId,
+      annotations: [pin, { ...pin, title: '', geometry: { type: 'Polygon', coordinates: [] } }]
+    }),
+    (error) => {
+      assert.strictEqual(error.code, 'VALIDATION_FAILED');
+      assert.deepStrictEqual(error.errors.map(({ field }) => field), ['apiKey', 'annotations[1].title', 'annotations[1].geometry']);
+      return true;
+    }
+  );
+
+  // A color that is not hex is an error, not a silent red
+  assert.throws(
+    () => validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [pin, { ...pin, color: 'red' }, { ...pin, fillColor: '#12345' }] }),
+    (error) => {
+      assert.deepStrictEqual(error.errors.map(({ field }) => field), ['annotations[1].color', 'annotations[2].fillColor']);
+      assert.match(error.errors[0].message, /Invalid color: red/);
+      return true;
+    }
+  );
+
+  assert.throws(
+    () => validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [{ ...pin, schemaVersion: 0 }] }),
+    (error) => {
+      assert.strictEqual(error.errors[0].field, 'annotations[0].schemaVersion');
+      assert.match(error.errors[0].message, /schema version 0 is not supported/);
+      return true;
+    }
+  );
+
+  assert.throws(
+    () => validateUndoRequest({ apiKey: 'abcdef123456', planId, annotationIds: ['Annotation:1', '"), bad'] }),
+    (error) => error.errors.length === 1 && error.errors[0].field === 'annotationIds[1]'
+  );
+
+  assert.deepStrictEqual(request.replaceAnnotationIds, []);
+  const replacing = validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [pin, pin], replaceAnnotationIds: [null, 'Annotation:1'] });
+  assert.deepStrictEqual(replacing.replaceAnnotationIds, [null, 'Annotation:1']);
+  assert.throws(
+    () => validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [pin, pin], replaceAnnotationIds: ['Annotation:1'] }),
+    (error) => error.errors[0].field === 'replaceAnnotationIds'
+  );
+  assert.throws(
+    () => validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [pin], replaceAnnotationIds: ['"), bad'] }),
+    (error) => error.errors[0].field === 'replaceAnnotationIds[0]'
+  );
+
+  assert.strictEqual(validateDedupeRequest({ apiKey: 'abcdef123456', planId, annotations: [pin] }).tolerance, DRONEDEPLOY_CONFIG.MATCH_TOLERANCE);
+
+  // A sync that only deletes sends no annotations
+  const deleteOnly = validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [], deleteAnnotationIds: ['Annotation:1'], syncIdProperty: ' issue_id ' });
+  assert.deepStrictEqual([deleteOnly.annotations, deleteOnly.deleteAnnotationIds, deleteOnly.syncIdProperty], [[], ['Annotation:1'], 'issue_id']);
+  assert.throws(
+    () => validateUploadRequest({ apiKey: 'abcdef123456', planId, annotations: [], deleteAnnotationIds: ['"), bad'] }),
+    (error) => assert.deepStrictEqual(error.errors.map(({ field }) => field), ['deleteAnnotationIds[0]']) || true
+  );
+  assert.deepStrictEqual(validateSyncRequest({ apiKey: 'abcdef123456', planId, annotations: [pin], idProperty: 'issue_id' }).deleteMissing, false);
+  assert.throws(
+    () => validateSyncRequest({ apiKey: 'abcdef123456', planId, annotations: [pin], idProperty: '', deleteMissing: 'yes' }),
+    (error) => assert.deepStrictEqual(error.errors.map(({ field }) => field), ['idProperty', 'deleteMissing']) || true
+  );
+  assert.throws(
+    () => validateDedupeRequest({ apiKey: 'abcdef123456', planId, annotations: [pin], tolerance: -1 }),
+    (error) => error.errors.length === 1 && error.errors[0].field === 'tolerance'
+  );
+});
+
+test('planSync diffs the source against synced annotations by ID', () => {
+  const issue = (id, title, coordinates, extra = {}) => ({
+    schemaVersion: 1,
+    annotationType: 'LOCATION',
+    title,
+    color: '#f34235',
+    fillColor: '#f67168',
+    geometry: { type: 'Point', coordinates },
+    properties: id === undefined ? {} : { issue_id: id },
+    ...extra
+  });
+  const onMap = (annotationId, id, title, [lng, lat], extra = {}) => ({
+    id: annotationId,
+    annotationType: 'LOCATION',
+    title,
+    color: '#f34235',
+    fillColor: '#f67168',
+    description: id ? `[sync:issue_id=${id}]` : 'Drawn by hand',
+    geometry: [{ lat, lng }],
+    ...extra
+  });
+  const existing = [
+    onMap('Annotation:1', 'A', 'Crack', [145, -38]),
+    onMap('Annotation:2', 'B', 'Leak', [145, -38]),
+    onMap('Annotation:3', 'C', 'Rust', [145, -38]),
+    // Left behind by an interrupted sync
+    onMap('Annotation:4', 'A', 'Crack', [145, -38]),
+    onMap('Annotation:5', null, 'Crack', [145, -38]),
+    onMap('Annotation:6', 'D', 'Gone', [145, -38])
+  ];
+  const source = [
+    issue('A', 'Crack', [145, -38]),
+    issue('B', 'Leak', [145.001, -38]),
+    issue('C', 'Rust', [145, -38], { color: '#fe9700', fillColor: '#feb140' }),
+    issue('E', 'New', [145, -38]),
+    issue(undefined, 'No ID', [145, -38]),
+    issue('E', 'Twice', [145, -38])
+  ];
+
+  const plan = planSync(source, existing, { idProperty: 'issue_id' });
+  assert.deepStrictEqual(plan.unchanged, [{ index: 0, id: 'A', existingId: 'Annotation:1' }]);
+  assert.deepStrictEqual(plan.updates.map(update => [update.id, update.existingId, update.changes]), [
+    ['B', 'Annotation:2', ['geometry']],
+    ['C', 'Annotation:3', ['color', 'fillColor']]
+  ]);
+  assert.deepStrictEqual(plan.creates, [{ index: 3, id: 'E', title: 'New', annotationType: 'LOCATION' }]);
+  assert.deepStrictEqual(plan.skipped.map(skip => [skip.index, skip.message]), [[4, 'No issue_id'], [5, 'issue_id E appears earlier in the file']]);
+  assert.deepStrictEqual(plan.deletes, []);
+  assert.strictEqual(plan.untrackedCount, 1);
+
+  // Deletes cover IDs gone from the source and extra copies, never untagged annotations
+  const mirrored = planSync(source, existing, { idProperty: 'issue_id', deleteMissing: true });
+  assert.deepStrictEqual(mirrored.deletes.map(entry => [entry.id, entry.existingId]), [['A', 'Annotation:4'], ['D', 'Annotation:6']]);
+
+  // Selected attributes are part of the description, and another ID property sees no synced annotations
+  const withAttributes = planSync([{ ...source[0], properties: { issue_id: 'A', status: 'open' } }], existing, { idProperty: 'issue_id', descriptionAttributes: ['status'] });
+  assert.deepStrictEqual(withAttributes.updates[0].changes, ['description']);
+  assert.strictEqual(planSync(source.slice(0, 1), existing, { idProperty: 'ref' }).untrackedCount, 6);
+});
+
+test('exported map annotations parse back to the same annotations in every format', async () => {
+  const existing = [
+    {
+      id: 'Annotation:1',
+      annotationType: 'LOCATION',
+      title: 'Crack, "north" <wall>',
+      color: '#f34235',
+      fillColor: '#f67168',
+      description: 'Hairline & growing\n\nstatus: open\n\n[sync:issue%20id=ISS-42]',
+      geometry: [{ lat: -38.18583043875179, lng: 145.81114563959918 }]
+    },
+    { id: 'Annotation:2', annotationType: 'LINE', title: 'Drain', color: '#00bbd3', fillColor: '#40ccde', description: null, geometry: [{ lat: -38.1, lng: 145.1 }, { lat: -38.2, lng: 145.2 }] },
+    // DroneDeploy may return an area ring without its closing point
+    { id: 'Annotation:3', annotationType: 'AREA', title: 'Paddock', color: '#4bae4f', fillColor: '#78c27b', description: '', geometry: [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }] },
+    { id: 'Annotation:4', annotationType: 'VOLUME', title: 'Stockpile', color: '#f34235', fillColor: '#f67168', geometry: [{ lat: 0, lng: 0 }] }
+  ];
+
+  const { annotations, skippedCount } = fromMapAnnotations(existing);
+  assert.strictEqual(skippedCount, 1);
+  assert.deepStrictEqual(annotations[0].properties, { 'issue id': 'ISS-42' });
+  assert.strictEqual(annotations[0].description, 'Hairline & growing\n\nstatus: open');
+  assert.deepStrictEqual(annotations[2].geometry.coordinates[0], [[0, 0], [1, 0], [1, 1], [0, 0]]);
+
+  const parsers = { geojson: parseGeoJSON, kml: parseKML, csv: parseCSV };
+  for (const [format, parser] of Object.entries(parsers)) {
+    const parsed = await parseString(exportAnnotations(annotations, format, 'Site & "A"'), format, parser);
+    // Every CSV row has every column, so annotations without an ID read back an empty one
+    const withoutEmpty = parsed.map(annotation => ({
+      ...annotation,
+      properties: Object.fromEntries(Object.entries(annotation.properties || {}).filter(([, value]) => value !== ''))
+    }));
+    assert.deepStrictEqual(withoutEmpty.map(toCanonicalAnnotation), annotations, format);
+  }
+  assert.match(exportAnnotations(annotations, 'kml', 'Site'), /<PolyStyle><color>806871f6<\/color><\/PolyStyle>/);
+  // A color that is not hex is written as the parser's default rather than "null"
+  const unreadable = exportAnnotations([{ ...annotations[1], color: 'blue', fillColor: null }], 'kml', 'Site');
+  assert.match(unreadable, /<LineStyle><color>ff0000ff<\/color>/);
+  assert.match(unreadable, /<PolyStyle><color>800000ff<\/color>/);
+  assert.doesNotMatch(unreadable, /null/);
+  assert.strictEqual(exportAnnotations(annotations, 'csv', 'Site').split('\r\n')[0], 'annotationType,title,lat,lng,color,fillColor,geometry,description,issue id');
+});
+
+test('matchAnnotations marks annotations as new, duplicate or changed against the map', () => {
+  const annotation = (annotationType, title, geometry, extra = {}) => ({
+    schemaVersion: 1, annotationType, title, color: '#f34235', fillColor: '#f67168', geometry, ...extra
+  });
+  const existing = [
+    { id: 'Annotation:1', annotationType: 'LOCATION', title: 'Tank', color: '#F34235', fillColor: '#f67168', description: null, geometry: [{ lat: -38, lng: 145 }] },
+    { id: 'Annotation:2', annotationType: 'LOCATION', title: 'Tank', color: '#f34235', fillColor: '#f67168', description: '', geometry: [{ lat: -38.001, lng: 145 }] },
+    { id: 'Annotation:3', annotationType: 'AREA', title: 'Paddock', color: '#f34235', fillColor: '#f67168', description: 'Old', geometry: [{ lat: -38, lng: 145 }, { lat: -38, lng: 145.01 }, { lat: -38.01, lng: 145.01 }] },
+    { id: 'Annotation:4', annotationType: 'LINE', title: 'Fence', color: '#f34235', fillColor: '#f67168', geometry: [{ lat: -38, lng: 145 }, { lat: -38, lng: 145.01 }] }
+  ];
+  const incoming = [
+    // About 0.5 m from Annotation:1
+    annotation('LOCATION', 'Tank', { type: 'Point', coordinates: [145.000005, -38.000002] }),
+    // Same place again: Annotation:1 is taken, and Annotation:2 is over 100 m away
+    annotation('LOCATION', 'Tank', { type: 'Point', coordinates: [145, -38] }),
+    // Closed ring matches the open one DroneDeploy returned; the description changed
+    annotation('AREA', 'Paddock', { type: 'Polygon', coordinates: [[[145, -38], [145.01, -38], [145.01, -38.01], [145, -38]]] }, { description: 'New' }),
+    annotation('LINE', 'Fence', { type: 'LineString', coordinates: [[145, -38], [145.01, -38]] }, { color: '#fe9700' }),
+    // Title matches but the type does not
+    annotation('LOCATION', 'Fence', { type: 'Point', coordinates: [145, -38] })
+  ];
+
+  const matches = matchAnnotations(incoming, existing, { tolerance: 1 });
+  assert.deepStrictEqual(matches.map(match => [match.status, match.action, match.existing?.id ?? null]), [
+    ['duplicate', 'skip', 'Annotation:1'],
+    ['new', 'create', null],
+    ['changed', 'replace', 'Annotation:3'],
+    ['changed', 'replace', 'Annotation:4'],
+    ['new', 'create', null]
+  ]);
+  assert.ok(matches[0].distance > 0.4 && matches[0].distance < 0.7);
+  assert.deepStrictEqual(matches[2].changes, ['description']);
+  assert.deepStrictEqual(matches[3].changes, ['color']);
+  assert.deepStrictEqual(countMatches(matches), { new: 2, duplicate: 1, changed: 2 });
+
+  // A wider tolerance reaches Annotation:2, and selected attributes count towards the description
+  const wide = matchAnnotations(incoming.slice(0, 2), existing, { tolerance: 150 });
+  assert.deepStrictEqual(wide.map(match => match.existing.id), ['Annotation:1', 'Annotation:2']);
+  const withAttributes = matchAnnotations([{ ...incoming[0], properties: { status: 'full' } }], existing, { tolerance: 1, descriptionAttributes: ['status'] });
+  assert.deepStrictEqual(withAttributes[0].changes, ['description']);
+
+  assert.ok(Math.abs(distanceBetween({ lat: -38, lng: 145 }, { lat: -38.001, lng: 145 }) - 111.2) < 0.1);
+});
+
+test('parseFile returns canonical annotations that convert to DroneDeploy LocationInputs', async () => {
+  const annotations = await parseString(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { title: 'Pin', color: '#f34235', owner: 'Utility' }, geometry: { type: 'Point', coordinates: [-122.08, 37.42] } },
+      { type: 'Feature', properties: { title: 'Yard', color: '#4bae4f' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } }
+    ]
+  }), 'geojson', (filePath) => parseFile(filePath, filePath));
+
+  assert.deepStrictEqual(annotations[0], {
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    annotationType: 'LOCATION',
+    title: 'Pin',
+    color: '#f34235',
+    fillColor: '#f34235',
+    geometry: { type: 'Point', coordinates: [-122.08, 37.42] },
+    properties: { owner: 'Utility' }
+  });
+  assert.deepStrictEqual(Object.keys(annotations[1]), ['schemaVersion', 'annotationType', 'title', 'color', 'fillColor', 'geometry']);
+  assert.deepStrictEqual(toCanonicalAnnotation(annotations[1]), annotations[1]);
+
+  assert.deepStrictEqual(toCreateAnnotationInput(annotations[0], 'MapPlan:abc', 'North gate'), {
+    planId: 'MapPlan:abc',
+    title: 'Pin',
+    annotationType: 'LOCATION',
+    geometry: [{ lat: 37.42, lng: -122.08 }],
+    color: '#f34235',
+    fillColor: '#f34235',
+    description: 'North gate'
+  });
+  assert.deepStrictEqual(
+    toCreateAnnotationInput(annotations[1], 'MapPlan:abc').geometry,
+    [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 0, lng: 0 }]
+  );
+});
+
+test('parseCSV reads a BOM, CRLF line endings and quoted fields from a fixture', async () => {
+  const diagnostics = createParseDiagnostics();
+  const annotations = await parseCSV(path.join(FIXTURES_DIR, 'bom_crlf.csv'), { diagnostics });
+
+  assert.deepStrictEqual(annotations.map(annotation => annotation.title), ['Gate "A", north', 'Paddock', 'Fence']);
+  assert.strictEqual(annotations[0].description, 'Main gate, locked after 6pm');
+  assert.deepStrictEqual(annotations[0].geometry, { type: 'Point', coordinates: [145.8111, -38.1858] });
+  // Bracketed positions and WKT, both quoted because they contain commas
+  assert.deepStrictEqual(annotations[1].geometry.coordinates[0][1], [145.8112, -38.1857]);
+  assert.strictEqual(annotations[1].fillColor, '#78c27b');
+  assert.deepStrictEqual(annotations[2].geometry, {
+    type: 'LineString',
+    coordinates: [[145.8107, -38.1858], [145.8108, -38.1859], [145.8109, -38.186]]
+  });
+  assert.deepStrictEqual(diagnostics.items.map(item => [item.location, item.code]), [['Row 5 "No position"', 'MISSING_FIELD']]);
+});
+
+test('parseGeoJSON reads a BOM and CRLF fixture and skips features without geometry', async () => {
+  const diagnostics = createParseDiagnostics();
+  const annotations = await parseGeoJSON(path.join(FIXTURES_DIR, 'bom_crlf.geojson'), { diagnostics });
+
+  assert.deepStrictEqual(annotations.map(annotation => [annotation.annotationType, annotation.title]), [['LOCATION', 'Tank'], ['LINE', 'Drain']]);
+  assert.strictEqual(annotations[1].description, 'Clear\r\nmonthly');
+  assert.deepStrictEqual(diagnostics.items.map(item => [item.location, item.field]), [['Feature 3 "Nowhere"', 'geometry']]);
+});
+
+test('parseKML and parseKMZ read nested folders and skip empty placemarks in a fixture', async () => {
+  const kmlPath = path.join(FIXTURES_DIR, 'nested_folders.kml');
+  const zip = new JSZip();
+  zip.file('doc.kml', fs.readFileSync(kmlPath));
+  const kmz = await zip.generateAsync({ type: 'nodebuffer' });
+
+  for (const parse of [
+    (diagnostics) => parseKML(kmlPath, { diagnostics }),
+    (diagnostics) => parseString(kmz, 'kmz', parseKMZ, { diagnostics })
+  ]) {
+    const diagnostics = createParseDiagnostics();
+    const annotations = await parse(diagnostics);
+
+    assert.deepStrictEqual(
+      annotations.map(annotation => [annotation.annotationType, annotation.title, annotation.metadata?.folderPath]),
+      [['LOCATION', 'Shed', ['Site', 'North']], ['AREA', 'Yard', ['Site', 'South']], ['LINE', 'Track', undefined]]
+    );
+    assert.strictEqual(annotations[1].color, '#f34235');
+    assert.deepStrictEqual(
+      diagnostics.items.map(item => [item.location, item.code]),
+      [
+        ['Placemark 2 "Empty"', 'UNSUPPORTED_GEOMETRY'],
+        ['Placemark 4 "No points"', 'INVALID_GEOMETRY'],
+        ['Placemark 5', 'INVALID_ITEM']
+      ]
+    );
+  }
+
+  const prefixed = await parseKML(kmlPath, { prefixFolderNames: true });
+  assert.strictEqual(prefixed[0].title, 'Site / North / Shed');
+});
+
+test('toLocationInputs converts each geometry type to DroneDeploy LocationInputs', () => {
+  assert.deepStrictEqual(toLocationInputs({ type: 'Point', coordinates: [145.8, -38.1] }), [{ lat: -38.1, lng: 145.8 }]);
+  assert.deepStrictEqual(
+    toLocationInputs({ type: 'LineString', coordinates: [[145.8, -38.1], [145.9, -38.2, 12]] }),
+    [{ lat: -38.1, lng: 145.8 }, { lat: -38.2, lng: 145.9 }]
+  );
+
+  // Only the outer ring of a polygon is sent; DroneDeploy areas have no holes
+  const outer = [[0, 0], [4, 0], [4, 4], [0, 0]];
+  const hole = [[1, 1], [2, 1], [2, 2], [1, 1]];
+  assert.deepStrictEqual(
+    toLocationInputs({ type: 'Polygon', coordinates: [outer, hole] }),
+    outer.map(([lng, lat]) => ({ lat, lng }))
+  );
+
+  assert.throws(() => toLocationInputs({ type: 'MultiPoint', coordinates: [] }), /Unsupported geometry type: MultiPoint/);
+});
+
+test('findNearestDroneDeployColor maps colors to the nearest palette entry', () => {
+  DRONEDEPLOY_COLORS.forEach(paletteColor => {
+    assert.strictEqual(findNearestDroneDeployColor(paletteColor.color), paletteColor);
+    assert.strictEqual(findNearestDroneDeployColor(paletteColor.color.slice(1).toUpperCase()), paletteColor);
+  });
+
+  assert.strictEqual(findNearestDroneDeployColor('#ff0000').name, 'Red');
+  assert.strictEqual(findNearestDroneDeployColor('#FFA500').name, 'Orange');
+  assert.strictEqual(findNearestDroneDeployColor('#0000ff').name, 'Amethyst');
+  assert.strictEqual(findNearestDroneDeployColor('#00ff00').name, 'Green');
+
+  assert.deepStrictEqual(matchDroneDeployColor('#fe9700'), { paletteColor: DRONEDEPLOY_COLORS[4], distance: 0 });
+  assert.ok(matchDroneDeployColor('#FFA500').distance > 0);
+  // Not a color: the first palette entry, with no distance
+  assert.deepStrictEqual(matchDroneDeployColor('orange'), { paletteColor: DRONEDEPLOY_COLORS[0], distance: null });
+  assert.strictEqual(findNearestDroneDeployColor(undefined), DRONEDEPLOY_COLORS[0]);
+});
@@ -0,0 +1,453 @@
+/**
+ * Route tests - run with `npm test`
+ * Each route is called over HTTP with the server pointed at the mock DroneDeploy API
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SERVER_CONFIG, DRONEDEPLOY_CONFIG } = require('./server/config/constants');
+const { createMockDroneDeploy, DEFAULT_PLAN } = require('./server/mock/droneDeployMock');
+
+const FIXTURES_DIR = path.join(__dirname, 'test_fixtures');
+const PLAN_ID = DEFAULT_PLAN.id.replace('MapPlan:', '');
+const API_KEY = 'test-api-key-123456';
+
+const servers = [];
+let apiUrl;
+let mockUrl;
+let jobsDir;
+
+/**
+ * Listen on a free port
+ * @param {Object} app - Express app
+ * @returns {Promise<string>} Base URL
+ */
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  servers.push(server);
+  return `http://localhost:${server.address().port}`;
+}
+
+/**
+ * Call a route and read the JSON response
+ * @param {string} method - HTTP method
+ * @param {string} url - Full URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const api = {
+  get: (route) => request('GET', `${apiUrl}${route}`),
+  post: (route, body) => request('POST', `${apiUrl}${route}`, body)
+};
+
+const mockApi = {
+  state: async () => (await request('GET', `${mockUrl}/__mock/state`)).body,
+  failures: (body) => request('POST', `${mockUrl}/__mock/failures`, body),
+  reset: () => request('POST', `${mockUrl}/__mock/reset`)
+};
+
+/**
+ * Build a canonical LOCATION annotation
+ * @param {string} title - Title
+ * @returns {Object} Annotation
+ */
+const location = (title) => ({
+  schemaVersion: 1,
+  annotationType: 'LOCATION',
+  title,
+  color: '#f34235',
+  fillColor: '#f67168',
+  geometry: { type: 'Point', coordinates: [145.81, -38.18] }
+});
+
+/**
+ * Poll an upload job until it stops running
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job summary
+ */
+async function waitForJob(jobId) {
+  for (;;) {
+    const { body } = await api.get(`/api/jobs/${jobId}`);
+    if (body.data.status !== 'running') {
+      return body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  // The routes log every request; keep the test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'route_jobs_'));
+  mockUrl = await listen(createMockDroneDeploy({ retryAfter: 0 }));
+  Object.assign(SERVER_CONFIG, { JOBS_DIR: jobsDir });
+  Object.assign(DRONEDEPLOY_CONFIG, { API_URL: `${mockUrl}/graphql`, RATE_LIMIT: 0, CONCURRENCY: 1, RETRY_BASE_DELAY: 1 });
+  apiUrl = await listen(require('./server/index'));
+});
+
+after(() => {
+  servers.forEach(server => {
+    server.closeAllConnections();
+    server.close();
+  });
+  fs.rmSync(jobsDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('GET /api/health, /api/crs and /api/annotation-schema', async () => {
+  assert.strictEqual((await api.get('/api/health')).body.status, 'OK');
+
+  const crs = await api.get('/api/crs');
+  assert.ok(crs.body.data.some(entry => entry.code === 'EPSG:4326'));
+
+  const schema = await api.get('/api/annotation-schema');
+  assert.match(schema.body.$id, /annotation:1$/);
+  assert.deepStrictEqual(schema.body.properties.annotationType.enum.sort(), ['AREA', 'LINE', 'LOCATION']);
+});
+
+test('POST /api/upload parses a file and removes the upload', async () => {
+  const uploadsBefore = fs.existsSync(SERVER_CONFIG.UPLOAD_DIR) ? fs.readdirSync(SERVER_CONFIG.UPLOAD_DIR).length : 0;
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(path.join(FIXTURES_DIR, 'bom_crlf.csv'))]), 'bom_crlf.csv');
+  form.append('uploadId', 'route-test');
+  form.append('forceStandardColors', 'true');
+
+  const response = await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.schemaVersion, 1);
+  assert.deepStrictEqual(body.data.map(annotation => annotation.title), ['Gate "A", north', 'Paddock', 'Fence']);
+  assert.strictEqual(body.skippedCount, 1);
+  assert.strictEqual(body.data[2].color, '#fe9700');
+  assert.ok(body.colorMapping.length > 0);
+  assert.strictEqual(fs.readdirSync(SERVER_CONFIG.UPLOAD_DIR).length, uploadsBefore);
+
+  // Progress is only kept while the file is being parsed
+  assert.strictEqual((await api.get('/api/upload/route-test/progress')).status, 404);
+});
+
+test('POST /api/upload rejects a missing file and reports files it cannot parse', async () => {
+  const missing = await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: new FormData() });
+  assert.strictEqual(missing.status, 400);
+  assert.deepStrictEqual((await missing.json()).errors.map(error => error.field), ['file']);
+
+  const form = new FormData();
+  form.append('file', new Blob(['{"type": "FeatureCollection", "features": [']), 'broken.geojson');
+  form.append('holePolicy', 'keep');
+  const invalidOption = await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: form });
+  assert.strictEqual(invalidOption.status, 400);
+  assert.deepStrictEqual((await invalidOption.json()).errors.map(error => error.field), ['holePolicy']);
+
+  // Styling rules and column mappings are checked before the file is parsed
+  form.set('holePolicy', 'drop');
+  form.append('stylingRules', JSON.stringify([{ field: 'status', operator: 'like' }]));
+  form.append('columnMapping', JSON.stringify({ columns: { height: 'H' } }));
+  const invalidOptions = await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: form });
+  assert.strictEqual(invalidOptions.status, 400);
+  assert.deepStrictEqual((await invalidOptions.json()).errors.map(error => error.field), ['stylingRules', 'columnMapping']);
+  form.delete('stylingRules');
+  form.delete('columnMapping');
+
+  form.set('holePolicy', 'drop');
+  const broken = await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: form });
+  assert.strictEqual(broken.status, 400);
+  assert.strictEqual((await broken.json()).error, 'Failed to parse file');
+});
+
+test('POST /api/styling-rules/apply restyles annotations', async () => {
+  const annotations = [{ ...location('Crack'), properties: { status: 'defect' } }, location('Other')];
+  const rules = [{ field: 'status', operator: 'equals', value: 'defect', color: '#fe9700', titleTemplate: 'DEFECT: {title}' }];
+
+  const { status, body } = await api.post('/api/styling-rules/apply', { annotations, rules });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.map(annotation => [annotation.title, annotation.color]), [['DEFECT: Crack', '#fe9700'], ['Other', '#f34235']]);
+  assert.strictEqual(body.matchedCount, 1);
+
+  const missing = await api.post('/api/styling-rules/apply', { rules });
+  assert.strictEqual(missing.status, 400);
+  assert.deepStrictEqual(missing.body.errors.map(error => error.field), ['annotations']);
+  const invalid = await api.post('/api/styling-rules/apply', { annotations: [annotations[0], null], rules: [{ field: 'status', operator: 'like' }] });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['rules', 'annotations[1]']);
+  assert.match(invalid.body.errors[0].message, /invalid operator: like/);
+});
+
+test('GET /api/dronedeploy/map/:mapId looks up the map', async () => {
+  const found = await api.get(`/api/dronedeploy/map/${PLAN_ID}?apiKey=${API_KEY}`);
+  assert.strictEqual(found.status, 200);
+  assert.deepStrictEqual(found.body.data, {
+    id: DEFAULT_PLAN.id,
+    name: DEFAULT_PLAN.name,
+    dateImagesCaptured: DEFAULT_PLAN.sortDate,
+    projectId: DEFAULT_PLAN.project.id
+  });
+
+  assert.strictEqual((await api.get(`/api/dronedeploy/map/${'0'.repeat(24)}?apiKey=${API_KEY}`)).status, 500);
+  const invalid = await api.get('/api/dronedeploy/map/not-a-map');
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['mapId', 'apiKey']);
+});
+
+test('POST /api/dronedeploy/upload and /api/dronedeploy/undo-upload create and delete annotations', async () => {
+  await mockApi.reset();
+  await mockApi.failures({ next: ['rateLimit'] });
+
+  const { status, body } = await api.post('/api/dronedeploy/upload', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: [location('Tank'), { ...location('Bad'), annotationType: 'LINE' }, location('Gate')]
+  });
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.errors.map(error => error.field), ['annotations[1].geometry']);
+
+  const uploaded = await api.post('/api/dronedeploy/upload', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: [location('Tank'), location('Gate')]
+  });
+  assert.strictEqual(uploaded.status, 200);
+  assert.deepStrictEqual(uploaded.body.results.map(result => result.title), ['Tank', 'Gate']);
+  assert.strictEqual(uploaded.body.projectId, DEFAULT_PLAN.project.id);
+  // The 429 was retried
+  assert.strictEqual((await mockApi.state()).annotations.length, 2);
+
+  const undone = await api.post('/api/dronedeploy/undo-upload', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotationIds: uploaded.body.results.map(result => result.id)
+  });
+  assert.strictEqual(undone.status, 200);
+  assert.strictEqual(undone.body.deletedCount, 2);
+  assert.strictEqual((await mockApi.state()).annotations.length, 0);
+
+  assert.strictEqual((await api.post('/api/dronedeploy/undo-upload', { planId: PLAN_ID })).status, 400);
+});
+
+test('POST /api/dronedeploy/dedupe compares with the map and jobs replace what changed', async () => {
+  await mockApi.reset();
+  const first = await api.post('/api/dronedeploy/upload', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: [location('Tank'), location('Gate')]
+  });
+  const [tankId, gateId] = first.body.results.map(result => result.id);
+
+  const annotations = [location('Tank'), { ...location('Gate'), color: '#fe9700' }, location('Shed')];
+  const { status, body } = await api.post('/api/dronedeploy/dedupe', { apiKey: API_KEY, planId: PLAN_ID, annotations });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.map(match => [match.status, match.action, match.existing?.id ?? null]), [
+    ['duplicate', 'skip', tankId],
+    ['changed', 'replace', gateId],
+    ['new', 'create', null]
+  ]);
+  assert.deepStrictEqual(body.counts, { new: 1, duplicate: 1, changed: 1 });
+  assert.strictEqual(body.existingCount, 2);
+
+  // Upload what the default actions leave: replace Gate, create Shed
+  const created = await api.post('/api/jobs', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: annotations.slice(1),
+    replaceAnnotationIds: [gateId, null]
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual((await waitForJob(created.body.data.id)).status, 'completed');
+
+  const results = await api.get(`/api/jobs/${created.body.data.id}/results`);
+  assert.deepStrictEqual(results.body.data.results.map(result => result.replacedId ?? null), [gateId, null]);
+  const onMap = (await mockApi.state()).annotations;
+  assert.deepStrictEqual(onMap.map(annotation => [annotation.title, annotation.color]), [['Tank', '#f34235'], ['Gate', '#fe9700'], ['Shed', '#f34235']]);
+
+  const again = await api.post('/api/dronedeploy/dedupe', { apiKey: API_KEY, planId: PLAN_ID, annotations, tolerance: 0 });
+  assert.deepStrictEqual(again.body.counts, { new: 0, duplicate: 3, changed: 0 });
+
+  const invalid = await api.post('/api/dronedeploy/dedupe', { apiKey: API_KEY, planId: PLAN_ID, annotations, tolerance: 'near' });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['tolerance']);
+  const unknownMap = await api.post('/api/dronedeploy/dedupe', { apiKey: API_KEY, planId: '0'.repeat(24), annotations });
+  assert.strictEqual(unknownMap.status, 500);
+});
+
+test('POST /api/dronedeploy/sync/plan plans a sync that jobs apply', async () => {
+  await mockApi.reset();
+  const issue = (id, title, extra = {}) => ({ ...location(title), properties: { issue_id: id }, ...extra });
+  const sync = async (annotations, deleteMissing) => {
+    const { status, body } = await api.post('/api/dronedeploy/sync/plan', { apiKey: API_KEY, planId: PLAN_ID, annotations, idProperty: 'issue_id', deleteMissing });
+    assert.strictEqual(status, 200);
+    return body;
+  };
+  // Apply a plan the way the client does: creates and updates in one job, updates replacing
+  const apply = async (annotations, plan) => {
+    const changes = [...plan.creates, ...plan.updates];
+    const created = await api.post('/api/jobs', {
+      apiKey: API_KEY,
+      planId: PLAN_ID,
+      annotations: changes.map(change => annotations[change.index]),
+      replaceAnnotationIds: changes.map(change => change.existingId || null),
+      deleteAnnotationIds: plan.deletes.map(entry => entry.existingId),
+      syncIdProperty: 'issue_id'
+    });
+    assert.strictEqual(created.status, 201);
+    return waitForJob(created.body.data.id);
+  };
+
+  // Drawn by hand, so never part of the sync
+  await api.post('/api/dronedeploy/upload', { apiKey: API_KEY, planId: PLAN_ID, annotations: [location('Sketch')] });
+
+  const source = [issue('A', 'Tank'), issue('B', 'Gate'), issue('C', 'Shed')];
+  const first = await sync(source, true);
+  assert.deepStrictEqual(first.counts, { create: 3, update: 0, unchanged: 0, delete: 0, skipped: 0 });
+  assert.deepStrictEqual([first.existingCount, first.data.untrackedCount, first.idProperty, first.deleteMissing], [1, 1, 'issue_id', true]);
+  assert.strictEqual((await apply(source, first.data)).status, 'completed');
+  assert.match((await mockApi.state()).annotations[1].description, /\[sync:issue_id=A\]$/);
+
+  // Edit B, drop C, add D
+  const edited = [issue('A', 'Tank'), issue('B', 'Gate', { color: '#fe9700' }), issue('D', 'Pump')];
+  const second = await sync(edited, true);
+  assert.deepStrictEqual(second.counts, { create: 1, update: 1, unchanged: 1, delete: 1, skipped: 0 });
+  const job = await apply(edited, second.data);
+  assert.deepStrictEqual([job.status, job.deleteTotal, job.deletedCount], ['completed', 1, 1]);
+
+  const onMap = (await mockApi.state()).annotations;
+  assert.deepStrictEqual(onMap.map(annotation => [annotation.title, annotation.color]), [['Sketch', '#f34235'], ['Tank', '#f34235'], ['Pump', '#f34235'], ['Gate', '#fe9700']]);
+  assert.deepStrictEqual((await sync(edited, true)).counts, { create: 0, update: 0, unchanged: 3, delete: 0, skipped: 0 });
+
+  // A file that only lost issues needs a job with nothing to create
+  const trimmed = await sync(edited.slice(0, 1), true);
+  assert.deepStrictEqual(trimmed.counts, { create: 0, update: 0, unchanged: 1, delete: 2, skipped: 0 });
+  assert.strictEqual((await apply(edited.slice(0, 1), trimmed.data)).status, 'completed');
+  assert.deepStrictEqual((await mockApi.state()).annotations.map(annotation => annotation.title), ['Sketch', 'Tank']);
+
+  const invalid = await api.post('/api/dronedeploy/sync/plan', { apiKey: API_KEY, planId: PLAN_ID, annotations: source });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['idProperty']);
+});
+
+test('GET /api/dronedeploy/map/:mapId/annotations exports files that import and sync back unchanged', async () => {
+  await mockApi.reset();
+  const area = {
+    ...location('Paddock'),
+    annotationType: 'AREA',
+    color: '#4bae4f',
+    fillColor: '#78c27b',
+    geometry: { type: 'Polygon', coordinates: [[[145.81, -38.18], [145.82, -38.18], [145.82, -38.19], [145.81, -38.18]]] }
+  };
+  await api.post('/api/dronedeploy/upload', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: [{ ...location('Tank'), description: 'Leaks\n\nCheck monthly', properties: { issue_id: 'A' } }, { ...area, properties: { issue_id: 'B' } }],
+    syncIdProperty: 'issue_id'
+  });
+
+  for (const format of ['geojson', 'kml', 'csv']) {
+    const response = await fetch(`${apiUrl}/api/dronedeploy/map/${PLAN_ID}/annotations?apiKey=${API_KEY}&format=${format}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('x-annotation-count'), '2');
+    assert.match(response.headers.get('content-disposition'), new RegExp(`_annotations\\.${format}"$`));
+
+    const form = new FormData();
+    form.append('file', new Blob([await response.text()]), `export.${format}`);
+    const imported = await (await fetch(`${apiUrl}/api/upload`, { method: 'POST', body: form })).json();
+    assert.deepStrictEqual(imported.data.map(annotation => annotation.title), ['Tank', 'Paddock'], format);
+
+    const plan = await api.post('/api/dronedeploy/sync/plan', { apiKey: API_KEY, planId: PLAN_ID, annotations: imported.data, idProperty: 'issue_id' });
+    assert.deepStrictEqual(plan.body.counts, { create: 0, update: 0, unchanged: 2, delete: 0, skipped: 0 }, format);
+  }
+
+  const invalid = await api.get(`/api/dronedeploy/map/${PLAN_ID}/annotations?apiKey=${API_KEY}&format=shp`);
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(error => error.field), ['format']);
+  assert.strictEqual((await api.get(`/api/dronedeploy/map/${'0'.repeat(24)}/annotations?apiKey=${API_KEY}`)).status, 500);
+});
+
+test('upload job routes run, stream, resume and report a job', async () => {
+  await mockApi.reset();
+  // The first annotation is refused once
+  await mockApi.failures({ next: ['auth'] });
+
+  const created = await api.post('/api/jobs', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: [location('Tank'), location('Gate'), location('Shed')]
+  });
+  assert.strictEqual(created.status, 201);
+  const jobId = created.body.data.id;
+
+  let job = await waitForJob(jobId);
+  assert.deepStrictEqual([job.status, job.createdCount, job.failedCount], ['failed', 2, 1]);
+
+  // The event stream opens with a snapshot of the job
+  const events = await fetch(`${apiUrl}/api/jobs/${jobId}/events`);
+  assert.strictEqual(events.headers.get('content-type'), 'text/event-stream');
+  const reader = events.body.getReader();
+  const { value } = await reader.read();
+  await reader.cancel();
+  const snapshot = new TextDecoder().decode(value);
+  assert.match(snapshot, /^event: snapshot\ndata: /);
+  assert.strictEqual(JSON.parse(snapshot.split('data: ')[1]).items.length, 3);
+
+  assert.strictEqual((await api.post(`/api/jobs/${jobId}/resume`, {})).status, 400);
+  const resumed = await api.post(`/api/jobs/${jobId}/resume`, { apiKey: API_KEY });
+  assert.strictEqual(resumed.status, 202);
+  job = await waitForJob(jobId);
+  assert.strictEqual(job.status, 'completed');
+
+  const results = await api.get(`/api/jobs/${jobId}/results`);
+  assert.deepStrictEqual(results.body.data.results.map(result => result.title), ['Tank', 'Gate', 'Shed']);
+  assert.deepStrictEqual(results.body.data.errors, []);
+  assert.strictEqual((await mockApi.state()).annotations.length, 3);
+
+  assert.strictEqual((await api.post(`/api/jobs/${jobId}/resume`, { apiKey: API_KEY })).body.code, 'JOB_COMPLETE');
+  assert.strictEqual((await api.post(`/api/jobs/${jobId}/cancel`)).status, 409);
+});
+
+test('POST /api/jobs/:jobId/cancel stops a running job', async () => {
+  await mockApi.reset();
+  await mockApi.failures({ latency: 20 });
+
+  const created = await api.post('/api/jobs', {
+    apiKey: API_KEY,
+    planId: PLAN_ID,
+    annotations: Array.from({ length: 10 }, (value, index) => location(`Pin ${index + 1}`))
+  });
+  const cancelled = await api.post(`/api/jobs/${created.body.data.id}/cancel`);
+  assert.strictEqual(cancelled.status, 202);
+  assert.strictEqual(cancelled.body.data.cancelRequested, true);
+
+  const job = await waitForJob(created.body.data.id);
+  await mockApi.failures({ latency: 0 });
+  assert.strictEqual(job.status, 'cancelled');
+  assert.ok(job.pendingCount > 0);
+  assert.strictEqual((await mockApi.state()).annotations.length, job.createdCount);
+});
+
+test('upload job routes reject unknown and malformed job IDs', async () => {
+  const unknown = '00000000-0000-4000-8000-000000000000';
+  assert.strictEqual((await api.get(`/api/jobs/${unknown}`)).status, 404);
+  assert.strictEqual((await api.get(`/api/jobs/${unknown}/results`)).status, 404);
+  assert.strictEqual((await api.get(`/api/jobs/${unknown}/events`)).status, 404);
+  assert.strictEqual((await api.post(`/api/jobs/${unknown}/cancel`)).status, 404);
+  assert.strictEqual((await api.post(`/api/jobs/${unknown}/resume`, { apiKey: API_KEY })).status, 404);
+
+  const malformed = await api.get('/api/jobs/..%2Fetc');
+  assert.strictEqual(malformed.status, 400);
+  assert.deepStrictEqual(malformed.body.errors.map(error => error.field), ['jobId']);
+  assert.strictEqual((await api.post('/api/jobs', { apiKey: API_KEY, planId: PLAN_ID, annotations: [] })).status, 400);
+});